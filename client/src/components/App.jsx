@@ -9,6 +9,8 @@
  * - / - Конфигурация (ConnectionTree)
  * - /realtime - Реальное время (RealTimeView)
  * - /history - История (HistoryView)
+ * - /modbus-server - Встроенный Modbus TCP сервер (ModbusServerView)
+ * - /registers - Обозреватель регистров (RegisterExplorer)
  */
 
 import React from 'react'
@@ -17,6 +19,8 @@ import Layout from './Layout.jsx'
 import ConnectionTree from './ConnectionTree.jsx'
 import RealTimeView from './RealTimeView.jsx'
 import HistoryView from './HistoryView.jsx'
+import ModbusServerView from './ModbusServerView.jsx'
+import RegisterExplorer from './RegisterExplorer.jsx'
 import {WebSocketProvider} from '../context/WebSocketContext.jsx'
 import {NotificationProvider} from '../context/NotificationContext.jsx'
 
@@ -43,6 +47,14 @@ const router = createBrowserRouter([
         path: 'history',
         element: <HistoryView/>,
       },
+      {
+        path: 'modbus-server',
+        element: <ModbusServerView/>,
+      },
+      {
+        path: 'registers',
+        element: <RegisterExplorer/>,
+      },
       {
         path: '*',
         element: <Navigate to="/" replace/>,
@@ -0,0 +1,71 @@
+import React from 'react'
+import {Form, Select, InputNumber, Space, Divider} from 'antd'
+import {ARCHIVE_MODE_OPTIONS} from "../utils/index.js";
+
+const DEADBAND_MODE_OPTIONS = [
+  {value: 'absolute', label: 'в единицах тега'},
+  {value: 'percent', label: '% от последнего значения'}
+]
+
+/**
+ * Поля политики архивации тега (для формы тега устройства и формы тега без устройства)
+ *
+ * @param {string} archiveMode - выбранный режим архивации
+ * @param {boolean} isString - строковый тег (архивируется при любом изменении, без зоны нечувствительности)
+ */
+export default function ArchiveSettingsFields({archiveMode, isString}) {
+  const periodic = archiveMode === 'periodic' || archiveMode === 'both'
+  const onChange = archiveMode === 'change' || archiveMode === 'both'
+
+  return (
+    <>
+      <Divider orientation="left" plain>Архивация</Divider>
+
+      <Form.Item
+        label="Режим архивации"
+        name="archiveMode"
+        rules={[{required: true, message: 'Выберите режим архивации'}]}
+      >
+        <Select options={ARCHIVE_MODE_OPTIONS}/>
+      </Form.Item>
+
+      {periodic && (
+        <Form.Item
+          label="Период архивации (мс)"
+          name="archiveInterval"
+          tooltip="Если не задан, используется интервал архивации из настроек архива"
+          rules={[{type: 'number', min: 1000, message: 'Период архивации должен быть не менее 1000 мс'}]}
+        >
+          <InputNumber min={1000} step={1000} placeholder="Как в настройках архива" style={{width: '100%'}}/>
+        </Form.Item>
+      )}
+
+      {onChange && !isString && (
+        <Space align="start" style={{display: 'flex'}}>
+          <Form.Item
+            label="Зона нечувствительности"
+            name="archiveDeadband"
+            tooltip="Значение сохраняется, когда изменилось больше зоны относительно последнего сохраненного. 0 - любое изменение"
+            rules={[{type: 'number', min: 0, message: 'Зона нечувствительности не может быть отрицательной'}]}
+          >
+            <InputNumber min={0} placeholder="0" style={{width: '100%'}}/>
+          </Form.Item>
+          <Form.Item label=" " name="archiveDeadbandMode">
+            <Select options={DEADBAND_MODE_OPTIONS} style={{minWidth: 220}}/>
+          </Form.Item>
+        </Space>
+      )}
+
+      {onChange && (
+        <Form.Item
+          label="Максимальное время без записей (мс)"
+          name="archiveMaxSilence"
+          tooltip="Если значение не менялось дольше, текущее значение сохраняется повторно. Если не задано, без ограничения"
+          rules={[{type: 'number', min: 1000, message: 'Время должно быть не менее 1000 мс'}]}
+        >
+          <InputNumber min={1000} step={1000} placeholder="Без ограничения" style={{width: '100%'}}/>
+        </Form.Item>
+      )}
+    </>
+  )
+}
@@ -0,0 +1,314 @@
+/**
+ * Поиск устройств на шине RS-485 узла связи типа COM
+ *
+ * Перебирает адреса устройств при выбранных скоростях и вариантах четности и показывает,
+ * какие адреса ответили, с идентификацией устройства (функция 43), если она поддерживается.
+ * Сканирование выполняется на сервере, прогресс приходит через WebSocket (busScans).
+ * Найденное устройство можно сразу добавить в узел связи, а параметры порта, на которых
+ * оно ответило, - применить к узлу.
+ */
+
+import React, {useState, useEffect} from 'react'
+import {Modal, Form, InputNumber, Select, Switch, Button, Progress, Table, Tag, Space, Typography, Alert} from 'antd'
+import {PlusOutlined} from '@ant-design/icons'
+import {api} from "../services/api.js";
+import {useNotification} from "../context/NotificationContext.jsx";
+import {useWebSocket} from "../context/WebSocketContext.jsx";
+
+const {Text} = Typography;
+
+const BAUD_RATES = [1200, 2400, 4800, 9600, 19200, 38400, 57600, 115200]
+
+const PARITY_LABELS = {
+  none: 'Нет',
+  even: 'Четная',
+  odd: 'Нечетная'
+}
+
+const SCAN_STATE_LABELS = {
+  completed: 'Поиск завершен',
+  cancelled: 'Поиск отменен',
+  error: 'Ошибка поиска'
+}
+
+/**
+ * Название нового устройства по данным идентификации
+ */
+const getFoundDeviceName = (device) => {
+  const identification = device.identification || {}
+  const model = identification.productName || identification.modelName || identification.productCode
+  return model ? `${model} (адрес ${device.address})` : `Устройство ${device.address}`
+}
+
+export default function BusScanModal({nodeId, onClose, onDeviceAdded}) {
+  const notification = useNotification();
+  const {busScans} = useWebSocket()
+  const [form] = Form.useForm()
+  const [node, setNode] = useState(null)
+  const [starting, setStarting] = useState(false)
+  const [addingAddress, setAddingAddress] = useState(null)
+  // Последнее сканирование, выполненное до открытия окна (до этого сообщений 'scanProgress' могло не быть)
+  const [lastScan, setLastScan] = useState(null)
+
+  const scan = busScans[nodeId] || lastScan
+  const isScanning = scan?.state === 'running'
+
+  useEffect(() => {
+    loadNode()
+    loadLastScan()
+  }, [nodeId])
+
+  // После окончания поиска перечитываем узел, чтобы сравнить найденные устройства и параметры порта с актуальными
+  useEffect(() => {
+    if (scan && !isScanning) {
+      loadNode()
+    }
+  }, [scan?.state])
+
+  const loadNode = async () => {
+    try {
+      const response = await api.getNodeById(nodeId)
+      setNode(response.data)
+      if (!form.isFieldsTouched()) {
+        form.setFieldsValue({
+          fromAddress: 1,
+          toAddress: 247,
+          baudRates: [response.data.baudRate],
+          parities: [response.data.parity || 'none'],
+          timeout: 100,
+          readIdentification: true
+        })
+      }
+    } catch (error) {
+      console.error('Error loading node:', error)
+      notification.error('Ошибка загрузки узла', error.message || "")
+    }
+  }
+
+  const loadLastScan = async () => {
+    try {
+      const response = await api.getBusScan(nodeId)
+      setLastScan(response.data)
+    } catch (error) {
+      // 404 - поиск на шине узла еще не выполнялся
+      if (error.response?.status !== 404) {
+        console.error('Error loading bus scan:', error)
+      }
+    }
+  }
+
+  const handleStart = async () => {
+    try {
+      const values = await form.validateFields()
+      setStarting(true)
+      await api.startBusScan(nodeId, values)
+    } catch (error) {
+      if (error.errorFields) {
+        // Валидация не прошла
+        return
+      }
+      console.error('Error starting bus scan:', error)
+      notification.error('Ошибка запуска поиска устройств', error.response?.data?.error || error.message || "")
+    } finally {
+      setStarting(false)
+    }
+  }
+
+  const handleCancel = async () => {
+    try {
+      await api.cancelBusScan(nodeId)
+    } catch (error) {
+      console.error('Error cancelling bus scan:', error)
+      notification.error('Ошибка отмены поиска устройств', error.response?.data?.error || error.message || "")
+    }
+  }
+
+  const handleAddDevice = async (device) => {
+    try {
+      setAddingAddress(device.address)
+      await api.createDevice({
+        connectionNodeId: nodeId,
+        name: getFoundDeviceName(device),
+        address: device.address
+      })
+      notification.success('Устройство добавлено', getFoundDeviceName(device))
+      await loadNode()
+      onDeviceAdded()
+    } catch (error) {
+      console.error('Error adding device:', error)
+      notification.error('Ошибка при добавлении устройства', error.response?.data?.error || error.message || "")
+    } finally {
+      setAddingAddress(null)
+    }
+  }
+
+  const handleApplySerialSettings = async (device) => {
+    try {
+      await api.updateNodeById(nodeId, {baudRate: device.baudRate, parity: device.parity})
+      notification.success('Параметры порта применены', `${device.baudRate} бод, четность: ${PARITY_LABELS[device.parity]}`)
+      await loadNode()
+      onDeviceAdded()
+    } catch (error) {
+      console.error('Error updating node:', error)
+      notification.error('Ошибка при сохранении узла', error.response?.data?.error || error.message || "")
+    }
+  }
+
+  const isNodeSettings = (device) => node && device.baudRate === node.baudRate && device.parity === (node.parity || 'none')
+
+  const columns = [
+    {
+      title: 'Адрес',
+      dataIndex: 'address',
+      width: 80
+    },
+    {
+      title: 'Параметры порта',
+      key: 'serial',
+      render: (_, device) => (
+        <Space size={4} wrap>
+          <Text>{device.baudRate} / {PARITY_LABELS[device.parity]}</Text>
+          {!isNodeSettings(device) && (
+            <Tag color="warning">Отличаются от узла</Tag>
+          )}
+        </Space>
+      )
+    },
+    {
+      title: 'Идентификация',
+      key: 'identification',
+      render: (_, device) => device.identification ? (
+        <Space orientation="vertical" size={0}>
+          <Text>{[device.identification.vendorName, device.identification.productName || device.identification.productCode].filter(Boolean).join(' ')}</Text>
+          {device.identification.revision && (
+            <Text type="secondary" style={{fontSize: '12px'}}>Версия {device.identification.revision}</Text>
+          )}
+        </Space>
+      ) : (
+        <Text type="secondary">Не поддерживается</Text>
+      )
+    },
+    {
+      title: '',
+      key: 'actions',
+      align: 'right',
+      render: (_, device) => {
+        const existing = node?.devices?.find(d => d.address === device.address)
+        return (
+          <Space size={4} wrap style={{justifyContent: 'flex-end'}}>
+            {!isNodeSettings(device) && (
+              <Button size="small" disabled={isScanning} onClick={() => handleApplySerialSettings(device)}>
+                Применить к узлу
+              </Button>
+            )}
+            {existing ? (
+              <Tag>{existing.name}</Tag>
+            ) : (
+              <Button
+                size="small"
+                type="primary"
+                icon={<PlusOutlined/>}
+                loading={addingAddress === device.address}
+                onClick={() => handleAddDevice(device)}
+              >
+                Добавить
+              </Button>
+            )}
+          </Space>
+        )
+      }
+    }
+  ]
+
+  return (
+    <Modal
+      title={node ? `Поиск устройств: ${node.name} (${node.comPort})` : 'Поиск устройств'}
+      open={true}
+      onCancel={onClose}
+      width={760}
+      footer={[
+        <Button key="close" onClick={onClose}>Закрыть</Button>,
+        isScanning ? (
+          <Button key="cancel" danger onClick={handleCancel}>Остановить поиск</Button>
+        ) : (
+          <Button key="start" type="primary" loading={starting} onClick={handleStart}>Начать поиск</Button>
+        )
+      ]}
+    >
+      <Space orientation="vertical" style={{width: '100%'}} size="middle">
+        <Alert
+          type="info"
+          showIcon
+          title="На время поиска опрос устройств узла приостанавливается, COM порт используется для перебора адресов."
+        />
+
+        <Form form={form} layout="vertical" disabled={isScanning}>
+          <Space wrap align="start">
+            <Form.Item
+              label="Адреса с"
+              name="fromAddress"
+              rules={[{required: true, message: 'Введите адрес'}]}
+            >
+              <InputNumber min={1} max={247}/>
+            </Form.Item>
+            <Form.Item
+              label="по"
+              name="toAddress"
+              rules={[{required: true, message: 'Введите адрес'}]}
+            >
+              <InputNumber min={1} max={247}/>
+            </Form.Item>
+            <Form.Item
+              label="Таймаут ответа (мс)"
+              name="timeout"
+              rules={[{required: true, message: 'Введите таймаут'}]}
+            >
+              <InputNumber min={20} max={5000} step={50}/>
+            </Form.Item>
+            <Form.Item label="Идентификация (функция 43)" name="readIdentification" valuePropName="checked">
+              <Switch checkedChildren="on" unCheckedChildren="off"/>
+            </Form.Item>
+          </Space>
+          <Form.Item
+            label="Скорости (бод)"
+            name="baudRates"
+            rules={[{required: true, message: 'Выберите хотя бы одну скорость'}]}
+          >
+            <Select mode="multiple" options={BAUD_RATES.map(rate => ({value: rate, label: rate}))}/>
+          </Form.Item>
+          <Form.Item
+            label="Четность"
+            name="parities"
+            rules={[{required: true, message: 'Выберите хотя бы один вариант четности'}]}
+          >
+            <Select mode="multiple" options={Object.entries(PARITY_LABELS).map(([value, label]) => ({value, label}))}/>
+          </Form.Item>
+        </Form>
+
+        {scan && (
+          <Space orientation="vertical" style={{width: '100%'}} size="small">
+            <Progress
+              percent={scan.total > 0 ? Math.floor(scan.done / scan.total * 100) : 0}
+              status={scan.state === 'error' ? 'exception' : isScanning ? 'active' : 'normal'}
+            />
+            <Text type="secondary">
+              {isScanning && scan.current
+                ? `Адрес ${scan.current.address}, ${scan.current.baudRate} бод, четность: ${PARITY_LABELS[scan.current.parity]}`
+                : SCAN_STATE_LABELS[scan.state]}
+              {scan.error ? `: ${scan.error}` : ''}
+            </Text>
+          </Space>
+        )}
+
+        <Table
+          rowKey={device => `${device.address}-${device.baudRate}-${device.parity}`}
+          size="small"
+          columns={columns}
+          dataSource={scan?.found || []}
+          pagination={false}
+          locale={{emptyText: isScanning ? 'Устройства пока не найдены' : 'Нет найденных устройств'}}
+        />
+      </Space>
+    </Modal>
+  )
+}
@@ -1,7 +1,9 @@
 import React, {useState, useEffect} from 'react'
-import {Modal, Form, Input, Select, Switch, Alert} from 'antd'
+import {Modal, Form, Input, InputNumber, Select, Switch, AutoComplete, Button, Space, Tooltip} from 'antd'
+import {ReloadOutlined} from '@ant-design/icons'
 import {api} from "../services/api.js";
 import {useNotification} from "../context/NotificationContext.jsx";
+import {TCP_NODE_TYPES} from "../utils/index.js";
 
 const initialNodeFormData = {
   name: '',
@@ -11,9 +13,59 @@ const initialNodeFormData = {
   dataBits: 8,
   stopBits: 1,
   parity: 'none',
+  framing: 'RTU',
+  host: '',
+  tcpPort: 502,
+  connectTimeout: 3000,
+  simulatorConfig: null,
+  gatewayEnabled: false,
+  gatewayPort: 5020,
   enabled: true
 }
 
+// Пример конфигурации симулятора: устройство с адресом 1, синусоида во float регистре,
+// постоянное значение во входном регистре и мигающая катушка
+const exampleSimulatorConfig = JSON.stringify({
+  responseDelay: 10,
+  slaves: [
+    {
+      unitId: 1,
+      registers: [
+        {registerType: 'HOLDING_REGISTER', address: 0, dataType: 'float', generator: 'sine', min: 0, max: 100, period: 60},
+        {registerType: 'INPUT_REGISTER', address: 2, dataType: 'int16', generator: 'constant', value: 250},
+        {registerType: 'COIL', address: 0, generator: 'toggle', period: 5}
+      ]
+    }
+  ]
+}, null, 2)
+
+/**
+ * Проверяет, что конфигурация симулятора является корректным JSON
+ * (полная проверка карты регистров выполняется на сервере)
+ */
+const validateSimulatorConfig = (_, value) => {
+  if (!value) return Promise.resolve()
+  try {
+    JSON.parse(value)
+    return Promise.resolve()
+  } catch (error) {
+    return Promise.reject(new Error('Конфигурация должна быть корректным JSON'))
+  }
+}
+
+/**
+ * Подпись COM порта в списке: производитель преобразователя и узлы, которые уже используют порт
+ */
+const getSerialPortLabel = (port, nodeId) => {
+  const otherNodes = port.nodes.filter(node => node.id !== nodeId)
+  const details = [
+    port.manufacturer,
+    !port.present && 'не подключен',
+    otherNodes.length > 0 && `занят: ${otherNodes.map(node => node.name).join(', ')}`
+  ].filter(Boolean)
+  return details.length > 0 ? `${port.path} (${details.join('; ')})` : port.path
+}
+
 export default function ConnectionNodeForm({nodeId, onClose, onSave}) {
   const notification = useNotification();
   const [form] = Form.useForm()
@@ -21,6 +73,8 @@ export default function ConnectionNodeForm({nodeId, onClose, onSave}) {
     ...initialNodeFormData
   })
   const [loading, setLoading] = useState(false)
+  const [serialPorts, setSerialPorts] = useState([])
+  const [serialPortsLoading, setSerialPortsLoading] = useState(false)
 
   useEffect(() => {
     if (nodeId) {
@@ -28,6 +82,26 @@ export default function ConnectionNodeForm({nodeId, onClose, onSave}) {
     }
   }, [nodeId])
 
+  // Список COM портов нужен только для узлов типа COM
+  useEffect(() => {
+    if (formData.type === 'COM') {
+      loadSerialPorts()
+    }
+  }, [formData.type])
+
+  const loadSerialPorts = async () => {
+    try {
+      setSerialPortsLoading(true)
+      const response = await api.getSerialPorts()
+      setSerialPorts(response.data)
+    } catch (error) {
+      console.error('Error loading serial ports:', error)
+      notification.error('Ошибка загрузки списка COM портов', error.response?.data?.error || error.message || "")
+    } finally {
+      setSerialPortsLoading(false)
+    }
+  }
+
   useEffect(() => {
     form.setFieldsValue(formData)
   }, [formData, form])
@@ -70,13 +144,24 @@ export default function ConnectionNodeForm({nodeId, onClose, onSave}) {
   }
 
   const handleFormChange = (changedValues, allValues) => {
-    setFormData(prev => ({
-      ...prev,
-      ...changedValues
-    }))
+    setFormData(prev => {
+      const next = {...prev, ...changedValues}
+      // При выборе симулятора подставляем пример конфигурации, чтобы не начинать с пустого поля
+      if (changedValues.type === 'SIMULATOR' && !next.simulatorConfig) {
+        next.simulatorConfig = exampleSimulatorConfig
+      }
+      if (changedValues.gatewayEnabled && !next.gatewayPort) {
+        next.gatewayPort = initialNodeFormData.gatewayPort
+      }
+      return next
+    })
   }
 
   const isEnabledTypeCOM = formData.type === 'COM';
+  const isEnabledTypeTCP = TCP_NODE_TYPES.includes(formData.type);
+  const isEnabledTypeSimulator = formData.type === 'SIMULATOR';
+  // Шлюз нужен для шин с адресуемыми по Unit ID устройствами: Modbus TCP устройство доступно и напрямую
+  const isGatewayAvailable = formData.type !== 'TCP_IP';
 
   return (
     <Modal
@@ -87,9 +172,6 @@ export default function ConnectionNodeForm({nodeId, onClose, onSave}) {
       confirmLoading={loading}
       cancelText={"Отмена"}
       okText={"Сохранить"}
-      okButtonProps={{
-        disabled: !isEnabledTypeCOM
-      }}
     >
       <Form
         form={form}
@@ -114,7 +196,9 @@ export default function ConnectionNodeForm({nodeId, onClose, onSave}) {
         >
           <Select>
             <Select.Option value={"COM"}>COM порт</Select.Option>
-            <Select.Option value={"TCP_IP"}>TCP/IP</Select.Option>
+            <Select.Option value={"TCP_IP"}>TCP/IP (Modbus TCP)</Select.Option>
+            <Select.Option value={"RTU_OVER_TCP"}>RTU поверх TCP (преобразователь RS-485/Ethernet)</Select.Option>
+            <Select.Option value={"SIMULATOR"}>Симулятор (виртуальные устройства)</Select.Option>
           </Select>
         </Form.Item>
 
@@ -126,18 +210,86 @@ export default function ConnectionNodeForm({nodeId, onClose, onSave}) {
           <Switch checkedChildren="on" unCheckedChildren="off"/>
         </Form.Item>
 
-        {!isEnabledTypeCOM && (
-          <Alert title="Поддержка TCP/IP в разработке" type="warning"/>
+        {isEnabledTypeTCP && (
+          <React.Fragment>
+            <Form.Item
+              label="IP адрес"
+              name="host"
+              rules={[{required: true, message: 'Введите IP адрес'}]}
+            >
+              <Input placeholder="192.168.1.10"/>
+            </Form.Item>
+
+            <Form.Item
+              label="Порт"
+              name="tcpPort"
+              rules={[
+                {required: true, message: 'Введите порт'},
+                {type: 'number', min: 1, max: 65535, message: 'Порт должен быть от 1 до 65535'}
+              ]}
+            >
+              <InputNumber min={1} max={65535} style={{width: '100%'}}/>
+            </Form.Item>
+
+            <Form.Item
+              label="Таймаут подключения (мс)"
+              name="connectTimeout"
+              rules={[
+                {required: true, message: 'Введите таймаут подключения'},
+                {type: 'number', min: 100, message: 'Таймаут должен быть не менее 100 мс'}
+              ]}
+            >
+              <InputNumber min={100} step={500} style={{width: '100%'}}/>
+            </Form.Item>
+          </React.Fragment>
+        )}
+
+        {isEnabledTypeSimulator && (
+          <Form.Item
+            label="Конфигурация симулятора (JSON)"
+            name="simulatorConfig"
+            extra="Генераторы: constant, ramp, sine, randomWalk, toggle. Незаданные регистры читаются как 0, запись в регистр отключает его генератор"
+            rules={[
+              {required: true, message: 'Введите конфигурацию симулятора'},
+              {validator: validateSimulatorConfig}
+            ]}
+          >
+            <Input.TextArea rows={12} style={{fontFamily: 'monospace'}}/>
+          </Form.Item>
         )}
 
         {isEnabledTypeCOM && (
           <React.Fragment>
+            <Form.Item label="Порт" required>
+              <Space.Compact style={{width: '100%'}}>
+                <Form.Item
+                  name="comPort"
+                  noStyle
+                  rules={[{required: true, message: 'Введите COM порт'}]}
+                >
+                  <AutoComplete
+                    placeholder="Выберите порт или введите вручную"
+                    options={serialPorts.map(port => ({
+                      value: port.path,
+                      label: getSerialPortLabel(port, nodeId)
+                    }))}
+                  />
+                </Form.Item>
+                <Tooltip title="Обновить список портов">
+                  <Button icon={<ReloadOutlined/>} loading={serialPortsLoading} onClick={loadSerialPorts}/>
+                </Tooltip>
+              </Space.Compact>
+            </Form.Item>
+
             <Form.Item
-              label="Порт"
-              name="comPort"
-              rules={[{required: true, message: 'Введите COM порт'}]}
+              label="Формат кадров"
+              name="framing"
+              rules={[{required: true, message: 'Выберите формат кадров'}]}
             >
-              <Input/>
+              <Select>
+                <Select.Option value="RTU">Modbus RTU</Select.Option>
+                <Select.Option value="ASCII">Modbus ASCII</Select.Option>
+              </Select>
             </Form.Item>
 
             <Form.Item
@@ -192,6 +344,32 @@ export default function ConnectionNodeForm({nodeId, onClose, onSave}) {
           </React.Fragment>
         )}
 
+        {isGatewayAvailable && (
+          <React.Fragment>
+            <Form.Item
+              label="Шлюз Modbus TCP"
+              name="gatewayEnabled"
+              valuePropName="checked"
+              tooltip="Запросы Modbus TCP на порт шлюза передаются на шину узла, Unit ID запроса - адрес устройства. Позволяет работать с приборами из конфигуратора производителя, не останавливая опрос"
+            >
+              <Switch checkedChildren="on" unCheckedChildren="off"/>
+            </Form.Item>
+
+            {formData.gatewayEnabled && (
+              <Form.Item
+                label="Порт шлюза"
+                name="gatewayPort"
+                rules={[
+                  {required: true, message: 'Введите порт шлюза'},
+                  {type: 'number', min: 1, max: 65535, message: 'Порт должен быть от 1 до 65535'}
+                ]}
+              >
+                <InputNumber min={1} max={65535} style={{width: '100%'}}/>
+              </Form.Item>
+            )}
+          </React.Fragment>
+        )}
+
       </Form>
     </Modal>
   )
@@ -5,11 +5,14 @@
  * - Узлы связи (Connection Nodes) - COM порты
  * - Устройства (Devices) - Modbus устройства
  * - Теги (Tags) - регистры Modbus
+ * - Вычисляемые теги - значения по выражениям над другими тегами
+ * - Внутренние теги - значения, которые вводятся вручную и хранятся на сервере
  *
  * Позволяет:
  * - Создавать, редактировать и удалять узлы связи, устройства и теги
+ * - Искать устройства на шине узлов связи типа COM и добавлять найденные (BusScanModal)
  * - Просматривать статусы включения/выключения элементов
- * - Управлять конфигурацией через формы (ConnectionNodeForm, DeviceForm, TagForm)
+ * - Управлять конфигурацией через формы (ConnectionNodeForm, DeviceForm, TagForm, ServerTagForm)
  *
  * Все узлы и устройства развернуты по умолчанию для удобства навигации.
  */
@@ -19,6 +22,8 @@ import {useWebSocket} from '../context/WebSocketContext'
 import ConnectionNodeForm from './ConnectionNodeForm'
 import DeviceForm from './DeviceForm'
 import TagForm from './TagForm'
+import ServerTagForm from './ServerTagForm'
+import BusScanModal from './BusScanModal'
 import {api} from "../services/api.js";
 import {
   Card,
@@ -40,10 +45,12 @@ import {
   DeleteOutlined,
   CheckCircleOutlined,
   CloseCircleOutlined,
-  EllipsisOutlined
+  EllipsisOutlined,
+  SearchOutlined
 } from '@ant-design/icons';
 import {useNotification} from "../context/NotificationContext.jsx";
 import {useWindowBreakpoints} from "../hooks/useWindowBreakpoints.js";
+import {getNodeEndpoint} from "../utils/index.js";
 
 const {Title, Text} = Typography;
 const {confirm} = Modal;
@@ -55,13 +62,18 @@ export default function ConnectionTree() {
   const isTablet = screens.md
   const isDesktop = screens.lg || screens.xl || screens.xxl
   const notification = useNotification();
-  const {state, refreshState, isConnected} = useWebSocket()
+  const {state, refreshState, isConnected, busScans} = useWebSocket()
   const [nodes, setNodes] = useState([])
+  const [calculatedTags, setCalculatedTags] = useState([])
+  const [internalTags, setInternalTags] = useState([])
   const [expandedNodes, setExpandedNodes] = useState(new Set())
   const [expandedDevices, setExpandedDevices] = useState(new Set())
   const [showNodeForm, setShowNodeForm] = useState(false)
   const [showDeviceForm, setShowDeviceForm] = useState(false)
   const [showTagForm, setShowTagForm] = useState(false)
+  // Форма тега без устройства открыта, если задан тип тега ('CALCULATED' или 'INTERNAL')
+  const [serverTagFormKind, setServerTagFormKind] = useState(null)
+  const [scanNodeId, setScanNodeId] = useState(null)
   const [selectedNodeId, setSelectedNodeId] = useState(null)
   const [selectedDeviceId, setSelectedDeviceId] = useState(null)
   const [selectedTagId, setSelectedTagId] = useState(null)
@@ -74,6 +86,12 @@ export default function ConnectionTree() {
     if (state && state.nodes) {
       setNodes(state.nodes)
     }
+    if (state && state.calculatedTags) {
+      setCalculatedTags(state.calculatedTags)
+    }
+    if (state && state.internalTags) {
+      setInternalTags(state.internalTags)
+    }
   }, [state])
 
   // Автоматически открываем все узлы и устройства по умолчанию
@@ -184,6 +202,79 @@ export default function ConnectionTree() {
     })
   }
 
+  // Раздел тегов без устройства (вычисляемых или внутренних) с кнопками добавления, изменения и удаления
+  const renderServerTags = ({title, kind, tags, addLabel, emptyText, getDetails}) => (
+    <React.Fragment>
+      <div style={{
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: isMobile ? 'start' : 'center',
+        flexDirection: isMobile ? "column" : "row"
+      }}>
+        <Title level={isMobile ? 4 : 2}>{title}</Title>
+        <Button
+          onClick={() => {
+            setSelectedTagId(null)
+            setServerTagFormKind(kind)
+          }}
+          icon={<PlusOutlined/>}
+        >
+          {addLabel}
+        </Button>
+      </div>
+
+      {tags.length === 0 ? (
+        <Empty description={emptyText} image={Empty.PRESENTED_IMAGE_SIMPLE}/>
+      ) : (
+        <Space orientation="vertical" style={{width: '100%'}} size="small">
+          {tags.map(tag => (
+            <Card key={tag.id} size="small" style={{background: '#fafafa'}}>
+              <Space style={{
+                width: '100%',
+                justifyContent: 'space-between',
+                alignItems: isMobile ? "start" : "center"
+              }}>
+                <Space orientation="vertical" size={0}>
+                  <Space>
+                    <Text strong>{tag.name}</Text>
+                    <Tag
+                      color={tag.enabled ? 'success' : 'default'}
+                      icon={tag.enabled ? <CheckCircleOutlined/> : <CloseCircleOutlined/>}
+                      style={{fontSize: '10px'}}
+                    >
+                      {tag.enabled ? 'Вкл' : 'Выкл'}
+                    </Tag>
+                  </Space>
+                  {getDetails(tag)}
+                </Space>
+                <Space>
+                  <Tooltip title="Редактировать тег">
+                    <Button
+                      type="text"
+                      icon={<EditOutlined/>}
+                      onClick={() => {
+                        setSelectedTagId(tag.id)
+                        setServerTagFormKind(kind)
+                      }}
+                    />
+                  </Tooltip>
+                  <Tooltip title="Удалить тег">
+                    <Button
+                      type="text"
+                      danger
+                      icon={<DeleteOutlined/>}
+                      onClick={() => handleDeleteTag(tag.id)}
+                    />
+                  </Tooltip>
+                </Space>
+              </Space>
+            </Card>
+          ))}
+        </Space>
+      )}
+    </React.Fragment>
+  )
+
   if (!isConnected) {
     return (
       <div className="realtime-view">
@@ -243,7 +334,13 @@ export default function ConnectionTree() {
                           flexDirection: isMobile ? 'column' : "row",
                         }}>
                           <Text strong>{node.name}</Text>
-                          <Tag color="blue">{node.comPort}</Tag>
+                          <Tag color="blue">{getNodeEndpoint(node)}</Tag>
+                          {node.gatewayEnabled && node.gatewayPort && (
+                            <Tag color="purple">Шлюз :{node.gatewayPort}</Tag>
+                          )}
+                          {busScans[node.id]?.state === 'running' && (
+                            <Tag color="processing">Поиск устройств</Tag>
+                          )}
                           <Tag
                             color={node.enabled ? 'success' : 'default'}
                             icon={node.enabled ? <CheckCircleOutlined/> : <CloseCircleOutlined/>}
@@ -274,6 +371,12 @@ export default function ConnectionTree() {
                                       setShowDeviceForm(true)
                                     }
                                   },
+                                  ...(node.type === 'COM' ? [{
+                                    key: 'scan',
+                                    label: 'Поиск устройств на шине',
+                                    icon: <SearchOutlined/>,
+                                    onClick: () => setScanNodeId(node.id)
+                                  }] : []),
                                   {
                                     key: 'delete',
                                     label: 'Удалить узел связи',
@@ -309,6 +412,15 @@ export default function ConnectionTree() {
                                   }}
                                 />
                               </Tooltip>
+                              {node.type === 'COM' && (
+                                <Tooltip title="Поиск устройств на шине">
+                                  <Button
+                                    type="text"
+                                    icon={<SearchOutlined/>}
+                                    onClick={() => setScanNodeId(node.id)}
+                                  />
+                                </Tooltip>
+                              )}
                               <Tooltip title="Удалить узел связи">
                                 <Button
                                   type="text"
@@ -454,7 +566,7 @@ export default function ConnectionTree() {
                                               </Tag>
                                             </Space>
                                             <Text type="secondary" style={{fontSize: '12px'}}>
-                                              Адрес: {tag.address} | {tag.registerType} | {tag.accessType}
+                                              Адрес: {tag.address}{tag.bitIndex !== null && tag.bitIndex !== undefined ? `, бит ${tag.bitIndex}` : ''} | {tag.registerType} | {tag.accessType}
                                             </Text>
                                           </Space>
                                           <Space onClick={(e) => e.stopPropagation()}>
@@ -528,6 +640,24 @@ export default function ConnectionTree() {
             ))}
           </Space>
         )}
+
+        {renderServerTags({
+          title: 'Вычисляемые теги',
+          kind: 'CALCULATED',
+          tags: calculatedTags,
+          addLabel: 'Добавить вычисляемый тег',
+          emptyText: 'Нет вычисляемых тегов. Значение такого тега вычисляется по выражению над другими тегами.',
+          getDetails: tag => <Text type="secondary" code style={{fontSize: '12px'}}>{tag.expression}</Text>
+        })}
+
+        {renderServerTags({
+          title: 'Внутренние теги',
+          kind: 'INTERNAL',
+          tags: internalTags,
+          addLabel: 'Добавить внутренний тег',
+          emptyText: 'Нет внутренних тегов. Значение такого тега вводится вручную и хранится на сервере.',
+          getDetails: tag => <Text type="secondary" style={{fontSize: '12px'}}>{tag.serverDataType}</Text>
+        })}
       </Space>
 
       {showNodeForm && (
@@ -563,6 +693,14 @@ export default function ConnectionTree() {
         />
       )}
 
+      {scanNodeId && (
+        <BusScanModal
+          nodeId={scanNodeId}
+          onClose={() => setScanNodeId(null)}
+          onDeviceAdded={refreshState}
+        />
+      )}
+
       {showTagForm && (
         <TagForm
           tagId={selectedTagId}
@@ -580,6 +718,22 @@ export default function ConnectionTree() {
           }}
         />
       )}
+
+      {serverTagFormKind && (
+        <ServerTagForm
+          tagId={selectedTagId}
+          kind={serverTagFormKind}
+          onClose={() => {
+            setServerTagFormKind(null)
+            setSelectedTagId(null)
+          }}
+          onSave={async () => {
+            refreshState()
+            setServerTagFormKind(null)
+            setSelectedTagId(null)
+          }}
+        />
+      )}
     </React.Fragment>
   )
 }
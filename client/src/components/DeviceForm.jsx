@@ -2,6 +2,7 @@ import React, {useState, useEffect} from 'react'
 import {Modal, Form, Input, Select, InputNumber, Switch} from 'antd'
 import {api} from "../services/api.js";
 import {useNotification} from "../context/NotificationContext.jsx";
+import {BYTE_ORDER_OPTIONS} from "../utils/index.js";
 
 export default function DeviceForm({deviceId, nodeId, onClose, onSave}) {
   const notification = useNotification();
@@ -12,6 +13,10 @@ export default function DeviceForm({deviceId, nodeId, onClose, onSave}) {
     address: 17,
     responseTimeout: 1000,
     pollInterval: 1000,
+    maxRegistersPerRequest: 32,
+    maxGap: 0,
+    byteOrder: 'ABCD',
+    supportsMaskWrite: false,
     enabled: true
   })
   const [loading, setLoading] = useState(false)
@@ -138,6 +143,48 @@ export default function DeviceForm({deviceId, nodeId, onClose, onSave}) {
         >
           <InputNumber min={100} step={100} style={{width: '100%'}}/>
         </Form.Item>
+
+        <Form.Item
+          label="Максимум регистров в запросе"
+          name="maxRegistersPerRequest"
+          tooltip="Теги с соседними адресами читаются одним запросом. 1 - читать каждый тег отдельным запросом"
+          rules={[
+            {required: true, message: 'Введите размер блока чтения'},
+            {type: 'number', min: 1, max: 125, message: 'Размер блока должен быть от 1 до 125'}
+          ]}
+        >
+          <InputNumber min={1} max={125} style={{width: '100%'}}/>
+        </Form.Item>
+
+        <Form.Item
+          label="Допустимый разрыв адресов"
+          name="maxGap"
+          tooltip="Сколько неиспользуемых адресов между тегами можно прочитать, чтобы объединить теги в один запрос"
+          rules={[
+            {required: true, message: 'Введите допустимый разрыв адресов'},
+            {type: 'number', min: 0, max: 125, message: 'Разрыв должен быть от 0 до 125'}
+          ]}
+        >
+          <InputNumber min={0} max={125} style={{width: '100%'}}/>
+        </Form.Item>
+
+        <Form.Item
+          label="Порядок байт"
+          name="byteOrder"
+          tooltip="Порядок байт значений, занимающих несколько регистров (32- и 64-битные типы). Тег может задать свой порядок"
+          rules={[{required: true, message: 'Выберите порядок байт'}]}
+        >
+          <Select options={BYTE_ORDER_OPTIONS}/>
+        </Form.Item>
+
+        <Form.Item
+          label="Запись битов функцией 22"
+          name="supportsMaskWrite"
+          valuePropName="checked"
+          tooltip="Устройство поддерживает Mask Write Register: бит регистра записывается одним запросом. Иначе регистр читается, в нем меняется бит, и регистр записывается обратно"
+        >
+          <Switch checkedChildren="on" unCheckedChildren="off"/>
+        </Form.Item>
       </Form>
     </Modal>
   )
@@ -8,8 +8,10 @@
  * - Отображение данных на графике (LineChart) с возможностью выбора тегов
  * - Выбор тегов для графика через иерархическое дерево (Tree)
  *
- * Исторические данные собираются автоматически каждую минуту
- * для всех активных тегов подключенных устройств.
+ * Исторические данные собираются автоматически по политикам архивации тегов.
+ * История загружается агрегированной сервером по интервалам (GET /api/history/aggregate): интервал
+ * подбирается по выбранному периоду так, чтобы в нем было не больше HISTORY_POINTS точек. Значение
+ * числового тега в интервале - среднее, взвешенное по времени, строкового - последнее значение.
  *
  * Структура данных:
  * - Таблица: колонки группируются по узлам связи, затем по устройствам, затем по тегам
@@ -40,7 +42,7 @@ import {
 import {FilterOutlined, ReloadOutlined} from '@ant-design/icons';
 import dayjs from 'dayjs';
 import {useNotification} from "../context/NotificationContext.jsx";
-import {isNumeric} from "../utils/index.js";
+import {formatTagValue, formatTagValueWithUnits, getNodeEndpoint, getTagRange, isNumeric} from "../utils/index.js";
 import {
   LineChart,
   Line,
@@ -55,6 +57,48 @@ import {useWindowBreakpoints} from "../hooks/useWindowBreakpoints.js";
 
 const {Title, Text} = Typography;
 
+// Желаемое число интервалов агрегации в выбранном периоде
+const HISTORY_POINTS = 500
+
+/**
+ * Длительность интервала агрегации для отображения ("10 с", "5 мин", "1 ч", "1 сут")
+ */
+const formatBucket = (ms) => {
+  const units = [[86400000, 'сут'], [3600000, 'ч'], [60000, 'мин'], [1000, 'с']]
+  const [size, label] = units.find(([size]) => ms % size === 0) || [1, 'мс']
+  return `${ms / size} ${label}`
+}
+
+/**
+ * Преобразует ответ агрегации в формат таблицы истории:
+ * { data: [{timestamp, tags: {tagId: {value, min, max}}}], tags, bucket }.
+ * В список тегов попадают только теги с данными за период
+ */
+const toHistoryTable = ({tags, series, bucket}) => {
+  const rows = {}
+  const tagsWithData = tags.filter(tag => series[tag.id])
+
+  tagsWithData.forEach(tag => {
+    const isString = tag.serverDataType === 'string'
+    series[tag.id].forEach(point => {
+      if (!rows[point.timestamp]) {
+        rows[point.timestamp] = {timestamp: point.timestamp, tags: {}}
+      }
+      rows[point.timestamp].tags[tag.id] = {
+        value: isString ? point.last : point.twa ?? point.avg,
+        min: point.min,
+        max: point.max
+      }
+    })
+  })
+
+  return {
+    data: Object.keys(rows).sort().map(timestamp => rows[timestamp]),
+    tags: tagsWithData,
+    bucket
+  }
+}
+
 export default function HistoryView() {
   const screens = useWindowBreakpoints()
   const isMobile = !screens.sm
@@ -141,6 +185,7 @@ export default function HistoryView() {
         const tagKey = tag.id || `${tag.deviceId}_${tag.tagId}`;
         if (row.tags && row.tags[tagKey]) {
           tableRow[`tag_${tagKey}`] = row.tags[tagKey].value;
+          tableRow[`range_${tagKey}`] = row.tags[tagKey];
         } else {
           tableRow[`tag_${tagKey}`] = null;
         }
@@ -161,7 +206,8 @@ export default function HistoryView() {
       return [];
     }
 
-    const tags = transformedData.tags || [];
+    // Строковые теги на графике не показываются
+    const tags = (transformedData.tags || []).filter(tag => tag.serverDataType !== 'string');
     const selectedTags = selectedTagsForChart.length > 0
       ? tags.filter(tag => selectedTagsForChart.includes(tag.id))
       : tags; // Если ничего не выбрано, показываем все теги
@@ -200,6 +246,22 @@ export default function HistoryView() {
     });
   }, [transformedData, selectedTagsForChart]);
 
+  // Шкала графика: единицы измерения, если они общие у всех выбранных тегов, и инженерный диапазон,
+  // охватывающий диапазоны выбранных тегов (если он задан у каждого из них)
+  const chartAxis = useMemo(() => {
+    const tags = (transformedData.tags || [])
+      .filter(tag => selectedTagsForChart.includes(tag.id) && tag.serverDataType !== 'string');
+    const units = new Set(tags.map(tag => tag.units || ''));
+    const ranges = tags.map(getTagRange);
+
+    return {
+      units: units.size === 1 ? [...units][0] : '',
+      domain: tags.length > 0 && ranges.every(Boolean)
+        ? [Math.min(...ranges.map(range => range.low)), Math.max(...ranges.map(range => range.high))]
+        : ['auto', 'auto']
+    };
+  }, [transformedData.tags, selectedTagsForChart]);
+
   // Преобразуем теги в иерархическую структуру для Tree
   const treeData = useMemo(() => {
     if (!transformedData.tags || transformedData.tags.length === 0) {
@@ -305,23 +367,29 @@ export default function HistoryView() {
   const loadHistory = async (silent = false, isRefresh = false) => {
     setLoading(true)
     try {
-      let response;
-      const params = {
-        params: {
-          startTime: startDate.format('YYYY-MM-DDTHH:mm:ss'),
-          endTime: endDate.format('YYYY-MM-DDTHH:mm:ss'),
-          limit: 10000
-        }
+      // Теги уровня сервер выбирает сам: по устройству, узлу связи или все теги системы
+      const loadAggregate = async (scope = {}) => {
+        const {data} = await api.getHistoryAggregate({
+          params: {
+            ...scope,
+            startTime: startDate.toISOString(),
+            endTime: endDate.toISOString(),
+            points: HISTORY_POINTS,
+            functions: 'twa,avg,min,max,last'
+          }
+        });
+        return {data: toHistoryTable(data)};
       };
 
+      let response;
       if (filterLevel === 'system') {
-        response = await api.getHistorySystem(params);
+        response = await loadAggregate();
         if (!silent) {
           const message = isRefresh ? 'История всей системы успешно обновлена' : 'История всей системы успешно загружена';
           notification.success(message);
         }
       } else if (filterLevel === 'node' && selectedNodeId) {
-        response = await api.getHistoryNodeById(selectedNodeId, params);
+        response = await loadAggregate({nodeId: selectedNodeId});
         const node = allNodes.find(n => n.id === selectedNodeId);
         if (!silent) {
           const message = isRefresh
@@ -330,7 +398,7 @@ export default function HistoryView() {
           notification.success(message);
         }
       } else if (filterLevel === 'device' && selectedDeviceId) {
-        response = await api.getHistoryDeviceById(selectedDeviceId, params);
+        response = await loadAggregate({deviceId: selectedDeviceId});
         const device = devicesForNode.find(d => d.id === selectedDeviceId);
         if (!silent) {
           const message = isRefresh
@@ -409,26 +477,6 @@ export default function HistoryView() {
     setHistory([]);
   };
 
-  // Форматирует значение тега для отображения
-  const formatTagValue = (value, serverDataType = null) => {
-    if (value === null || value === undefined) {
-      return '—'
-    }
-    // Если значение - число, форматируем его
-    if (isNumeric(value)) {
-      // Для int32 всегда показываем два знака после запятой
-      if (serverDataType === 'int32') {
-        return Number(value).toFixed(2)
-      }
-      // Если число целое - показываем без десятичной части
-      // Если дробное - ограничиваем до 2 знаков после запятой
-      return value % 1 === 0 ? value.toString() : Number(value).toFixed(2)
-    }
-
-    // Для нечисловых значений возвращаем как есть
-    return value
-  }
-
   const columns = useMemo(() => {
     const baseColumns = [
       {
@@ -479,14 +527,24 @@ export default function HistoryView() {
         Object.keys(devices).forEach(deviceName => {
           const tags = devices[deviceName];
           const tagColumns = tags.map(({tagKey, tagName, tag}) => ({
-            title: tagName,
+            // Единицы измерения - в заголовке колонки, описание - во всплывающей подсказке
+            title: (
+              <span title={tag.description || undefined}>
+                {tag.units ? `${tagName}, ${tag.units}` : tagName}
+              </span>
+            ),
             dataIndex: `tag_${tagKey}`,
             key: `tag_${tagKey}`,
             width: isMobile ? 75 : 150,
-            render: (value) => {
-              const formattedValue = formatTagValue(value, tag.serverDataType);
+            render: (value, record) => {
+              const formattedValue = formatTagValue(value, tag);
+              // Минимум и максимум интервала - во всплывающей подсказке, если значения в интервале менялись
+              const range = record[`range_${tagKey}`];
+              const rangeTitle = range && range.min !== null && range.min !== range.max
+                ? `Мин: ${formatTagValue(range.min, tag)}, макс: ${formatTagValue(range.max, tag)}`
+                : undefined;
               return (
-                <span className="value-cell" style={{
+                <span className="value-cell" title={rangeTitle} style={{
                   color: value !== null && value !== undefined ? '#1890ff' : '#999',
                   fontWeight: value !== null && value !== undefined ? '600' : 'normal'
                 }}>
@@ -495,6 +553,9 @@ export default function HistoryView() {
               );
             },
             sorter: (a, b) => {
+              if (tag.serverDataType === 'string') {
+                return String(a[`tag_${tagKey}`] ?? '').localeCompare(String(b[`tag_${tagKey}`] ?? ''));
+              }
               const valA = a[`tag_${tagKey}`] || 0;
               const valB = b[`tag_${tagKey}`] || 0;
               return valA - valB;
@@ -667,7 +728,7 @@ export default function HistoryView() {
                       {value: "", label: "Выберите узел связи"},
                       ...allNodes.map(node => ({
                         value: node.id,
-                        label: `${node.name} (${node.comPort})`
+                        label: `${node.name} (${getNodeEndpoint(node)})`
                       }))
                     ]}
                   />
@@ -691,7 +752,7 @@ export default function HistoryView() {
                         {value: "", label: "Выберите узел связи"},
                         ...allNodes.map(node => ({
                           value: node.id,
-                          label: `${node.name} (${node.comPort})`
+                          label: `${node.name} (${getNodeEndpoint(node)})`
                         }))
                       ]}
                     />
@@ -846,7 +907,10 @@ export default function HistoryView() {
       )}
 
       {history && history.data && history.data.length > 0 && (
-        <Card title="Таблица исторических данные">
+        <Card
+          title="Таблица исторических данные"
+          extra={history.bucket ? <Text type="secondary">Интервал усреднения: {formatBucket(history.bucket)}</Text> : null}
+        >
           <div style={{overflowX: 'auto'}}>
             <Table
               bordered={true}
@@ -915,24 +979,20 @@ export default function HistoryView() {
                       height={80}
                       interval="preserveStartEnd"
                     />
-                    <YAxis/>
+                    <YAxis
+                      domain={chartAxis.domain}
+                      label={chartAxis.units
+                        ? {value: chartAxis.units, angle: -90, position: 'insideLeft'}
+                        : undefined}
+                    />
                     <Tooltip
                       formatter={(value, name) => {
-                        if (value === null || value === undefined) return '—';
-                        if (isNumeric(value)) {
-                          // Для int32 всегда показываем два знака после запятой
-                          // Находим тег по displayName для определения типа данных
-                          const tag = transformedData.tags.find(t => {
-                            const tagDisplayName = t.displayName || `${t.nodeName || ''} → ${t.deviceName || ''} → ${t.tagName || t.name || ''}`;
-                            return tagDisplayName === name;
-                          });
-                          if (tag && tag.serverDataType === 'int32') {
-                            return Number(value).toFixed(2);
-                          }
-                          // Для остальных чисел: если целое - без десятичной части, иначе 2 знака
-                          return value % 1 === 0 ? value.toString() : Number(value).toFixed(2);
-                        }
-                        return value;
+                        // Находим тег по displayName для определения типа данных, точности и единиц измерения
+                        const tag = transformedData.tags.find(t => {
+                          const tagDisplayName = t.displayName || `${t.nodeName || ''} → ${t.deviceName || ''} → ${t.tagName || t.name || ''}`;
+                          return tagDisplayName === name;
+                        });
+                        return formatTagValueWithUnits(value, tag);
                       }}
                       labelFormatter={(label) => `Время: ${label}`}
                     />
@@ -10,7 +10,7 @@
 
 import React, {useState, useEffect} from 'react'
 import {useNavigate, useLocation, Outlet} from 'react-router-dom'
-import {Layout as AntLayout, Menu, Typography, Badge, Space, Button, Modal, Form, Select} from 'antd'
+import {Layout as AntLayout, Menu, Typography, Badge, Space, Button, Modal, Form, Select, Switch, InputNumber, Input, Alert, Tabs} from 'antd'
 import {SettingOutlined} from '@ant-design/icons'
 import {useWebSocket} from '../context/WebSocketContext'
 import {api} from '../services/api'
@@ -20,6 +20,32 @@ import {useWindowBreakpoints} from '../hooks/useWindowBreakpoints'
 const {Header, Content} = AntLayout
 const {Title} = Typography
 
+/**
+ * Настройки MQTT, которые редактируются в форме (без пароля и состояния подключения)
+ */
+const pickMqttSettings = (settings) => ({
+  enabled: settings.enabled,
+  brokerUrl: settings.brokerUrl,
+  username: settings.username,
+  topicTemplate: settings.topicTemplate,
+  statusTopicTemplate: settings.statusTopicTemplate,
+  qos: settings.qos,
+  retain: settings.retain,
+  publishMode: settings.publishMode,
+  publishInterval: settings.publishInterval,
+  writeEnabled: settings.writeEnabled
+})
+
+/**
+ * Настройки автоматического переподключения узлов связи, которые редактируются в форме
+ */
+const pickReconnectSettings = (settings) => ({
+  enabled: settings.enabled,
+  initialDelay: settings.initialDelay,
+  maxDelay: settings.maxDelay,
+  multiplier: settings.multiplier
+})
+
 export default function Layout() {
   const location = useLocation()
   const screens = useWindowBreakpoints()
@@ -29,13 +55,21 @@ export default function Layout() {
   const notification = useNotification()
   const [settingsModalVisible, setSettingsModalVisible] = useState(false)
   const [archiveInterval, setArchiveInterval] = useState(60000)
+  const [opcUaStatus, setOpcUaStatus] = useState(null)
+  const [mqttStatus, setMqttStatus] = useState(null)
+  const [reconnectSettings, setReconnectSettings] = useState(null)
+  const [deviceRecoverySettings, setDeviceRecoverySettings] = useState(null)
   const [loading, setLoading] = useState(false)
   const [form] = Form.useForm()
 
-  // Загружаем текущий интервал архивации при открытии модального окна
+  // Загружаем текущие настройки при открытии модального окна
   useEffect(() => {
     if (settingsModalVisible) {
       loadArchiveInterval()
+      loadOpcUaSettings()
+      loadMqttSettings()
+      loadReconnectSettings()
+      loadDeviceRecoverySettings()
     }
   }, [settingsModalVisible])
 
@@ -50,13 +84,97 @@ export default function Layout() {
     }
   }
 
+  const loadOpcUaSettings = async () => {
+    try {
+      const {data} = await api.getOpcUaSettings()
+      setOpcUaStatus(data)
+      form.setFieldsValue({opcUaEnabled: data.enabled, opcUaPort: data.port})
+    } catch (error) {
+      console.error('Error loading OPC UA settings:', error)
+      notification.error('Ошибка загрузки настроек OPC UA сервера', error.message || '')
+    }
+  }
+
+  const loadMqttSettings = async () => {
+    try {
+      const {data} = await api.getMqttSettings()
+      setMqttStatus(data)
+      form.setFieldsValue({mqtt: {...pickMqttSettings(data), password: ''}})
+    } catch (error) {
+      console.error('Error loading MQTT settings:', error)
+      notification.error('Ошибка загрузки настроек MQTT', error.message || '')
+    }
+  }
+
+  const loadReconnectSettings = async () => {
+    try {
+      const {data} = await api.getReconnectSettings()
+      setReconnectSettings(data)
+      form.setFieldsValue({reconnect: pickReconnectSettings(data)})
+    } catch (error) {
+      console.error('Error loading reconnect settings:', error)
+      notification.error('Ошибка загрузки настроек переподключения', error.message || '')
+    }
+  }
+
+  const loadDeviceRecoverySettings = async () => {
+    try {
+      const {data} = await api.getDeviceRecoverySettings()
+      setDeviceRecoverySettings(data)
+      form.setFieldsValue({deviceRecovery: data})
+    } catch (error) {
+      console.error('Error loading device recovery settings:', error)
+      notification.error('Ошибка загрузки настроек проверки связи с устройствами', error.message || '')
+    }
+  }
+
   const handleSettingsOk = async () => {
     try {
       const values = await form.validateFields()
       setLoading(true)
       await api.setArchiveInterval(values.interval)
       setArchiveInterval(values.interval)
-      notification.success('Интервал архивации успешно обновлен')
+
+      // OPC UA сервер перезапускаем только при изменении настроек, чтобы не разрывать сессии клиентов
+      if (opcUaStatus && (values.opcUaEnabled !== opcUaStatus.enabled || values.opcUaPort !== opcUaStatus.port)) {
+        const {data} = await api.setOpcUaSettings({enabled: values.opcUaEnabled, port: values.opcUaPort})
+        setOpcUaStatus(data)
+        if (data.lastError) {
+          notification.error('OPC UA сервер не запущен', data.lastError)
+          return
+        }
+      }
+
+      // К брокеру переподключаемся только при изменении настроек MQTT
+      const mqttSettings = pickMqttSettings(values.mqtt)
+      if (mqttStatus && (values.mqtt.password ||
+        JSON.stringify(mqttSettings) !== JSON.stringify(pickMqttSettings(mqttStatus)))) {
+        const {data} = await api.setMqttSettings({
+          ...mqttSettings,
+          // Пустое поле пароля - оставить текущий пароль
+          ...(values.mqtt.password ? {password: values.mqtt.password} : {})
+        })
+        setMqttStatus(data)
+      }
+
+      const newReconnectSettings = pickReconnectSettings(values.reconnect)
+      if (reconnectSettings &&
+        JSON.stringify(newReconnectSettings) !== JSON.stringify(pickReconnectSettings(reconnectSettings))) {
+        const {data} = await api.setReconnectSettings(newReconnectSettings)
+        setReconnectSettings(data)
+      }
+
+      if (deviceRecoverySettings &&
+        (values.deviceRecovery.enabled !== deviceRecoverySettings.enabled ||
+          values.deviceRecovery.probeInterval !== deviceRecoverySettings.probeInterval)) {
+        const {data} = await api.setDeviceRecoverySettings({
+          enabled: values.deviceRecovery.enabled,
+          probeInterval: values.deviceRecovery.probeInterval
+        })
+        setDeviceRecoverySettings(data)
+      }
+
+      notification.success('Настройки системы успешно обновлены')
       setSettingsModalVisible(false)
     } catch (error) {
       console.error('Error saving archive interval:', error)
@@ -84,10 +202,206 @@ export default function Layout() {
     {value: 300000, label: '5 минут'},
   ]
 
+  const settingsTabs = [
+    {
+      key: 'archive',
+      label: 'Архив',
+      forceRender: true,
+      children: (
+        <Form.Item
+          name="interval"
+          label="Интервал архивации данных"
+          tooltip="Период архивации тегов, у которых не задан собственный период архивации"
+          rules={[{required: true, message: 'Выберите интервал архивации'}]}
+        >
+          <Select
+            placeholder="Выберите интервал архивации"
+            options={archiveIntervalOptions}
+          />
+        </Form.Item>
+      )
+    },
+    {
+      key: 'opcua',
+      label: 'OPC UA',
+      forceRender: true,
+      children: (
+        <React.Fragment>
+          {opcUaStatus?.lastError && (
+            <Alert type="error" showIcon message={opcUaStatus.lastError} style={{marginBottom: 16}}/>
+          )}
+          {opcUaStatus?.running && (
+            <Alert type="success" showIcon message={`Адрес подключения: ${opcUaStatus.endpointUrl}`}
+                   style={{marginBottom: 16}}/>
+          )}
+          <Form.Item
+            name="opcUaEnabled"
+            label="Сервер включен"
+            valuePropName="checked"
+            tooltip="Дерево узлов связи, устройств и тегов доступно клиентам OPC UA (анонимный вход)"
+          >
+            <Switch checkedChildren="on" unCheckedChildren="off"/>
+          </Form.Item>
+          <Form.Item
+            name="opcUaPort"
+            label="Порт"
+            rules={[
+              {required: true, message: 'Введите порт'},
+              {type: 'number', min: 1, max: 65535, message: 'Порт должен быть от 1 до 65535'}
+            ]}
+          >
+            <InputNumber min={1} max={65535} style={{width: '100%'}}/>
+          </Form.Item>
+        </React.Fragment>
+      )
+    },
+    {
+      key: 'mqtt',
+      label: 'MQTT',
+      forceRender: true,
+      children: (
+        <React.Fragment>
+          {mqttStatus?.enabled && (mqttStatus.connected
+              ? <Alert type="success" showIcon message="Подключено к брокеру" style={{marginBottom: 16}}/>
+              : <Alert type="warning" showIcon message={mqttStatus.lastError || 'Нет подключения к брокеру'}
+                       style={{marginBottom: 16}}/>
+          )}
+          <Form.Item name={['mqtt', 'enabled']} label="Публикация включена" valuePropName="checked">
+            <Switch checkedChildren="on" unCheckedChildren="off"/>
+          </Form.Item>
+          <Form.Item
+            name={['mqtt', 'brokerUrl']}
+            label="Адрес брокера"
+            rules={[{required: true, message: 'Введите адрес брокера'}]}
+          >
+            <Input placeholder="mqtt://localhost:1883"/>
+          </Form.Item>
+          <Space style={{display: 'flex'}} align="start">
+            <Form.Item name={['mqtt', 'username']} label="Пользователь">
+              <Input autoComplete="off"/>
+            </Form.Item>
+            <Form.Item name={['mqtt', 'password']} label="Пароль">
+              <Input.Password
+                autoComplete="new-password"
+                placeholder={mqttStatus?.passwordSet ? 'Не изменен' : ''}
+              />
+            </Form.Item>
+          </Space>
+          <Form.Item
+            name={['mqtt', 'topicTemplate']}
+            label="Топик тега"
+            tooltip="Подстановки: {node}, {device}, {tag}. Запись в тег: <топик тега>/set"
+            rules={[{required: true, message: 'Введите шаблон топика'}]}
+          >
+            <Input placeholder="scada/{node}/{device}/{tag}"/>
+          </Form.Item>
+          <Form.Item
+            name={['mqtt', 'statusTopicTemplate']}
+            label="Топик статуса узла связи"
+            tooltip="Подстановка: {node}"
+            rules={[{required: true, message: 'Введите шаблон топика'}]}
+          >
+            <Input placeholder="scada/{node}/status"/>
+          </Form.Item>
+          <Space style={{display: 'flex'}} align="start" wrap>
+            <Form.Item name={['mqtt', 'qos']} label="QoS">
+              <Select style={{width: 80}} options={[0, 1, 2].map(qos => ({value: qos, label: qos}))}/>
+            </Form.Item>
+            <Form.Item name={['mqtt', 'publishMode']} label="Публикация">
+              <Select
+                style={{width: 180}}
+                options={[
+                  {value: 'change', label: 'При изменении'},
+                  {value: 'periodic', label: 'Периодически'}
+                ]}
+              />
+            </Form.Item>
+            <Form.Item
+              name={['mqtt', 'publishInterval']}
+              label="Период (мс)"
+              rules={[{type: 'number', min: 1000, message: 'Не менее 1000 мс'}]}
+            >
+              <InputNumber min={1000} step={1000}/>
+            </Form.Item>
+          </Space>
+          <Form.Item name={['mqtt', 'retain']} label="Retain" valuePropName="checked">
+            <Switch checkedChildren="on" unCheckedChildren="off"/>
+          </Form.Item>
+          <Form.Item
+            name={['mqtt', 'writeEnabled']}
+            label="Запись в теги из MQTT"
+            valuePropName="checked"
+            tooltip="Сообщение в топик <топик тега>/set записывает значение в тег ReadWrite"
+          >
+            <Switch checkedChildren="on" unCheckedChildren="off"/>
+          </Form.Item>
+        </React.Fragment>
+      )
+    },
+    {
+      key: 'reconnect',
+      label: 'Переподключение',
+      forceRender: true,
+      children: (
+        <React.Fragment>
+          <Form.Item
+            name={['reconnect', 'enabled']}
+            label="Переподключать узлы автоматически"
+            valuePropName="checked"
+            tooltip="Повторять подключение узла связи, если его не удалось подключить или связь потеряна"
+          >
+            <Switch checkedChildren="on" unCheckedChildren="off"/>
+          </Form.Item>
+          <Space style={{display: 'flex'}} align="start" wrap>
+            <Form.Item
+              name={['reconnect', 'initialDelay']}
+              label="Первая пауза (мс)"
+              rules={[{required: true, type: 'number', min: 500, message: 'Не менее 500 мс'}]}
+            >
+              <InputNumber min={500} step={1000}/>
+            </Form.Item>
+            <Form.Item
+              name={['reconnect', 'multiplier']}
+              label="Множитель"
+              tooltip="Во сколько раз увеличивается пауза после каждой неудачной попытки"
+              rules={[{required: true, type: 'number', min: 1, max: 10, message: 'От 1 до 10'}]}
+            >
+              <InputNumber min={1} max={10} step={0.5}/>
+            </Form.Item>
+            <Form.Item
+              name={['reconnect', 'maxDelay']}
+              label="Максимальная пауза (мс)"
+              rules={[{required: true, type: 'number', min: 500, message: 'Не менее 500 мс'}]}
+            >
+              <InputNumber min={500} step={10000}/>
+            </Form.Item>
+          </Space>
+          <Form.Item
+            name={['deviceRecovery', 'enabled']}
+            label="Проверять связь с неотвечающими устройствами"
+            valuePropName="checked"
+            tooltip="Устройство, не ответившее ни на один запрос, выводится из опроса. Проверка связи возвращает его в опрос, как только оно ответит"
+          >
+            <Switch checkedChildren="on" unCheckedChildren="off"/>
+          </Form.Item>
+          <Form.Item
+            name={['deviceRecovery', 'probeInterval']}
+            label="Период проверки связи (мс)"
+            rules={[{required: true, type: 'number', min: 1000, message: 'Не менее 1000 мс'}]}
+          >
+            <InputNumber min={1000} step={10000}/>
+          </Form.Item>
+        </React.Fragment>
+      )
+    }
+  ]
+
   const getSelectedKey = () => {
     if (location.pathname === '/') return ['config']
     if (location.pathname === '/realtime') return ['realtime']
     if (location.pathname === '/history') return ['history']
+    if (location.pathname === '/modbus-server') return ['modbus-server']
+    if (location.pathname === '/registers') return ['registers']
     return []
   }
 
@@ -104,6 +418,14 @@ export default function Layout() {
       key: 'history',
       label: 'История',
     },
+    {
+      key: 'modbus-server',
+      label: 'Modbus сервер',
+    },
+    {
+      key: 'registers',
+      label: 'Регистры',
+    },
   ]
 
   const handleMenuClick = ({key}) => {
@@ -113,6 +435,10 @@ export default function Layout() {
       navigate('/realtime')
     } else if (key === 'history') {
       navigate('/history')
+    } else if (key === 'modbus-server') {
+      navigate('/modbus-server')
+    } else if (key === 'registers') {
+      navigate('/registers')
     }
   }
 
@@ -181,18 +507,9 @@ export default function Layout() {
         <Form
           form={form}
           layout="vertical"
-          initialValues={{interval: archiveInterval}}
+          initialValues={{interval: archiveInterval, opcUaEnabled: false, opcUaPort: 4840}}
         >
-          <Form.Item
-            name="interval"
-            label="Интервал архивации данных"
-            rules={[{required: true, message: 'Выберите интервал архивации'}]}
-          >
-            <Select
-              placeholder="Выберите интервал архивации"
-              options={archiveIntervalOptions}
-            />
-          </Form.Item>
+          <Tabs items={settingsTabs}/>
         </Form>
       </Modal>
     </AntLayout>
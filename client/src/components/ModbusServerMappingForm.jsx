@@ -0,0 +1,169 @@
+import React, {useState, useEffect} from 'react'
+import {Modal, Form, Select, InputNumber} from 'antd'
+import {api} from "../services/api.js";
+import {useNotification} from "../context/NotificationContext.jsx";
+
+const initialMappingFormData = {
+  tagId: null,
+  registerType: 'HOLDING_REGISTER',
+  address: 0,
+  dataType: 'int16',
+  scaleFactor: 1.0
+}
+
+export default function ModbusServerMappingForm({mapping, onClose, onSave}) {
+  const notification = useNotification();
+  const [form] = Form.useForm()
+  const [formData, setFormData] = useState(mapping ? {
+    tagId: mapping.tagId,
+    registerType: mapping.registerType,
+    address: mapping.address,
+    dataType: mapping.dataType,
+    scaleFactor: mapping.scaleFactor
+  } : {...initialMappingFormData})
+  const [tags, setTags] = useState([])
+  const [loading, setLoading] = useState(false)
+
+  useEffect(() => {
+    loadTags()
+  }, [])
+
+  useEffect(() => {
+    form.setFieldsValue(formData)
+  }, [formData, form])
+
+  const loadTags = async () => {
+    try {
+      const response = await api.getAllTags()
+      // Вычисляемые и внутренние теги не отображаются на регистры сервера
+      setTags(response.data.filter(tag => tag.device))
+    } catch (error) {
+      console.error('Error loading tags:', error)
+      notification.error('Ошибка загрузки тегов', error.message || "")
+    }
+  }
+
+  const handleSubmit = async () => {
+    try {
+      await form.validateFields()
+      setLoading(true)
+
+      if (mapping) {
+        await api.updateModbusServerMappingById(mapping.id, formData)
+      } else {
+        await api.createModbusServerMapping(formData)
+      }
+      onSave()
+    } catch (error) {
+      if (error.errorFields) {
+        // Валидация не прошла
+        return
+      }
+      console.error('Error saving mapping:', error)
+      notification.error('Ошибка при сохранении регистра', error.response?.data?.error || error.message || "")
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleFormChange = (changedValues) => {
+    setFormData(prev => ({
+      ...prev,
+      ...changedValues
+    }))
+  }
+
+  const isBitRegister = formData.registerType === 'COIL' || formData.registerType === 'DISCRETE_INPUT'
+
+  const tagOptions = tags.map(tag => ({
+    value: tag.id,
+    label: `${tag.device?.name || ''} / ${tag.name}${tag.accessType === 'ReadWrite' ? ' (запись)' : ''}`
+  }))
+
+  return (
+    <Modal
+      title={mapping ? 'Редактировать регистр' : 'Добавить регистр'}
+      open={true}
+      onCancel={onClose}
+      onOk={handleSubmit}
+      confirmLoading={loading}
+      cancelText={"Отмена"}
+      okText={"Сохранить"}
+    >
+      <Form
+        form={form}
+        layout="vertical"
+        onValuesChange={handleFormChange}
+        onFinish={handleSubmit}
+        initialValues={formData}
+        disabled={loading}
+      >
+        <Form.Item
+          label="Тег"
+          name="tagId"
+          rules={[{required: true, message: 'Выберите тег'}]}
+        >
+          <Select
+            showSearch
+            optionFilterProp="label"
+            placeholder="Устройство / тег"
+            options={tagOptions}
+          />
+        </Form.Item>
+
+        <Form.Item
+          label="Тип регистра"
+          name="registerType"
+          rules={[{required: true, message: 'Выберите тип регистра'}]}
+          tooltip="Внешняя система может записывать только в Holding Register и Coil, если тег доступен для записи"
+        >
+          <Select>
+            <Select.Option value="HOLDING_REGISTER">Holding Register</Select.Option>
+            <Select.Option value="INPUT_REGISTER">Input Register</Select.Option>
+            <Select.Option value="COIL">Coil</Select.Option>
+            <Select.Option value="DISCRETE_INPUT">Discrete Input</Select.Option>
+          </Select>
+        </Form.Item>
+
+        <Form.Item
+          label="Адрес регистра (0-65535)"
+          name="address"
+          rules={[
+            {required: true, message: 'Введите адрес регистра'},
+            {type: 'number', min: 0, max: 65535, message: 'Адрес должен быть от 0 до 65535'}
+          ]}
+        >
+          <InputNumber min={0} max={65535} style={{width: '100%'}}/>
+        </Form.Item>
+
+        {!isBitRegister && (
+          <React.Fragment>
+            <Form.Item
+              label="Тип данных"
+              name="dataType"
+              rules={[{required: true, message: 'Выберите тип данных'}]}
+              tooltip="32-битные типы занимают два регистра, старшее слово первым"
+            >
+              <Select>
+                <Select.Option value="int16">int16</Select.Option>
+                <Select.Option value="uint16">uint16</Select.Option>
+                <Select.Option value="int32">int32</Select.Option>
+                <Select.Option value="uint32">uint32</Select.Option>
+                <Select.Option value="float">float</Select.Option>
+              </Select>
+            </Form.Item>
+
+            <Form.Item
+              label="Множитель"
+              name="scaleFactor"
+              rules={[{required: true, message: 'Введите множитель'}]}
+              tooltip="Значение регистра = значение тега × множитель. Например, 10 передает 24.2 как 242"
+            >
+              <InputNumber style={{width: '100%'}}/>
+            </Form.Item>
+          </React.Fragment>
+        )}
+      </Form>
+    </Modal>
+  )
+}
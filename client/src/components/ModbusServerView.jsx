@@ -0,0 +1,272 @@
+/**
+ * Компонент встроенного Modbus TCP сервера
+ *
+ * Позволяет:
+ * - Включать и выключать сервер, задавать TCP порт и адрес устройства
+ * - Редактировать карту регистров: какие теги и в каких регистрах видят внешние системы (MES, SCADA)
+ * - Видеть текущие значения отображенных тегов
+ */
+
+import React, {useState, useEffect} from 'react'
+import {Card, Button, Table, Form, InputNumber, Switch, Space, Badge, Alert, Modal, Tooltip, Typography} from 'antd'
+import {PlusOutlined, EditOutlined, DeleteOutlined} from '@ant-design/icons'
+import {api} from '../services/api.js'
+import {useWebSocket} from '../context/WebSocketContext'
+import {useNotification} from '../context/NotificationContext.jsx'
+import {useWindowBreakpoints} from '../hooks/useWindowBreakpoints.js'
+import ModbusServerMappingForm from './ModbusServerMappingForm'
+
+const {Text} = Typography
+const {confirm} = Modal
+
+const registerTypeLabels = {
+  HOLDING_REGISTER: 'Holding Register',
+  INPUT_REGISTER: 'Input Register',
+  COIL: 'Coil',
+  DISCRETE_INPUT: 'Discrete Input'
+}
+
+export default function ModbusServerView() {
+  const screens = useWindowBreakpoints()
+  const isMobile = !screens.sm
+  const notification = useNotification()
+  const {tagValues} = useWebSocket()
+  const [settingsForm] = Form.useForm()
+  const [status, setStatus] = useState(null)
+  const [mappings, setMappings] = useState([])
+  const [saving, setSaving] = useState(false)
+  const [showMappingForm, setShowMappingForm] = useState(false)
+  const [selectedMapping, setSelectedMapping] = useState(null)
+
+  useEffect(() => {
+    loadStatus()
+    loadMappings()
+  }, [])
+
+  const loadStatus = async () => {
+    try {
+      const {data} = await api.getModbusServerStatus()
+      setStatus(data)
+      settingsForm.setFieldsValue({enabled: data.enabled, port: data.port, unitId: data.unitId})
+    } catch (error) {
+      console.error('Error loading Modbus server status:', error)
+      notification.error('Ошибка загрузки настроек сервера', error.message || '')
+    }
+  }
+
+  const loadMappings = async () => {
+    try {
+      const {data} = await api.getModbusServerMappings()
+      setMappings(data)
+    } catch (error) {
+      console.error('Error loading Modbus server mappings:', error)
+      notification.error('Ошибка загрузки карты регистров', error.message || '')
+    }
+  }
+
+  const handleSaveSettings = async () => {
+    try {
+      const values = await settingsForm.validateFields()
+      setSaving(true)
+      const {data} = await api.setModbusServerSettings(values)
+      setStatus(data)
+      if (data.lastError) {
+        notification.error('Сервер не запущен', data.lastError)
+      } else {
+        notification.success('Настройки сервера сохранены')
+      }
+    } catch (error) {
+      if (error.errorFields) {
+        // Ошибка валидации формы
+        return
+      }
+      console.error('Error saving Modbus server settings:', error)
+      notification.error('Ошибка сохранения настроек сервера', error.response?.data?.error || error.message || '')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleDeleteMapping = (mapping) => {
+    confirm({
+      title: 'Удалить регистр из карты?',
+      content: `Тег "${mapping.tag?.name}" перестанет быть доступен внешним системам.`,
+      okText: 'Удалить',
+      okType: 'danger',
+      cancelText: 'Отмена',
+      onOk: async () => {
+        try {
+          await api.removeModbusServerMappingById(mapping.id)
+          await loadMappings()
+          notification.success('Регистр удален из карты')
+        } catch (error) {
+          console.error('Error deleting mapping:', error)
+          notification.error('Ошибка при удалении регистра', error.response?.data?.error || error.message || '')
+        }
+      }
+    })
+  }
+
+  const handleMappingSaved = async () => {
+    setShowMappingForm(false)
+    setSelectedMapping(null)
+    await loadMappings()
+  }
+
+  const getTagValueText = (mapping) => {
+    const deviceValues = tagValues[mapping.tag?.deviceId]
+    const tagValue = deviceValues ? deviceValues[mapping.tagId] : null
+    if (!tagValue) return <Text type="secondary">—</Text>
+    if (tagValue.error) return <Text type="danger">Ошибка</Text>
+    return String(tagValue.value)
+  }
+
+  const getStatusBadge = () => {
+    if (!status) return null
+    if (status.running) return <Badge status="success" text={`Работает (порт ${status.port})`}/>
+    if (status.lastError) return <Badge status="error" text="Ошибка запуска"/>
+    return <Badge status="default" text="Выключен"/>
+  }
+
+  const columns = [
+    {
+      title: 'Тип регистра',
+      dataIndex: 'registerType',
+      render: (registerType) => registerTypeLabels[registerType] || registerType
+    },
+    {
+      title: 'Адрес',
+      dataIndex: 'address'
+    },
+    {
+      title: 'Тег',
+      key: 'tag',
+      render: (_, mapping) => `${mapping.tag?.device?.name || ''} / ${mapping.tag?.name || ''}`
+    },
+    {
+      title: 'Тип данных',
+      key: 'dataType',
+      responsive: ['md'],
+      render: (_, mapping) => mapping.registerType === 'COIL' || mapping.registerType === 'DISCRETE_INPUT'
+        ? 'bool'
+        : mapping.dataType
+    },
+    {
+      title: 'Множитель',
+      dataIndex: 'scaleFactor',
+      responsive: ['md']
+    },
+    {
+      title: 'Значение',
+      key: 'value',
+      render: (_, mapping) => getTagValueText(mapping)
+    },
+    {
+      title: '',
+      key: 'actions',
+      width: 100,
+      render: (_, mapping) => (
+        <Space>
+          <Tooltip title="Редактировать">
+            <Button
+              size="small"
+              icon={<EditOutlined/>}
+              onClick={() => {
+                setSelectedMapping(mapping)
+                setShowMappingForm(true)
+              }}
+            />
+          </Tooltip>
+          <Tooltip title="Удалить">
+            <Button size="small" danger icon={<DeleteOutlined/>} onClick={() => handleDeleteMapping(mapping)}/>
+          </Tooltip>
+        </Space>
+      )
+    }
+  ]
+
+  return (
+    <Space direction="vertical" size="middle" style={{width: '100%'}}>
+      <Card title="Modbus TCP сервер" extra={getStatusBadge()}>
+        {status?.lastError && (
+          <Alert type="error" showIcon message={status.lastError} style={{marginBottom: 16}}/>
+        )}
+        <Form
+          form={settingsForm}
+          layout={isMobile ? 'vertical' : 'inline'}
+          initialValues={{enabled: false, port: 502, unitId: 1}}
+          disabled={saving}
+        >
+          <Form.Item label="Включен" name="enabled" valuePropName="checked">
+            <Switch checkedChildren="on" unCheckedChildren="off"/>
+          </Form.Item>
+          <Form.Item
+            label="Порт"
+            name="port"
+            rules={[
+              {required: true, message: 'Введите порт'},
+              {type: 'number', min: 1, max: 65535, message: 'Порт должен быть от 1 до 65535'}
+            ]}
+          >
+            <InputNumber min={1} max={65535}/>
+          </Form.Item>
+          <Form.Item
+            label="Адрес устройства"
+            name="unitId"
+            tooltip="255 - отвечать на запросы с любым адресом устройства"
+            rules={[
+              {required: true, message: 'Введите адрес устройства'},
+              {type: 'number', min: 1, max: 255, message: 'Адрес должен быть от 1 до 255'}
+            ]}
+          >
+            <InputNumber min={1} max={255}/>
+          </Form.Item>
+          <Form.Item>
+            <Button type="primary" onClick={handleSaveSettings} loading={saving}>
+              Сохранить
+            </Button>
+          </Form.Item>
+        </Form>
+      </Card>
+
+      <Card
+        title="Карта регистров"
+        extra={
+          <Button
+            type="primary"
+            icon={<PlusOutlined/>}
+            onClick={() => {
+              setSelectedMapping(null)
+              setShowMappingForm(true)
+            }}
+          >
+            {isMobile ? null : 'Добавить регистр'}
+          </Button>
+        }
+      >
+        <Table
+          rowKey="id"
+          size="small"
+          columns={columns}
+          dataSource={mappings}
+          pagination={false}
+          locale={{emptyText: 'Теги не отображены на регистры сервера'}}
+        />
+        <Text type="secondary" style={{display: 'block', marginTop: 12}}>
+          Неотображенные адреса читаются как 0. Если значение тега недоступно, сервер отвечает исключением 0x0B.
+        </Text>
+      </Card>
+
+      {showMappingForm && (
+        <ModbusServerMappingForm
+          mapping={selectedMapping}
+          onClose={() => {
+            setShowMappingForm(false)
+            setSelectedMapping(null)
+          }}
+          onSave={handleMappingSaved}
+        />
+      )}
+    </Space>
+  )
+}
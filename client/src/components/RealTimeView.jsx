@@ -10,6 +10,7 @@
  *
  * Структура отображения:
  * - Узлы связи → Устройства → Теги (в виде карточек)
+ * - Вычисляемые и внутренние теги - отдельными группами после узлов связи
  * - Значения тегов обновляются автоматически при получении данных через WebSocket
  *
  * Все узлы и устройства развернуты по умолчанию.
@@ -32,7 +33,8 @@ import {
   Space,
   Row,
   Col,
-  Tooltip
+  Tooltip,
+  Progress
 } from 'antd';
 import {
   PlayCircleOutlined,
@@ -41,11 +43,15 @@ import {
   CheckCircleOutlined,
   CloseCircleOutlined
 } from '@ant-design/icons';
-import {isNumeric} from "../utils/index.js";
+import {formatTagValue, formatTagValueWithUnits, getNodeEndpoint, getTagRange, isNumeric} from "../utils/index.js";
 import {useWindowBreakpoints} from "../hooks/useWindowBreakpoints.js";
 
 const {Title, Text, Paragraph} = Typography;
 
+// Ключи значений вычисляемых и внутренних тегов в tagValues (вместо ID устройства)
+const CALCULATED_GROUP_ID = 'calculated'
+const INTERNAL_GROUP_ID = 'internal'
+
 export default function RealTimeView() {
   const screens = useWindowBreakpoints()
   const isMobile = !screens.sm
@@ -64,6 +70,9 @@ export default function RealTimeView() {
     return state.nodes.filter(node => node.enabled)
   }, [state])
 
+  const calculatedTags = useMemo(() => state?.calculatedTags || [], [state])
+  const internalTags = useMemo(() => state?.internalTags || [], [state])
+
   // Автоматически открываем все узлы и устройства по умолчанию
   useEffect(() => {
     if (enabledNodes.length > 0) {
@@ -110,26 +119,6 @@ export default function RealTimeView() {
     return tagValues[deviceId][tagId]
   }
 
-  // Форматирует значение тега для отображения
-  const formatTagValue = (value, serverDataType = null) => {
-    if (value === null || value === undefined) {
-      return '—'
-    }
-    // Если значение - число, форматируем его
-    if (isNumeric(value)) {
-      // Для int32 всегда показываем два знака после запятой
-      if (serverDataType === 'int32') {
-        return Number(value).toFixed(2)
-      }
-      // Если число целое - показываем без десятичной части
-      // Если дробное - ограничиваем до 2 знаков после запятой
-      return value % 1 === 0 ? value.toString() : Number(value).toFixed(2)
-    }
-
-    // Для нечисловых значений возвращаем как есть
-    return value
-  }
-
   // Обновляем статус modbusManager при изменении state
   React.useEffect(() => {
     if (state && state.modbusManagerStatus) {
@@ -172,7 +161,24 @@ export default function RealTimeView() {
   }
 
   const handleTagValueChange = async (tag, tagValue, str) => {
-    const originalValue = formatTagValue(tagValue.value, tag.serverDataType);
+    const originalValue = formatTagValue(tagValue.value, tag);
+
+    // Строковый тег записывается как есть: печатные символы ASCII, не длиннее 2 символов на регистр.
+    // Внутренний тег хранится на сервере и принимает любые символы
+    if (tag.serverDataType === 'string') {
+      if (tag.kind !== 'INTERNAL' && !/^[\x20-\x7E]*$/.test(str)) {
+        notification.error('Ошибка', 'Строка может содержать только латиницу, цифры и знаки препинания');
+        return originalValue;
+      }
+      if (tag.stringLength && str.length > tag.stringLength * 2) {
+        notification.error('Ошибка', `Строка не должна быть длиннее ${tag.stringLength * 2} символов`);
+        return originalValue;
+      }
+      if (str === tagValue.value) {
+        return originalValue;
+      }
+      return writeTagValue(tag, str, originalValue);
+    }
 
     // Валидация: проверяем, что введено число
     const trimmedStr = str.trim();
@@ -183,16 +189,11 @@ export default function RealTimeView() {
 
     // Определяем, разрешены ли дробные числа
     // Разрешаем дробные числа если:
-    // 1. serverDataType === 'float'
-    // 2. scaleFactor существует и не равен 1.0 (потому что после обратного масштабирования может получиться дробное)
-    // Обрабатываем scaleFactor как число (может быть строкой из БД)
-    let scaleFactor = 1.0;
-    if (tag.scaleFactor !== undefined && tag.scaleFactor !== null) {
-      scaleFactor = typeof tag.scaleFactor === 'string' ? parseFloat(tag.scaleFactor) : Number(tag.scaleFactor);
-      if (isNaN(scaleFactor)) scaleFactor = 1.0;
-    }
+    // 1. serverDataType === 'float' или 'float64'
+    // 2. значение масштабируется (значение в инженерных единицах может быть дробным)
+    const isScaled = !!tag.scalingMode && tag.scalingMode !== 'none';
 
-    const allowFloat = tag.serverDataType === 'float' || scaleFactor !== 1.0;
+    const allowFloat = tag.serverDataType === 'float' || tag.serverDataType === 'float64' || isScaled;
 
     // Заменяем запятую на точку для правильного парсинга
     const normalizedStr = trimmedStr.replace(',', '.');
@@ -217,6 +218,13 @@ export default function RealTimeView() {
 
     const numValue = allowFloat ? parseFloat(normalizedStr) : parseInt(normalizedStr, 10);
 
+    // Coil и бит регистра принимают только 0 или 1
+    const isBit = tag.registerType === 'COIL' || (tag.bitIndex !== null && tag.bitIndex !== undefined);
+    if (isBit && numValue !== 0 && numValue !== 1) {
+      notification.error('Ошибка', 'Введите 0 или 1');
+      return originalValue;
+    }
+
     // Проверка на валидное число
     if (isNaN(numValue)) {
       notification.error('Ошибка', allowFloat ? 'Введите число' : 'Введите только целое число');
@@ -228,11 +236,15 @@ export default function RealTimeView() {
       return originalValue;
     }
 
-    // Сохраняем значение
+    return writeTagValue(tag, numValue, originalValue);
+  }
+
+  // Записывает значение в тег, возвращает отображаемое значение (прежнее при ошибке)
+  const writeTagValue = async (tag, value, originalValue) => {
     try {
-      await api.writeTagValue(tag.id, numValue);
+      await api.writeTagValue(tag.id, value);
       notification.success(`Значение тега "${tag.name}" успешно записано`);
-      return formatTagValue(numValue, tag.serverDataType);
+      return formatTagValue(value, tag);
     } catch (error) {
       console.error('Error writing tag value:', error);
       const errorData = error.response?.data || {};
@@ -342,12 +354,41 @@ export default function RealTimeView() {
       tagValue &&
       !tagValue.error
 
+    return renderValue(tag, tagValue, canWrite)
+  }
+
+  // Вычисляемые и внутренние теги не зависят от связи с узлами: качество вычисляемого тега определяется
+  // значениями входов, внутренний тег доступен для записи, даже пока значение не задано
+  const renderServerTagValue = (groupId, tag) => {
+    if (!isModbusRunning) {
+      return (
+        <Text type="secondary">Запустите Modbus Server</Text>
+      )
+    }
+
+    if (!tag.enabled) {
+      return (
+        <Text type="secondary">Тег не включен в работу</Text>
+      )
+    }
+
+    const tagValue = getTagValue(groupId, tag.id)
+    return renderValue(tag, tagValue, tag.accessType === 'ReadWrite' && !!tagValue)
+  }
+
+  const renderValue = (tag, tagValue, canWrite) => {
+    // Положение значения в инженерном диапазоне тега, значение вне диапазона выделяется
+    const range = getTagRange(tag)
+    const hasRangePosition = range && tagValue && tag.serverDataType !== 'string' && isNumeric(tagValue.value)
+    const isOutOfRange = hasRangePosition && (tagValue.value < range.low || tagValue.value > range.high)
+    const valueType = isOutOfRange ? 'warning' : 'success'
+
     return tagValue ? (
       <React.Fragment>
-        {canWrite ? (
-          <Flex justify={"center"}>
+        <Flex justify="center" align="baseline" gap="small">
+          {canWrite ? (
             <Text
-              type='success'
+              type={valueType}
               editable={{
                 onChange: (str) => handleTagValueChange(tag, tagValue, str),
                 tooltip: 'Нажмите для редактирования'
@@ -355,29 +396,46 @@ export default function RealTimeView() {
               style={{fontSize: '2rem'}}
               className={"tag-value"}
             >
-              {formatTagValue(tagValue.value, tag.serverDataType)}
+              {formatTagValue(tagValue.value, tag)}
             </Text>
-          </Flex>
-        ) : (
-          <Text type="success" style={{fontSize: '2rem'}}>
-            {formatTagValue(tagValue.value, tag.serverDataType)}
-          </Text>
+          ) : (
+            <Text type={valueType} style={{fontSize: '2rem'}}>
+              {formatTagValue(tagValue.value, tag)}
+            </Text>
+          )}
+          {tag.units && (
+            <Text type="secondary" style={{fontSize: '1rem'}}>{tag.units}</Text>
+          )}
+        </Flex>
+        {hasRangePosition && (
+          <Tooltip
+            title={`${isOutOfRange ? 'Вне диапазона' : 'Диапазон'} ${formatTagValue(range.low, tag)} … ${formatTagValueWithUnits(range.high, tag)}`}
+          >
+            <Progress
+              percent={Math.min(Math.max((tagValue.value - range.low) / (range.high - range.low) * 100, 0), 100)}
+              status={isOutOfRange ? 'exception' : 'normal'}
+              showInfo={false}
+              size="small"
+            />
+          </Tooltip>
         )}
         {tagValue.error && (
           <Text type="danger" style={{fontSize: '12px'}}>
             {tagValue.error}
           </Text>
         )}
-        <Text type="secondary" style={{fontSize: '11px'}}>
-          {new Date(tagValue.timestamp).toLocaleTimeString('ru-RU')}
-        </Text>
+        {tagValue.timestamp && (
+          <Text type="secondary" style={{fontSize: '11px'}}>
+            {new Date(tagValue.timestamp).toLocaleTimeString('ru-RU')}
+          </Text>
+        )}
       </React.Fragment>
     ) : (
       <Text type="secondary">Нет данных</Text>
     )
   }
 
-  const renderTagContent = (device, tag, node) => {
+  const renderTagContent = (tag, details, valueContent) => {
     return (
       <Col key={tag.id} xs={24} sm={12} md={8} lg={6}>
         <Card size="small" className="tag-card"
@@ -412,16 +470,44 @@ export default function RealTimeView() {
                 </Space>
               </Flex>
               <Text type="secondary" style={{fontSize: '12px'}}>
-                Адрес: {tag.address}
+                {details}
               </Text>
+              {tag.description && (
+                <Paragraph
+                  type="secondary"
+                  ellipsis={{rows: 2, tooltip: tag.description}}
+                  style={{margin: 0, fontSize: '12px'}}
+                >
+                  {tag.description}
+                </Paragraph>
+              )}
             </div>
-            {renderTagValue(device, tag, node)}
+            {valueContent}
           </Space>
         </Card>
       </Col>
     )
   }
 
+  const renderServerTagsGroup = (groupId, title, tags, getDetails) => tags.length > 0 && (
+    <Card size="small" styles={{body: {padding: "0"}}}>
+      <Collapse
+        styles={{header: {alignItems: "flex-start"}}}
+        defaultActiveKey={[groupId]}
+        ghost
+        items={[{
+          key: groupId,
+          label: <Text strong>{title}</Text>,
+          children: (
+            <Row gutter={[16, 16]}>
+              {tags.map(tag => renderTagContent(tag, getDetails(tag), renderServerTagValue(groupId, tag)))}
+            </Row>
+          )
+        }]}
+      />
+    </Card>
+  )
+
   return (
     <React.Fragment>
       <Space orientation="vertical" style={{width: '100%'}} size="large">
@@ -459,7 +545,7 @@ export default function RealTimeView() {
                       flexDirection: isMobile ? 'column' : "row",
                     }}>
                       <Text strong>{node.name}</Text>
-                      <Tag color="blue">{node.comPort}</Tag>
+                      <Tag color="blue">{getNodeEndpoint(node)}</Tag>
                       <Tag
                         color={node.enabled ? 'success' : 'default'}
                         icon={node.enabled ? <CheckCircleOutlined/> : <CloseCircleOutlined/>}
@@ -505,6 +591,9 @@ export default function RealTimeView() {
                                     >
                                       {device.enabled ? 'Включен в работу' : 'Не включен'}
                                     </Tag>
+                                    {isModbusRunning && device.offline && (
+                                      <Tag color="error">Нет связи</Tag>
+                                    )}
                                   </Space>
                                   {device.enabled && isModbusRunning && (
                                     <Tooltip title="Переподключить устройство">
@@ -524,7 +613,11 @@ export default function RealTimeView() {
                                 <Empty description="Нет тегов" image={Empty.PRESENTED_IMAGE_SIMPLE}/>
                               ) : (
                                 <Row gutter={[16, 16]}>
-                                  {device.tags.map(tag => renderTagContent(device, tag, node))}
+                                  {device.tags.map(tag => renderTagContent(
+                                    tag,
+                                    `Адрес: ${tag.address}`,
+                                    renderTagValue(device, tag, node)
+                                  ))}
                                 </Row>
                               )
                             }]}
@@ -537,6 +630,12 @@ export default function RealTimeView() {
               />
             </Card>
           ))}
+
+          {renderServerTagsGroup(CALCULATED_GROUP_ID, 'Вычисляемые теги', calculatedTags,
+            tag => <Text code style={{fontSize: '12px'}}>{tag.expression}</Text>)}
+
+          {renderServerTagsGroup(INTERNAL_GROUP_ID, 'Внутренние теги', internalTags,
+            () => 'Ввод вручную')}
         </Space>
       </Space>
 
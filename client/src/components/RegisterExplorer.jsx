@@ -0,0 +1,317 @@
+/**
+ * Обозреватель регистров
+ *
+ * Позволяет разобраться с картой регистров незнакомого устройства без создания тегов:
+ * - Читать произвольный диапазон holding/input регистров, coils или discrete inputs любого устройства
+ *   на подключенном узле связи
+ * - Видеть значение регистра в hex, uint16 и int16, а пары регистров - как float и int32
+ *   при разных порядках байт и слов
+ * - Записывать одно значение в holding регистр (функция 6) или coil (функция 5)
+ *
+ * Запросы выполняются сервером через соединение узла в очереди шины, поэтому не мешают опросу тегов.
+ */
+
+import React, {useState, useEffect} from 'react'
+import {Card, Button, Table, Form, InputNumber, Input, Select, Space, Alert, Typography} from 'antd'
+import {api} from '../services/api.js'
+import {useWebSocket} from '../context/WebSocketContext'
+import {useNotification} from '../context/NotificationContext.jsx'
+import {useWindowBreakpoints} from '../hooks/useWindowBreakpoints.js'
+import {getNodeEndpoint} from '../utils/index.js'
+
+const {Title, Text} = Typography
+
+const registerTypeOptions = [
+  {value: 'HOLDING_REGISTER', label: 'Holding Register'},
+  {value: 'INPUT_REGISTER', label: 'Input Register'},
+  {value: 'COIL', label: 'Coil'},
+  {value: 'DISCRETE_INPUT', label: 'Discrete Input'}
+]
+
+const BIT_REGISTER_TYPES = ['COIL', 'DISCRETE_INPUT']
+
+// Порядок байт пары регистров: позиции байт A (старший байт первого регистра), B, C, D в числе
+const BYTE_ORDERS = {
+  ABCD: [0, 1, 2, 3],
+  CDAB: [2, 3, 0, 1],
+  BADC: [1, 0, 3, 2],
+  DCBA: [3, 2, 1, 0]
+}
+
+const toHex = (value) => '0x' + value.toString(16).toUpperCase().padStart(4, '0')
+
+const toInt16 = (value) => value > 0x7FFF ? value - 0x10000 : value
+
+/**
+ * Собирает 32-битное число из двух регистров в заданном порядке байт
+ */
+const decode32 = (first, second, byteOrder) => {
+  const bytes = [first >> 8, first & 0xFF, second >> 8, second & 0xFF]
+  const view = new DataView(new ArrayBuffer(4))
+  BYTE_ORDERS[byteOrder].forEach((byteIndex, position) => view.setUint8(position, bytes[byteIndex]))
+  return {float: view.getFloat32(0), int32: view.getInt32(0)}
+}
+
+const formatFloat = (value) => Number.isFinite(value) ? String(parseFloat(value.toPrecision(7))) : String(value)
+
+/**
+ * Разбирает значение для записи в регистр: десятичное (в том числе отрицательное int16) или hex (0x...)
+ *
+ * @returns {number|null} Значение регистра 0-65535 или null, если значение некорректно
+ */
+const parseRegisterValue = (text) => {
+  const trimmed = String(text ?? '').trim()
+  let value
+  if (/^0x[0-9a-f]{1,4}$/i.test(trimmed)) {
+    value = parseInt(trimmed, 16)
+  } else if (/^-?\d+$/.test(trimmed)) {
+    value = parseInt(trimmed, 10)
+  } else {
+    return null
+  }
+  if (value < -32768 || value > 65535) return null
+  return value < 0 ? value + 0x10000 : value
+}
+
+export default function RegisterExplorer() {
+  const screens = useWindowBreakpoints()
+  const isMobile = !screens.sm
+  const notification = useNotification()
+  const {state} = useWebSocket()
+  const [readForm] = Form.useForm()
+  const [writeForm] = Form.useForm()
+  const [result, setResult] = useState(null)
+  const [reading, setReading] = useState(false)
+  const [writing, setWriting] = useState(false)
+
+  const nodes = (state?.nodes || []).filter(node => node.connectionStatus === 'connected')
+  const nodeId = Form.useWatch('nodeId', readForm)
+  const registerType = Form.useWatch('registerType', readForm)
+  const selectedNode = nodes.find(node => node.id === nodeId)
+  const isBitType = BIT_REGISTER_TYPES.includes(registerType)
+  const isWritable = registerType === 'HOLDING_REGISTER' || registerType === 'COIL'
+
+  // Выбираем первый подключенный узел, если узел не выбран или отключился
+  useEffect(() => {
+    if (nodes.length > 0 && !selectedNode) {
+      readForm.setFieldValue('nodeId', nodes[0].id)
+    }
+  }, [nodes.length, selectedNode])
+
+  const handleRead = async () => {
+    try {
+      const values = await readForm.validateFields()
+      setReading(true)
+      const {data} = await api.readRegisters(values.nodeId, {
+        unitId: values.unitId,
+        registerType: values.registerType,
+        address: values.address,
+        count: values.count
+      })
+      setResult({...values, values: data.values, timestamp: data.timestamp})
+    } catch (error) {
+      if (error.errorFields) {
+        // Ошибка валидации формы
+        return
+      }
+      console.error('Error reading registers:', error)
+      notification.error('Ошибка чтения', error.response?.data?.error || error.message || '')
+    } finally {
+      setReading(false)
+    }
+  }
+
+  const handleWrite = async () => {
+    try {
+      const readValues = await readForm.validateFields()
+      const writeValues = await writeForm.validateFields()
+      setWriting(true)
+      await api.writeRegister(readValues.nodeId, {
+        unitId: readValues.unitId,
+        registerType: readValues.registerType,
+        address: writeValues.address,
+        value: readValues.registerType === 'COIL'
+          ? writeValues.bitValue
+          : parseRegisterValue(writeValues.value)
+      })
+      notification.success('Значение записано', `Адрес ${writeValues.address}`)
+      await handleRead()
+    } catch (error) {
+      if (error.errorFields) {
+        // Ошибка валидации формы
+        return
+      }
+      console.error('Error writing register:', error)
+      notification.error('Ошибка записи', error.response?.data?.error || error.message || '')
+    } finally {
+      setWriting(false)
+    }
+  }
+
+  const rows = result ? result.values.map((value, index) => ({
+    address: result.address + index,
+    value,
+    next: index + 1 < result.values.length ? result.values[index + 1] : null
+  })) : []
+
+  const resultIsBits = result && BIT_REGISTER_TYPES.includes(result.registerType)
+
+  const float32Columns = Object.keys(BYTE_ORDERS).map(byteOrder => ({
+    title: `Float ${byteOrder}`,
+    key: `float-${byteOrder}`,
+    render: (_, row) => row.next === null ? '—' : formatFloat(decode32(row.value, row.next, byteOrder).float)
+  }))
+
+  const int32Columns = ['ABCD', 'CDAB'].map(byteOrder => ({
+    title: `Int32 ${byteOrder}`,
+    key: `int32-${byteOrder}`,
+    render: (_, row) => row.next === null ? '—' : decode32(row.value, row.next, byteOrder).int32
+  }))
+
+  const columns = resultIsBits ? [
+    {title: 'Адрес', dataIndex: 'address', width: 100},
+    {title: 'Значение', key: 'value', render: (_, row) => row.value ? '1' : '0'}
+  ] : [
+    {title: 'Адрес', dataIndex: 'address', width: 80, fixed: 'left'},
+    {title: 'Hex', key: 'hex', render: (_, row) => <Text code>{toHex(row.value)}</Text>},
+    {title: 'UInt16', dataIndex: 'value'},
+    {title: 'Int16', key: 'int16', render: (_, row) => toInt16(row.value)},
+    ...float32Columns,
+    ...int32Columns
+  ]
+
+  return (
+    <Space orientation="vertical" style={{width: '100%'}} size="large">
+      <Title level={isMobile ? 4 : 2}>Обозреватель регистров</Title>
+
+      {nodes.length === 0 && (
+        <Alert
+          type="warning"
+          showIcon
+          title="Нет подключенных узлов связи"
+          description="Запустите Modbus Manager и включите узел связи, чтобы читать регистры устройств."
+        />
+      )}
+
+      <Card title="Чтение">
+        <Form
+          form={readForm}
+          layout={isMobile ? 'vertical' : 'inline'}
+          initialValues={{unitId: 1, registerType: 'HOLDING_REGISTER', address: 0, count: 10}}
+          onFinish={handleRead}
+          style={{rowGap: 12}}
+        >
+          <Form.Item label="Узел связи" name="nodeId" rules={[{required: true, message: 'Выберите узел связи'}]}>
+            <Select
+              style={{minWidth: 200}}
+              options={nodes.map(node => ({value: node.id, label: `${node.name} (${getNodeEndpoint(node)})`}))}
+            />
+          </Form.Item>
+          <Form.Item label="Адрес устройства" required>
+            <Space.Compact>
+              <Form.Item
+                name="unitId"
+                noStyle
+                rules={[{required: true, message: 'Введите адрес устройства'}]}
+              >
+                <InputNumber min={1} max={255} style={{width: 80}}/>
+              </Form.Item>
+              <Select
+                placeholder="Устройство узла"
+                style={{minWidth: 160}}
+                value={null}
+                options={(selectedNode?.devices || []).map(device => ({
+                  value: device.address,
+                  label: `${device.name} (${device.address})`
+                }))}
+                onChange={(address) => readForm.setFieldValue('unitId', address)}
+              />
+            </Space.Compact>
+          </Form.Item>
+          <Form.Item label="Тип" name="registerType">
+            <Select style={{width: 170}} options={registerTypeOptions}/>
+          </Form.Item>
+          <Form.Item label="Начальный адрес" name="address" rules={[{required: true, message: 'Введите адрес'}]}>
+            <InputNumber min={0} max={65535}/>
+          </Form.Item>
+          <Form.Item label="Количество" name="count" rules={[{required: true, message: 'Введите количество'}]}>
+            <InputNumber min={1} max={isBitType ? 2000 : 125}/>
+          </Form.Item>
+          <Form.Item>
+            <Button type="primary" htmlType="submit" loading={reading} disabled={nodes.length === 0}>
+              Прочитать
+            </Button>
+          </Form.Item>
+        </Form>
+      </Card>
+
+      <Card
+        title="Значения"
+        extra={result && <Text type="secondary">{new Date(result.timestamp).toLocaleTimeString()}</Text>}
+      >
+        <Table
+          rowKey="address"
+          size="small"
+          columns={columns}
+          dataSource={rows}
+          pagination={false}
+          scroll={{x: 'max-content'}}
+          onRow={(row) => ({
+            onClick: () => writeForm.setFieldsValue({
+              address: row.address,
+              value: resultIsBits ? undefined : String(row.value),
+              bitValue: resultIsBits ? row.value : undefined
+            })
+          })}
+          locale={{emptyText: 'Прочитайте диапазон регистров'}}
+        />
+        {result && !resultIsBits && (
+          <Text type="secondary" style={{display: 'block', marginTop: 12}}>
+            Float и Int32 в строке собраны из регистра строки и следующего за ним. A - старший байт первого регистра.
+          </Text>
+        )}
+      </Card>
+
+      <Card title="Запись">
+        {isWritable ? (
+          <Form
+            form={writeForm}
+            layout={isMobile ? 'vertical' : 'inline'}
+            initialValues={{address: 0, bitValue: true}}
+            onFinish={handleWrite}
+            style={{rowGap: 12}}
+          >
+            <Form.Item label="Адрес" name="address" rules={[{required: true, message: 'Введите адрес'}]}>
+              <InputNumber min={0} max={65535}/>
+            </Form.Item>
+            {registerType === 'COIL' ? (
+              <Form.Item label="Значение" name="bitValue">
+                <Select style={{width: 100}} options={[{value: true, label: '1'}, {value: false, label: '0'}]}/>
+              </Form.Item>
+            ) : (
+              <Form.Item
+                label="Значение"
+                name="value"
+                tooltip="Десятичное от -32768 до 65535 или hex (0x1234)"
+                rules={[{
+                  validator: (_, value) => parseRegisterValue(value) === null
+                    ? Promise.reject(new Error('Введите число от -32768 до 65535 или hex до 0xFFFF'))
+                    : Promise.resolve()
+                }]}
+              >
+                <Input style={{width: 140}}/>
+              </Form.Item>
+            )}
+            <Form.Item>
+              <Button htmlType="submit" loading={writing} disabled={nodes.length === 0}>
+                Записать
+              </Button>
+            </Form.Item>
+          </Form>
+        ) : (
+          <Text type="secondary">Input Register и Discrete Input доступны только для чтения.</Text>
+        )}
+      </Card>
+    </Space>
+  )
+}
@@ -0,0 +1,240 @@
+import React, {useState, useEffect} from 'react'
+import {Modal, Form, Input, Select, InputNumber, Switch, Space, Typography} from 'antd'
+import {api} from "../services/api.js";
+import {useNotification} from "../context/NotificationContext.jsx";
+import {ARCHIVE_DEFAULTS, getArchiveRequestData} from "../utils/index.js";
+import ArchiveSettingsFields from "./ArchiveSettingsFields.jsx";
+
+const {Text} = Typography;
+
+const DATA_TYPES = ['float64', 'float', 'int32', 'int16', 'uint32', 'uint16', 'int64', 'uint64']
+
+// Результат вычисления округляется до целого типа, во внутренний тег записывается только целое число
+const DATA_TYPE_OPTIONS = {
+  CALCULATED: DATA_TYPES.map(value => ({value, label: value.startsWith('float') ? value : `${value} (с округлением)`})),
+  INTERNAL: [
+    ...DATA_TYPES.map(value => ({value, label: value})),
+    {value: 'string', label: 'Строка'}
+  ]
+}
+
+const TITLES = {
+  CALCULATED: {create: 'Создать вычисляемый тег', edit: 'Редактировать вычисляемый тег'},
+  INTERNAL: {create: 'Создать внутренний тег', edit: 'Редактировать внутренний тег'}
+}
+
+/**
+ * Форма тега без устройства:
+ * - вычисляемый тег (kind = 'CALCULATED') - значение вычисляется сервером по выражению над другими тегами
+ * - внутренний тег (kind = 'INTERNAL') - значение вводится оператором и хранится на сервере
+ */
+export default function ServerTagForm({tagId, kind, onClose, onSave}) {
+  const notification = useNotification();
+  const [form] = Form.useForm()
+  const [formData, setFormData] = useState({
+    kind,
+    name: '',
+    description: null,
+    expression: '',
+    serverDataType: 'float64',
+    units: null,
+    displayDecimals: null,
+    engLow: null,
+    engHigh: null,
+    ...ARCHIVE_DEFAULTS,
+    enabled: true
+  })
+  const [loading, setLoading] = useState(false)
+
+  useEffect(() => {
+    if (tagId) {
+      loadTag()
+    }
+  }, [tagId])
+
+  useEffect(() => {
+    form.setFieldsValue(formData)
+  }, [formData, form])
+
+  const loadTag = async () => {
+    try {
+      const response = await api.getTagById(tagId)
+      setFormData(response.data)
+    } catch (error) {
+      console.error('Error loading tag:', error)
+      notification.error('Ошибка загрузки тега', error.message || "")
+    }
+  }
+
+  const handleSubmit = async () => {
+    try {
+      await form.validateFields()
+      setLoading(true)
+
+      const isString = formData.serverDataType === 'string'
+      const requestFormData = {
+        kind,
+        name: formData.name,
+        ...(kind === 'CALCULATED' ? {expression: formData.expression} : {}),
+        serverDataType: formData.serverDataType,
+        units: isString ? null : formData.units?.trim() || null,
+        description: formData.description?.trim() || null,
+        // Пустое число знаков - автоматически, пустой диапазон - не задан. У строк они не нужны
+        displayDecimals: isString ? null : formData.displayDecimals ?? null,
+        engLow: isString ? null : formData.engLow ?? null,
+        engHigh: isString ? null : formData.engHigh ?? null,
+        ...getArchiveRequestData(formData, isString),
+        enabled: formData.enabled
+      }
+
+      if (tagId) {
+        await api.updateTagById(tagId, requestFormData)
+      } else {
+        await api.createTag(requestFormData)
+      }
+      onSave()
+    } catch (error) {
+      if (error.errorFields) {
+        // Валидация не прошла
+        return
+      }
+      console.error('Error saving server tag:', error)
+      notification.error('Ошибка при сохранении тега', error.message || "")
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <Modal
+      title={tagId ? TITLES[kind].edit : TITLES[kind].create}
+      open={true}
+      onCancel={onClose}
+      onOk={handleSubmit}
+      confirmLoading={loading}
+      cancelText={"Отмена"}
+      okText={"Сохранить"}
+    >
+      <Form
+        form={form}
+        layout="vertical"
+        onValuesChange={(changedValues) => setFormData(prev => ({...prev, ...changedValues}))}
+        onFinish={handleSubmit}
+        initialValues={formData}
+        disabled={loading}
+      >
+        <Form.Item
+          label="Название"
+          name="name"
+          tooltip="По названию на тег ссылаются выражения вычисляемых тегов: {Название}"
+          rules={[
+            {required: true, message: 'Введите название тега'},
+            {pattern: /^[^{}/]*$/, message: 'Название не должно содержать символы /, { и }'}
+          ]}
+        >
+          <Input/>
+        </Form.Item>
+
+        <Form.Item label="Описание" name="description">
+          <Input.TextArea rows={2} maxLength={500}/>
+        </Form.Item>
+
+        {kind === 'CALCULATED' && (
+          <Form.Item
+            label="Выражение"
+            name="expression"
+            rules={[{required: true, message: 'Введите выражение'}]}
+            extra={
+              <Text type="secondary" style={{fontSize: '12px'}}>
+                Теги: {'{Узел/Устройство/Тег}'}, {'{Устройство/Тег}'} или {'{Вычисляемый или внутренний тег}'}.
+                Операторы: + - * / % ^, сравнения, and, or, not, условие ? да : нет.
+                Функции: abs, sqrt, exp, ln, log10, sin, cos, tan, round, floor, ceil, min, max, avg, sum,
+                clamp, if и др.
+              </Text>
+            }
+          >
+            <Input.TextArea
+              rows={3}
+              maxLength={1000}
+              placeholder="Например, ({Печь/T1} + {Печь/T2}) / 2"
+              style={{fontFamily: 'monospace'}}
+            />
+          </Form.Item>
+        )}
+
+        <Form.Item
+          label="Тип данных"
+          name="serverDataType"
+          tooltip={kind === 'INTERNAL' && tagId ? 'При смене типа данных сохраненное значение сбрасывается' : undefined}
+          rules={[{required: true, message: 'Выберите тип данных'}]}
+        >
+          <Select options={DATA_TYPE_OPTIONS[kind]}/>
+        </Form.Item>
+
+        {formData.serverDataType !== 'string' && (
+          <>
+            <Form.Item
+              label="Единицы измерения"
+              name="units"
+              tooltip="Показываются рядом со значением в реальном времени, в таблице и на графике истории"
+            >
+              <Input maxLength={32} placeholder="Например, °C" style={{width: '100%'}}/>
+            </Form.Item>
+
+            <Form.Item
+              label="Знаков после запятой"
+              name="displayDecimals"
+              rules={[{type: 'number', min: 0, max: 10, message: 'Число знаков должно быть от 0 до 10'}]}
+            >
+              <InputNumber min={0} max={10} placeholder="Автоматически" style={{width: '100%'}}/>
+            </Form.Item>
+
+            <Space align="start" style={{display: 'flex'}}>
+              <Form.Item
+                label="Инженерный диапазон: от"
+                name="engLow"
+                tooltip="Шкала графика и индикатора значения"
+                dependencies={['engHigh']}
+                rules={[({getFieldValue}) => ({
+                  validator: (_, value) => (value ?? null) === null && (getFieldValue('engHigh') ?? null) !== null
+                    ? Promise.reject(new Error('Введите нижнюю границу'))
+                    : Promise.resolve()
+                })]}
+              >
+                <InputNumber style={{width: '100%'}}/>
+              </Form.Item>
+              <Form.Item
+                label="до"
+                name="engHigh"
+                dependencies={['engLow']}
+                rules={[({getFieldValue}) => ({
+                  validator: (_, value) => {
+                    const low = getFieldValue('engLow') ?? null
+                    if ((value ?? null) === null) {
+                      return low !== null ? Promise.reject(new Error('Введите верхнюю границу')) : Promise.resolve()
+                    }
+                    return low !== null && value <= low
+                      ? Promise.reject(new Error('Верхняя граница должна быть больше нижней'))
+                      : Promise.resolve()
+                  }
+                })]}
+              >
+                <InputNumber style={{width: '100%'}}/>
+              </Form.Item>
+            </Space>
+          </>
+        )}
+
+        <Form.Item
+          label="Включен в работу"
+          name="enabled"
+          valuePropName="checked"
+        >
+          <Switch checkedChildren="on" unCheckedChildren="off"/>
+        </Form.Item>
+
+        <ArchiveSettingsFields archiveMode={formData.archiveMode} isString={formData.serverDataType === 'string'}/>
+      </Form>
+    </Modal>
+  )
+}
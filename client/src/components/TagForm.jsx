@@ -1,7 +1,92 @@
 import React, {useState, useEffect} from 'react'
-import {Modal, Form, Input, Select, InputNumber, Switch} from 'antd'
+import {Modal, Form, Input, Select, InputNumber, Switch, Space} from 'antd'
 import {api} from "../services/api.js";
 import {useNotification} from "../context/NotificationContext.jsx";
+import {ARCHIVE_DEFAULTS, BYTE_ORDER_OPTIONS, getArchiveRequestData} from "../utils/index.js";
+import ArchiveSettingsFields from "./ArchiveSettingsFields.jsx";
+
+const BIT_REGISTER_TYPES = ['COIL', 'DISCRETE_INPUT']
+
+const DEVICE_DATA_TYPE_OPTIONS = [
+  {value: 'int16', label: 'int16'},
+  {value: 'uint16', label: 'uint16'},
+  {value: 'int32', label: 'int32 (2 регистра)'},
+  {value: 'uint32', label: 'uint32 (2 регистра)'},
+  {value: 'int64', label: 'int64 (4 регистра)'},
+  {value: 'uint64', label: 'uint64 (4 регистра)'},
+  {value: 'float', label: 'float (2 регистра)'},
+  {value: 'float64', label: 'float64 (4 регистра)'},
+  {value: 'bcd16', label: 'BCD16 (4 цифры)'},
+  {value: 'bcd32', label: 'BCD32 (8 цифр, 2 регистра)'},
+  {value: 'string', label: 'Строка ASCII'}
+]
+
+const SERVER_DATA_TYPE_OPTIONS = [
+  {value: 'int32', label: 'int32'},
+  {value: 'int16', label: 'int16'},
+  {value: 'uint32', label: 'uint32'},
+  {value: 'uint16', label: 'uint16'},
+  {value: 'int64', label: 'int64'},
+  {value: 'uint64', label: 'uint64'},
+  {value: 'float', label: 'float'},
+  {value: 'float64', label: 'float64'},
+  {value: 'string', label: 'Строка'}
+]
+
+// Типы данных в устройстве, значение которых занимает несколько регистров (для них важен порядок байт)
+const MULTI_REGISTER_DATA_TYPES = ['int32', 'uint32', 'float', 'bcd32', 'int64', 'uint64', 'float64']
+
+// Coil, Discrete Input и бит регистра хранят один бит
+const BIT_DEVICE_DATA_TYPES = ['int16', 'uint16']
+
+const SCALING_MODE_OPTIONS = [
+  {value: 'none', label: 'Без масштабирования'},
+  {value: 'factor', label: 'Множитель и смещение'},
+  {value: 'range', label: 'По диапазонам (сырой → инженерный)'}
+]
+
+/**
+ * Является ли тег отдельным битом holding или input регистра
+ */
+const isBitTag = (tag) => tag.bitIndex !== null && tag.bitIndex !== undefined
+
+/**
+ * Занимает ли значение тега несколько регистров (для них важен порядок байт)
+ */
+const isMultiRegisterTag = (tag) =>
+  !BIT_REGISTER_TYPES.includes(tag.registerType) && MULTI_REGISTER_DATA_TYPES.includes(tag.deviceDataType)
+
+/**
+ * Согласует типы данных после изменения типа регистра, номера бита или типа данных в устройстве:
+ * строка - строка и в устройстве, и на сервере, битовые регистры и биты регистров - только int16/uint16
+ */
+const normalizeDataTypes = (data) => {
+  const result = {...data}
+  if (BIT_REGISTER_TYPES.includes(result.registerType)) {
+    result.bitIndex = null
+  }
+  if ((BIT_REGISTER_TYPES.includes(result.registerType) || isBitTag(result)) &&
+    !BIT_DEVICE_DATA_TYPES.includes(result.deviceDataType)) {
+    result.deviceDataType = 'uint16'
+  }
+  if (result.deviceDataType === 'string') {
+    result.serverDataType = 'string'
+    result.stringLength = result.stringLength || 8
+  } else if (result.serverDataType === 'string') {
+    result.serverDataType = 'int32'
+  }
+  // Дискретные и строковые теги не масштабируются, точность и инженерный диапазон у них не нужны
+  if (BIT_REGISTER_TYPES.includes(result.registerType) || isBitTag(result) || result.deviceDataType === 'string') {
+    result.scalingMode = 'none'
+    result.displayDecimals = null
+    result.engLow = null
+    result.engHigh = null
+  }
+  if (result.deviceDataType === 'string') {
+    result.units = null
+  }
+  return result
+}
 
 export default function TagForm({tagId, deviceId, onClose, onSave}) {
   const notification = useNotification();
@@ -14,7 +99,24 @@ export default function TagForm({tagId, deviceId, onClose, onSave}) {
     deviceDataType: 'int16',
     serverDataType: 'int32',
     accessType: 'ReadOnly',
+    scalingMode: 'none',
     scaleFactor: 1.0,
+    scaleOffset: 0,
+    rawMin: null,
+    rawMax: null,
+    euMin: null,
+    euMax: null,
+    scaleClamp: false,
+    pollInterval: null,
+    byteOrder: null,
+    stringLength: null,
+    bitIndex: null,
+    units: null,
+    description: null,
+    displayDecimals: null,
+    engLow: null,
+    engHigh: null,
+    ...ARCHIVE_DEFAULTS,
     enabled: true
   })
   const [loading, setLoading] = useState(false)
@@ -34,11 +136,7 @@ export default function TagForm({tagId, deviceId, onClose, onSave}) {
   const loadTag = async () => {
     try {
       const response = await api.getTagById(tagId)
-      // Убеждаемся, что scaleFactor установлен (по умолчанию 1.0)
-      setFormData({
-        ...response.data,
-        scaleFactor: response.data.scaleFactor !== undefined ? response.data.scaleFactor : 1.0
-      })
+      setFormData(response.data)
     } catch (error) {
       console.error('Error loading tag:', error)
       notification.error('Ошибка загрузки тега', error.message || "")
@@ -52,10 +150,23 @@ export default function TagForm({tagId, deviceId, onClose, onSave}) {
 
       const requestFormData = {
         ...formData,
-        // Убеждаемся, что scaleFactor передается как число
-        scaleFactor: typeof formData.scaleFactor === 'string' 
-          ? parseFloat(formData.scaleFactor) 
-          : (formData.scaleFactor || 1.0)
+        // Пустое смещение - без смещения
+        scaleOffset: formData.scaleOffset ?? 0,
+        // Ограничение действует только при масштабировании по диапазонам
+        scaleClamp: formData.scalingMode === 'range' && !!formData.scaleClamp,
+        // Очищенный порядок байт - использовать порядок устройства
+        byteOrder: formData.byteOrder || null,
+        // Длина нужна только строковому тегу
+        stringLength: formData.deviceDataType === 'string' ? formData.stringLength : null,
+        // Пустой номер бита - тег занимает регистр целиком
+        bitIndex: formData.bitIndex ?? null,
+        units: formData.units?.trim() || null,
+        description: formData.description?.trim() || null,
+        // Пустое число знаков - автоматически, пустой диапазон - не задан
+        displayDecimals: formData.displayDecimals ?? null,
+        engLow: formData.engLow ?? null,
+        engHigh: formData.engHigh ?? null,
+        ...getArchiveRequestData(formData, formData.deviceDataType === 'string')
       }
 
       if (tagId) {
@@ -77,12 +188,18 @@ export default function TagForm({tagId, deviceId, onClose, onSave}) {
   }
 
   const handleFormChange = (changedValues, allValues) => {
-    setFormData(prev => ({
-      ...prev,
-      ...changedValues
-    }))
+    setFormData(prev => {
+      const next = {...prev, ...changedValues}
+      return 'registerType' in changedValues || 'deviceDataType' in changedValues || 'bitIndex' in changedValues
+        ? normalizeDataTypes(next)
+        : next
+    })
   }
 
+  const isBitRegister = BIT_REGISTER_TYPES.includes(formData.registerType)
+  const isBit = isBitRegister || isBitTag(formData)
+  const isString = formData.deviceDataType === 'string'
+
   return (
     <Modal
       title={tagId ? 'Редактировать тег' : 'Создать тег'}
@@ -109,6 +226,10 @@ export default function TagForm({tagId, deviceId, onClose, onSave}) {
           <Input/>
         </Form.Item>
 
+        <Form.Item label="Описание" name="description">
+          <Input.TextArea rows={2} maxLength={500}/>
+        </Form.Item>
+
         <Form.Item
           label="Адрес регистра (0-65535)"
           name="address"
@@ -133,18 +254,27 @@ export default function TagForm({tagId, deviceId, onClose, onSave}) {
           </Select>
         </Form.Item>
 
+        {!isBitRegister && (
+          <Form.Item
+            label="Бит регистра (0-15)"
+            name="bitIndex"
+            tooltip="Тег - отдельный бит регистра со значением 0 или 1. Если не задан, тег занимает регистр целиком"
+            rules={[{type: 'number', min: 0, max: 15, message: 'Номер бита должен быть от 0 до 15'}]}
+          >
+            <InputNumber min={0} max={15} placeholder="Весь регистр" style={{width: '100%'}}/>
+          </Form.Item>
+        )}
+
         <Form.Item
           label="Тип данных в устройстве"
           name="deviceDataType"
           rules={[{required: true, message: 'Выберите тип данных в устройстве'}]}
         >
-          <Select>
-            <Select.Option value="int16">int16</Select.Option>
-            <Select.Option value="int32">int32</Select.Option>
-            <Select.Option value="uint16">uint16</Select.Option>
-            <Select.Option value="uint32">uint32</Select.Option>
-            <Select.Option value="float">float</Select.Option>
-          </Select>
+          <Select
+            options={isBit
+              ? DEVICE_DATA_TYPE_OPTIONS.filter(option => BIT_DEVICE_DATA_TYPES.includes(option.value))
+              : DEVICE_DATA_TYPE_OPTIONS}
+          />
         </Form.Item>
 
         <Form.Item
@@ -152,29 +282,200 @@ export default function TagForm({tagId, deviceId, onClose, onSave}) {
           name="serverDataType"
           rules={[{required: true, message: 'Выберите тип данных в сервере'}]}
         >
-          <Select>
-            <Select.Option value="int32">int32</Select.Option>
-            <Select.Option value="int16">int16</Select.Option>
-            <Select.Option value="uint32">uint32</Select.Option>
-            <Select.Option value="uint16">uint16</Select.Option>
-            <Select.Option value="float">float</Select.Option>
-          </Select>
+          <Select
+            disabled={isString}
+            options={isString
+              ? SERVER_DATA_TYPE_OPTIONS
+              : SERVER_DATA_TYPE_OPTIONS.filter(option => option.value !== 'string')}
+          />
         </Form.Item>
 
+        {isString && (
+          <Form.Item
+            label="Длина строки (регистров)"
+            name="stringLength"
+            tooltip="В каждом регистре 2 символа ASCII, первый символ - в старшем байте"
+            rules={[
+              {required: true, message: 'Введите длину строки'},
+              {type: 'number', min: 1, max: 125, message: 'Длина строки должна быть от 1 до 125 регистров'}
+            ]}
+          >
+            <InputNumber min={1} max={125} style={{width: '100%'}}/>
+          </Form.Item>
+        )}
+
+        {!isString && !isBit && (
+          <Form.Item
+            label="Масштабирование"
+            name="scalingMode"
+            tooltip="Перевод значения регистра в инженерные единицы. При записи применяется обратное преобразование"
+          >
+            <Select options={SCALING_MODE_OPTIONS}/>
+          </Form.Item>
+        )}
+
+        {!isString && !isBit && formData.scalingMode === 'factor' && (
+          <Space align="start" style={{display: 'flex'}}>
+            <Form.Item
+              label="Множитель"
+              name="scaleFactor"
+              tooltip="Значение = регистр × множитель + смещение. Например, 0.1 означает деление на 10 (242 → 24.2)"
+              rules={[
+                {required: true, message: 'Введите множитель'},
+                {
+                  validator: (_, value) => value === 0
+                    ? Promise.reject(new Error('Множитель не может быть равен 0'))
+                    : Promise.resolve()
+                }
+              ]}
+            >
+              <InputNumber step={0.1} style={{width: '100%'}}/>
+            </Form.Item>
+            <Form.Item label="Смещение" name="scaleOffset">
+              <InputNumber placeholder="0" style={{width: '100%'}}/>
+            </Form.Item>
+          </Space>
+        )}
+
+        {!isString && !isBit && formData.scalingMode === 'range' && (
+          <>
+            <Space align="start" style={{display: 'flex'}}>
+              <Form.Item
+                label="Регистр: от"
+                name="rawMin"
+                rules={[{required: true, message: 'Введите минимум'}]}
+              >
+                <InputNumber placeholder="0" style={{width: '100%'}}/>
+              </Form.Item>
+              <Form.Item
+                label="до"
+                name="rawMax"
+                dependencies={['rawMin']}
+                rules={[
+                  {required: true, message: 'Введите максимум'},
+                  ({getFieldValue}) => ({
+                    validator: (_, value) => value !== null && value === getFieldValue('rawMin')
+                      ? Promise.reject(new Error('Границы не должны совпадать'))
+                      : Promise.resolve()
+                  })
+                ]}
+              >
+                <InputNumber placeholder="16000" style={{width: '100%'}}/>
+              </Form.Item>
+            </Space>
+            <Space align="start" style={{display: 'flex'}}>
+              <Form.Item
+                label="Значение: от"
+                name="euMin"
+                rules={[{required: true, message: 'Введите минимум'}]}
+              >
+                <InputNumber placeholder="0" style={{width: '100%'}}/>
+              </Form.Item>
+              <Form.Item
+                label="до"
+                name="euMax"
+                dependencies={['euMin']}
+                rules={[
+                  {required: true, message: 'Введите максимум'},
+                  ({getFieldValue}) => ({
+                    validator: (_, value) => value !== null && value === getFieldValue('euMin')
+                      ? Promise.reject(new Error('Границы не должны совпадать'))
+                      : Promise.resolve()
+                  })
+                ]}
+              >
+                <InputNumber placeholder="10" style={{width: '100%'}}/>
+              </Form.Item>
+            </Space>
+            <Form.Item
+              label="Ограничивать диапазоном"
+              name="scaleClamp"
+              valuePropName="checked"
+              tooltip="Значение не выходит за пределы инженерного диапазона ни при чтении, ни при записи"
+            >
+              <Switch checkedChildren="on" unCheckedChildren="off"/>
+            </Form.Item>
+          </>
+        )}
+
+        {!isString && (
+          <Form.Item
+            label="Единицы измерения"
+            name="units"
+            tooltip="Показываются рядом со значением в реальном времени, в таблице и на графике истории"
+          >
+            <Input maxLength={32} placeholder="Например, °C" style={{width: '100%'}}/>
+          </Form.Item>
+        )}
+
+        {!isString && !isBit && (
+          <>
+            <Form.Item
+              label="Знаков после запятой"
+              name="displayDecimals"
+              rules={[{type: 'number', min: 0, max: 10, message: 'Число знаков должно быть от 0 до 10'}]}
+            >
+              <InputNumber min={0} max={10} placeholder="Автоматически" style={{width: '100%'}}/>
+            </Form.Item>
+            <Space align="start" style={{display: 'flex'}}>
+              <Form.Item
+                label="Инженерный диапазон: от"
+                name="engLow"
+                tooltip="Шкала графика и индикатора значения. Если не задан, используется инженерный диапазон масштабирования"
+                dependencies={['engHigh']}
+                rules={[({getFieldValue}) => ({
+                  validator: (_, value) => (value ?? null) === null && (getFieldValue('engHigh') ?? null) !== null
+                    ? Promise.reject(new Error('Введите нижнюю границу'))
+                    : Promise.resolve()
+                })]}
+              >
+                <InputNumber style={{width: '100%'}}/>
+              </Form.Item>
+              <Form.Item
+                label="до"
+                name="engHigh"
+                dependencies={['engLow']}
+                rules={[({getFieldValue}) => ({
+                  validator: (_, value) => {
+                    const low = getFieldValue('engLow') ?? null
+                    if ((value ?? null) === null) {
+                      return low !== null ? Promise.reject(new Error('Введите верхнюю границу')) : Promise.resolve()
+                    }
+                    return low !== null && value <= low
+                      ? Promise.reject(new Error('Верхняя граница должна быть больше нижней'))
+                      : Promise.resolve()
+                  }
+                })]}
+              >
+                <InputNumber style={{width: '100%'}}/>
+              </Form.Item>
+            </Space>
+          </>
+        )}
+
         <Form.Item
-          label="Множитель"
-          name="scaleFactor"
-          rules={[{required: true, message: 'Выберите множитель'}]}
-          tooltip="Коэффициент масштабирования значения. Например, 0.1 означает деление на 10 (242 → 24.2)"
+          label="Период опроса (мс)"
+          name="pollInterval"
+          tooltip="Если не задан, тег опрашивается с периодом опроса устройства"
+          rules={[{type: 'number', min: 100, message: 'Период опроса должен быть не менее 100 мс'}]}
         >
-          <Select>
-            <Select.Option value={0.01}>0.01 (деление на 100)</Select.Option>
-            <Select.Option value={0.1}>0.1 (деление на 10)</Select.Option>
-            <Select.Option value={1.0}>1.0 (без масштабирования)</Select.Option>
-            <Select.Option value={10.0}>10.0 (умножение на 10)</Select.Option>
-          </Select>
+          <InputNumber min={100} step={100} placeholder="Как у устройства" style={{width: '100%'}}/>
         </Form.Item>
 
+        {isMultiRegisterTag(formData) && (
+          <Form.Item
+            label="Порядок байт"
+            name="byteOrder"
+            tooltip="Порядок байт и слов значения в регистрах устройства"
+          >
+            <Select
+              allowClear
+              placeholder="Как у устройства"
+              options={BYTE_ORDER_OPTIONS}
+            />
+          </Form.Item>
+        )}
+
         <Form.Item
           label="Тип доступа"
           name="accessType"
@@ -193,6 +494,8 @@ export default function TagForm({tagId, deviceId, onClose, onSave}) {
         >
           <Switch checkedChildren="on" unCheckedChildren="off"/>
         </Form.Item>
+
+        <ArchiveSettingsFields archiveMode={formData.archiveMode} isString={isString}/>
       </Form>
     </Modal>
   )
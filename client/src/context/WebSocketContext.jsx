@@ -4,6 +4,7 @@
  * Управляет WebSocket соединением с сервером и предоставляет:
  * - state: текущее состояние системы (узлы связи, устройства, теги)
  * - tagValues: актуальные значения тегов, обновляемые в реальном времени
+ * - busScans: прогресс и результаты поиска устройств на шинах узлов связи
  * - isConnected: статус подключения
  * - refreshState: функция для принудительного обновления состояния через REST API
  *
@@ -33,6 +34,9 @@ export function WebSocketProvider({children}) {
   // Значения тегов: { deviceId: { tagId: { value, timestamp } } }
   const [tagValues, setTagValues] = useState({})
 
+  // Поиск устройств на шинах узлов связи: { nodeId: { state, total, done, current, found, ... } }
+  const [busScans, setBusScans] = useState({})
+
   // Ссылка на WebSocket объект для доступа из обработчиков
   const wsRef = useRef(null)
 
@@ -59,9 +63,10 @@ export function WebSocketProvider({children}) {
   /**
    * Подключение к WebSocket серверу
    *
-   * Обрабатывает три типа сообщений от сервера:
+   * Обрабатывает типы сообщений от сервера:
    * - 'state': обновление состояния системы (узлы, устройства, теги)
    * - 'tagValues': обновление значений тегов в реальном времени
+   * - 'scanProgress': прогресс поиска устройств на шине узла связи
    * - 'message': уведомления от сервера (ошибки, предупреждения)
    *
    * Автоматически переподключается через 3 секунды при разрыве соединения.
@@ -103,6 +108,8 @@ export function WebSocketProvider({children}) {
               Object.assign(newValues[message.deviceId], message.data)
               return newValues
             })
+          } else if (message.type === 'scanProgress') {
+            setBusScans(prev => ({...prev, [message.data.nodeId]: message.data}))
           } else if (message.type === 'message') {
             // Показываем уведомление пользователю (success, error, warning, info)
             const {text, messageType} = message.data
@@ -141,6 +148,7 @@ export function WebSocketProvider({children}) {
     isConnected, // Статус подключения
     state, // Состояние системы
     tagValues, // Значения тегов
+    busScans, // Поиск устройств на шинах узлов связи
     /**
      * Принудительное обновление состояния через REST API
      * Используется при необходимости синхронизации с сервером
@@ -165,7 +173,7 @@ export function WebSocketProvider({children}) {
 /**
  * Хук для доступа к WebSocket контексту
  *
- * @returns {Object} { ws, isConnected, state, tagValues, refreshState }
+ * @returns {Object} { ws, isConnected, state, tagValues, busScans, refreshState }
  * @throws {Error} если используется вне WebSocketProvider
  */
 export function useWebSocket() {
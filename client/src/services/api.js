@@ -7,6 +7,7 @@
  * - Тегами (Tags)
  * - Историческими данными (History)
  * - Modbus Manager
+ * - Встроенным Modbus TCP сервером (Modbus Server)
  */
 
 import axios from "axios";
@@ -38,7 +39,7 @@ export const api = {
   /**
    * POST /api/connections
    * Создать новый узел связи
-   * @param {Object} requestData - данные узла связи (name, comPort, baudRate и т.д.)
+   * @param {Object} requestData - данные узла связи (name, type, comPort или host, baudRate и т.д.)
    */
   createNode: async (requestData) => await axios.post(`${API_BASE}/connections`, requestData),
 
@@ -57,6 +58,50 @@ export const api = {
    */
   removeNodeById: async (id) => await axios.delete(`${API_BASE}/connections/${id}`),
 
+  /**
+   * POST /api/connections/:id/registers/read
+   * Прочитать диапазон регистров или битов устройства на подключенном узле связи (обозреватель регистров)
+   * @param {string} id - ID узла связи
+   * @param {Object} requestData - параметры (unitId, registerType, address, count)
+   */
+  readRegisters: async (id, requestData) => await axios.post(`${API_BASE}/connections/${id}/registers/read`, requestData),
+
+  /**
+   * POST /api/connections/:id/registers/write
+   * Записать одно значение регистра (функция 6) или coil (функция 5)
+   * @param {string} id - ID узла связи
+   * @param {Object} requestData - параметры (unitId, registerType, address, value)
+   */
+  writeRegister: async (id, requestData) => await axios.post(`${API_BASE}/connections/${id}/registers/write`, requestData),
+
+  /**
+   * GET /api/connections/:id/scan
+   * Получить состояние последнего поиска устройств на шине узла связи
+   * @param {string} id - ID узла связи
+   */
+  getBusScan: async (id) => await axios.get(`${API_BASE}/connections/${id}/scan`),
+
+  /**
+   * POST /api/connections/:id/scan
+   * Запустить поиск устройств на шине узла связи (прогресс приходит через WebSocket)
+   * @param {string} id - ID узла связи
+   * @param {Object} requestData - параметры (fromAddress, toAddress, baudRates, parities, timeout, readIdentification)
+   */
+  startBusScan: async (id, requestData) => await axios.post(`${API_BASE}/connections/${id}/scan`, requestData),
+
+  /**
+   * DELETE /api/connections/:id/scan
+   * Отменить поиск устройств на шине узла связи
+   * @param {string} id - ID узла связи
+   */
+  cancelBusScan: async (id) => await axios.delete(`${API_BASE}/connections/${id}/scan`),
+
+  /**
+   * GET /api/serial/ports
+   * Получить список COM портов компьютера с узлами связи, которые их используют
+   */
+  getSerialPorts: async () => await axios.get(`${API_BASE}/serial/ports`),
+
   // ========== API УСТРОЙСТВ (Devices) ==========
 
   /**
@@ -97,29 +142,21 @@ export const api = {
   // ========== API ИСТОРИЧЕСКИХ ДАННЫХ (History) ==========
 
   /**
-   * GET /api/history/system
-   * Получить исторические данные для всей системы
-   * @param {Object} requestData - параметры запроса (params: {startTime, endTime, limit})
+   * GET /api/history/aggregate
+   * Получить историю тегов, агрегированную по интервалам времени (агрегация выполняется в базе данных)
+   * @param {Object} requestData - параметры запроса (params: {deviceId, nodeId или tagIds - ID через запятую
+   *   (без них - вся система), startTime, endTime, bucket - интервал в мс или points - желаемое число интервалов,
+   *   functions - min,max,avg,first,last,count,twa})
    */
-  getHistorySystem: async (requestData) => await axios.get(`${API_BASE}/history/system`, requestData),
+  getHistoryAggregate: async (requestData) => await axios.get(`${API_BASE}/history/aggregate`, requestData),
 
-  /**
-   * GET /api/history/node/:nodeId
-   * Получить исторические данные для узла связи
-   * @param {string} id - ID узла связи
-   * @param {Object} requestData - параметры запроса (params: {startTime, endTime, limit})
-   */
-  getHistoryNodeById: async (id, requestData) => await axios.get(`${API_BASE}/history/node/${id}`, requestData),
+  // ========== API ТЕГОВ (Tags) ==========
 
   /**
-   * GET /api/history/device/:deviceId
-   * Получить исторические данные для устройства
-   * @param {string} id - ID устройства
-   * @param {Object} requestData - параметры запроса (params: {startTime, endTime, limit})
+   * GET /api/tags
+   * Получить список всех тегов с устройствами и узлами связи
    */
-  getHistoryDeviceById: async (id, requestData) => await axios.get(`${API_BASE}/history/device/${id}`, requestData),
-
-  // ========== API ТЕГОВ (Tags) ==========
+  getAllTags: async () => await axios.get(`${API_BASE}/tags`),
 
   /**
    * GET /api/tags/:id
@@ -137,7 +174,8 @@ export const api = {
   /**
    * POST /api/tags
    * Создать новый тег
-   * @param {Object} requestData - данные тега (name, address, registerType и т.д.)
+   * @param {Object} requestData - данные тега (name, address, registerType и т.д.;
+   *   вычисляемого тега - kind: 'CALCULATED', name, expression)
    */
   createTag: async (requestData) => await axios.post(`${API_BASE}/tags`, requestData),
 
@@ -186,4 +224,99 @@ export const api = {
    * @param {number} interval - интервал в миллисекундах
    */
   setArchiveInterval: async (interval) => await axios.put(`${API_BASE}/settings/archive-interval`, {interval}),
+
+  /**
+   * GET /api/settings/opcua
+   * Получить настройки и состояние встроенного OPC UA сервера
+   */
+  getOpcUaSettings: async () => await axios.get(`${API_BASE}/settings/opcua`),
+
+  /**
+   * PUT /api/settings/opcua
+   * Изменить настройки OPC UA сервера (сервер будет перезапущен)
+   * @param {Object} requestData - настройки (enabled, port)
+   */
+  setOpcUaSettings: async (requestData) => await axios.put(`${API_BASE}/settings/opcua`, requestData),
+
+  /**
+   * GET /api/settings/mqtt
+   * Получить настройки и состояние публикации в MQTT (без пароля)
+   */
+  getMqttSettings: async () => await axios.get(`${API_BASE}/settings/mqtt`),
+
+  /**
+   * PUT /api/settings/mqtt
+   * Изменить настройки публикации в MQTT (переподключение к брокеру)
+   * @param {Object} requestData - настройки (enabled, brokerUrl, username, password, topicTemplate, ...)
+   */
+  setMqttSettings: async (requestData) => await axios.put(`${API_BASE}/settings/mqtt`, requestData),
+
+  /**
+   * GET /api/settings/reconnect
+   * Получить настройки автоматического переподключения узлов связи
+   */
+  getReconnectSettings: async () => await axios.get(`${API_BASE}/settings/reconnect`),
+
+  /**
+   * PUT /api/settings/reconnect
+   * Изменить настройки автоматического переподключения узлов связи
+   * @param {Object} requestData - настройки (enabled, initialDelay, maxDelay, multiplier)
+   */
+  setReconnectSettings: async (requestData) => await axios.put(`${API_BASE}/settings/reconnect`, requestData),
+
+  /**
+   * GET /api/settings/device-recovery
+   * Получить настройки проверки связи с устройствами, переставшими отвечать
+   */
+  getDeviceRecoverySettings: async () => await axios.get(`${API_BASE}/settings/device-recovery`),
+
+  /**
+   * PUT /api/settings/device-recovery
+   * Изменить настройки проверки связи с устройствами
+   * @param {Object} requestData - настройки (enabled, probeInterval)
+   */
+  setDeviceRecoverySettings: async (requestData) => await axios.put(`${API_BASE}/settings/device-recovery`, requestData),
+
+  // ========== API ВСТРОЕННОГО MODBUS TCP СЕРВЕРА (Modbus Server) ==========
+
+  /**
+   * GET /api/modbus-server/status
+   * Получить настройки и состояние встроенного Modbus TCP сервера
+   */
+  getModbusServerStatus: async () => await axios.get(`${API_BASE}/modbus-server/status`),
+
+  /**
+   * PUT /api/modbus-server/settings
+   * Изменить настройки сервера (сервер будет перезапущен)
+   * @param {Object} requestData - настройки (enabled, port, unitId)
+   */
+  setModbusServerSettings: async (requestData) => await axios.put(`${API_BASE}/modbus-server/settings`, requestData),
+
+  /**
+   * GET /api/modbus-server/mappings
+   * Получить карту регистров сервера
+   */
+  getModbusServerMappings: async () => await axios.get(`${API_BASE}/modbus-server/mappings`),
+
+  /**
+   * POST /api/modbus-server/mappings
+   * Отобразить тег на регистр сервера
+   * @param {Object} requestData - данные отображения (tagId, registerType, address, dataType, scaleFactor)
+   */
+  createModbusServerMapping: async (requestData) => await axios.post(`${API_BASE}/modbus-server/mappings`, requestData),
+
+  /**
+   * PUT /api/modbus-server/mappings/:id
+   * Изменить отображение тега на регистр сервера
+   * @param {string} id - ID отображения
+   * @param {Object} requestData - обновленные данные
+   */
+  updateModbusServerMappingById: async (id, requestData) => await axios.put(`${API_BASE}/modbus-server/mappings/${id}`, requestData),
+
+  /**
+   * DELETE /api/modbus-server/mappings/:id
+   * Удалить отображение тега
+   * @param {string} id - ID отображения
+   */
+  removeModbusServerMappingById: async (id) => await axios.delete(`${API_BASE}/modbus-server/mappings/${id}`),
 };
\ No newline at end of file
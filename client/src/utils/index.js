@@ -4,4 +4,125 @@ export function isNumeric(str) {
   if (typeof str !== 'string') return false;
 
   return /^-?\d+(\.\d+)?$/.test(str.trim());
-}
\ No newline at end of file
+}
+
+// Типы узлов связи, работающих поверх TCP соединения
+export const TCP_NODE_TYPES = ['TCP_IP', 'RTU_OVER_TCP'];
+
+/**
+ * Возвращает адрес узла связи для отображения
+ * ("COM3" для COM порта, "192.168.1.10:502" для TCP/IP и RTU поверх TCP, "Симулятор" для симулятора)
+ */
+export function getNodeEndpoint(node) {
+  if (!node) return '';
+
+  if (TCP_NODE_TYPES.includes(node.type)) {
+    return `${node.host || ''}:${node.tcpPort || 502}`;
+  }
+
+  if (node.type === 'SIMULATOR') {
+    return 'Симулятор';
+  }
+
+  return node.comPort;
+}
+
+// Порядок байт многорегистровых значений (A - старший байт значения)
+export const BYTE_ORDER_OPTIONS = [
+  {value: 'ABCD', label: 'ABCD (старшее слово первым)'},
+  {value: 'CDAB', label: 'CDAB (младшее слово первым)'},
+  {value: 'BADC', label: 'BADC (байты в словах переставлены)'},
+  {value: 'DCBA', label: 'DCBA (little-endian)'}
+];
+
+/**
+ * Форматирует значение тега для отображения с учетом типа данных и числа знаков после запятой
+ * (displayDecimals). Без заданного числа знаков целое число показывается без дробной части,
+ * дробное - с 2 знаками
+ *
+ * @param {*} value - значение тега
+ * @param {Object} tag - тег (serverDataType, displayDecimals)
+ * @returns {string}
+ */
+export function formatTagValue(value, tag = {}) {
+  if (value === null || value === undefined) {
+    return '—';
+  }
+  // Строковый тег показываем как есть, даже если строка похожа на число
+  if (tag.serverDataType === 'string' || !isNumeric(value)) {
+    return String(value);
+  }
+  if (tag.displayDecimals !== null && tag.displayDecimals !== undefined) {
+    return Number(value).toFixed(tag.displayDecimals);
+  }
+  // Для int32 всегда показываем два знака после запятой
+  if (tag.serverDataType === 'int32') {
+    return Number(value).toFixed(2);
+  }
+  return value % 1 === 0 ? value.toString() : Number(value).toFixed(2);
+}
+
+/**
+ * Форматирует значение тега с единицами измерения ("23.5 °C")
+ */
+export function formatTagValueWithUnits(value, tag = {}) {
+  const text = formatTagValue(value, tag);
+  return tag.units && text !== '—' ? `${text} ${tag.units}` : text;
+}
+
+/**
+ * Инженерный диапазон тега для шкал графиков и индикатора значения: заданный в теге (engLow..engHigh),
+ * а если не задан - инженерный диапазон масштабирования по диапазонам (euMin..euMax)
+ *
+ * @param {Object} tag - тег
+ * @returns {{low: number, high: number}|null} Диапазон или null, если он не задан
+ */
+export function getTagRange(tag) {
+  if (tag.engLow !== null && tag.engLow !== undefined && tag.engHigh !== null && tag.engHigh !== undefined) {
+    return {low: tag.engLow, high: tag.engHigh};
+  }
+  if (tag.scalingMode === 'range' && Number.isFinite(tag.euMin) && Number.isFinite(tag.euMax)) {
+    return {low: Math.min(tag.euMin, tag.euMax), high: Math.max(tag.euMin, tag.euMax)};
+  }
+  return null;
+}
+
+// Режимы архивации тега
+export const ARCHIVE_MODE_OPTIONS = [
+  {value: 'periodic', label: 'Периодически'},
+  {value: 'change', label: 'При изменении'},
+  {value: 'both', label: 'Периодически и при изменении'},
+  {value: 'none', label: 'Не архивировать'}
+];
+
+// Параметры архивации нового тега
+export const ARCHIVE_DEFAULTS = {
+  archiveMode: 'periodic',
+  archiveInterval: null,
+  archiveDeadband: 0,
+  archiveDeadbandMode: 'absolute',
+  archiveMaxSilence: null
+};
+
+/**
+ * Параметры архивации тега для запроса: пустые поля - значения по умолчанию,
+ * параметры, которые не действуют в выбранном режиме, сбрасываются
+ *
+ * @param {Object} formData - значения формы тега
+ * @param {boolean} isString - строковый тег (зона нечувствительности не нужна)
+ * @returns {Object}
+ */
+export function getArchiveRequestData(formData, isString = false) {
+  const mode = formData.archiveMode || ARCHIVE_DEFAULTS.archiveMode;
+  const periodic = mode === 'periodic' || mode === 'both';
+  const onChange = mode === 'change' || mode === 'both';
+  return {
+    archiveMode: mode,
+    archiveInterval: periodic ? formData.archiveInterval ?? null : null,
+    archiveDeadband: onChange && !isString ? formData.archiveDeadband ?? 0 : 0,
+    archiveDeadbandMode: onChange && !isString
+      ? formData.archiveDeadbandMode || ARCHIVE_DEFAULTS.archiveDeadbandMode
+      : ARCHIVE_DEFAULTS.archiveDeadbandMode,
+    archiveMaxSilence: onChange ? formData.archiveMaxSilence ?? null : null
+  };
+}
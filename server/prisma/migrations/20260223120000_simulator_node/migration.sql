@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "ConnectionNode" ADD COLUMN "simulatorConfig" TEXT;
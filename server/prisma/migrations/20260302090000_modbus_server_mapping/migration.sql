@@ -0,0 +1,15 @@
+-- CreateTable
+CREATE TABLE "ModbusServerMapping" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "tagId" TEXT NOT NULL,
+    "registerType" TEXT NOT NULL,
+    "address" INTEGER NOT NULL,
+    "dataType" TEXT NOT NULL DEFAULT 'int16',
+    "scaleFactor" REAL NOT NULL DEFAULT 1.0,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "ModbusServerMapping_tagId_fkey" FOREIGN KEY ("tagId") REFERENCES "Tag" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ModbusServerMapping_registerType_address_key" ON "ModbusServerMapping"("registerType", "address");
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "ConnectionNode" ADD COLUMN "gatewayEnabled" BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE "ConnectionNode" ADD COLUMN "gatewayPort" INTEGER;
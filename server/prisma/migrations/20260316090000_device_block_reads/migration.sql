@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Device" ADD COLUMN "maxRegistersPerRequest" INTEGER NOT NULL DEFAULT 32;
+ALTER TABLE "Device" ADD COLUMN "maxGap" INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Device" ADD COLUMN "byteOrder" TEXT NOT NULL DEFAULT 'ABCD';
+
+-- AlterTable
+ALTER TABLE "Tag" ADD COLUMN "byteOrder" TEXT;
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "Tag" ADD COLUMN "stringLength" INTEGER;
+
+-- Раньше float на сервере читался из двух регистров независимо от типа в устройстве:
+-- сохраняем это поведение, указывая тип float в устройстве явно
+UPDATE "Tag" SET "deviceDataType" = 'float'
+WHERE "serverDataType" = 'float' AND "registerType" IN ('HOLDING_REGISTER', 'INPUT_REGISTER');
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Device" ADD COLUMN "supportsMaskWrite" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "Tag" ADD COLUMN "bitIndex" INTEGER;
@@ -0,0 +1,18 @@
+-- AlterTable
+ALTER TABLE "Tag" ADD COLUMN "scalingMode" TEXT NOT NULL DEFAULT 'none';
+ALTER TABLE "Tag" ADD COLUMN "scaleOffset" REAL NOT NULL DEFAULT 0;
+ALTER TABLE "Tag" ADD COLUMN "rawMin" REAL;
+ALTER TABLE "Tag" ADD COLUMN "rawMax" REAL;
+ALTER TABLE "Tag" ADD COLUMN "euMin" REAL;
+ALTER TABLE "Tag" ADD COLUMN "euMax" REAL;
+ALTER TABLE "Tag" ADD COLUMN "scaleClamp" BOOLEAN NOT NULL DEFAULT false;
+
+-- Множитель, отличный от 1, переходит в режим factor (значение = сырое * scaleFactor + 0).
+-- Дискретные и строковые теги раньше не масштабировались - их множитель сбрасывается
+UPDATE "Tag" SET "scalingMode" = 'factor'
+WHERE "scaleFactor" <> 1
+  AND "registerType" IN ('HOLDING_REGISTER', 'INPUT_REGISTER')
+  AND "bitIndex" IS NULL
+  AND "deviceDataType" <> 'string';
+
+UPDATE "Tag" SET "scaleFactor" = 1 WHERE "scalingMode" = 'none';
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "Tag" ADD COLUMN "units" TEXT;
+ALTER TABLE "Tag" ADD COLUMN "description" TEXT;
+ALTER TABLE "Tag" ADD COLUMN "displayDecimals" INTEGER;
+ALTER TABLE "Tag" ADD COLUMN "engLow" REAL;
+ALTER TABLE "Tag" ADD COLUMN "engHigh" REAL;
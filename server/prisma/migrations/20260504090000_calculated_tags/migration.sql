@@ -0,0 +1,55 @@
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_Tag" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "deviceId" TEXT,
+    "kind" TEXT NOT NULL DEFAULT 'DEVICE',
+    "expression" TEXT,
+    "name" TEXT NOT NULL,
+    "address" INTEGER NOT NULL,
+    "registerType" TEXT NOT NULL,
+    "deviceDataType" TEXT NOT NULL,
+    "serverDataType" TEXT NOT NULL,
+    "accessType" TEXT NOT NULL,
+    "scalingMode" TEXT NOT NULL DEFAULT 'none',
+    "scaleFactor" REAL NOT NULL DEFAULT 1.0,
+    "scaleOffset" REAL NOT NULL DEFAULT 0,
+    "rawMin" REAL,
+    "rawMax" REAL,
+    "euMin" REAL,
+    "euMax" REAL,
+    "scaleClamp" BOOLEAN NOT NULL DEFAULT false,
+    "pollInterval" INTEGER,
+    "byteOrder" TEXT,
+    "stringLength" INTEGER,
+    "bitIndex" INTEGER,
+    "units" TEXT,
+    "description" TEXT,
+    "displayDecimals" INTEGER,
+    "engLow" REAL,
+    "engHigh" REAL,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "Tag_deviceId_fkey" FOREIGN KEY ("deviceId") REFERENCES "Device" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+INSERT INTO "new_Tag" ("accessType", "address", "bitIndex", "byteOrder", "createdAt", "description", "deviceDataType", "deviceId", "displayDecimals", "enabled", "engHigh", "engLow", "euMax", "euMin", "id", "name", "pollInterval", "rawMax", "rawMin", "registerType", "scaleClamp", "scaleFactor", "scaleOffset", "scalingMode", "serverDataType", "stringLength", "units", "updatedAt") SELECT "accessType", "address", "bitIndex", "byteOrder", "createdAt", "description", "deviceDataType", "deviceId", "displayDecimals", "enabled", "engHigh", "engLow", "euMax", "euMin", "id", "name", "pollInterval", "rawMax", "rawMin", "registerType", "scaleClamp", "scaleFactor", "scaleOffset", "scalingMode", "serverDataType", "stringLength", "units", "updatedAt" FROM "Tag";
+DROP TABLE "Tag";
+ALTER TABLE "new_Tag" RENAME TO "Tag";
+CREATE TABLE "new_HistoryData" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "deviceId" TEXT,
+    "tagId" TEXT NOT NULL,
+    "value" TEXT NOT NULL,
+    "timestamp" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "HistoryData_deviceId_fkey" FOREIGN KEY ("deviceId") REFERENCES "Device" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "HistoryData_tagId_fkey" FOREIGN KEY ("tagId") REFERENCES "Tag" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+INSERT INTO "new_HistoryData" ("deviceId", "id", "tagId", "timestamp", "value") SELECT "deviceId", "id", "tagId", "timestamp", "value" FROM "HistoryData";
+DROP TABLE "HistoryData";
+ALTER TABLE "new_HistoryData" RENAME TO "HistoryData";
+CREATE INDEX "HistoryData_deviceId_tagId_timestamp_idx" ON "HistoryData"("deviceId", "tagId", "timestamp");
+CREATE INDEX "HistoryData_timestamp_idx" ON "HistoryData"("timestamp");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
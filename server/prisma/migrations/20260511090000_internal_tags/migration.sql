@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Tag" ADD COLUMN "value" TEXT;
+ALTER TABLE "Tag" ADD COLUMN "valueTimestamp" DATETIME;
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "Tag" ADD COLUMN "archiveMode" TEXT NOT NULL DEFAULT 'periodic';
+ALTER TABLE "Tag" ADD COLUMN "archiveInterval" INTEGER;
+ALTER TABLE "Tag" ADD COLUMN "archiveDeadband" REAL NOT NULL DEFAULT 0;
+ALTER TABLE "Tag" ADD COLUMN "archiveDeadbandMode" TEXT NOT NULL DEFAULT 'absolute';
+ALTER TABLE "Tag" ADD COLUMN "archiveMaxSilence" INTEGER;
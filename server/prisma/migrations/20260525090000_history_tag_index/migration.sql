@@ -0,0 +1,2 @@
+-- CreateIndex
+CREATE INDEX "HistoryData_tagId_timestamp_idx" ON "HistoryData"("tagId", "timestamp");
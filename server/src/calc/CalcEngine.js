@@ -0,0 +1,267 @@
+/**
+ * CalcEngine - вычисляемые теги
+ *
+ * Вычисляемый тег (kind = 'CALCULATED') не привязан к устройству: его значение - выражение
+ * (см. expression.js) над значениями других тегов, например {Печь/T1} - {Печь/T2}.
+ *
+ * - Выражение пересчитывается, как только в кэше ModbusManager обновилось значение любого из его входов
+ *   (событие 'tagValues' после опроса, записи или вычисления другого тега), поэтому вычисляемые теги
+ *   можно использовать во входах других вычисляемых тегов
+ * - Входами могут быть и внутренние теги (см. internal/InternalTagStore.js), например уставки
+ * - Значения хранятся в tagValuesCache и отправляются клиентам под ключом CALCULATED_GROUP_ID
+ *   вместо ID устройства и архивируются по политике архивации тега (см. modbus/HistoryArchiver.js)
+ * - Качество наследуется: если у входа нет значения или ошибка чтения, значение тега - null с ошибкой
+ *
+ * Ссылки на теги разрешаются по именам при загрузке (load), поэтому после переименования тега,
+ * устройства или узла связи ссылки в выражениях нужно исправить.
+ */
+
+import {compileExpression} from './expression.js';
+
+// Ключ значений вычисляемых тегов в tagValuesCache и в сообщениях 'tagValues' (вместо ID устройства)
+export const CALCULATED_GROUP_ID = 'calculated';
+
+// Типы данных вычисляемого тега (целые типы округляют результат)
+export const CALCULATED_DATA_TYPES = ['float64', 'float', 'int16', 'uint16', 'int32', 'uint32', 'int64', 'uint64'];
+
+const INTEGER_DATA_TYPES = ['int16', 'uint16', 'int32', 'uint32', 'int64', 'uint64'];
+
+/**
+ * Пути, по которым на тег можно сослаться в выражении:
+ * {Узел/Устройство/Тег} и {Устройство/Тег} - тег устройства, {Тег} - вычисляемый или внутренний тег
+ *
+ * @param {Object} tag - тег с устройством и узлом связи (device.connectionNode)
+ * @returns {string[]}
+ */
+function getTagPaths(tag) {
+  if (!tag.device) {
+    return [tag.name];
+  }
+  return [
+    `${tag.device.connectionNode.name}/${tag.device.name}/${tag.name}`,
+    `${tag.device.name}/${tag.name}`
+  ];
+}
+
+/**
+ * Разрешает ссылки выражения на теги
+ *
+ * @param {string[]} references - пути из фигурных скобок
+ * @param {Object[]} tags - все теги с устройствами и узлами связи
+ * @returns {{inputs: Map<string, Object>, error: string|null}} Теги по путям или текст первой ошибки
+ */
+function resolveReferences(references, tags) {
+  const inputs = new Map();
+  for (const path of references) {
+    const matches = tags.filter(tag => getTagPaths(tag).includes(path));
+    if (matches.length === 0) {
+      return {inputs, error: `Тег {${path}} не найден`};
+    }
+    if (matches.length > 1) {
+      return {inputs, error: `Ссылка {${path}} неоднозначна, укажите узел связи: {Узел/Устройство/Тег}`};
+    }
+    if (matches[0].serverDataType === 'string') {
+      return {inputs, error: `Строковый тег {${path}} нельзя использовать в выражении`};
+    }
+    inputs.set(path, matches[0]);
+  }
+  return {inputs, error: null};
+}
+
+/**
+ * Загружает все теги с устройствами и узлами связи (для разрешения ссылок)
+ */
+function loadAllTags(prisma) {
+  return prisma.tag.findMany({
+    include: {
+      device: {
+        include: {
+          connectionNode: true
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Проверяет выражение вычисляемого тега: синтаксис, ссылки на теги и отсутствие циклов
+ * (тег не должен зависеть от себя ни напрямую, ни через другие вычисляемые теги)
+ *
+ * @param {Object} prisma - Prisma клиент
+ * @param {{id?: string, name: string, expression: string}} candidate - создаваемый или изменяемый тег
+ * @returns {Promise<string|null>} Текст ошибки или null, если выражение корректно
+ */
+export async function validateExpression(prisma, candidate) {
+  let compiled;
+  try {
+    compiled = compileExpression(candidate.expression);
+  } catch (error) {
+    return error.message;
+  }
+
+  // Проверяем на конфигурации, в которой тег уже сохранен с новыми именем и выражением
+  const self = {...candidate, id: candidate.id || 'new', kind: 'CALCULATED', device: null, deviceId: null};
+  const tags = (await loadAllTags(prisma)).filter(tag => tag.id !== self.id);
+  tags.push(self);
+
+  const {inputs, error} = resolveReferences(compiled.references, tags);
+  if (error) {
+    return error;
+  }
+
+  // Обходим вычисляемые входы в глубину: цикл есть, если из входов достижим сам тег
+  const visited = new Set();
+  const stack = Array.from(inputs.values());
+  while (stack.length > 0) {
+    const tag = stack.pop();
+    if (tag.id === self.id) {
+      return 'Выражение ссылается на себя (напрямую или через другие вычисляемые теги)';
+    }
+    if (tag.kind !== 'CALCULATED' || visited.has(tag.id)) continue;
+    visited.add(tag.id);
+
+    try {
+      stack.push(...resolveReferences(compileExpression(tag.expression).references, tags).inputs.values());
+    } catch (compileError) {
+      // Ошибка в выражении другого тега не мешает сохранить этот
+    }
+  }
+  return null;
+}
+
+export class CalcEngine {
+  /**
+   * @param {Object} modbusManager - ModbusManager (кэш значений, рассылка и событие 'tagValues')
+   */
+  constructor(modbusManager) {
+    this.modbusManager = modbusManager;
+
+    // Загруженные вычисляемые теги: tagId -> { tag, evaluate, inputs: Map path -> тег, error }
+    this.tags = new Map();
+
+    // Зависимости: ID входного тега -> Set ID вычисляемых тегов
+    this.dependents = new Map();
+
+    this.onTagValues = this.onTagValues.bind(this);
+  }
+
+  /**
+   * Загружает включенные вычисляемые теги, разрешает ссылки и вычисляет значения по текущему кэшу
+   *
+   * Вызывается при запуске ModbusManager и после изменения конфигурации тегов, устройств и узлов
+   */
+  async load() {
+    const allTags = await loadAllTags(this.modbusManager.prisma);
+
+    this.stop();
+    for (const tag of allTags) {
+      if (tag.kind !== 'CALCULATED' || !tag.enabled) continue;
+
+      const entry = {tag, evaluate: null, inputs: new Map(), error: null};
+      try {
+        const compiled = compileExpression(tag.expression);
+        const resolved = resolveReferences(compiled.references, allTags);
+        entry.evaluate = compiled.evaluate;
+        entry.inputs = resolved.inputs;
+        entry.error = resolved.error;
+      } catch (error) {
+        entry.error = error.message;
+      }
+      this.tags.set(tag.id, entry);
+
+      for (const input of entry.inputs.values()) {
+        if (!this.dependents.has(input.id)) {
+          this.dependents.set(input.id, new Set());
+        }
+        this.dependents.get(input.id).add(tag.id);
+      }
+    }
+
+    this.modbusManager.on('tagValues', this.onTagValues);
+    if (this.tags.size > 0) {
+      this.modbusManager.setTagValues(CALCULATED_GROUP_ID, this.evaluateTags(Array.from(this.tags.keys())));
+    }
+  }
+
+  /**
+   * Прекращает вычисления (значения остаются в кэше до следующего вычисления)
+   */
+  stop() {
+    this.modbusManager.off('tagValues', this.onTagValues);
+    this.tags.clear();
+    this.dependents.clear();
+  }
+
+  /**
+   * Пересчитывает теги, входы которых обновились
+   *
+   * @param {string} groupId - ID устройства или CALCULATED_GROUP_ID
+   * @param {Object} tagValues - новые значения: tagId -> { value, error, timestamp }
+   */
+  onTagValues(groupId, tagValues) {
+    const affected = new Set();
+    for (const tagId of Object.keys(tagValues)) {
+      for (const dependentId of this.dependents.get(tagId) || []) {
+        affected.add(dependentId);
+      }
+    }
+    if (affected.size === 0) return;
+
+    // Результаты снова приходят в onTagValues и пересчитывают теги, зависящие от вычисленных.
+    // Циклы исключены проверкой при сохранении (validateExpression)
+    this.modbusManager.setTagValues(CALCULATED_GROUP_ID, this.evaluateTags(Array.from(affected)));
+  }
+
+  /**
+   * Вычисляет значения тегов
+   *
+   * @param {string[]} tagIds - ID вычисляемых тегов
+   * @returns {Object} tagId -> { tagId, tagName, value, error, timestamp }
+   */
+  evaluateTags(tagIds) {
+    const results = {};
+    for (const tagId of tagIds) {
+      const entry = this.tags.get(tagId);
+      if (!entry) continue;
+
+      const result = {tagId, tagName: entry.tag.name, value: null, timestamp: new Date().toISOString()};
+      try {
+        result.value = this.evaluate(entry);
+      } catch (error) {
+        result.error = error.message;
+      }
+      results[tagId] = result;
+    }
+    return results;
+  }
+
+  /**
+   * Вычисляет значение тега по текущим значениям входов из кэша
+   *
+   * @throws {Error} Если у входа нет значения или результат не является числом
+   */
+  evaluate(entry) {
+    if (entry.error) {
+      throw new Error(entry.error);
+    }
+
+    const values = new Map();
+    for (const [path, input] of entry.inputs) {
+      const cached = this.modbusManager.getCachedTagValue(input);
+      if (cached && cached.error) {
+        throw new Error(`Ошибка входа {${path}}: ${cached.error}`);
+      }
+      const value = cached ? Number(cached.value) : NaN;
+      if (!cached || cached.value === null || !Number.isFinite(value)) {
+        throw new Error(`Нет значения входа {${path}}`);
+      }
+      values.set(path, value);
+    }
+
+    const value = entry.evaluate(path => values.get(path));
+    if (!Number.isFinite(value)) {
+      throw new Error('Результат вычисления не является конечным числом');
+    }
+    return INTEGER_DATA_TYPES.includes(entry.tag.serverDataType) ? Math.round(value) : value;
+  }
+}
@@ -0,0 +1,384 @@
+/**
+ * Выражения вычисляемых тегов
+ *
+ * Выражение разбирается собственным парсером и вычисляется обходом дерева, без eval и Function,
+ * поэтому в нем доступны только перечисленные ниже операции и функции.
+ *
+ * Синтаксис:
+ * - Числа: 12, 0.5, 1e3; логические значения true и false (1 и 0); константы pi и e
+ * - Ссылки на теги в фигурных скобках: {Узел/Устройство/Тег}, {Устройство/Тег} или {Тег} (вычисляемый тег)
+ * - Арифметика: + - * / % ^ (возведение в степень)
+ * - Сравнение: < <= > >= == != (результат 1 или 0)
+ * - Логика: && || ! (или and, or, not), условие: условие ? значение : значение
+ * - Функции: abs, sqrt, exp, ln, log10, sin, cos, tan, asin, acos, atan, atan2, floor, ceil, trunc,
+ *   sign, round(x[, знаков]), pow, min, max, sum, avg, clamp(x, min, max), if(условие, значение, значение)
+ *
+ * Все значения - числа: логическое значение - 1 или 0, любое ненулевое число считается истиной.
+ */
+
+export const MAX_EXPRESSION_LENGTH = 1000;
+
+// Максимальная вложенность выражения (защита от переполнения стека)
+const MAX_DEPTH = 50;
+
+const CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E,
+  true: 1,
+  false: 0
+};
+
+// Функции выражений: name -> { min, max - число аргументов, fn }
+const FUNCTIONS = {
+  abs: {min: 1, max: 1, fn: Math.abs},
+  sqrt: {min: 1, max: 1, fn: Math.sqrt},
+  exp: {min: 1, max: 1, fn: Math.exp},
+  ln: {min: 1, max: 1, fn: Math.log},
+  log10: {min: 1, max: 1, fn: Math.log10},
+  sin: {min: 1, max: 1, fn: Math.sin},
+  cos: {min: 1, max: 1, fn: Math.cos},
+  tan: {min: 1, max: 1, fn: Math.tan},
+  asin: {min: 1, max: 1, fn: Math.asin},
+  acos: {min: 1, max: 1, fn: Math.acos},
+  atan: {min: 1, max: 1, fn: Math.atan},
+  atan2: {min: 2, max: 2, fn: Math.atan2},
+  floor: {min: 1, max: 1, fn: Math.floor},
+  ceil: {min: 1, max: 1, fn: Math.ceil},
+  trunc: {min: 1, max: 1, fn: Math.trunc},
+  sign: {min: 1, max: 1, fn: Math.sign},
+  round: {
+    min: 1, max: 2, fn: (value, digits = 0) => {
+      const factor = Math.pow(10, Math.trunc(digits));
+      return Math.round(value * factor) / factor;
+    }
+  },
+  pow: {min: 2, max: 2, fn: Math.pow},
+  min: {min: 1, max: Infinity, fn: Math.min},
+  max: {min: 1, max: Infinity, fn: Math.max},
+  sum: {min: 1, max: Infinity, fn: (...values) => values.reduce((total, value) => total + value, 0)},
+  avg: {min: 1, max: Infinity, fn: (...values) => values.reduce((total, value) => total + value, 0) / values.length},
+  clamp: {min: 3, max: 3, fn: (value, low, high) => Math.min(Math.max(value, low), high)},
+  if: {min: 3, max: 3, fn: (condition, then, otherwise) => condition !== 0 ? then : otherwise}
+};
+
+// Операторы из двух символов проверяются раньше односимвольных
+const OPERATORS = ['||', '&&', '==', '!=', '<=', '>=', '<', '>', '+', '-', '*', '/', '%', '^', '!', '?', ':', '(', ')', ','];
+
+// Словесные формы логических операторов
+const WORD_OPERATORS = {and: '&&', or: '||', not: '!'};
+
+/**
+ * Разбивает выражение на лексемы
+ *
+ * @param {string} text - выражение
+ * @returns {Object[]} Лексемы { type: 'number' | 'name' | 'ref' | 'op', value, position }
+ */
+function tokenize(text) {
+  const tokens = [];
+  let position = 0;
+
+  while (position < text.length) {
+    const char = text[position];
+
+    if (/\s/.test(char)) {
+      position++;
+      continue;
+    }
+
+    const number = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(text.slice(position));
+    if (number) {
+      tokens.push({type: 'number', value: parseFloat(number[0]), position});
+      position += number[0].length;
+      continue;
+    }
+
+    const name = /^[A-Za-z_][A-Za-z0-9_]*/.exec(text.slice(position));
+    if (name) {
+      const word = name[0].toLowerCase();
+      // Object.hasOwn: имена вроде constructor не должны находить свойства прототипа
+      tokens.push(Object.hasOwn(WORD_OPERATORS, word)
+        ? {type: 'op', value: WORD_OPERATORS[word], position}
+        : {type: 'name', value: word, position});
+      position += name[0].length;
+      continue;
+    }
+
+    if (char === '{') {
+      const end = text.indexOf('}', position);
+      if (end === -1) {
+        throw new Error(`Не закрыта ссылка на тег (позиция ${position + 1})`);
+      }
+      const path = text.slice(position + 1, end).trim();
+      if (!path) {
+        throw new Error(`Пустая ссылка на тег (позиция ${position + 1})`);
+      }
+      tokens.push({type: 'ref', value: path, position});
+      position = end + 1;
+      continue;
+    }
+
+    const operator = OPERATORS.find(op => text.startsWith(op, position));
+    if (!operator) {
+      throw new Error(`Недопустимый символ "${char}" (позиция ${position + 1})`);
+    }
+    tokens.push({type: 'op', value: operator, position});
+    position += operator.length;
+  }
+
+  return tokens;
+}
+
+/**
+ * Парсер выражения (рекурсивный спуск), строит дерево выражения
+ */
+class Parser {
+  constructor(text) {
+    this.text = text;
+    this.tokens = tokenize(text);
+    this.index = 0;
+    this.depth = 0;
+  }
+
+  parse() {
+    if (this.tokens.length === 0) {
+      throw new Error('Выражение пустое');
+    }
+    const node = this.parseConditional();
+    const token = this.peek();
+    if (token) {
+      throw new Error(`Лишний фрагмент "${this.text.slice(token.position)}" (позиция ${token.position + 1})`);
+    }
+    return node;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  isOperator(...operators) {
+    const token = this.peek();
+    return Boolean(token && token.type === 'op' && operators.includes(token.value));
+  }
+
+  expectOperator(operator) {
+    if (!this.isOperator(operator)) {
+      const token = this.peek();
+      throw new Error(token
+        ? `Ожидается "${operator}" (позиция ${token.position + 1})`
+        : `Ожидается "${operator}" в конце выражения`);
+    }
+    this.index++;
+  }
+
+  enter() {
+    if (++this.depth > MAX_DEPTH) {
+      throw new Error('Слишком большая вложенность выражения');
+    }
+  }
+
+  parseConditional() {
+    this.enter();
+    const test = this.parseBinary(0);
+    let node = test;
+    if (this.isOperator('?')) {
+      this.index++;
+      const then = this.parseConditional();
+      this.expectOperator(':');
+      const otherwise = this.parseConditional();
+      node = {type: 'cond', test, then, otherwise};
+    }
+    this.depth--;
+    return node;
+  }
+
+  /**
+   * Бинарные операторы по уровням приоритета (от низшего к высшему)
+   */
+  parseBinary(level) {
+    const levels = [['||'], ['&&'], ['==', '!='], ['<', '<=', '>', '>='], ['+', '-'], ['*', '/', '%']];
+    if (level === levels.length) {
+      return this.parseUnary();
+    }
+
+    let node = this.parseBinary(level + 1);
+    while (this.isOperator(...levels[level])) {
+      const op = this.peek().value;
+      this.index++;
+      node = {type: 'binary', op, left: node, right: this.parseBinary(level + 1)};
+    }
+    return node;
+  }
+
+  parseUnary() {
+    if (this.isOperator('-', '+', '!')) {
+      const op = this.peek().value;
+      this.index++;
+      this.enter();
+      const node = {type: 'unary', op, arg: this.parseUnary()};
+      this.depth--;
+      return node;
+    }
+    return this.parsePower();
+  }
+
+  parsePower() {
+    const base = this.parsePrimary();
+    if (this.isOperator('^')) {
+      this.index++;
+      // Степень правоассоциативна: 2^3^2 = 2^(3^2)
+      return {type: 'binary', op: '^', left: base, right: this.parseUnary()};
+    }
+    return base;
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+    if (!token) {
+      throw new Error('Выражение оборвано');
+    }
+
+    if (token.type === 'number') {
+      this.index++;
+      return {type: 'number', value: token.value};
+    }
+
+    if (token.type === 'ref') {
+      this.index++;
+      return {type: 'ref', path: token.value};
+    }
+
+    if (token.type === 'name') {
+      this.index++;
+      if (this.isOperator('(')) {
+        return this.parseCall(token);
+      }
+      if (Object.hasOwn(CONSTANTS, token.value)) {
+        return {type: 'number', value: CONSTANTS[token.value]};
+      }
+      throw new Error(`Неизвестное имя "${token.value}" (позиция ${token.position + 1}). ` +
+        'Ссылку на тег укажите в фигурных скобках');
+    }
+
+    if (this.isOperator('(')) {
+      this.index++;
+      const node = this.parseConditional();
+      this.expectOperator(')');
+      return node;
+    }
+
+    throw new Error(`Неожиданный символ "${token.value}" (позиция ${token.position + 1})`);
+  }
+
+  parseCall(nameToken) {
+    const func = Object.hasOwn(FUNCTIONS, nameToken.value) ? FUNCTIONS[nameToken.value] : null;
+    if (!func) {
+      throw new Error(`Неизвестная функция "${nameToken.value}" (позиция ${nameToken.position + 1})`);
+    }
+
+    this.expectOperator('(');
+    const args = [];
+    if (!this.isOperator(')')) {
+      args.push(this.parseConditional());
+      while (this.isOperator(',')) {
+        this.index++;
+        args.push(this.parseConditional());
+      }
+    }
+    this.expectOperator(')');
+
+    if (args.length < func.min || args.length > func.max) {
+      const expected = func.min === func.max
+        ? func.min
+        : func.max === Infinity ? `не менее ${func.min}` : `от ${func.min} до ${func.max}`;
+      throw new Error(`Функция ${nameToken.value} принимает ${expected} аргумент(а), передано ${args.length}`);
+    }
+    return {type: 'call', name: nameToken.value, args};
+  }
+}
+
+/**
+ * Вычисляет узел дерева выражения
+ *
+ * @param {Object} node - узел дерева
+ * @param {function(string): number} getValue - значение тега по ссылке
+ * @returns {number}
+ */
+function evaluateNode(node, getValue) {
+  switch (node.type) {
+    case 'number':
+      return node.value;
+    case 'ref':
+      return getValue(node.path);
+    case 'unary': {
+      const value = evaluateNode(node.arg, getValue);
+      if (node.op === '!') return value === 0 ? 1 : 0;
+      return node.op === '-' ? -value : value;
+    }
+    case 'cond':
+      return evaluateNode(node.test, getValue) !== 0
+        ? evaluateNode(node.then, getValue)
+        : evaluateNode(node.otherwise, getValue);
+    case 'call':
+      return FUNCTIONS[node.name].fn(...node.args.map(arg => evaluateNode(arg, getValue)));
+    case 'binary': {
+      const left = evaluateNode(node.left, getValue);
+      // Логические операторы вычисляют правую часть, только если она нужна
+      if (node.op === '&&') return left !== 0 && evaluateNode(node.right, getValue) !== 0 ? 1 : 0;
+      if (node.op === '||') return left !== 0 || evaluateNode(node.right, getValue) !== 0 ? 1 : 0;
+
+      const right = evaluateNode(node.right, getValue);
+      switch (node.op) {
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        case '/': return left / right;
+        case '%': return left % right;
+        case '^': return Math.pow(left, right);
+        case '==': return left === right ? 1 : 0;
+        case '!=': return left !== right ? 1 : 0;
+        case '<': return left < right ? 1 : 0;
+        case '<=': return left <= right ? 1 : 0;
+        case '>': return left > right ? 1 : 0;
+        case '>=': return left >= right ? 1 : 0;
+      }
+    }
+  }
+  throw new Error(`Неизвестный элемент выражения ${node.type}`);
+}
+
+/**
+ * Собирает ссылки на теги из дерева выражения
+ */
+function collectReferences(node, references) {
+  if (node.type === 'ref') {
+    references.add(node.path);
+  }
+  for (const child of [node.arg, node.left, node.right, node.test, node.then, node.otherwise, ...(node.args || [])]) {
+    if (child) collectReferences(child, references);
+  }
+  return references;
+}
+
+/**
+ * Разбирает выражение вычисляемого тега
+ *
+ * @param {string} text - выражение
+ * @returns {{references: string[], evaluate: function(function(string): number): number}}
+ *   Ссылки на теги (пути из фигурных скобок, без повторов) и функция вычисления,
+ *   которая получает значение тега по ссылке
+ * @throws {Error} Если выражение некорректно (текст ошибки для пользователя)
+ */
+export function compileExpression(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new Error('Выражение пустое');
+  }
+  if (text.length > MAX_EXPRESSION_LENGTH) {
+    throw new Error(`Выражение не должно быть длиннее ${MAX_EXPRESSION_LENGTH} символов`);
+  }
+
+  const tree = new Parser(text).parse();
+  return {
+    references: Array.from(collectReferences(tree, new Set())),
+    evaluate: (getValue) => evaluateNode(tree, getValue)
+  };
+}
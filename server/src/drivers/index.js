@@ -0,0 +1,58 @@
+/**
+ * Реестр драйверов протоколов
+ *
+ * ModbusManager не зависит от протокола: для каждого узла связи он создает драйвер
+ * по типу узла (ConnectionNode.type) и работает с ним через общий интерфейс.
+ * Новый протокол добавляется отдельным модулем и регистрацией его типов узлов здесь.
+ *
+ * Интерфейс драйвера:
+ * - constructor(node) - узел связи со всеми параметрами
+ * - getEndpoint(): string - адрес узла для логов и сообщений ("COM3", "192.168.1.10:502")
+ * - connect(devices): Promise - подключение; devices - включенные устройства узла
+ * - isOpen(): boolean - соединение открыто
+ * - readTags(device, tags): Promise<Array<{tag, value} | {tag, error, timeout, decodeError}>> - чтение тегов
+ *   устройства, ошибка одного тега не прерывает чтение остальных; timeout = true, если устройство не ответило,
+ *   decodeError = true, если ответило, но значение не удалось разобрать
+ * - writeTag(device, tag, value): Promise<number> - запись значения, возвращает значение после записи
+ * - describeConnectError(error): string, describeWriteError(error, tag): string - сообщения для пользователя
+ * - getDiagnostics(): Object - счетчики запросов и ошибок для диагностики узла
+ * - readRaw(unitId, registerType, address, count), writeRaw(unitId, registerType, address, value) -
+ *   необязательные методы обозревателя регистров: чтение и запись по произвольному адресу устройства
+ * - close(): Promise - закрытие соединения
+ * - onDisconnect: function(Error|null) - вызывается драйвером, если открытое соединение потеряно
+ *   не по вызову close() (извлечен USB преобразователь, разорвано TCP соединение). Задает ModbusManager
+ */
+
+import {ModbusDriver, MODBUS_NODE_TYPES} from './modbus/ModbusDriver.js';
+
+// Тип узла связи -> класс драйвера
+const drivers = new Map();
+
+/**
+ * Регистрирует драйвер для типов узлов связи
+ *
+ * @param {string[]} nodeTypes - типы узлов связи (ConnectionNode.type)
+ * @param {Function} DriverClass - класс драйвера
+ */
+export function registerDriver(nodeTypes, DriverClass) {
+  for (const nodeType of nodeTypes) {
+    drivers.set(nodeType, DriverClass);
+  }
+}
+
+/**
+ * Создает драйвер для узла связи
+ *
+ * @param {Object} node - узел связи
+ * @returns {Object} Драйвер
+ * @throws {Error} Если для типа узла нет драйвера
+ */
+export function createDriver(node) {
+  const DriverClass = drivers.get(node.type);
+  if (!DriverClass) {
+    throw new Error(`Неподдерживаемый тип узла связи: ${node.type}`);
+  }
+  return new DriverClass(node);
+}
+
+registerDriver(MODBUS_NODE_TYPES, ModbusDriver);
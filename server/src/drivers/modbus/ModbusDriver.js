@@ -0,0 +1,543 @@
+/**
+ * ModbusDriver - драйвер протокола Modbus на базе modbus-serial
+ *
+ * Обслуживает узлы связи типов:
+ * - COM: Modbus RTU через COM порт с буферизацией либо Modbus ASCII (framing = 'ASCII').
+ *   Клиент modbus-serial в обоих случаях выдает одинаковые ответы, поэтому опрос
+ *   и запись работают без изменений
+ * - TCP_IP: Modbus TCP с таймаутом установки соединения connectTimeout
+ * - RTU_OVER_TCP: кадры Modbus RTU (с CRC) внутри TCP сокета - для преобразователей
+ *   RS-485/Ethernet в прозрачном режиме. Шина за преобразователем опрашивается так же
+ *   последовательно, как и через локальный COM порт
+ * - SIMULATOR: виртуальная шина с устройствами из simulatorConfig, без оборудования
+ *
+ * Клиент modbus-serial доступен как driver.client для модулей, работающих с шиной Modbus
+ * напрямую (шлюз Modbus TCP). Они должны обращаться к нему только через ModbusManager.runOnBus.
+ */
+
+import ModbusRTU from 'modbus-serial';
+import {createSimulatorPort} from '../../simulator/index.js';
+import {decodeTagValue, encodeTagValue, getByteOrder, getRegisterCount, isBitTag} from './codec.js';
+import {planReads} from './readPlanner.js';
+
+// Типы узлов связи, работающих поверх TCP соединения
+const TCP_NODE_TYPES = ['TCP_IP', 'RTU_OVER_TCP'];
+
+export const MODBUS_NODE_TYPES = ['COM', 'TCP_IP', 'RTU_OVER_TCP', 'SIMULATOR'];
+
+export class ModbusDriver {
+  constructor(node) {
+    this.node = node;
+    this.client = new ModbusRTU();
+    this.closing = false; // Соединение закрывается через close()
+    this.onDisconnect = null;
+    this.lastPortError = null;
+
+    // Счетчики для диагностики узла связи
+    this.stats = {
+      requests: 0,
+      errors: 0,
+      timeouts: 0,
+      lastError: null,
+      connectedAt: null
+    };
+  }
+
+  /**
+   * Возвращает строку с адресом узла связи для логов и сообщений
+   * ("COM3" для COM порта, "192.168.1.10:502" для TCP/IP)
+   *
+   * @returns {string}
+   */
+  getEndpoint() {
+    const node = this.node;
+    if (TCP_NODE_TYPES.includes(node.type)) {
+      return `${node.host}:${node.tcpPort || 502}`;
+    }
+    if (node.type === 'SIMULATOR') {
+      return 'симулятор';
+    }
+    return node.comPort;
+  }
+
+  /**
+   * Подключает Modbus клиент к узлу связи в зависимости от типа узла
+   *
+   * @param {Object[]} devices - устройства узла (для выбора таймаута ответа)
+   */
+  async connect(devices) {
+    const node = this.node;
+    const client = this.client;
+
+    if (node.type === 'SIMULATOR') {
+      // Виртуальная шина принимает и отдает те же кадры RTU, что и COM порт
+      await client.connectRTUSocket(createSimulatorPort(node.simulatorConfig));
+    } else if (TCP_NODE_TYPES.includes(node.type)) {
+      if (!node.host) {
+        throw new Error('Не указан IP адрес узла связи');
+      }
+
+      const tcpOptions = {
+        port: node.tcpPort || 502,
+        timeout: node.connectTimeout || 3000
+      };
+
+      try {
+        if (node.type === 'RTU_OVER_TCP') {
+          // "Telnet" порт modbus-serial передает кадры RTU в сокет без заголовка MBAP
+          // и собирает ответ по ожидаемой длине кадра
+          await client.connectTelnet(node.host, tcpOptions);
+        } else {
+          await client.connectTCP(node.host, tcpOptions);
+        }
+      } catch (error) {
+        // Сокет, не успевший подключиться за connectTimeout, продолжает попытки в фоне - закрываем его
+        try {
+          client.destroy(() => {});
+        } catch (destroyError) {
+          // Игнорируем ошибки при закрытии
+        }
+        throw error;
+      }
+    } else {
+      const serialOptions = {
+        baudRate: node.baudRate,
+        dataBits: node.dataBits,
+        stopBits: node.stopBits,
+        parity: node.parity || 'none',
+      };
+
+      // modbus-serial автоматически создаст и откроет SerialPort
+      if (node.framing === 'ASCII') {
+        // Кадры Modbus ASCII (':' ... LRC CR LF) - для устройств, не поддерживающих RTU
+        await client.connectAsciiSerial(node.comPort, serialOptions);
+      } else {
+        // Подключаемся к COM порту с буферизацией
+        await client.connectRTUBuffered(node.comPort, serialOptions);
+      }
+
+      // Даем время на инициализацию COM порта и очистку буфера
+      // Это критично для стабильной работы RS-485, особенно при переключении направления
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+
+    // Устанавливаем таймаут для Modbus операций
+    // Используем минимальный таймаут среди всех устройств узла
+    // Если устройств нет, используем дефолтный таймаут 1000 мс
+    const timeouts = devices.map(d => d.responseTimeout || 1000);
+    client.setTimeout(timeouts.length > 0 ? Math.min(...timeouts) : 1000);
+
+    this.stats.connectedAt = new Date().toISOString();
+
+    // Ошибки порта (например, извлечение USB преобразователя) приходят событием 'error',
+    // после которого порт закрывается. Без обработчика 'error' процесс упал бы
+    client.on('error', (error) => {
+      this.lastPortError = error;
+      this.stats.lastError = error.message;
+    });
+    client.on('close', () => {
+      if (!this.closing && this.onDisconnect) {
+        this.onDisconnect(this.lastPortError);
+      }
+    });
+  }
+
+  isOpen() {
+    return this.client.isOpen;
+  }
+
+  async close() {
+    this.closing = true;
+    if (this.client.isOpen) {
+      await this.client.close();
+    }
+  }
+
+  /**
+   * Выполняет запрос и учитывает его в диагностике
+   */
+  async request(operation) {
+    this.stats.requests++;
+    try {
+      return await operation();
+    } catch (error) {
+      this.stats.errors++;
+      if (error.name === 'TransactionTimedOutError') {
+        this.stats.timeouts++;
+      }
+      this.stats.lastError = error.message;
+      throw error;
+    }
+  }
+
+  /**
+   * Читает count регистров или битов заданного типа, начиная с адреса address
+   */
+  readRange(registerType, address, count) {
+    switch (registerType) {
+      case 'HOLDING_REGISTER':
+        return this.request(() => this.client.readHoldingRegisters(address, count));
+      case 'INPUT_REGISTER':
+        return this.request(() => this.client.readInputRegisters(address, count));
+      case 'COIL':
+        return this.request(() => this.client.readCoils(address, count));
+      case 'DISCRETE_INPUT':
+        return this.request(() => this.client.readDiscreteInputs(address, count));
+      default:
+        return Promise.reject(new Error(`Неподдерживаемый тип регистра: ${registerType}`));
+    }
+  }
+
+  /**
+   * Читает регистры или биты, начиная с адреса тега
+   */
+  readTagData(tag) {
+    return this.readRange(tag.registerType, tag.address, getRegisterCount(tag));
+  }
+
+  /**
+   * Читает значения тегов устройства
+   *
+   * Теги объединяются в блоки (см. readPlanner.js), каждый блок читается одним запросом.
+   * Ошибка чтения одного тега не прерывает чтение остальных: если блок не прочитан из-за
+   * исключения Modbus (например, в блок попал несуществующий адрес), его теги читаются
+   * по отдельности, чтобы ошибку получили только проблемные теги
+   *
+   * @param {Object} device - устройство
+   * @param {Object[]} tags - теги устройства
+   * @returns {Promise<Array<{tag: Object, value?: number|string, error?: Error, timeout?: boolean,
+   *   decodeError?: boolean}>>} Результаты в порядке тегов (decodeError - устройство ответило,
+   *   но значение не удалось разобрать)
+   */
+  async readTags(device, tags) {
+    const results = new Map();
+    let requestCount = 0;
+
+    // Задержка между запросами для стабильности RS-485
+    // Небольшая задержка нужна для очистки буфера между запросами
+    // Это предотвращает CRC ошибки и таймауты
+    const pause = async () => {
+      if (requestCount++ > 0) {
+        await new Promise(resolve => setTimeout(resolve, 30));
+      }
+    };
+
+    // Ошибка разбора значения (например, некорректное BCD) относится только к своему тегу
+    const decode = (tag, data) => {
+      try {
+        return {tag, value: decodeTagValue(tag, data, getByteOrder(device, tag))};
+      } catch (error) {
+        console.error(`Error decoding tag ${tag.name} from device ${device.name}:`, error.message);
+        return {tag, error, decodeError: true};
+      }
+    };
+
+    const readSingleTag = async (tag) => {
+      await pause();
+      try {
+        const result = await this.readTagData(tag);
+        results.set(tag, decode(tag, result.data));
+      } catch (error) {
+        console.error(`Error reading tag ${tag.name} from device ${device.name}:`, error);
+        results.set(tag, {tag, error, timeout: error.name === 'TransactionTimedOutError'});
+      }
+    };
+
+    // Устанавливаем unit ID для устройства перед чтением
+    this.client.setID(device.address);
+
+    for (const block of planReads(tags, device)) {
+      if (block.tags.length === 1) {
+        await readSingleTag(block.tags[0]);
+        continue;
+      }
+
+      await pause();
+      try {
+        const result = await this.readRange(block.registerType, block.address, block.count);
+        for (const tag of block.tags) {
+          const offset = tag.address - block.address;
+          const data = result.data.slice(offset, offset + getRegisterCount(tag));
+          results.set(tag, decode(tag, data));
+        }
+      } catch (error) {
+        if (error.name === 'TransactionTimedOutError') {
+          // Устройство не ответило - повторять запросы по каждому тегу бессмысленно
+          console.error(`Error reading block ${block.registerType} ${block.address}-${block.address + block.count - 1} from device ${device.name}:`, error);
+          for (const tag of block.tags) {
+            results.set(tag, {tag, error, timeout: true});
+          }
+          continue;
+        }
+
+        console.warn(`Block read ${block.registerType} ${block.address}-${block.address + block.count - 1} from device ${device.name} failed (${error.message}), reading tags one by one`);
+        for (const tag of block.tags) {
+          await readSingleTag(tag);
+        }
+      }
+    }
+
+    return tags.map(tag => results.get(tag));
+  }
+
+  /**
+   * Читает значения по произвольному адресу устройства (обозреватель регистров)
+   *
+   * @param {number} unitId - адрес устройства на шине
+   * @param {string} registerType - тип регистров
+   * @param {number} address - начальный адрес
+   * @param {number} count - количество регистров или битов
+   * @returns {Promise<Array<number|boolean>>} Значения регистров (uint16) или битов
+   */
+  async readRaw(unitId, registerType, address, count) {
+    this.client.setID(unitId);
+    const result = await this.readRange(registerType, address, count);
+    // Биты приходят байтами, лишние биты последнего байта отбрасываем
+    return result.data.slice(0, count);
+  }
+
+  /**
+   * Записывает одно значение по произвольному адресу устройства (обозреватель регистров):
+   * функция 6 для holding регистра, функция 5 для coil
+   *
+   * @param {number} unitId - адрес устройства на шине
+   * @param {string} registerType - 'HOLDING_REGISTER' или 'COIL'
+   * @param {number} address - адрес
+   * @param {number|boolean} value - значение регистра (0-65535) или бита
+   */
+  async writeRaw(unitId, registerType, address, value) {
+    this.client.setID(unitId);
+    switch (registerType) {
+      case 'HOLDING_REGISTER':
+        await this.request(() => this.client.writeRegister(address, value));
+        break;
+      case 'COIL':
+        await this.request(() => this.client.writeCoil(address, !!value));
+        break;
+      default:
+        throw new Error(`${registerType} доступен только для чтения`);
+    }
+  }
+
+  /**
+   * Записывает бит holding регистра, не изменяя остальные биты
+   *
+   * Если устройство поддерживает функцию 22 (Mask Write Register), бит записывается одним запросом.
+   * Иначе (или если устройство ответило исключением 1) регистр читается, в нем меняется бит,
+   * и регистр записывается обратно. Между чтением и записью другие биты регистра может изменить
+   * только само устройство: записи в устройство выполняются по одной (deviceWriteLocks в ModbusManager)
+   *
+   * @param {Object} device - устройство (supportsMaskWrite)
+   * @param {Object} tag - тег с номером бита (bitIndex)
+   * @param {boolean} bit - значение бита
+   */
+  async writeBit(device, tag, bit) {
+    const client = this.client;
+    const mask = 1 << tag.bitIndex;
+
+    if (device.supportsMaskWrite) {
+      try {
+        console.log(`Writing bit ${tag.bitIndex} of register ${tag.address} (tag ${tag.name}) with function 22: ${bit ? 1 : 0}`);
+        await this.request(() => client.maskWriteRegister(tag.address, ~mask & 0xFFFF, bit ? mask : 0));
+        return;
+      } catch (error) {
+        if (error.modbusCode !== 1) {
+          throw error;
+        }
+        console.log(`Function 22 not supported by device ${device.name}, using read-modify-write for tag ${tag.name}`);
+      }
+    }
+
+    const {data} = await this.request(() => client.readHoldingRegisters(tag.address, 1));
+    const register = bit ? data[0] | mask : data[0] & ~mask;
+    console.log(`Writing bit ${tag.bitIndex} of register ${tag.address} (tag ${tag.name}): ${data[0]} -> ${register}`);
+    if (register === data[0]) {
+      return;
+    }
+    // Как и при записи целого регистра: сначала функция 16, если она не поддерживается - функция 6
+    try {
+      await this.request(() => client.writeRegisters(tag.address, [register]));
+    } catch (error) {
+      if (error.modbusCode !== 1) {
+        throw error;
+      }
+      await this.request(() => client.writeRegister(tag.address, register));
+    }
+  }
+
+  /**
+   * Записывает значение в тег и читает его обратно для подтверждения
+   *
+   * @param {Object} device - устройство
+   * @param {Object} tag - тег
+   * @param {number|string} value - сырое значение для записи (без масштабирования тега)
+   * @returns {Promise<number|string>} Сырое значение, прочитанное из устройства после записи
+   */
+  async writeTag(device, tag, value) {
+    const client = this.client;
+    const byteOrder = getByteOrder(device, tag);
+
+    // Сохраняем текущий таймаут и увеличиваем его для записи
+    // Запись может занимать больше времени, чем чтение
+    const originalTimeout = client.getTimeout ? client.getTimeout() : (device.responseTimeout || 1000);
+    const writeTimeout = Math.max(originalTimeout * 2, 3000); // Увеличиваем в 2 раза, минимум 3 секунды
+
+    try {
+      // Устанавливаем unit ID для устройства
+      client.setID(device.address);
+
+      // Устанавливаем увеличенный таймаут для записи
+      client.setTimeout(writeTimeout);
+
+      // Конвертируем значение в нужный формат
+      // Строковый тег записывается как есть, остальные - числом
+      let writeValue = value;
+      if (typeof value === 'string' && tag.deviceDataType !== 'string') {
+        writeValue = parseFloat(value);
+        if (isNaN(writeValue)) {
+          throw new Error('Некорректное значение');
+        }
+      }
+
+      // Записываем значение в зависимости от типа регистра
+      switch (tag.registerType) {
+        case 'HOLDING_REGISTER': {
+          if (isBitTag(tag)) {
+            await this.writeBit(device, tag, writeValue !== 0 && writeValue !== false);
+            break;
+          }
+
+
+          // Регистры уже в порядке байт устройства
+          const registers = encodeTagValue(tag, writeValue, byteOrder);
+          if (registers.length === 2) {
+            // Некоторые устройства не поддерживают функцию 16 (Write Multiple Registers)
+            // Поэтому записываем два регистра по отдельности
+            console.log(`Writing ${tag.deviceDataType} to tag ${tag.name} (${tag.id}): address=${tag.address}, value=${writeValue}, byteOrder=${byteOrder}, registers=${registers[0]}, ${registers[1]}`);
+            await this.request(() => client.writeRegister(tag.address, registers[0]));
+            // Небольшая задержка между записями для стабильности RS-485
+            await new Promise(resolve => setTimeout(resolve, 50));
+            await this.request(() => client.writeRegister(tag.address + 1, registers[1]));
+          } else if (registers.length > 2) {
+            // 64-битные значения и строки записываем функцией 16 одним запросом, чтобы устройство
+            // не увидело промежуточное значение. Если функция не поддерживается - по одному регистру
+            console.log(`Writing ${tag.deviceDataType} to tag ${tag.name} (${tag.id}): address=${tag.address}, value=${writeValue}, byteOrder=${byteOrder}, registers=${registers.join(', ')}`);
+            try {
+              await this.request(() => client.writeRegisters(tag.address, registers));
+            } catch (error) {
+              if (error.modbusCode !== 1) {
+                throw error;
+              }
+              console.log(`Function 16 not supported, writing tag ${tag.name} register by register`);
+              for (let index = 0; index < registers.length; index++) {
+                if (index > 0) {
+                  await new Promise(resolve => setTimeout(resolve, 50));
+                }
+                await this.request(() => client.writeRegister(tag.address + index, registers[index]));
+              }
+            }
+          } else {
+            // Некоторые устройства не поддерживают функцию 6 (Write Single Register)
+            // и требуют функцию 16 (Write Multiple Registers) даже для одного регистра
+            // Пробуем сначала функцию 16
+            try {
+              console.log(`Writing value to tag ${tag.name} (${tag.id}): address=${tag.address}, originalValue=${writeValue}, registerValue=${registers[0]} (uint16), deviceDataType=${tag.deviceDataType}, serverDataType=${tag.serverDataType}, device=${device.name} (address ${device.address}) width 16 function`);
+              await this.request(() => client.writeRegisters(tag.address, registers));
+            } catch (error) {
+              // Если функция 16 не поддерживается, пробуем функцию 6
+              if (error.modbusCode === 1) {
+                console.log(`Function 16 not supported, trying function 6 for tag ${tag.name}`);
+                await this.request(() => client.writeRegister(tag.address, registers[0]));
+              } else {
+                throw error;
+              }
+            }
+          }
+          break;
+        }
+
+        case 'COIL':
+          // Для COIL записываем boolean значение
+          await this.request(() => client.writeCoil(tag.address, writeValue !== 0 && writeValue !== false));
+          break;
+
+        case 'INPUT_REGISTER':
+          throw new Error('INPUT_REGISTER доступен только для чтения');
+
+        case 'DISCRETE_INPUT':
+          throw new Error('DISCRETE_INPUT доступен только для чтения');
+
+        default:
+          throw new Error(`Неподдерживаемый тип регистра: ${tag.registerType}`);
+      }
+
+      // Небольшая задержка после записи для стабильности
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      // Читаем значение обратно для подтверждения
+      const readResult = await this.readTagData(tag);
+      return decodeTagValue(tag, readResult.data, byteOrder);
+    } finally {
+      // Восстанавливаем оригинальный таймаут
+      try {
+        client.setTimeout(originalTimeout);
+      } catch (e) {
+        // Игнорируем ошибки при восстановлении таймаута
+      }
+    }
+  }
+
+  /**
+   * Формирует понятное сообщение об ошибке подключения к узлу связи
+   *
+   * @param {Error} error - ошибка connect()
+   * @returns {string}
+   */
+  describeConnectError(error) {
+    const node = this.node;
+    const endpoint = this.getEndpoint();
+
+    if (node.type === 'SIMULATOR') {
+      return `Ошибка конфигурации симулятора ${node.name}: ${error.message}`;
+    } else if (error.message && error.message.includes('Access denied')) {
+      return `Доступ к COM порту ${node.name}: ${endpoint} запрещен. Убедитесь, что порт не занят другим приложением.`;
+    } else if (error.message && error.message.includes('cannot open')) {
+      return `Не удалось открыть COM порт ${node.name}: ${endpoint}. Проверьте, что порт существует и доступен.`;
+    } else if (error.code === 'ECONNREFUSED') {
+      return `Сетевой узел ${node.name}: ${endpoint} отклонил подключение. Проверьте IP адрес и порт.`;
+    } else if (error.message && error.message.includes('Timed Out')) {
+      return `Сетевой узел ${node.name}: ${endpoint} не ответил за ${node.connectTimeout || 3000} мс. Проверьте сетевое подключение.`;
+    }
+    return `Проверьте подключение ${node.name}: ${endpoint}.`;
+  }
+
+  /**
+   * Формирует понятное сообщение об ошибке записи в тег
+   *
+   * @param {Error} error - ошибка writeTag()
+   * @param {Object} tag - тег
+   * @returns {string}
+   */
+  describeWriteError(error, tag) {
+    if (error.modbusCode === 1) {
+      return `Устройство не поддерживает запись в адрес ${tag.address}. Проверьте, что адрес регистра правильный и устройство поддерживает запись в этот адрес.`;
+    } else if (error.modbusCode === 2) {
+      return `Недопустимый адрес регистра ${tag.address}. Проверьте адрес регистра в настройках тега.`;
+    } else if (error.modbusCode === 3) {
+      return `Недопустимое значение для записи. Проверьте диапазон допустимых значений для этого регистра.`;
+    } else if (error.name === 'TransactionTimedOutError') {
+      return `Таймаут при записи значения. Устройство не ответило в течение установленного времени. Попробуйте переподключить устройство.`;
+    }
+    return error.message;
+  }
+
+  getDiagnostics() {
+    return {
+      protocol: this.node.type === 'TCP_IP' ? 'Modbus TCP' : `Modbus ${this.node.framing === 'ASCII' ? 'ASCII' : 'RTU'}`,
+      endpoint: this.getEndpoint(),
+      open: this.isOpen(),
+      responseTimeout: this.client.getTimeout(),
+      ...this.stats
+    };
+  }
+}
@@ -0,0 +1,377 @@
+/**
+ * Преобразование значений тегов в регистры Modbus и обратно
+ *
+ * Не зависит от транспорта: используется драйвером Modbus при опросе и записи тегов.
+ */
+
+// Порядок байт многорегистровых значений (A - старший байт значения):
+// - ABCD - старшее слово первым, старший байт слова первым (big-endian, по умолчанию)
+// - CDAB - младшее слово первым
+// - BADC - старшее слово первым, байты в словах переставлены
+// - DCBA - младшее слово первым, байты в словах переставлены (little-endian)
+export const BYTE_ORDERS = ['ABCD', 'CDAB', 'BADC', 'DCBA'];
+export const DEFAULT_BYTE_ORDER = 'ABCD';
+
+// Типы данных в устройстве -> количество регистров значения.
+// Длина строки (string) задается в теге (stringLength), в каждом регистре 2 символа ASCII
+export const DEVICE_DATA_TYPES = {
+  int16: 1,
+  uint16: 1,
+  bcd16: 1,
+  int32: 2,
+  uint32: 2,
+  float: 2,
+  bcd32: 2,
+  int64: 4,
+  uint64: 4,
+  float64: 4,
+  string: null
+};
+
+// Типы данных на сервере (определяют представление значения в интерфейсе и OPC UA)
+export const SERVER_DATA_TYPES = ['int16', 'uint16', 'int32', 'uint32', 'int64', 'uint64', 'float', 'float64', 'string'];
+
+// Максимальная длина строки в регистрах - столько регистров можно прочитать одним запросом
+export const MAX_STRING_LENGTH = 125;
+
+const BIT_REGISTER_TYPES = ['COIL', 'DISCRETE_INPUT'];
+
+// Диапазоны целых типов для ограничения значения при записи
+const INTEGER_RANGES = {
+  int16: [-32768, 32767],
+  uint16: [0, 65535],
+  int32: [-2147483648, 2147483647],
+  uint32: [0, 4294967295],
+  int64: [-(2n ** 63n), 2n ** 63n - 1n],
+  uint64: [0n, 2n ** 64n - 1n],
+  bcd16: [0, 9999],
+  bcd32: [0, 99999999]
+};
+
+// Номер бита в 16-битном регистре
+export const MAX_BIT_INDEX = 15;
+
+/**
+ * Является ли тег отдельным битом holding или input регистра
+ *
+ * @param {Object} tag - тег
+ * @returns {boolean}
+ */
+export function isBitTag(tag) {
+  return tag.bitIndex !== null && tag.bitIndex !== undefined;
+}
+
+/**
+ * Проверяет сочетание типа регистра и типов данных тега
+ *
+ * - COIL и DISCRETE_INPUT хранят один бит, поэтому в устройстве допустимы только int16 и uint16,
+ *   а на сервере - любой числовой тип
+ * - Бит регистра (bitIndex 0-15) задается только для HOLDING_REGISTER и INPUT_REGISTER
+ *   с однорегистровым целым типом в устройстве
+ * - Строка (string) должна быть строкой и в устройстве, и на сервере, с длиной stringLength регистров
+ *
+ * @param {Object} tag - тег (registerType, deviceDataType, serverDataType, stringLength, bitIndex)
+ * @returns {string|null} Текст ошибки или null, если сочетание допустимо
+ */
+export function validateDataTypes(tag) {
+  const {registerType, deviceDataType, serverDataType, stringLength, bitIndex} = tag;
+
+  if (!(deviceDataType in DEVICE_DATA_TYPES)) {
+    return `Тип данных в устройстве должен быть одним из: ${Object.keys(DEVICE_DATA_TYPES).join(', ')}`;
+  }
+  if (!SERVER_DATA_TYPES.includes(serverDataType)) {
+    return `Тип данных на сервере должен быть одним из: ${SERVER_DATA_TYPES.join(', ')}`;
+  }
+
+  if (BIT_REGISTER_TYPES.includes(registerType)) {
+    if (isBitTag(tag)) {
+      return `Номер бита задается только для holding и input регистров, ${registerType} сам хранит один бит`;
+    }
+    if (deviceDataType !== 'int16' && deviceDataType !== 'uint16') {
+      return `${registerType} хранит один бит: тип данных в устройстве может быть только int16 или uint16`;
+    }
+    if (serverDataType === 'string') {
+      return `${registerType} хранит один бит и не может быть строкой`;
+    }
+    return null;
+  }
+
+  if (isBitTag(tag)) {
+    if (!Number.isInteger(bitIndex) || bitIndex < 0 || bitIndex > MAX_BIT_INDEX) {
+      return `Номер бита должен быть от 0 до ${MAX_BIT_INDEX}`;
+    }
+    if (deviceDataType !== 'int16' && deviceDataType !== 'uint16') {
+      return 'Бит регистра: тип данных в устройстве может быть только int16 или uint16';
+    }
+    if (serverDataType === 'string') {
+      return 'Бит регистра не может быть строкой';
+    }
+    return null;
+  }
+
+  if ((deviceDataType === 'string') !== (serverDataType === 'string')) {
+    return 'Строковый тег должен иметь тип string и в устройстве, и на сервере';
+  }
+  if (deviceDataType === 'string' &&
+    (!Number.isInteger(stringLength) || stringLength < 1 || stringLength > MAX_STRING_LENGTH)) {
+    return `Длина строки должна быть от 1 до ${MAX_STRING_LENGTH} регистров`;
+  }
+  return null;
+}
+
+/**
+ * Порядок байт тега: порядок тега, если задан, иначе порядок устройства
+ *
+ * @param {Object} device - устройство
+ * @param {Object} tag - тег
+ * @returns {string}
+ */
+export function getByteOrder(device, tag) {
+  return tag.byteOrder || device.byteOrder || DEFAULT_BYTE_ORDER;
+}
+
+/**
+ * Переставляет регистры многорегистрового значения между порядком устройства и порядком ABCD
+ *
+ * Перестановка обратна сама себе, поэтому применяется одинаково при чтении и при записи.
+ * Для 64-битных значений CDAB и DCBA означают обратный порядок всех четырех слов.
+ * Однорегистровые значения не переставляются
+ *
+ * @param {number[]} registers - регистры значения (uint16)
+ * @param {string} byteOrder - порядок байт в устройстве
+ * @returns {number[]}
+ */
+export function reorderRegisters(registers, byteOrder) {
+  if (registers.length < 2) return registers;
+
+  let result = [...registers];
+  if (byteOrder === 'CDAB' || byteOrder === 'DCBA') {
+    result.reverse();
+  }
+  if (byteOrder === 'BADC' || byteOrder === 'DCBA') {
+    result = result.map(register => ((register & 0xFF) << 8) | (register >> 8));
+  }
+  return result;
+}
+
+/**
+ * Количество регистров, которое занимает значение тега
+ *
+ * @param {Object} tag - тег (registerType, deviceDataType, stringLength)
+ * @returns {number}
+ */
+export function getRegisterCount(tag) {
+  if (BIT_REGISTER_TYPES.includes(tag.registerType) || isBitTag(tag)) {
+    return 1;
+  }
+  if (tag.deviceDataType === 'string') {
+    return tag.stringLength || 1;
+  }
+  return DEVICE_DATA_TYPES[tag.deviceDataType] || 1;
+}
+
+/**
+ * Собирает регистры в буфер (старший байт регистра первым)
+ */
+function registersToBuffer(registers) {
+  const buffer = Buffer.alloc(registers.length * 2);
+  registers.forEach((register, index) => buffer.writeUInt16BE(register, index * 2));
+  return buffer;
+}
+
+/**
+ * Разбирает буфер на регистры (обратная операция для registersToBuffer)
+ */
+function bufferToRegisters(buffer) {
+  const registers = [];
+  for (let offset = 0; offset < buffer.length; offset += 2) {
+    registers.push(buffer.readUInt16BE(offset));
+  }
+  return registers;
+}
+
+/**
+ * Читает BCD число: каждая тетрада - десятичная цифра, старшая цифра первой
+ *
+ * @throws {Error} Если тетрада больше 9
+ */
+function decodeBcd(buffer) {
+  let value = 0;
+  for (const byte of buffer) {
+    const high = byte >> 4;
+    const low = byte & 0x0F;
+    if (high > 9 || low > 9) {
+      throw new Error(`Некорректное BCD значение 0x${buffer.toString('hex').toUpperCase()}`);
+    }
+    value = value * 100 + high * 10 + low;
+  }
+  return value;
+}
+
+/**
+ * Записывает неотрицательное целое число в BCD (обратная операция для decodeBcd)
+ */
+function encodeBcd(value, byteLength) {
+  const buffer = Buffer.alloc(byteLength);
+  let rest = value;
+  for (let index = byteLength - 1; index >= 0; index--) {
+    const low = rest % 10;
+    const high = Math.floor(rest / 10) % 10;
+    buffer[index] = (high << 4) | low;
+    rest = Math.floor(rest / 100);
+  }
+  return buffer;
+}
+
+/**
+ * Читает строку ASCII: два символа в регистре, первый символ - старший байт.
+ * Строка заканчивается на первом нулевом байте, пробелы в конце отбрасываются
+ */
+function decodeString(registers) {
+  const buffer = registersToBuffer(registers);
+  const end = buffer.indexOf(0);
+  return buffer.toString('latin1', 0, end === -1 ? buffer.length : end).trimEnd();
+}
+
+/**
+ * Записывает строку ASCII в заданное число регистров, дополняя нулевыми байтами
+ *
+ * @throws {Error} Если строка длиннее регистров тега или содержит не ASCII символы
+ */
+function encodeString(text, registerCount) {
+  if (!/^[\x20-\x7E]*$/.test(text)) {
+    throw new Error('Строка может содержать только печатные символы ASCII');
+  }
+  if (text.length > registerCount * 2) {
+    throw new Error(`Строка длиннее ${registerCount * 2} символов`);
+  }
+  const buffer = Buffer.alloc(registerCount * 2);
+  buffer.write(text, 'latin1');
+  return bufferToRegisters(buffer);
+}
+
+/**
+ * Читает число заданного типа из буфера в порядке ABCD
+ */
+function readNumber(buffer, deviceDataType) {
+  switch (deviceDataType) {
+    case 'int16':
+      return buffer.readInt16BE(0);
+    case 'uint16':
+      return buffer.readUInt16BE(0);
+    case 'int32':
+      return buffer.readInt32BE(0);
+    case 'uint32':
+      return buffer.readUInt32BE(0);
+    case 'int64':
+      // Значения больше 2^53 теряют точность при преобразовании в Number
+      return Number(buffer.readBigInt64BE(0));
+    case 'uint64':
+      return Number(buffer.readBigUInt64BE(0));
+    case 'float':
+      return buffer.readFloatBE(0);
+    case 'float64':
+      return buffer.readDoubleBE(0);
+    case 'bcd16':
+    case 'bcd32':
+      return decodeBcd(buffer);
+    default:
+      throw new Error(`Неподдерживаемый тип данных: ${deviceDataType}`);
+  }
+}
+
+/**
+ * Записывает число заданного типа в буфер в порядке ABCD.
+ * Целые значения округляются и ограничиваются диапазоном типа
+ */
+function writeNumber(value, deviceDataType) {
+  const buffer = Buffer.alloc(DEVICE_DATA_TYPES[deviceDataType] * 2);
+
+  if (deviceDataType === 'float') {
+    buffer.writeFloatBE(value, 0);
+    return buffer;
+  }
+  if (deviceDataType === 'float64') {
+    buffer.writeDoubleBE(value, 0);
+    return buffer;
+  }
+
+  const [min, max] = INTEGER_RANGES[deviceDataType];
+  if (deviceDataType === 'int64' || deviceDataType === 'uint64') {
+    let bigValue = BigInt(Math.round(value));
+    if (bigValue < min) bigValue = min;
+    if (bigValue > max) bigValue = max;
+    if (deviceDataType === 'int64') {
+      buffer.writeBigInt64BE(bigValue, 0);
+    } else {
+      buffer.writeBigUInt64BE(bigValue, 0);
+    }
+    return buffer;
+  }
+
+  const integer = Math.min(max, Math.max(min, Math.round(value)));
+  switch (deviceDataType) {
+    case 'int16':
+      buffer.writeInt16BE(integer, 0);
+      break;
+    case 'uint16':
+      buffer.writeUInt16BE(integer, 0);
+      break;
+    case 'int32':
+      buffer.writeInt32BE(integer, 0);
+      break;
+    case 'uint32':
+      buffer.writeUInt32BE(integer, 0);
+      break;
+    case 'bcd16':
+    case 'bcd32':
+      return encodeBcd(integer, buffer.length);
+  }
+  return buffer;
+}
+
+/**
+ * Преобразует прочитанные регистры (или биты) в значение тега
+ *
+ * Возвращает сырое значение: масштабирование в инженерные единицы выполняет ModbusManager (см. scaling.js).
+ * Строки возвращаются как есть (порядок байт к строкам не применяется). Бит регистра возвращается как 0 или 1
+ *
+ * @param {Object} tag - тег
+ * @param {number[]|boolean[]} data - регистры или биты, начиная с адреса тега
+ * @param {string} byteOrder - порядок байт многорегистрового значения в устройстве (см. getByteOrder)
+ * @returns {number|string}
+ * @throws {Error} Если регистры не содержат корректного значения (например, BCD с тетрадой больше 9)
+ */
+export function decodeTagValue(tag, data, byteOrder = DEFAULT_BYTE_ORDER) {
+  if (BIT_REGISTER_TYPES.includes(tag.registerType)) {
+    return data[0] ? 1 : 0;
+  }
+
+  if (isBitTag(tag)) {
+    return (data[0] >> tag.bitIndex) & 1;
+  }
+
+  const registers = data.slice(0, getRegisterCount(tag));
+  if (tag.deviceDataType === 'string') {
+    return decodeString(registers);
+  }
+
+  return readNumber(registersToBuffer(reorderRegisters(registers, byteOrder)), tag.deviceDataType);
+}
+
+/**
+ * Преобразует значение тега в регистры для записи (обратная операция для decodeTagValue)
+ *
+ * @param {Object} tag - тег (HOLDING_REGISTER, не бит регистра - бит записывается драйвером, см. ModbusDriver.writeBit)
+ * @param {number|string} value - сырое значение (без масштабирования тега, для строкового тега - строка)
+ * @param {string} byteOrder - порядок байт многорегистрового значения в устройстве (см. getByteOrder)
+ * @returns {number[]} Регистры (uint16) в порядке устройства, начиная с адреса тега
+ * @throws {Error} Если значение нельзя записать в тег
+ */
+export function encodeTagValue(tag, value, byteOrder = DEFAULT_BYTE_ORDER) {
+  if (tag.deviceDataType === 'string') {
+    return encodeString(String(value), getRegisterCount(tag));
+  }
+
+  return reorderRegisters(bufferToRegisters(writeNumber(value, tag.deviceDataType)), byteOrder);
+}
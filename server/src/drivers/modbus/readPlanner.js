@@ -0,0 +1,72 @@
+/**
+ * Планировщик групповых запросов чтения
+ *
+ * Объединяет теги одного типа регистров с близкими адресами в блоки, чтобы прочитать
+ * каждый блок одним запросом вместо запроса на каждый тег. Параметры устройства:
+ * - maxRegistersPerRequest - максимальная длина блока в регистрах (для COIL и DISCRETE_INPUT - в битах).
+ *   Значение 1 отключает объединение: каждый тег читается отдельным запросом
+ * - maxGap - максимальное число неиспользуемых адресов между соседними тегами блока.
+ *   0 - в блок объединяются только теги, идущие подряд
+ *
+ * Теги, занимающие одни и те же регистры (например, отдельные биты одного регистра), попадают
+ * в один блок при любых параметрах, поэтому регистр читается один раз.
+ */
+
+import {getRegisterCount} from './codec.js';
+
+// Ограничения протокола Modbus на количество значений в одном запросе чтения
+export const MAX_REGISTERS_PER_REQUEST = 125;
+export const MAX_GAP = 125;
+
+export const DEFAULT_MAX_REGISTERS_PER_REQUEST = 32;
+export const DEFAULT_MAX_GAP = 0;
+
+/**
+ * Разбивает теги устройства на блоки чтения
+ *
+ * @param {Object[]} tags - теги устройства
+ * @param {{maxRegistersPerRequest?: number, maxGap?: number}} device - параметры устройства
+ * @returns {Array<{registerType: string, address: number, count: number, tags: Object[]}>}
+ *   Блоки в порядке возрастания адресов внутри каждого типа регистров
+ */
+export function planReads(tags, device) {
+  const maxCount = device.maxRegistersPerRequest || DEFAULT_MAX_REGISTERS_PER_REQUEST;
+  const maxGap = device.maxGap ?? DEFAULT_MAX_GAP;
+
+  // Группируем теги по типу регистров
+  const byRegisterType = new Map();
+  for (const tag of tags) {
+    if (!byRegisterType.has(tag.registerType)) {
+      byRegisterType.set(tag.registerType, []);
+    }
+    byRegisterType.get(tag.registerType).push(tag);
+  }
+
+  const blocks = [];
+  for (const [registerType, typeTags] of byRegisterType) {
+    const sorted = [...typeTags].sort((a, b) => a.address - b.address);
+
+    let block = null;
+    for (const tag of sorted) {
+      const tagEnd = tag.address + getRegisterCount(tag);
+
+      if (block) {
+        const blockEnd = block.address + block.count;
+        const gap = tag.address - blockEnd;
+        const newCount = Math.max(blockEnd, tagEnd) - block.address;
+
+        // Тег попадает в текущий блок, если разрыв допустим и блок не превышает лимит
+        if (gap <= maxGap && newCount <= maxCount) {
+          block.count = newCount;
+          block.tags.push(tag);
+          continue;
+        }
+      }
+
+      block = {registerType, address: tag.address, count: tagEnd - tag.address, tags: [tag]};
+      blocks.push(block);
+    }
+  }
+
+  return blocks;
+}
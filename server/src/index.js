@@ -5,6 +5,11 @@
  * - REST API для управления конфигурацией (узлы связи, устройства, теги)
  * - WebSocket для передачи данных в реальном времени
  * - Modbus Manager для работы с Modbus RTU устройствами через COM порты
+ * - Встроенный Modbus TCP сервер для передачи значений тегов внешним системам
+ * - Встроенный OPC UA сервер с деревом узлов связи, устройств и тегов
+ * - Публикацию значений тегов и статусов узлов связи в MQTT брокер
+ * - Автоматическое переподключение узлов связи при потере связи
+ * - Поиск устройств на шине RS-485 (адреса, скорость и четность)
  */
 
 import express from 'express';
@@ -13,12 +18,19 @@ import {createServer} from 'http';
 import {PrismaClient} from '@prisma/client';
 import {WebSocketServer} from 'ws';
 import {ModbusManager} from './modbus/ModbusManager.js';
+import {ModbusSlaveServer} from './modbus/ModbusSlaveServer.js';
+import {ConnectionSupervisor} from './modbus/ConnectionSupervisor.js';
+import {BusScanner} from './modbus/BusScanner.js';
+import {OpcUaServer} from './opcua/OpcUaServer.js';
+import {MqttPublisher} from './mqtt/MqttPublisher.js';
 import connectionRoutes from './routes/connections.js';
 import deviceRoutes from './routes/devices.js';
 import tagRoutes from './routes/tags.js';
 import historyRoutes from './routes/history.js';
 import modbusRoutes from './routes/modbus.js';
 import settingsRoutes from './routes/settings.js';
+import modbusServerRoutes from './routes/modbusServer.js';
+import serialRoutes from './routes/serial.js';
 import {fileURLToPath} from 'url';
 import {dirname, join} from 'path';
 import {existsSync} from 'fs';
@@ -51,13 +63,30 @@ app.use(express.json()); // Парсинг JSON в теле запросов
 // Инициализация Modbus Manager - управляет всеми Modbus соединениями
 const modbusManager = new ModbusManager(prisma, wss);
 
+// Переподключение узлов связи с экспоненциальной паузой при ошибке подключения или потере связи
+const connectionSupervisor = new ConnectionSupervisor(prisma, modbusManager);
+
+// Поиск устройств и параметров связи на шине RS-485 узлов связи типа COM
+const busScanner = new BusScanner(prisma, modbusManager);
+
+// Встроенный Modbus TCP сервер - отдает значения тегов из кэша Modbus Manager
+const modbusSlaveServer = new ModbusSlaveServer(prisma, modbusManager);
+
+// Встроенный OPC UA сервер - публикует дерево узлов связи, устройств и тегов
+const opcUaServer = new OpcUaServer(prisma, modbusManager);
+
+// Публикация значений тегов в MQTT брокер
+const mqttPublisher = new MqttPublisher(prisma, modbusManager);
+
 // Регистрация REST API маршрутов
-app.use('/api/connections', connectionRoutes(prisma, modbusManager)); // Управление узлами связи
+app.use('/api/connections', connectionRoutes(prisma, modbusManager, busScanner)); // Управление узлами связи
 app.use('/api/devices', deviceRoutes(prisma, modbusManager)); // Управление устройствами
 app.use('/api/tags', tagRoutes(prisma, modbusManager)); // Управление тегами
 app.use('/api/history', historyRoutes(prisma)); // Получение исторических данных
 app.use('/api/modbus', modbusRoutes(modbusManager)); // Управление Modbus Manager
-app.use('/api/settings', settingsRoutes(prisma, modbusManager)); // Управление настройками системы
+app.use('/api/settings', settingsRoutes(prisma, modbusManager, opcUaServer, mqttPublisher, connectionSupervisor)); // Управление настройками системы
+app.use('/api/modbus-server', modbusServerRoutes(prisma, modbusSlaveServer)); // Встроенный Modbus TCP сервер
+app.use('/api/serial', serialRoutes(prisma)); // Список COM портов компьютера
 
 // Отдача статических файлов клиента (только в production режиме)
 if (shouldServeStatic) {
@@ -114,12 +143,37 @@ const PORT = process.env.PORT || 3001;
 server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`WebSocket server ready`);
+
+  // Загружаем настройки переподключения узлов связи
+  connectionSupervisor.start().catch(error => {
+    console.error('Error starting connection supervisor:', error);
+  });
+
+  // Запускаем встроенный Modbus TCP сервер, если он включен в настройках
+  modbusSlaveServer.start().catch(error => {
+    console.error('Error starting Modbus TCP server:', error);
+  });
+
+  // Запускаем встроенный OPC UA сервер, если он включен в настройках
+  opcUaServer.start().catch(error => {
+    console.error('Error starting OPC UA server:', error);
+  });
+
+  // Подключаемся к MQTT брокеру, если публикация включена в настройках
+  mqttPublisher.start().catch(error => {
+    console.error('Error starting MQTT publisher:', error);
+  });
 });
 
 // Корректное завершение работы при получении сигналов остановки
 // Останавливаем Modbus Manager и закрываем соединения с базой данных
 process.on('SIGINT', async () => {
   console.log('Shutting down...');
+  await modbusSlaveServer.stop();
+  await opcUaServer.stop();
+  await mqttPublisher.stop();
+  await connectionSupervisor.stop();
+  await busScanner.stop();
   await modbusManager.stop();
   await prisma.$disconnect();
   process.exit(0);
@@ -127,6 +181,11 @@ process.on('SIGINT', async () => {
 
 process.on('SIGTERM', async () => {
   console.log('Shutting down...');
+  await modbusSlaveServer.stop();
+  await opcUaServer.stop();
+  await mqttPublisher.stop();
+  await connectionSupervisor.stop();
+  await busScanner.stop();
   await modbusManager.stop();
   await prisma.$disconnect();
   process.exit(0);
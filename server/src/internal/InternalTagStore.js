@@ -0,0 +1,163 @@
+/**
+ * InternalTagStore - внутренние теги
+ *
+ * Внутренний тег (kind = 'INTERNAL') не привязан к устройству: его значение вводит оператор или внешняя
+ * система через POST /api/tags/:id/write (план смены, результат анализа лаборатории, уставка).
+ *
+ * - Значение хранится в самом теге (Tag.value) и сохраняется после перезапуска сервера
+ * - Значения хранятся в tagValuesCache и отправляются клиентам под ключом INTERNAL_GROUP_ID
+ *   вместо ID устройства, архивируются по политике архивации тега и доступны вычисляемым тегам как {Тег}
+ */
+
+// Ключ значений внутренних тегов в tagValuesCache и в сообщениях 'tagValues' (вместо ID устройства)
+export const INTERNAL_GROUP_ID = 'internal';
+
+// Типы данных внутреннего тега
+export const INTERNAL_DATA_TYPES = ['float64', 'float', 'int16', 'uint16', 'int32', 'uint32', 'int64', 'uint64', 'string'];
+
+// Максимальная длина значения строкового внутреннего тега
+const MAX_STRING_LENGTH = 255;
+
+// Допустимые значения целых типов (64-битные - в пределах точных целых чисел JavaScript)
+const INTEGER_RANGES = {
+  int16: [-32768, 32767],
+  uint16: [0, 65535],
+  int32: [-2147483648, 2147483647],
+  uint32: [0, 4294967295],
+  int64: [Number.MIN_SAFE_INTEGER, Number.MAX_SAFE_INTEGER],
+  uint64: [0, Number.MAX_SAFE_INTEGER]
+};
+
+/**
+ * Приводит записываемое значение к типу данных внутреннего тега
+ *
+ * @param {Object} tag - внутренний тег
+ * @param {number|string} value - значение из запроса (число можно передать строкой)
+ * @returns {number|string}
+ * @throws {Error} Если значение не соответствует типу данных тега
+ */
+function convertValue(tag, value) {
+  if (tag.serverDataType === 'string') {
+    if (typeof value !== 'string') {
+      throw new Error('Значение строкового тега должно быть строкой');
+    }
+    if (value.length > MAX_STRING_LENGTH) {
+      throw new Error(`Строка не должна быть длиннее ${MAX_STRING_LENGTH} символов`);
+    }
+    return value;
+  }
+
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value.trim().replace(',', '.')) : value;
+  if (typeof number !== 'number' || !Number.isFinite(number)) {
+    throw new Error('Значение должно быть числом');
+  }
+
+  const range = INTEGER_RANGES[tag.serverDataType];
+  if (range) {
+    if (!Number.isInteger(number)) {
+      throw new Error('Значение должно быть целым числом');
+    }
+    if (number < range[0] || number > range[1]) {
+      throw new Error(`Значение типа ${tag.serverDataType} должно быть от ${range[0]} до ${range[1]}`);
+    }
+  }
+  return number;
+}
+
+/**
+ * Значение внутреннего тега, сохраненное в базе данных
+ *
+ * @param {Object} tag - внутренний тег
+ * @returns {number|string|null} null, если значение еще не записывалось
+ */
+function getStoredValue(tag) {
+  if (tag.value === null || tag.value === undefined) {
+    return null;
+  }
+  return tag.serverDataType === 'string' ? tag.value : Number(tag.value);
+}
+
+export class InternalTagStore {
+  /**
+   * @param {Object} modbusManager - ModbusManager (Prisma клиент, кэш значений и рассылка)
+   */
+  constructor(modbusManager) {
+    this.modbusManager = modbusManager;
+
+    // Включенные внутренние теги: tagId -> тег
+    this.tags = new Map();
+  }
+
+  /**
+   * Загружает включенные внутренние теги и помещает их сохраненные значения в кэш
+   *
+   * Вызывается при запуске ModbusManager и после изменения конфигурации внутренних тегов
+   */
+  async load() {
+    const tags = await this.modbusManager.prisma.tag.findMany({
+      where: {kind: 'INTERNAL', enabled: true}
+    });
+
+    this.tags = new Map(tags.map(tag => [tag.id, tag]));
+    if (tags.length === 0) return;
+
+    const tagValues = {};
+    for (const tag of tags) {
+      tagValues[tag.id] = {
+        tagId: tag.id,
+        tagName: tag.name,
+        value: getStoredValue(tag),
+        timestamp: tag.valueTimestamp ? tag.valueTimestamp.toISOString() : null
+      };
+    }
+    this.modbusManager.setTagValues(INTERNAL_GROUP_ID, tagValues);
+  }
+
+  /**
+   * Прекращает рассылку значений (значения сохранены в базе данных)
+   */
+  stop() {
+    this.tags.clear();
+  }
+
+  /**
+   * Записывает значение внутреннего тега: сохраняет в базе данных и обновляет кэш
+   *
+   * @param {Object} tag - внутренний тег
+   * @param {number|string} value - новое значение
+   * @returns {Promise<{success: boolean, value: number|string}>}
+   * @throws {Error} Если тег выключен или значение не соответствует типу данных тега
+   */
+  async write(tag, value) {
+    if (!tag.enabled) {
+      throw new Error('Тег не включен в работу');
+    }
+
+    const converted = convertValue(tag, value);
+    const timestamp = new Date();
+    await this.modbusManager.prisma.tag.update({
+      where: {id: tag.id},
+      data: {
+        value: String(converted),
+        valueTimestamp: timestamp
+      }
+    });
+
+    // Пока Modbus Manager остановлен, значение только сохраняется и попадет в кэш при запуске
+    if (this.tags.has(tag.id)) {
+      this.modbusManager.setTagValues(INTERNAL_GROUP_ID, {
+        [tag.id]: {
+          tagId: tag.id,
+          tagName: tag.name,
+          value: converted,
+          timestamp: timestamp.toISOString()
+        }
+      });
+    }
+
+    return {
+      success: true,
+      value: converted
+    };
+  }
+}
@@ -0,0 +1,305 @@
+/**
+ * BusScanner - поиск устройств на шине RS-485 узла связи типа COM
+ *
+ * Для ввода в эксплуатацию новой линии: перебирает адреса устройств (Unit ID) из заданного
+ * диапазона при каждом сочетании скорости и четности и с коротким таймаутом отправляет
+ * запрос чтения одного holding регистра. Устройство считается найденным, если пришел
+ * любой корректный ответ, в том числе исключение Modbus (например, нет регистра 0).
+ * У найденных устройств запрашивается идентификация (функция 43/14 Read Device Identification),
+ * если устройство ее поддерживает.
+ *
+ * Сканирование выполняется в фоне, прогресс и результаты отправляются клиентам через WebSocket
+ * сообщением 'scanProgress'. На время сканирования COM порт занят сканером: соединение узла
+ * закрывается, ModbusManager не подключает узел (reserveNode). После окончания или отмены
+ * сканирования соединение восстанавливается, если Modbus Manager запущен.
+ */
+
+import {createDriver} from '../drivers/index.js';
+
+export const DEFAULT_SCAN_OPTIONS = {
+  fromAddress: 1,
+  toAddress: 247,
+  timeout: 100,
+  readIdentification: true
+};
+
+// Стандартные скорости и варианты четности для выбора в интерфейсе
+export const SCAN_BAUD_RATES = [1200, 2400, 4800, 9600, 19200, 38400, 57600, 115200];
+export const SCAN_PARITIES = ['none', 'even', 'odd'];
+
+// Объекты базовой идентификации устройства (Read Device Identification) -> поля результата
+const IDENTIFICATION_OBJECTS = {
+  0: 'vendorName',
+  1: 'productCode',
+  2: 'revision',
+  3: 'vendorUrl',
+  4: 'productName',
+  5: 'modelName'
+};
+
+// Не чаще одного сообщения о прогрессе сканирования за этот период (мс)
+const PROGRESS_INTERVAL = 250;
+
+/**
+ * Проверяет параметры сканирования
+ *
+ * @param {Object} options - параметры сканирования
+ * @returns {string|null} Текст ошибки или null, если параметры корректны
+ */
+export function validateScanOptions(options) {
+  const {fromAddress, toAddress, baudRates, parities, timeout} = options;
+  if (!Number.isInteger(fromAddress) || !Number.isInteger(toAddress) || fromAddress < 1 || toAddress > 247 || fromAddress > toAddress) {
+    return 'Диапазон адресов должен быть в пределах от 1 до 247';
+  }
+  if (!Array.isArray(baudRates) || baudRates.length === 0 || !baudRates.every(rate => Number.isInteger(rate) && rate > 0)) {
+    return 'Укажите хотя бы одну скорость обмена';
+  }
+  if (!Array.isArray(parities) || parities.length === 0 || !parities.every(parity => SCAN_PARITIES.includes(parity))) {
+    return 'Четность должна быть none, even или odd';
+  }
+  if (typeof timeout !== 'number' || timeout < 20 || timeout > 5000) {
+    return 'Таймаут ответа должен быть от 20 до 5000 мс';
+  }
+  return null;
+}
+
+export class BusScanner {
+  constructor(prisma, modbusManager) {
+    this.prisma = prisma;
+    this.modbusManager = modbusManager;
+
+    // Сканирования узлов связи: nodeId -> задание (см. createJob)
+    this.jobs = new Map();
+  }
+
+  /**
+   * Запускает сканирование шины узла связи в фоне
+   *
+   * @param {Object} node - узел связи типа COM
+   * @param {Object} options - параметры сканирования: fromAddress, toAddress, baudRates, parities,
+   *   timeout, readIdentification
+   * @returns {Object} Состояние задания (см. getJobStatus)
+   * @throws {Error} Если шина узла уже сканируется
+   */
+  start(node, options) {
+    const existing = this.jobs.get(node.id);
+    if (existing && existing.state === 'running') {
+      throw new Error('Шина узла связи уже сканируется');
+    }
+
+    const job = {
+      nodeId: node.id,
+      nodeName: node.name,
+      options,
+      state: 'running',
+      total: (options.toAddress - options.fromAddress + 1) * options.baudRates.length * options.parities.length,
+      done: 0,
+      current: null,
+      found: [],
+      error: null,
+      cancelled: false,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      lastProgressAt: 0
+    };
+    this.jobs.set(node.id, job);
+
+    this.run(node, job).catch(error => {
+      console.error(`Error scanning bus of node ${node.name}:`, error);
+    });
+
+    return this.getJobStatus(job);
+  }
+
+  /**
+   * Отменяет сканирование. Текущий запрос завершается, после чего порт освобождается
+   *
+   * @returns {boolean} false, если шина узла не сканируется
+   */
+  cancel(nodeId) {
+    const job = this.jobs.get(nodeId);
+    if (!job || job.state !== 'running') return false;
+    job.cancelled = true;
+    return true;
+  }
+
+  /**
+   * Состояние последнего сканирования шины узла связи или null
+   */
+  getStatus(nodeId) {
+    const job = this.jobs.get(nodeId);
+    return job ? this.getJobStatus(job) : null;
+  }
+
+  isScanning(nodeId) {
+    const job = this.jobs.get(nodeId);
+    return !!job && job.state === 'running';
+  }
+
+  /**
+   * Отменяет все сканирования (при остановке сервера)
+   */
+  async stop() {
+    const running = Array.from(this.jobs.values()).filter(job => job.state === 'running');
+    for (const job of running) {
+      job.cancelled = true;
+    }
+    while (running.some(job => job.state === 'running')) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+  }
+
+  getJobStatus(job) {
+    return {
+      nodeId: job.nodeId,
+      state: job.state,
+      options: job.options,
+      total: job.total,
+      done: job.done,
+      current: job.current,
+      found: job.found,
+      error: job.error,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt
+    };
+  }
+
+  async run(node, job) {
+    const modbusManager = this.modbusManager;
+    const wasConnected = modbusManager.connections.has(node.id);
+
+    // Освобождаем COM порт: закрываем соединение узла и не даем переподключить его до конца сканирования
+    modbusManager.reserveNode(node.id);
+    try {
+      if (wasConnected) {
+        await modbusManager.stopConnection(node.id);
+        modbusManager.broadcastMessage({
+          title: `Опрос узла ${node.name} приостановлен`,
+          description: 'COM порт используется для поиска устройств на шине.'
+        }, 'info');
+      }
+
+      this.broadcastProgress(job, true);
+
+      for (const baudRate of job.options.baudRates) {
+        for (const parity of job.options.parities) {
+          if (job.cancelled) break;
+          await this.scanSerialSettings(node, job, baudRate, parity);
+        }
+      }
+
+      job.state = job.cancelled ? 'cancelled' : 'completed';
+    } catch (error) {
+      job.state = 'error';
+      job.error = error.message;
+    } finally {
+      job.current = null;
+      job.finishedAt = new Date().toISOString();
+      modbusManager.releaseNode(node.id);
+      this.broadcastProgress(job, true);
+
+      console.log(`Bus scan of node ${node.name} ${job.state}: ${job.found.length} devices found`);
+
+      if (modbusManager.isRunning) {
+        await modbusManager.reloadConnection(node.id);
+      }
+    }
+  }
+
+  /**
+   * Перебирает адреса устройств при одном сочетании скорости и четности
+   */
+  async scanSerialSettings(node, job, baudRate, parity) {
+    const {fromAddress, toAddress, timeout, readIdentification} = job.options;
+    const driver = createDriver({...node, baudRate, parity});
+
+    try {
+      await driver.connect([]);
+    } catch (error) {
+      throw new Error(driver.describeConnectError(error));
+    }
+
+    const client = driver.client;
+    client.setTimeout(timeout);
+
+    try {
+      for (let address = fromAddress; address <= toAddress; address++) {
+        if (job.cancelled) return;
+
+        job.current = {baudRate, parity, address};
+        client.setID(address);
+
+        if (await this.probe(client)) {
+          const device = {address, baudRate, parity, identification: null};
+          if (readIdentification) {
+            device.identification = await this.readIdentification(client);
+          }
+          job.found.push(device);
+          console.log(`Bus scan of node ${node.name}: device ${address} responded at ${baudRate} ${parity}`);
+        }
+
+        job.done++;
+        this.broadcastProgress(job);
+      }
+    } finally {
+      await driver.close();
+    }
+  }
+
+  /**
+   * Проверяет, отвечает ли устройство с текущим адресом клиента
+   *
+   * Исключение Modbus - тоже ответ: устройство есть, но не имеет holding регистра 0.
+   * Таймаут и ошибки CRC (ответ на другой скорости или помехи) считаются отсутствием устройства
+   */
+  async probe(client) {
+    try {
+      await client.readHoldingRegisters(0, 1);
+      return true;
+    } catch (error) {
+      return error.modbusCode !== undefined;
+    }
+  }
+
+  /**
+   * Читает базовую идентификацию устройства (функция 43/14)
+   *
+   * @returns {Promise<Object|null>} Поля идентификации или null, если устройство ее не поддерживает
+   */
+  async readIdentification(client) {
+    try {
+      const result = await client.readDeviceIdentification(1, 0);
+      const identification = {};
+      for (const [objectId, value] of Object.entries(result.data)) {
+        const field = IDENTIFICATION_OBJECTS[objectId];
+        if (field) {
+          identification[field] = value;
+        }
+      }
+      return Object.keys(identification).length > 0 ? identification : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Отправляет клиентам прогресс сканирования (не чаще PROGRESS_INTERVAL, кроме force)
+   */
+  broadcastProgress(job, force = false) {
+    const now = Date.now();
+    if (!force && now - job.lastProgressAt < PROGRESS_INTERVAL) return;
+    job.lastProgressAt = now;
+
+    const message = JSON.stringify({
+      type: 'scanProgress',
+      data: this.getJobStatus(job),
+      timestamp: new Date().toISOString()
+    });
+
+    this.modbusManager.wss.clients.forEach((client) => {
+      if (client.readyState === 1) {
+        client.send(message);
+      }
+    });
+  }
+}
@@ -0,0 +1,217 @@
+/**
+ * ConnectionSupervisor - автоматическое переподключение узлов связи
+ *
+ * Следит за событием 'nodeStatus' ModbusManager. Если узел не удалось подключить при запуске
+ * или соединение потеряно (например, USB-RS485 преобразователь извлечен из компьютера),
+ * узел переходит в статус 'error' и супервизор повторяет подключение с экспоненциально
+ * растущей паузой: initialDelay, initialDelay * multiplier, ... но не больше maxDelay.
+ * После успешного подключения опрос узла возобновляется, счетчик попыток сбрасывается.
+ *
+ * Каждая попытка и ее результат отправляются клиентам через broadcastMessage.
+ * Повторы прекращаются, если узел остановлен ('disconnected'), выключен или удален,
+ * а также при остановке Modbus Manager.
+ *
+ * Настройки хранятся в SystemSettings.
+ */
+
+export const DEFAULT_RECONNECT_SETTINGS = {
+  enabled: true,
+  initialDelay: 2000,
+  maxDelay: 60000,
+  multiplier: 2
+};
+
+// Ключи настроек в SystemSettings
+const SETTINGS_KEYS = {
+  enabled: 'reconnectEnabled',
+  initialDelay: 'reconnectInitialDelay',
+  maxDelay: 'reconnectMaxDelay',
+  multiplier: 'reconnectMultiplier'
+};
+
+export class ConnectionSupervisor {
+  constructor(prisma, modbusManager) {
+    this.prisma = prisma;
+    this.modbusManager = modbusManager;
+    this.settings = {...DEFAULT_RECONNECT_SETTINGS};
+
+    // Узлы, ожидающие переподключения: nodeId -> { attempt, timer, nextAttemptAt }
+    this.retries = new Map();
+
+    this.onNodeStatus = (nodeId, status) => this.handleNodeStatus(nodeId, status);
+  }
+
+  /**
+   * Загружает настройки из БД
+   */
+  async loadSettings() {
+    const rows = await this.prisma.systemSettings.findMany({
+      where: {key: {in: Object.values(SETTINGS_KEYS)}}
+    });
+    const values = Object.fromEntries(rows.map(row => [row.key, row.value]));
+
+    const settings = {};
+    for (const [name, key] of Object.entries(SETTINGS_KEYS)) {
+      const defaultValue = DEFAULT_RECONNECT_SETTINGS[name];
+      if (values[key] === undefined) {
+        settings[name] = defaultValue;
+      } else if (typeof defaultValue === 'boolean') {
+        settings[name] = values[key] === 'true';
+      } else {
+        settings[name] = parseFloat(values[key]);
+      }
+    }
+
+    this.settings = settings;
+    return this.settings;
+  }
+
+  /**
+   * Сохраняет настройки. Уже запланированные попытки выполняются с прежней паузой,
+   * новые паузы считаются по новым настройкам
+   *
+   * @param {Object} settings - настройки (см. DEFAULT_RECONNECT_SETTINGS)
+   */
+  async updateSettings(settings) {
+    for (const [name, key] of Object.entries(SETTINGS_KEYS)) {
+      await this.prisma.systemSettings.upsert({
+        where: {key},
+        update: {value: String(settings[name])},
+        create: {key, value: String(settings[name])}
+      });
+    }
+    await this.loadSettings();
+
+    if (!this.settings.enabled) {
+      this.cancelAll();
+    }
+  }
+
+  async start() {
+    await this.loadSettings();
+    this.modbusManager.on('nodeStatus', this.onNodeStatus);
+  }
+
+  async stop() {
+    this.modbusManager.off('nodeStatus', this.onNodeStatus);
+    this.cancelAll();
+  }
+
+  getStatus() {
+    return {
+      ...this.settings,
+      pending: Array.from(this.retries.entries()).map(([nodeId, retry]) => ({
+        nodeId,
+        attempt: retry.attempt,
+        nextAttemptAt: retry.nextAttemptAt
+      }))
+    };
+  }
+
+  handleNodeStatus(nodeId, status) {
+    if (status === 'error') {
+      this.scheduleRetry(nodeId);
+    } else if (status === 'connected') {
+      const retry = this.retries.get(nodeId);
+      if (retry && retry.attempt > 0) {
+        this.notifyNode(nodeId, (name) => ({
+          title: `Связь с узлом ${name} восстановлена`,
+          description: `Подключение выполнено с ${retry.attempt}-й попытки, опрос устройств возобновлен.`
+        }), 'success');
+      }
+      this.cancel(nodeId);
+    } else {
+      // 'disconnected' - узел остановлен пользователем или вместе с Modbus Manager
+      this.cancel(nodeId);
+    }
+  }
+
+  /**
+   * Пауза перед попыткой подключения с номером attempt (начиная с 1)
+   */
+  getDelay(attempt) {
+    const {initialDelay, maxDelay, multiplier} = this.settings;
+    return Math.min(initialDelay * Math.pow(multiplier, attempt - 1), maxDelay);
+  }
+
+  scheduleRetry(nodeId) {
+    if (!this.settings.enabled || !this.modbusManager.isRunning) return;
+
+    const retry = this.retries.get(nodeId) || {attempt: 0, timer: null, nextAttemptAt: null};
+    // Попытка уже запланирована
+    if (retry.timer) return;
+
+    retry.attempt++;
+    const delay = this.getDelay(retry.attempt);
+    retry.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+    retry.timer = setTimeout(() => this.attempt(nodeId), delay);
+    this.retries.set(nodeId, retry);
+
+    console.log(`Node ${nodeId}: reconnect attempt ${retry.attempt} in ${delay} ms`);
+    this.notifyNode(nodeId, (name) => ({
+      title: `Узел ${name} будет переподключен через ${delay < 1000 ? `${delay} мс` : `${Math.round(delay / 1000)} с`}`,
+      description: `Попытка ${retry.attempt}.`
+    }), 'info');
+  }
+
+  async attempt(nodeId) {
+    const retry = this.retries.get(nodeId);
+    if (!retry) return;
+    retry.timer = null;
+
+    try {
+      if (!this.modbusManager.isRunning) {
+        this.cancel(nodeId);
+        return;
+      }
+
+      // Узел уже подключен (например, пользователь изменил его параметры)
+      if (this.modbusManager.connections.has(nodeId)) {
+        this.cancel(nodeId);
+        return;
+      }
+
+      const node = await this.prisma.connectionNode.findUnique({where: {id: nodeId}});
+      if (!node || !node.enabled) {
+        this.cancel(nodeId);
+        return;
+      }
+
+      this.modbusManager.broadcastMessage({
+        title: `Повторное подключение к узлу ${node.name}`,
+        description: `Попытка ${retry.attempt}.`
+      }, 'info');
+
+      // При неудаче startConnection сообщает об ошибке и переводит узел в статус 'error',
+      // что планирует следующую попытку; при успехе - в 'connected'
+      await this.modbusManager.reloadConnection(nodeId);
+    } catch (error) {
+      console.error(`Error reconnecting node ${nodeId}:`, error);
+      this.scheduleRetry(nodeId);
+    }
+  }
+
+  cancel(nodeId) {
+    const retry = this.retries.get(nodeId);
+    if (!retry) return;
+    clearTimeout(retry.timer);
+    this.retries.delete(nodeId);
+  }
+
+  cancelAll() {
+    for (const nodeId of Array.from(this.retries.keys())) {
+      this.cancel(nodeId);
+    }
+  }
+
+  async notifyNode(nodeId, buildMessage, messageType) {
+    try {
+      const node = await this.prisma.connectionNode.findUnique({where: {id: nodeId}});
+      if (node) {
+        this.modbusManager.broadcastMessage(buildMessage(node.name), messageType);
+      }
+    } catch (error) {
+      console.error(`Error notifying about node ${nodeId}:`, error);
+    }
+  }
+}
@@ -0,0 +1,269 @@
+/**
+ * HistoryArchiver - архивация значений тегов по политике архивации тега
+ *
+ * Режимы архивации (archiveMode):
+ * - periodic - значение сохраняется с периодом archiveInterval (если не задан - системный интервал архивации)
+ * - change - значение сохраняется, когда изменилось больше зоны нечувствительности archiveDeadband:
+ *   в единицах тега (archiveDeadbandMode = 'absolute') или в процентах от последнего сохраненного
+ *   значения ('percent'). Нулевая зона - любое изменение. Строки сохраняются при любом изменении
+ * - both - периодически и при изменении
+ * - none - не архивировать
+ *
+ * В режимах change и both archiveMaxSilence задает максимальное время без записей: если значение
+ * не менялось дольше, текущее значение сохраняется повторно (так в архиве видно, что тег жив).
+ *
+ * Изменение проверяется в момент получения значения (событие 'tagValues' после опроса, записи или
+ * вычисления), поэтому в архив попадает время опроса, на котором значение изменилось, а не время
+ * следующего периодического снимка. Значения с ошибкой и без значения не архивируются.
+ */
+
+export const ARCHIVE_MODES = ['periodic', 'change', 'both', 'none'];
+export const ARCHIVE_DEADBAND_MODES = ['absolute', 'percent'];
+
+// Минимальный период архивации и максимальное время без записей (мс), как у системного интервала
+const MIN_ARCHIVE_INTERVAL = 1000;
+
+// Период проверки максимального времени без записей (мс)
+const MAX_SILENCE_CHECK_INTERVAL = 1000;
+
+/**
+ * Проверяет параметры архивации тега
+ *
+ * @param {Object} data - параметры архивации (archiveMode, archiveInterval, archiveDeadband,
+ *   archiveDeadbandMode, archiveMaxSilence)
+ * @returns {string|null} Текст ошибки или null, если параметры корректны
+ */
+export function validateArchivePolicy(data) {
+  const {archiveMode, archiveInterval, archiveDeadband, archiveDeadbandMode, archiveMaxSilence} = data;
+
+  if (!ARCHIVE_MODES.includes(archiveMode)) {
+    return `Режим архивации должен быть одним из: ${ARCHIVE_MODES.join(', ')}`;
+  }
+  if (archiveInterval !== null && (!Number.isInteger(archiveInterval) || archiveInterval < MIN_ARCHIVE_INTERVAL)) {
+    return `Период архивации должен быть не менее ${MIN_ARCHIVE_INTERVAL} мс`;
+  }
+  if (!Number.isFinite(archiveDeadband) || archiveDeadband < 0) {
+    return 'Зона нечувствительности архивации должна быть неотрицательным числом';
+  }
+  if (!ARCHIVE_DEADBAND_MODES.includes(archiveDeadbandMode)) {
+    return `Тип зоны нечувствительности должен быть одним из: ${ARCHIVE_DEADBAND_MODES.join(', ')}`;
+  }
+  if (archiveMaxSilence !== null &&
+    (!Number.isInteger(archiveMaxSilence) || archiveMaxSilence < MIN_ARCHIVE_INTERVAL)) {
+    return `Максимальное время без записей должно быть не менее ${MIN_ARCHIVE_INTERVAL} мс`;
+  }
+  return null;
+}
+
+/**
+ * Архивируется ли тег периодически
+ */
+function isPeriodic(tag) {
+  return tag.archiveMode === 'periodic' || tag.archiveMode === 'both';
+}
+
+/**
+ * Архивируется ли тег при изменении
+ */
+function isOnChange(tag) {
+  return tag.archiveMode === 'change' || tag.archiveMode === 'both';
+}
+
+/**
+ * Есть ли у значения из кэша значение, которое можно сохранить
+ */
+function hasValue(tagData) {
+  return !!tagData && tagData.value !== null && tagData.value !== undefined && !tagData.error;
+}
+
+/**
+ * Изменилось ли значение относительно последнего сохраненного больше зоны нечувствительности
+ *
+ * @param {Object} tag - тег с параметрами архивации
+ * @param {{value: number|string}|undefined} last - последнее сохраненное значение
+ * @param {number|string} value - новое значение
+ * @returns {boolean}
+ */
+function isChanged(tag, last, value) {
+  if (!last) {
+    return true;
+  }
+  if (typeof value !== 'number' || typeof last.value !== 'number') {
+    return value !== last.value;
+  }
+
+  const difference = Math.abs(value - last.value);
+  const deadband = tag.archiveDeadbandMode === 'percent'
+    ? Math.abs(last.value) * tag.archiveDeadband / 100
+    : tag.archiveDeadband;
+  return deadband > 0 ? difference > deadband : difference > 0;
+}
+
+export class HistoryArchiver {
+  /**
+   * @param {Object} modbusManager - ModbusManager (Prisma клиент, кэш значений, системный интервал
+   *   архивации и событие 'tagValues')
+   */
+  constructor(modbusManager) {
+    this.modbusManager = modbusManager;
+
+    // Архивируемые теги: tagId -> тег
+    this.tags = new Map();
+
+    // Последнее сохраненное значение: tagId -> { value, time (мс) }.
+    // Не сбрасывается при перезагрузке конфигурации, чтобы не дублировать записи
+    this.lastArchived = new Map();
+
+    // Таймеры периодической архивации: период (мс) -> { timer, tags }.
+    // При перезагрузке конфигурации таймер периода, который остался, не перезапускается (обновляется только
+    // список тегов), иначе частые перезагрузки (например, попытки переподключения узла) не дают ему сработать
+    this.periodicTimers = new Map();
+
+    // Таймер проверки максимального времени без записей
+    this.silenceTimer = null;
+
+    this.onTagValues = this.onTagValues.bind(this);
+  }
+
+  /**
+   * Загружает политики архивации включенных тегов и запускает таймеры
+   *
+   * Вызывается при запуске ModbusManager, после изменения конфигурации тегов и системного интервала архивации
+   */
+  async load() {
+    const tags = await this.modbusManager.prisma.tag.findMany({
+      where: {
+        enabled: true,
+        archiveMode: {not: 'none'}
+      },
+      include: {
+        device: true
+      }
+    });
+
+    this.modbusManager.off('tagValues', this.onTagValues);
+    this.tags.clear();
+    for (const tag of tags) {
+      if (tag.device && !tag.device.enabled) continue;
+      this.tags.set(tag.id, tag);
+    }
+    for (const tagId of this.lastArchived.keys()) {
+      if (!this.tags.has(tagId)) {
+        this.lastArchived.delete(tagId);
+      }
+    }
+
+    // Периодически архивируемые теги группируются по периоду: один таймер на период
+    const periodicGroups = new Map();
+    for (const tag of this.tags.values()) {
+      if (!isPeriodic(tag)) continue;
+      const interval = tag.archiveInterval || this.modbusManager.archiveInterval;
+      if (!periodicGroups.has(interval)) {
+        periodicGroups.set(interval, []);
+      }
+      periodicGroups.get(interval).push(tag);
+    }
+    for (const [interval, entry] of this.periodicTimers) {
+      if (!periodicGroups.has(interval)) {
+        clearInterval(entry.timer);
+        this.periodicTimers.delete(interval);
+      }
+    }
+    for (const [interval, groupTags] of periodicGroups) {
+      const entry = this.periodicTimers.get(interval);
+      if (entry) {
+        entry.tags = groupTags;
+      } else {
+        const created = {timer: null, tags: groupTags};
+        created.timer = setInterval(() => this.archivePeriodic(created.tags), interval);
+        this.periodicTimers.set(interval, created);
+      }
+    }
+
+    const needsSilenceCheck = Array.from(this.tags.values()).some(tag => isOnChange(tag) && tag.archiveMaxSilence);
+    if (needsSilenceCheck && !this.silenceTimer) {
+      this.silenceTimer = setInterval(() => this.archiveSilent(), MAX_SILENCE_CHECK_INTERVAL);
+    } else if (!needsSilenceCheck && this.silenceTimer) {
+      clearInterval(this.silenceTimer);
+      this.silenceTimer = null;
+    }
+
+    this.modbusManager.on('tagValues', this.onTagValues);
+  }
+
+  /**
+   * Останавливает архивацию
+   */
+  stop() {
+    this.modbusManager.off('tagValues', this.onTagValues);
+    this.periodicTimers.forEach(entry => clearInterval(entry.timer));
+    this.periodicTimers.clear();
+    clearInterval(this.silenceTimer);
+    this.silenceTimer = null;
+    this.tags.clear();
+  }
+
+  /**
+   * Сохраняет значения тегов, архивируемых при изменении, если они изменились
+   *
+   * @param {string} groupId - ID устройства, вычисляемых или внутренних тегов
+   * @param {Object} tagValues - новые значения: tagId -> { value, error, timestamp }
+   */
+  onTagValues(groupId, tagValues) {
+    for (const [tagId, tagData] of Object.entries(tagValues)) {
+      const tag = this.tags.get(tagId);
+      if (!tag || !isOnChange(tag) || !hasValue(tagData)) continue;
+
+      if (isChanged(tag, this.lastArchived.get(tagId), tagData.value)) {
+        this.archive(tag, tagData.value, tagData.timestamp ? new Date(tagData.timestamp) : new Date());
+      }
+    }
+  }
+
+  /**
+   * Сохраняет текущие значения периодически архивируемых тегов
+   *
+   * @param {Object[]} tags - теги с одинаковым периодом архивации
+   */
+  archivePeriodic(tags) {
+    const now = new Date();
+    for (const tag of tags) {
+      const tagData = this.modbusManager.getCachedTagValue(tag);
+      if (hasValue(tagData)) {
+        this.archive(tag, tagData.value, now);
+      }
+    }
+  }
+
+  /**
+   * Повторно сохраняет значения тегов, которые не архивировались дольше archiveMaxSilence
+   */
+  archiveSilent() {
+    const now = new Date();
+    for (const tag of this.tags.values()) {
+      if (!isOnChange(tag) || !tag.archiveMaxSilence) continue;
+
+      // До первого сохранения значение запишется при получении
+      const last = this.lastArchived.get(tag.id);
+      if (!last || now.getTime() - last.time < tag.archiveMaxSilence) continue;
+
+      const tagData = this.modbusManager.getCachedTagValue(tag);
+      if (hasValue(tagData)) {
+        this.archive(tag, tagData.value, now);
+      }
+    }
+  }
+
+  /**
+   * Сохраняет значение тега в историю
+   *
+   * @param {Object} tag - тег
+   * @param {number|string} value - значение
+   * @param {Date} timestamp - время значения
+   */
+  archive(tag, value, timestamp) {
+    this.lastArchived.set(tag.id, {value, time: timestamp.getTime()});
+    // saveHistoryData сам обрабатывает ошибки записи, опрос не ждет сохранения
+    this.modbusManager.saveHistoryData(tag.deviceId, tag.id, value, timestamp);
+  }
+}
@@ -0,0 +1,266 @@
+/**
+ * ModbusGateway - прозрачный шлюз Modbus TCP -> шина узла связи
+ *
+ * Для каждого узла связи с включенным шлюзом открывается TCP порт (gatewayPort).
+ * Запросы Modbus TCP (MBAP) выполняются на шине узла через его Modbus клиент:
+ * Unit ID запроса выбирает адрес устройства на шине. Так конфигураторы производителей
+ * (например, ОВЕН Конфигуратор) работают с приборами без остановки Modbus Manager.
+ *
+ * Каждый запрос выполняется через ModbusManager.runOnBus, поэтому он никогда не пересекается
+ * с опросом (pollNodeDevices) и записью тегов на той же шине RS-485.
+ *
+ * Поддерживаемые функции: 1, 2, 3, 4, 5, 6, 15, 16, 22.
+ * Широковещательные запросы (Unit ID 0) не передаются на шину.
+ */
+
+import net from 'net';
+
+// Длина заголовка MBAP: Transaction ID (2) + Protocol ID (2) + Length (2) + Unit ID (1)
+const MBAP_LENGTH = 7;
+
+// Максимальная длина PDU Modbus
+const MAX_PDU_LENGTH = 253;
+
+// Коды исключений Modbus
+const ILLEGAL_FUNCTION = 0x01;
+const ILLEGAL_DATA_VALUE = 0x03;
+const SLAVE_DEVICE_FAILURE = 0x04;
+const GATEWAY_PATH_UNAVAILABLE = 0x0A;
+const GATEWAY_TARGET_FAILED = 0x0B;
+
+/**
+ * Ошибка разбора запроса, на которую шлюз отвечает исключением Modbus
+ */
+function gatewayError(code) {
+  const error = new Error(`Modbus exception ${code}`);
+  error.modbusCode = code;
+  return error;
+}
+
+/**
+ * Выполняет PDU запроса через Modbus клиент и формирует PDU ответа
+ *
+ * @param {ModbusRTU} client - Modbus клиент узла связи
+ * @param {Buffer} pdu - код функции и данные запроса
+ * @returns {Promise<Buffer>} PDU ответа
+ */
+async function executePdu(client, pdu) {
+  const functionCode = pdu[0];
+  if (pdu.length < 5) {
+    throw gatewayError([1, 2, 3, 4, 5, 6, 15, 16, 22].includes(functionCode) ? ILLEGAL_DATA_VALUE : ILLEGAL_FUNCTION);
+  }
+
+  const address = pdu.readUInt16BE(1);
+  const quantityOrValue = pdu.readUInt16BE(3);
+
+  switch (functionCode) {
+    case 1:
+    case 2:
+    case 3:
+    case 4: {
+      const read = {
+        1: () => client.readCoils(address, quantityOrValue),
+        2: () => client.readDiscreteInputs(address, quantityOrValue),
+        3: () => client.readHoldingRegisters(address, quantityOrValue),
+        4: () => client.readInputRegisters(address, quantityOrValue)
+      }[functionCode];
+      const result = await read();
+      return Buffer.concat([Buffer.from([functionCode, result.buffer.length]), result.buffer]);
+    }
+
+    case 5:
+      if (quantityOrValue !== 0xFF00 && quantityOrValue !== 0x0000) {
+        throw gatewayError(ILLEGAL_DATA_VALUE);
+      }
+      await client.writeCoil(address, quantityOrValue === 0xFF00);
+      return pdu.subarray(0, 5);
+
+    case 6:
+      await client.writeRegister(address, quantityOrValue);
+      return pdu.subarray(0, 5);
+
+    case 15: {
+      const byteCount = pdu[5];
+      if (pdu.length < 6 + byteCount || byteCount !== Math.ceil(quantityOrValue / 8)) {
+        throw gatewayError(ILLEGAL_DATA_VALUE);
+      }
+      const states = [];
+      for (let i = 0; i < quantityOrValue; i++) {
+        states.push(((pdu[6 + (i >> 3)] >> (i & 7)) & 1) === 1);
+      }
+      await client.writeCoils(address, states);
+      return pdu.subarray(0, 5);
+    }
+
+    case 16: {
+      const byteCount = pdu[5];
+      if (pdu.length < 6 + byteCount || byteCount !== quantityOrValue * 2) {
+        throw gatewayError(ILLEGAL_DATA_VALUE);
+      }
+      const values = [];
+      for (let i = 0; i < quantityOrValue; i++) {
+        values.push(pdu.readUInt16BE(6 + i * 2));
+      }
+      await client.writeRegisters(address, values);
+      return pdu.subarray(0, 5);
+    }
+
+    case 22: {
+      if (pdu.length < 7) {
+        throw gatewayError(ILLEGAL_DATA_VALUE);
+      }
+      await client.maskWriteRegister(address, quantityOrValue, pdu.readUInt16BE(5));
+      return pdu.subarray(0, 7);
+    }
+
+    default:
+      throw gatewayError(ILLEGAL_FUNCTION);
+  }
+}
+
+export class ModbusGateway {
+  constructor(modbusManager) {
+    this.modbusManager = modbusManager;
+
+    // Активные слушатели шлюза: nodeId -> { server, sockets, port }
+    this.listeners = new Map();
+  }
+
+  /**
+   * Открывает TCP порт шлюза для узла связи
+   *
+   * @param {Object} node - узел связи (gatewayEnabled, gatewayPort)
+   * @throws {Error} Если порт не удалось открыть (например, занят)
+   */
+  async start(node) {
+    await this.stop(node.id);
+
+    const sockets = new Set();
+    const server = net.createServer(socket => this.handleSocket(node, socket, sockets));
+
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(node.gatewayPort, '0.0.0.0', () => {
+        server.off('error', reject);
+        resolve();
+      });
+    });
+
+    server.on('error', (error) => {
+      console.error(`Modbus gateway error for node ${node.name}:`, error.message);
+    });
+
+    this.listeners.set(node.id, {server, sockets, port: node.gatewayPort});
+    console.log(`Modbus gateway for node ${node.name} listening on port ${node.gatewayPort}`);
+  }
+
+  /**
+   * Закрывает TCP порт шлюза узла связи и все подключения к нему
+   *
+   * @param {string} nodeId - ID узла связи
+   */
+  async stop(nodeId) {
+    const listener = this.listeners.get(nodeId);
+    if (!listener) return;
+
+    this.listeners.delete(nodeId);
+    for (const socket of listener.sockets) {
+      socket.destroy();
+    }
+    await new Promise(resolve => listener.server.close(() => resolve()));
+    console.log(`Modbus gateway on port ${listener.port} stopped`);
+  }
+
+  async stopAll() {
+    for (const nodeId of Array.from(this.listeners.keys())) {
+      await this.stop(nodeId);
+    }
+  }
+
+  isRunning(nodeId) {
+    return this.listeners.has(nodeId);
+  }
+
+  /**
+   * Обрабатывает подключение клиента шлюза
+   *
+   * Запросы одного подключения выполняются строго по очереди, в порядке поступления
+   */
+  handleSocket(node, socket, sockets) {
+    sockets.add(socket);
+    let buffer = Buffer.alloc(0);
+    let queue = Promise.resolve();
+
+    socket.on('data', (data) => {
+      buffer = Buffer.concat([buffer, data]);
+
+      while (buffer.length >= MBAP_LENGTH) {
+        const length = buffer.readUInt16BE(4);
+
+        // Некорректный заголовок MBAP - закрываем подключение, как делают Modbus TCP устройства
+        if (buffer.readUInt16BE(2) !== 0 || length < 2 || length > MAX_PDU_LENGTH + 1) {
+          socket.destroy();
+          return;
+        }
+        if (buffer.length < 6 + length) break;
+
+        const frame = buffer.subarray(0, 6 + length);
+        buffer = buffer.subarray(6 + length);
+        queue = queue.then(() => this.handleRequest(node, socket, frame));
+      }
+    });
+
+    socket.on('error', (error) => {
+      console.error(`Modbus gateway socket error (node ${node.name}):`, error.message);
+    });
+
+    socket.on('close', () => {
+      sockets.delete(socket);
+    });
+  }
+
+  /**
+   * Выполняет запрос Modbus TCP на шине узла и отправляет ответ
+   *
+   * @param {Object} node - узел связи
+   * @param {net.Socket} socket - подключение клиента шлюза
+   * @param {Buffer} frame - кадр Modbus TCP (MBAP + PDU)
+   */
+  async handleRequest(node, socket, frame) {
+    const transactionId = frame.readUInt16BE(0);
+    const unitId = frame[6];
+    const pdu = frame.subarray(MBAP_LENGTH);
+
+    // Широковещательные запросы на шину не передаем: ответа на них нет
+    if (unitId === 0) return;
+
+    let responsePdu;
+    try {
+      responsePdu = await this.modbusManager.runOnBus(node.id, async (driver) => {
+        // Шлюз передает PDU как есть, поэтому работает напрямую с Modbus клиентом драйвера
+        const client = driver.client;
+        client.setID(unitId);
+        return await executePdu(client, pdu);
+      });
+    } catch (error) {
+      let exceptionCode = SLAVE_DEVICE_FAILURE;
+      if (error.modbusCode) {
+        exceptionCode = error.modbusCode;
+      } else if (error.name === 'TransactionTimedOutError') {
+        exceptionCode = GATEWAY_TARGET_FAILED;
+      } else if (error.busUnavailable) {
+        exceptionCode = GATEWAY_PATH_UNAVAILABLE;
+      }
+      responsePdu = Buffer.from([pdu[0] | 0x80, exceptionCode]);
+    }
+
+    if (socket.destroyed) return;
+
+    const header = Buffer.alloc(MBAP_LENGTH);
+    header.writeUInt16BE(transactionId, 0);
+    header.writeUInt16BE(0, 2);
+    header.writeUInt16BE(responsePdu.length + 1, 4);
+    header.writeUInt8(unitId, 6);
+    socket.write(Buffer.concat([header, responsePdu]));
+  }
+}
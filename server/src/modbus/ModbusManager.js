@@ -1,34 +1,66 @@
 /**
- * ModbusManager - основной класс для управления Modbus RTU соединениями
+ * ModbusManager - основной класс для управления соединениями с узлами связи
  *
  * Отвечает за:
- * - Управление соединениями с COM портами (узлы связи)
- * - Опрос Modbus устройств по расписанию
+ * - Управление соединениями с узлами связи через драйверы протоколов (см. drivers/index.js):
+ *   COM порты, Modbus TCP серверы, преобразователи RS-485/Ethernet, встроенный симулятор
+ * - Опрос устройств по расписанию
  * - Кэширование значений тегов
- * - Сбор исторических данных
+ * - Сбор исторических данных по политикам архивации тегов (HistoryArchiver)
  * - Запись значений в теги
+ * - Прозрачный шлюз Modbus TCP на шины узлов связи (ModbusGateway)
+ * - Вычисляемые теги (CalcEngine) и внутренние теги со значениями на сервере (InternalTagStore)
  * - Отправку обновлений через WebSocket
  *
- * Использует библиотеку modbus-serial для работы с Modbus RTU протоколом.
+ * События (для встроенных серверов OPC UA, публикации в MQTT и т.п.):
+ * - 'stateChanged' - изменилось состояние узлов связи или их конфигурация
+ * - 'tagValues' (deviceId, tagValues) - получены новые значения тегов устройства
+ *   (для вычисляемых и внутренних тегов вместо deviceId - CALCULATED_GROUP_ID и INTERNAL_GROUP_ID)
+ * - 'nodeStatus' (nodeId, status, errorMessage) - изменился статус подключения узла связи
+ *
+ * Не зависит от протокола: подключение, чтение и запись тегов выполняет драйвер узла связи,
+ * выбранный по ConnectionNode.type.
  */
 
-import ModbusRTU from 'modbus-serial';
+import {EventEmitter} from 'events';
 import {isIterable} from "../utils/index.js";
-
-export class ModbusManager {
+import {createDriver} from "../drivers/index.js";
+import {ModbusGateway} from "./ModbusGateway.js";
+import {PollScheduler} from "./PollScheduler.js";
+import {isScaled, scaleValue, unscaleValue} from "./scaling.js";
+import {CalcEngine, CALCULATED_GROUP_ID} from "../calc/CalcEngine.js";
+import {InternalTagStore, INTERNAL_GROUP_ID} from "../internal/InternalTagStore.js";
+import {HistoryArchiver} from "./HistoryArchiver.js";
+
+// Повторная попытка цикла опроса, если шина занята записью или запросом шлюза (мс)
+const BUSY_RETRY_DELAY = 50;
+
+// Не чаще одного предупреждения о перегрузке шины узла за этот период (мс)
+const OVERRUN_WARNING_INTERVAL = 5 * 60 * 1000;
+
+// Проверка связи с устройствами, переставшими отвечать (ключи в SystemSettings)
+export const DEFAULT_DEVICE_RECOVERY_SETTINGS = {
+  enabled: true,
+  probeInterval: 30000
+};
+const DEVICE_RECOVERY_KEYS = {
+  enabled: 'deviceProbeEnabled',
+  probeInterval: 'deviceProbeInterval'
+};
+
+export class ModbusManager extends EventEmitter {
   constructor(prisma, wss) {
+    super();
     this.prisma = prisma; // Prisma клиент для работы с БД
     this.wss = wss; // WebSocket сервер для отправки обновлений клиентам
 
-    // Хранилище активных Modbus соединений: connectionNodeId -> { client, devices }
+    // Хранилище активных соединений: connectionNodeId -> { node, driver, devices }
     this.archiveInterval = 60000; // Интервал архивации по умолчанию (60 секунд)
+    this.deviceRecovery = {...DEFAULT_DEVICE_RECOVERY_SETTINGS}; // Проверка связи с неотвечающими устройствами
     this.connections = new Map();
 
-    // Интервалы опроса устройств: deviceId -> interval ID
-    this.pollingIntervals = new Map();
-
-    // Интервал сбора исторических данных (каждую минуту)
-    this.historyInterval = null;
+    // Таймеры следующего цикла опроса узлов: nodeId -> timeout ID
+    this.pollingTimers = new Map();
 
     // Флаг работы Modbus Manager
     this.isRunning = false;
@@ -43,6 +75,24 @@ export class ModbusManager {
     // Блокировки для предотвращения параллельной записи в одно устройство
     // deviceId -> Promise (текущая запись)
     this.deviceWriteLocks = new Map();
+
+    // Монопольный доступ к шине узла связи (запись тегов, запросы шлюза)
+    // nodeId -> Promise (последняя операция в очереди)
+    this.nodeBusLocks = new Map();
+
+    // Узлы связи, порт которых временно занят другим модулем (поиск устройств на шине).
+    // Такие узлы не подключаются, пока не будут освобождены
+    this.reservedNodes = new Set();
+
+    // Шлюз Modbus TCP на шины узлов связи
+    this.gateway = new ModbusGateway(this);
+
+    // Вычисляемые и внутренние теги
+    this.calcEngine = new CalcEngine(this);
+    this.internalTags = new InternalTagStore(this);
+
+    // Архивация значений тегов
+    this.archiver = new HistoryArchiver(this);
   }
 
   /**
@@ -52,7 +102,7 @@ export class ModbusManager {
    * 1. Загрузку всех активных узлов связи с устройствами и тегами из БД
    * 2. Инициализацию Modbus соединений для каждого узла
    * 3. Запуск периодического опроса устройств
-   * 4. Запуск сбора исторических данных (каждую минуту)
+   * 4. Запуск архивации значений тегов по их политикам архивации
    *
    * Если какой-то узел не удалось запустить, работа продолжается с остальными.
    */
@@ -88,12 +138,13 @@ export class ModbusManager {
       }
     }
 
-    // Загружаем интервал архивации из настроек
+    // Загружаем интервал архивации и настройки проверки связи с устройствами
     await this.loadArchiveInterval();
+    await this.loadDeviceRecoverySettings();
 
-    // Запускаем периодический сбор исторических данных
-    // Проверяем, есть ли хотя бы один активный тег в системе
-    this.startHistoryCollection();
+    // Внутренние теги получают сохраненные значения, вычисляемые пересчитываются по мере опроса их входов.
+    // Архивация запускается по политикам архивации тегов
+    await this.reloadServerTags();
 
     console.log('Modbus Manager started');
   }
@@ -113,19 +164,22 @@ export class ModbusManager {
 
     console.log('Stopping Modbus Manager...');
 
-    // Останавливаем все интервалы периодического опроса устройств
-    for (const interval of this.pollingIntervals.values()) {
-      clearInterval(interval);
+    // Останавливаем все таймеры опроса узлов
+    for (const timer of this.pollingTimers.values()) {
+      clearTimeout(timer);
     }
-    this.pollingIntervals.clear();
+    this.pollingTimers.clear();
+
+    // Закрываем порты шлюза до закрытия соединений
+    await this.gateway.stopAll();
 
     // Закрываем все Modbus соединения и обновляем статусы в БД
     const nodeIds = Array.from(this.connections.keys());
     for (const nodeId of nodeIds) {
       const conn = this.connections.get(nodeId);
       try {
-        if (conn && conn.client && conn.client.isOpen) {
-          await conn.client.close();
+        if (conn && conn.driver) {
+          await conn.driver.close();
         }
         // Обновляем статус узла связи на 'disconnected' в БД
         await this.updateNodeConnectionStatus(nodeId, 'disconnected', null);
@@ -135,8 +189,10 @@ export class ModbusManager {
     }
     this.connections.clear();
 
-    // Останавливаем интервал сбора исторических данных
-    this.stopHistoryCollection();
+    // Останавливаем архивацию, вычисляемые и внутренние теги
+    this.archiver.stop();
+    this.calcEngine.stop();
+    this.internalTags.stop();
   }
 
   /**
@@ -167,67 +223,90 @@ export class ModbusManager {
   }
 
   /**
-   * Запускает сбор исторических данных с текущим интервалом
+   * Загружает настройки проверки связи с неотвечающими устройствами из БД
    */
-  startHistoryCollection() {
-    // Останавливаем предыдущий интервал, если он существует
-    this.stopHistoryCollection();
-
-    // Запускаем новый интервал с текущим значением archiveInterval
-    this.historyInterval = setInterval(() => {
-      // Проверяем, есть ли хотя бы один активный тег в системе
-      const nodes = Array.from(this.connections.values());
-      const isSomeNodeHasDeviceWithTagEnabled = nodes.some(conn => {
-        const devices = Array.from(conn.devices.values());
-        return devices.some(device =>
-          device.enabled &&
-          device.tags &&
-          device.tags.length > 0 &&
-          device.tags.some(tag => tag.enabled)
-        );
+  async loadDeviceRecoverySettings() {
+    try {
+      const rows = await this.prisma.systemSettings.findMany({
+        where: {key: {in: Object.values(DEVICE_RECOVERY_KEYS)}}
       });
-
-      if (isSomeNodeHasDeviceWithTagEnabled) {
-        this.collectHistoryData();
-      }
-    }, this.archiveInterval);
+      const values = Object.fromEntries(rows.map(row => [row.key, row.value]));
+      this.deviceRecovery = {
+        enabled: values[DEVICE_RECOVERY_KEYS.enabled] !== undefined
+          ? values[DEVICE_RECOVERY_KEYS.enabled] === 'true'
+          : DEFAULT_DEVICE_RECOVERY_SETTINGS.enabled,
+        probeInterval: parseInt(values[DEVICE_RECOVERY_KEYS.probeInterval]) || DEFAULT_DEVICE_RECOVERY_SETTINGS.probeInterval
+      };
+    } catch (error) {
+      console.error('Error loading device recovery settings:', error);
+      this.deviceRecovery = {...DEFAULT_DEVICE_RECOVERY_SETTINGS};
+    }
+    return this.deviceRecovery;
   }
 
   /**
-   * Останавливает сбор исторических данных
+   * Сохраняет настройки проверки связи с неотвечающими устройствами
+   *
+   * @param {{enabled: boolean, probeInterval: number}} settings
    */
-  stopHistoryCollection() {
-    if (this.historyInterval) {
-      clearInterval(this.historyInterval);
-      this.historyInterval = null;
+  async updateDeviceRecoverySettings(settings) {
+    for (const [name, key] of Object.entries(DEVICE_RECOVERY_KEYS)) {
+      await this.prisma.systemSettings.upsert({
+        where: {key},
+        update: {value: String(settings[name])},
+        create: {key, value: String(settings[name])}
+      });
+    }
+    this.deviceRecovery = {enabled: settings.enabled, probeInterval: settings.probeInterval};
+
+    // Проверки, назначенные по старому интервалу, не должны ждать дольше нового.
+    // Опрос узлов, где не осталось отвечающих устройств, мог остановиться или ждать
+    // старого срока проверки - перепланируем его по актуальным срокам
+    const maxProbeAt = Date.now() + settings.probeInterval;
+    for (const [nodeId, connection] of this.connections) {
+      for (const offline of connection.offlineDevices.values()) {
+        offline.nextProbeAt = Math.min(offline.nextProbeAt, maxProbeAt);
+      }
+      const delay = this.getNextPollDelay(connection);
+      if (delay !== null) {
+        this.scheduleNodePolling(nodeId, connection, delay);
+      }
     }
   }
 
   /**
-   * Обновляет интервал архивации и перезапускает сбор данных
+   * Обновляет системный интервал архивации (для тегов без собственного периода) и перезапускает архивацию
    * @param {number} interval - Новый интервал в миллисекундах
    */
   async updateArchiveInterval(interval) {
     this.archiveInterval = interval;
-    this.startHistoryCollection();
+    if (this.isRunning) {
+      await this.archiver.load();
+    }
     console.log(`Archive interval updated to ${interval} ms`);
   }
 
   /**
-   * Инициализация Modbus соединения для узла связи
+   * Инициализация соединения для узла связи
    *
-   * @param {Object} node - узел связи с настройками COM порта
+   * @param {Object} node - узел связи с параметрами подключения
    *
    * Выполняет:
    * 1. Загрузку устройств и тегов узла (если не загружены)
-   * 2. Создание Modbus RTU клиента
-   * 3. Подключение к COM порту с указанными параметрами
-   * 4. Настройку таймаута
-   * 5. Запуск периодического опроса устройств
+   * 2. Создание драйвера протокола по типу узла
+   * 3. Подключение драйвера к узлу связи
+   * 4. Запуск периодического опроса устройств
    */
   async startConnection(node) {
+    if (this.reservedNodes.has(node.id)) {
+      console.log(`Node ${node.name} is reserved, connection will be started after release`);
+      return;
+    }
+
+    let driver = null;
     try {
-      console.log(`Starting connection for node ${node.name} (${node.comPort})`);
+      driver = createDriver(node);
+      console.log(`Starting connection for node ${node.name} (${driver.getEndpoint()})`);
 
       // Если устройства не были загружены вместе с узлом, загружаем их отдельно
       if (!node.devices || node.devices.length === 0) {
@@ -251,34 +330,18 @@ export class ModbusManager {
         }
       }
 
-      // Создаем Modbus RTU клиент
-      const client = new ModbusRTU();
-
-      // Подключаемся к COM порту с буферизацией
-      // modbus-serial автоматически создаст и откроет SerialPort
-      await client.connectRTUBuffered(node.comPort, {
-        baudRate: node.baudRate,
-        dataBits: node.dataBits,
-        stopBits: node.stopBits,
-        parity: node.parity || 'none',
-      });
-
-      // Даем время на инициализацию COM порта и очистку буфера
-      // Это критично для стабильной работы RS-485, особенно при переключении направления
-      await new Promise(resolve => setTimeout(resolve, 500));
-
-      // Устанавливаем таймаут для Modbus операций
-      // Используем минимальный таймаут среди всех устройств узла
-      // Если устройств нет, используем дефолтный таймаут 1000 мс
-      const timeouts = node.devices.map(d => d.responseTimeout || 1000);
-      const minTimeout = timeouts.length > 0 ? Math.min(...timeouts) : 1000;
-      client.setTimeout(minTimeout);
+      // Подключаемся к узлу связи
+      await driver.connect(node.devices);
+      driver.onDisconnect = (error) => this.handleConnectionLost(node.id, driver, error);
 
       const connection = {
-        client,
+        node,
+        driver,
         devices: new Map(),
-        pollingQueue: [], // Очередь устройств для опроса
-        isPolling: false // Флаг, что идет опрос
+        scheduler: new PollScheduler(), // Расписание опроса тегов узла
+        offlineDevices: new Map(), // Устройства, переставшие отвечать: deviceId -> { device, since, nextProbeAt }
+        isPolling: false, // Флаг, что идет опрос
+        lastOverrunWarning: 0 // Время последнего предупреждения о перегрузке шины
       };
 
       // КРИТИЧНО: Добавляем соединение в Map СРАЗУ после создания
@@ -298,57 +361,50 @@ export class ModbusManager {
         connection.devices.set(device.id, device);
       }
 
-      // Запускаем единый интервал опроса для всех устройств узла
-      // Это гарантирует последовательный опрос устройств на RS-485 шине
+      // Запускаем опрос узла по расписанию: каждое устройство и тег опрашиваются со своим периодом,
+      // устройства - последовательно, что исключает конфликты на RS-485 шине.
+      // Первый опрос делаем с задержкой для стабилизации
       if (enabledDevices.length > 0) {
-        // Используем минимальный интервал опроса среди всех устройств
-        const minPollInterval = Math.min(...enabledDevices.map(d => d.pollInterval || 1000));
-
-        // Запускаем единый интервал для последовательного опроса всех устройств
-        const nodePollingInterval = setInterval(async () => {
-          await this.pollNodeDevices(node.id, connection);
-        }, minPollInterval);
-
-        // Сохраняем интервал для узла
-        this.pollingIntervals.set(node.id, nodePollingInterval);
-
-        // Делаем первый опрос с задержкой для стабилизации
-        setTimeout(async () => {
-          await this.pollNodeDevices(node.id, connection);
-        }, 200);
+        this.scheduleNodePolling(node.id, connection, 200);
       }
 
       // Обновляем статус подключения узла
       await this.updateNodeConnectionStatus(node.id, 'connected', null);
 
       console.log(`Connection started for node ${node.name} with ${enabledDevices.length} enabled devices`);
+
+      // Открываем порт шлюза Modbus TCP. Ошибка шлюза не мешает опросу узла
+      if (node.gatewayEnabled && node.gatewayPort) {
+        try {
+          await this.gateway.start(node);
+        } catch (gatewayError) {
+          console.error(`Error starting Modbus gateway for node ${node.name}:`, gatewayError);
+          this.broadcastMessage({
+            title: `Шлюз Modbus TCP узла ${node.name} не запущен`,
+            description: gatewayError.code === 'EADDRINUSE'
+              ? `Порт ${node.gatewayPort} уже занят другим приложением.`
+              : gatewayError.message
+          }, "warning");
+        }
+      }
     } catch (error) {
       console.error(`Error starting connection for node ${node.name}:`, error);
 
       // Удаляем соединение из Map, если оно было добавлено, но инициализация не завершилась
-      if (this.connections.has(node.id)) {
-        const failedConnection = this.connections.get(node.id);
-        // Закрываем клиент, если он был создан
-        if (failedConnection && failedConnection.client) {
-          try {
-            if (failedConnection.client.isOpen) {
-              await failedConnection.client.close();
-            }
-          } catch (closeError) {
-            // Игнорируем ошибки при закрытии
-          }
+      this.connections.delete(node.id);
+
+      // Закрываем соединение драйвера, если оно успело открыться
+      if (driver) {
+        try {
+          await driver.close();
+        } catch (closeError) {
+          // Игнорируем ошибки при закрытии
         }
-        this.connections.delete(node.id);
       }
 
-      let errorMessage = "";
-      if (error.message && error.message.includes('Access denied')) {
-        errorMessage = `Доступ к COM порту ${node.name}: ${node.comPort} запрещен. Убедитесь, что порт не занят другим приложением.`;
-      } else if (error.message && error.message.includes('cannot open')) {
-        errorMessage = `Не удалось открыть COM порт ${node.name}: ${node.comPort}. Проверьте, что порт существует и доступен.`;
-      } else {
-        errorMessage = `Проверьте подключение ${node.name}: ${node.comPort}.`;
-      }
+      // Нет драйвера - неизвестный тип узла, сообщаем текст ошибки как есть
+      const endpoint = driver ? driver.getEndpoint() : node.type;
+      const errorMessage = driver ? driver.describeConnectError(error) : error.message;
 
       // Обновляем статус подключения узла с ошибкой
       await this.updateNodeConnectionStatus(node.id, 'error', errorMessage);
@@ -356,7 +412,7 @@ export class ModbusManager {
       // Не останавливаем весь Modbus Manager при ошибке одного узла
       // Просто пропускаем этот узел и продолжаем работу
       this.broadcastMessage({
-        title: `Ошибка подключения к узлу ${node.name}: ${node.comPort}.`,
+        title: `Ошибка подключения к узлу ${node.name}: ${endpoint}.`,
         description: errorMessage
       }, "error");
     } finally {
@@ -364,37 +420,36 @@ export class ModbusManager {
     }
   }
 
-  async stopConnection(nodeId) {
+  /**
+   * Остановка соединения узла связи
+   *
+   * @param {string} nodeId - ID узла связи
+   * @param {string|null} errorMessage - причина остановки при потере связи; узел получит статус 'error'
+   *   (и будет переподключен ConnectionSupervisor), без причины - статус 'disconnected'
+   */
+  async stopConnection(nodeId, errorMessage = null) {
     const connection = this.connections.get(nodeId);
     if (!connection) return;
 
     try {
+      // Закрываем порт шлюза узла
+      await this.gateway.stop(nodeId);
+
       // Останавливаем опрос узла (единый интервал для всех устройств)
       this.stopNodePolling(nodeId);
 
-      // Также останавливаем опрос отдельных устройств (для обратной совместимости)
-      const deviceIds = Array.from(connection.devices.keys());
-      for (const deviceId of deviceIds) {
-        this.stopDevicePolling(deviceId);
-      }
-
       // Закрываем соединение
-      if (connection.client) {
-        try {
-          // В modbus-serial проверяем, открыт ли клиент
-          if (connection.client.isOpen) {
-            await connection.client.close();
-          }
-        } catch (error) {
-          // Игнорируем ошибки при закрытии
-          console.error(`Error closing modbus client:`, error);
-        }
+      try {
+        await connection.driver.close();
+      } catch (error) {
+        // Игнорируем ошибки при закрытии
+        console.error(`Error closing connection driver:`, error);
       }
 
       this.connections.delete(nodeId);
 
       // Обновляем статус подключения узла
-      await this.updateNodeConnectionStatus(nodeId, 'disconnected', null);
+      await this.updateNodeConnectionStatus(nodeId, errorMessage ? 'error' : 'disconnected', errorMessage);
 
       console.log(`Connection stopped for node ${nodeId}`);
     } catch (error) {
@@ -404,11 +459,122 @@ export class ModbusManager {
     }
   }
 
-  // Последовательный опрос всех устройств узла
+  /**
+   * Обработка потери соединения узла связи (вызывается драйвером)
+   *
+   * Останавливает опрос узла и переводит его в статус 'error'
+   *
+   * @param {string} nodeId - ID узла связи
+   * @param {Object} driver - драйвер, потерявший соединение
+   * @param {Error|null} error - ошибка порта, если есть
+   */
+  async handleConnectionLost(nodeId, driver, error) {
+    const connection = this.connections.get(nodeId);
+    // Соединение уже остановлено или заменено новым
+    if (!connection || connection.driver !== driver) return;
+
+    const node = connection.node;
+    const endpoint = driver.getEndpoint();
+    const errorMessage = `Соединение с узлом ${node.name}: ${endpoint} потеряно${error ? ` (${error.message})` : ''}. ` +
+      `Проверьте подключение преобразователя или сети.`;
+    console.error(`Connection lost for node ${node.name} (${endpoint})`, error || '');
+
+    this.broadcastMessage({
+      title: `Потеряна связь с узлом ${node.name}: ${endpoint}.`,
+      description: errorMessage
+    }, "error");
+
+    await this.stopConnection(nodeId, errorMessage);
+  }
+
+  /**
+   * Планирует следующий цикл опроса узла
+   *
+   * После цикла следующий запускается к ближайшему сроку опроса тегов узла (см. PollScheduler)
+   *
+   * @param {string} nodeId - ID узла связи
+   * @param {Object} connection - соединение узла
+   * @param {number} delay - задержка до цикла (мс)
+   */
+  scheduleNodePolling(nodeId, connection, delay) {
+    this.stopNodePolling(nodeId);
+
+    const timer = setTimeout(async () => {
+      const polled = await this.pollNodeDevices(nodeId, connection);
+
+      // Опрос узла остановлен или соединение пересоздано, пока шел цикл
+      if (this.pollingTimers.get(nodeId) !== timer || this.connections.get(nodeId) !== connection) {
+        return;
+      }
+
+      const nextDelay = this.getNextPollDelay(connection);
+      if (nextDelay === null) {
+        this.pollingTimers.delete(nodeId);
+        return;
+      }
+      this.scheduleNodePolling(nodeId, connection, polled ? nextDelay : Math.max(nextDelay, BUSY_RETRY_DELAY));
+    }, delay);
+
+    this.pollingTimers.set(nodeId, timer);
+  }
+
+  /**
+   * Возобновляет опрос узла, если он остановился, потому что опрашивать было нечего
+   */
+  ensureNodePolling(nodeId, connection) {
+    if (this.pollingTimers.has(nodeId)) return;
+    const delay = this.getNextPollDelay(connection);
+    if (delay !== null) {
+      this.scheduleNodePolling(nodeId, connection, delay);
+    }
+  }
+
+  /**
+   * Задержка до следующего цикла опроса узла: ближайший срок опроса тегов
+   * или проверки связи с неотвечающими устройствами (мс)
+   *
+   * @returns {number|null} null, если опрашивать и проверять нечего
+   */
+  getNextPollDelay(connection) {
+    const now = Date.now();
+    const delays = [connection.scheduler.getDelay(this.getPollableDevices(connection), now)];
+    if (this.deviceRecovery.enabled) {
+      for (const offline of connection.offlineDevices.values()) {
+        delays.push(Math.max(offline.nextProbeAt - now, 0));
+      }
+    }
+    const validDelays = delays.filter(delay => delay !== null);
+    return validDelays.length > 0 ? Math.min(...validDelays) : null;
+  }
+
+  /**
+   * Устройства узла, которые нужно опрашивать: включенные и с включенными тегами
+   */
+  getPollableDevices(connection) {
+    return Array.from(connection.devices.values()).filter(device =>
+      device.enabled &&
+      device.tags &&
+      device.tags.length > 0 &&
+      device.tags.some(tag => tag.enabled)
+    );
+  }
+
+  /**
+   * Цикл опроса узла: последовательно опрашивает теги устройств, срок опроса которых наступил
+   *
+   * @param {string} nodeId - ID узла связи
+   * @param {Object} connection - соединение узла
+   * @returns {Promise<boolean>} false, если цикл пропущен, потому что шина занята
+   */
   async pollNodeDevices(nodeId, connection) {
     // Если уже идет опрос, пропускаем этот цикл
     if (connection.isPolling) {
-      return;
+      return false;
+    }
+
+    // Шина занята монопольной операцией (запись, запрос шлюза) - пропускаем цикл опроса
+    if (this.nodeBusLocks.has(nodeId)) {
+      return false;
     }
 
     // Проверяем, не идет ли запись в какое-либо устройство узла
@@ -417,23 +583,21 @@ export class ModbusManager {
       this.deviceWriteLocks.has(deviceId)
     );
     if (hasActiveWrite) {
-      return;
+      return false;
     }
 
     connection.isPolling = true;
+    const scheduler = connection.scheduler;
+    const cycleStartedAt = Date.now();
+    let overrun = 0;
 
     try {
-      // Получаем все включенные устройства узла
-      const devices = Array.from(connection.devices.values()).filter(device =>
-        device.enabled &&
-        device.tags &&
-        device.tags.length > 0 &&
-        device.tags.some(tag => tag.enabled)
-      );
+      // Устройства, у которых есть теги с наступившим сроком опроса, начиная с самого просроченного
+      const dueDevices = scheduler.getDue(this.getPollableDevices(connection), Date.now());
 
       // Опрашиваем устройства последовательно
-      for (let i = 0; i < devices.length; i++) {
-        const device = devices[i];
+      for (let i = 0; i < dueDevices.length; i++) {
+        const {device, tags} = dueDevices[i];
 
         // Задержка между опросами устройств для стабильности RS-485
         // Небольшая задержка нужна для очистки буфера и предотвращения конфликтов
@@ -442,6 +606,11 @@ export class ModbusManager {
           await new Promise(resolve => setTimeout(resolve, 50)); // Оптимизировано: 100 -> 50 мс
         }
 
+        // Монопольная операция ожидает шину - уступаем ее, остальные устройства опросим в следующем цикле
+        if (this.nodeBusLocks.has(nodeId)) {
+          break;
+        }
+
         // Дополнительная проверка на запись (на случай, если запись началась во время опроса)
         const writeLock = this.deviceWriteLocks.get(device.id);
         if (writeLock) {
@@ -449,35 +618,219 @@ export class ModbusManager {
           continue;
         }
 
-        // Опрашиваем устройство
-        await this.pollDevice(device, connection.client);
+        // Опрашиваем теги устройства, срок опроса которых наступил
+        const startedAt = Date.now();
+        await this.pollDevice(device, connection.driver, tags);
+        overrun = Math.max(overrun, scheduler.markPolled(device, tags, startedAt, Date.now()));
       }
+
+      // Проверяем связь с устройствами, переставшими отвечать
+      await this.probeOfflineDevices(nodeId, connection);
+
+      scheduler.endCycle(cycleStartedAt, Date.now());
     } catch (error) {
       console.error(`Error polling node devices ${nodeId}:`, error);
     } finally {
       connection.isPolling = false;
     }
+
+    if (overrun > 0) {
+      this.reportPollOverrun(connection, overrun);
+    }
+    return true;
+  }
+
+  /**
+   * Переводит устройство, не ответившее ни на один запрос, в список неотвечающих
+   *
+   * Устройство перестает опрашиваться. Если проверка связи включена, раз в probeInterval
+   * выполняется одиночный запрос (см. probeOfflineDevices), иначе устройство возвращается
+   * в опрос только переподключением вручную (reconnectDevice)
+   *
+   * @param {Object} device - устройство
+   */
+  setDeviceOffline(device) {
+    const connection = this.connections.get(device.connectionNodeId);
+    if (!connection || !connection.devices.has(device.id)) return;
+
+    const now = Date.now();
+    connection.devices.delete(device.id);
+    connection.scheduler.forget(device.tags);
+    connection.offlineDevices.set(device.id, {
+      device,
+      since: new Date(now).toISOString(),
+      nextProbeAt: now + this.deviceRecovery.probeInterval
+    });
+
+    console.warn(`Device ${connection.node.name} → ${device.name} went offline`);
+    this.broadcastMessage({
+      title: `Устройство ${connection.node.name} → ${device.name} не отвечает`,
+      description: this.deviceRecovery.enabled
+        ? `Опрос устройства остановлен. Связь проверяется каждые ${this.deviceRecovery.probeInterval / 1000} с, опрос возобновится, как только устройство ответит.`
+        : 'Опрос устройства остановлен. Проверьте питание и переподключите устройство.'
+    }, "warning");
+    this.broadcastStateUpdate();
+  }
+
+  /**
+   * Возвращает ответившее устройство в опрос
+   */
+  setDeviceOnline(connection, device) {
+    const offline = connection.offlineDevices.get(device.id);
+    connection.offlineDevices.delete(device.id);
+    connection.devices.set(device.id, device);
+
+    console.log(`Device ${connection.node.name} → ${device.name} is back online (offline since ${offline?.since})`);
+    this.broadcastMessage({
+      title: `Устройство ${connection.node.name} → ${device.name} снова на связи`,
+      description: 'Опрос устройства возобновлен.'
+    }, "success");
+    this.broadcastStateUpdate();
   }
 
-  stopDevicePolling(deviceId) {
-    // Останавливаем интервал для устройства (если используется старый подход)
-    const interval = this.pollingIntervals.get(deviceId);
-    if (interval) {
-      clearInterval(interval);
-      this.pollingIntervals.delete(deviceId);
+  /**
+   * Проверка связи с неотвечающими устройствами узла, срок проверки которых наступил
+   *
+   * Выполняется внутри цикла опроса: один запрос первого тега устройства. Устройство снова на связи,
+   * только если оно ответило: значением (даже неразборчивым) или исключением Modbus. Таймаут и ошибки
+   * самого соединения (например, закрытый порт) ответом не считаются
+   */
+  async probeOfflineDevices(nodeId, connection) {
+    if (!this.deviceRecovery.enabled) return;
+
+    for (const offline of Array.from(connection.offlineDevices.values())) {
+      if (offline.nextProbeAt > Date.now()) continue;
+
+      // Монопольная операция ожидает шину - проверим в следующем цикле
+      if (this.nodeBusLocks.has(nodeId)) break;
+
+      const {device} = offline;
+      const [result] = await connection.driver.readTags(device, [device.tags[0]]);
+      const responded = !result.error || result.decodeError || result.error.modbusCode !== undefined;
+      if (!responded) {
+        offline.nextProbeAt = Date.now() + this.deviceRecovery.probeInterval;
+        continue;
+      }
+      this.setDeviceOnline(connection, device);
     }
   }
 
+  /**
+   * Признак, что устройство не отвечает и выведено из опроса
+   */
+  isDeviceOffline(nodeId, deviceId) {
+    const connection = this.connections.get(nodeId);
+    return Boolean(connection && connection.offlineDevices.has(deviceId));
+  }
+
+  /**
+   * Предупреждает, что шина узла не успевает опрашивать теги с заданными периодами
+   *
+   * @param {Object} connection - соединение узла
+   * @param {number} lateness - опоздание опроса (мс)
+   */
+  reportPollOverrun(connection, lateness) {
+    const now = Date.now();
+    if (now - connection.lastOverrunWarning < OVERRUN_WARNING_INTERVAL) return;
+    connection.lastOverrunWarning = now;
+
+    const {busLoad} = connection.scheduler.getStats();
+    console.warn(`Node ${connection.node.name}: polling is ${lateness} ms late, bus load ${busLoad}%`);
+    this.broadcastMessage({
+      title: `Узел ${connection.node.name} не успевает опрашивать теги`,
+      description: `Опрос опаздывает на ${lateness} мс - больше периода опроса (загрузка шины ${busLoad}%). ` +
+        `Увеличьте период опроса устройств или тегов, уменьшите число тегов или объедините их в блоки чтения.`
+    }, "warning");
+  }
+
   stopNodePolling(nodeId) {
-    // Останавливаем интервал опроса для узла
-    const interval = this.pollingIntervals.get(nodeId);
-    if (interval) {
-      clearInterval(interval);
-      this.pollingIntervals.delete(nodeId);
+    // Останавливаем таймер следующего цикла опроса узла
+    const timer = this.pollingTimers.get(nodeId);
+    if (timer) {
+      clearTimeout(timer);
+      this.pollingTimers.delete(nodeId);
+    }
+  }
+
+  /**
+   * Выполняет операцию с монопольным доступом к шине узла связи
+   *
+   * Операции выполняются строго по очереди. Пока операция ждет в очереди или выполняется,
+   * pollNodeDevices не начинает новый цикл опроса, а текущий цикл уступает шину
+   * после опроса текущего устройства
+   *
+   * @param {string} nodeId - ID узла связи
+   * @param {function(Object): Promise<*>} operation - операция с драйвером узла
+   * @returns {Promise<*>} Результат операции
+   */
+  async runOnBus(nodeId, operation) {
+    const connection = this.connections.get(nodeId);
+    if (!connection || !connection.driver.isOpen()) {
+      const error = new Error('Соединение узла связи не открыто');
+      error.busUnavailable = true;
+      throw error;
+    }
+
+    const previous = this.nodeBusLocks.get(nodeId) || Promise.resolve();
+    let release;
+    const current = new Promise(resolve => {
+      release = resolve;
+    });
+    const tail = previous.then(() => current);
+    this.nodeBusLocks.set(nodeId, tail);
+
+    try {
+      await previous;
+
+      // Ждем окончания текущего цикла опроса, он не начнет новый, пока операция в очереди
+      while (connection.isPolling) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+
+      if (this.connections.get(nodeId) !== connection) {
+        const error = new Error('Соединение узла связи закрыто');
+        error.busUnavailable = true;
+        throw error;
+      }
+
+      return await operation(connection.driver);
+    } finally {
+      release();
+      if (this.nodeBusLocks.get(nodeId) === tail) {
+        this.nodeBusLocks.delete(nodeId);
+      }
     }
   }
 
-  async pollDevice(device, client) {
+  /**
+   * Резервирует узел связи для монопольной работы с его портом (например, BusScanner):
+   * startConnection и reloadConnection не подключают узел, пока он не освобожден.
+   * Открытое соединение узла нужно закрыть отдельно через stopConnection
+   *
+   * @param {string} nodeId - ID узла связи
+   */
+  reserveNode(nodeId) {
+    this.reservedNodes.add(nodeId);
+  }
+
+  /**
+   * Снимает резервирование узла связи. Соединение не восстанавливается автоматически -
+   * для этого нужно вызвать reloadConnection
+   *
+   * @param {string} nodeId - ID узла связи
+   */
+  releaseNode(nodeId) {
+    this.reservedNodes.delete(nodeId);
+  }
+
+  /**
+   * Опрашивает теги устройства
+   *
+   * @param {Object} device - устройство
+   * @param {Object} driver - драйвер узла связи
+   * @param {Object[]} tags - теги для опроса (по умолчанию все теги устройства)
+   */
+  async pollDevice(device, driver, tags = device.tags) {
     // Проверяем, не идет ли запись в это устройство
     const writeLock = this.deviceWriteLocks.get(device.id);
     if (writeLock) {
@@ -494,7 +847,7 @@ export class ModbusManager {
     }
 
     // Сохраняем Promise текущего опроса для синхронизации
-    const pollingPromise = this._doPollDevice(device, client);
+    const pollingPromise = this._doPollDevice(device, driver, tags);
     this.devicePollingLocks.set(device.id, pollingPromise);
 
     try {
@@ -507,11 +860,10 @@ export class ModbusManager {
     }
   }
 
-  async _doPollDevice(device, client) {
+  async _doPollDevice(device, driver, tags) {
     try {
       // Проверяем, что устройство существует, включено и имеет итерируемые теги
       if (!device || !device.enabled || !device.tags || !isIterable(device.tags)) {
-        this.stopDevicePolling(device.id);
         return;
       }
 
@@ -519,95 +871,13 @@ export class ModbusManager {
       let hasSuccessfulReads = false;
       let allTagsTimeout = true;
 
-      // Устанавливаем unit ID для устройства перед чтением
-      client.setID(device.address);
-
-      // Опрашиваем теги последовательно с задержкой
-      // На RS-485 важно давать время между запросами
-      for (const tag of device.tags) {
-        try {
-          let value = null;
-
-          // Задержка между чтениями регистров для стабильности RS-485
-          // Небольшая задержка нужна для очистки буфера между запросами
-          // Это предотвращает CRC ошибки и таймауты
-          if (device.tags.indexOf(tag) > 0) {
-            await new Promise(resolve => setTimeout(resolve, 30)); // Уменьшено с 50 до 30 мс
-          }
-
-          switch (tag.registerType) {
-            case 'HOLDING_REGISTER':
-              // Для float нужно читать 2 регистра (32 бита)
-              const holdingRegistersToRead = (tag.deviceDataType === 'float' || tag.serverDataType === 'float') ? 2 : 1;
-              const holdingResult = await client.readHoldingRegisters(
-                tag.address,
-                holdingRegistersToRead
-              );
-
-              if (holdingRegistersToRead === 2) {
-                // Конвертируем два регистра в float
-                value = this.convertRegistersToFloat(holdingResult.data[0], holdingResult.data[1]);
-                // Применяем масштабирование для float, если указано
-                if (tag.scaleFactor && tag.scaleFactor !== 1.0) {
-                  value = value * tag.scaleFactor;
-                }
-              } else {
-                value = this.convertValue(holdingResult.data[0], tag.deviceDataType, tag.serverDataType, tag.scaleFactor || 1.0);
-              }
-              break;
-
-            case 'INPUT_REGISTER':
-              // Для float нужно читать 2 регистра (32 бита)
-              const inputRegistersToRead = (tag.deviceDataType === 'float' || tag.serverDataType === 'float') ? 2 : 1;
-              const inputResult = await client.readInputRegisters(
-                tag.address,
-                inputRegistersToRead
-              );
-
-              if (inputRegistersToRead === 2) {
-                // Конвертируем два регистра в float
-                value = this.convertRegistersToFloat(inputResult.data[0], inputResult.data[1]);
-                // Применяем масштабирование для float, если указано
-                if (tag.scaleFactor && tag.scaleFactor !== 1.0) {
-                  value = value * tag.scaleFactor;
-                }
-              } else {
-                value = this.convertValue(inputResult.data[0], tag.deviceDataType, tag.serverDataType, tag.scaleFactor || 1.0);
-              }
-              break;
-
-            case 'COIL':
-              const coilResult = await client.readCoils(
-                tag.address,
-                1
-              );
-              value = coilResult.data[0] ? 1 : 0;
-              break;
-
-            case 'DISCRETE_INPUT':
-              const discreteResult = await client.readDiscreteInputs(
-                tag.address,
-                1
-              );
-              value = discreteResult.data[0] ? 1 : 0;
-              break;
-          }
-
-          tagValues[tag.id] = {
-            tagId: tag.id,
-            tagName: tag.name,
-            value: value,
-            timestamp: new Date().toISOString()
-          };
-
-          hasSuccessfulReads = true;
-          allTagsTimeout = false;
-
-        } catch (tagError) {
-          console.error(`Error reading tag ${tag.name} from device ${device.name}:`, tagError);
+      const results = await driver.readTags(device, Array.from(tags));
+      for (const result of results) {
+        const {tag} = result;
 
-          // Проверяем, является ли ошибка TransactionTimedOutError
-          if (tagError.name !== 'TransactionTimedOutError') {
+        if (result.error) {
+          // Таймаут всех тегов означает, что устройство не отвечает
+          if (!result.timeout) {
             allTagsTimeout = false;
           }
 
@@ -615,10 +885,21 @@ export class ModbusManager {
             tagId: tag.id,
             tagName: tag.name,
             value: null,
-            error: tagError.message,
+            error: result.error.message,
             timestamp: new Date().toISOString()
           };
+          continue;
         }
+
+        tagValues[tag.id] = {
+          tagId: tag.id,
+          tagName: tag.name,
+          value: scaleValue(tag, result.value),
+          timestamp: new Date().toISOString()
+        };
+
+        hasSuccessfulReads = true;
+        allTagsTimeout = false;
       }
 
       // Обновляем время последнего опроса
@@ -633,11 +914,9 @@ export class ModbusManager {
         console.error(`Error updating device lastPollTime ${device.id}:`, error);
       }
 
-      // Если все теги не отвечают, останавливаем опрос устройства
+      // Если все теги не отвечают, выводим устройство из опроса до восстановления связи
       if (allTagsTimeout && !hasSuccessfulReads) {
-        // Останавливаем опрос устройства, так как оно не отвечает
-        this.stopDevicePolling(device.id);
-        this.broadcastStateUpdate();
+        this.setDeviceOffline(device);
       }
 
       // Сохраняем значения в кэш
@@ -654,33 +933,11 @@ export class ModbusManager {
 
     } catch (error) {
       console.error(`Error polling device ${device.name}:`, error);
-      // Останавливаем опрос при ошибке
-      this.stopDevicePolling(device.id);
+      // Опрос узла продолжается: следующий цикл снова опросит устройство
       this.broadcastStateUpdate();
     }
   }
 
-  convertValue(rawValue, deviceDataType, serverDataType, scaleFactor = 1.0) {
-    let value = rawValue;
-
-    // Простая конвертация для int16 -> int32
-    if (deviceDataType === 'int16' && serverDataType === 'int32') {
-      // Преобразуем int16 в int32 (знак сохраняется)
-      if (rawValue >= 32768) {
-        value = rawValue - 65536; // Отрицательное число
-      } else {
-        value = rawValue;
-      }
-    }
-
-    // Применяем масштабирование
-    if (scaleFactor !== 1.0) {
-      value = value * scaleFactor;
-    }
-
-    return value;
-  }
-
   async updateNodeConnectionStatus(nodeId, status, errorMessage) {
     try {
       await this.prisma.connectionNode.update({
@@ -693,58 +950,7 @@ export class ModbusManager {
     } catch (error) {
       console.error(`Error updating node connection status ${nodeId}:`, error);
     }
-  }
-
-  /**
-   * Конвертирует два Modbus регистра (16 бит каждый) в IEEE 754 float (32 бита)
-   * Используется порядок байтов: старший регистр (high word) -> младший регистр (low word)
-   * Это стандартный порядок для большинства Modbus устройств (big-endian)
-   *
-   * @param {number} highWord - Старший регистр (первые 16 бит)
-   * @param {number} lowWord - Младший регистр (последние 16 бит)
-   * @returns {number} Float значение
-   */
-  convertRegistersToFloat(highWord, lowWord) {
-    // Преобразуем два 16-битных регистра в 32-битное целое число
-    // highWord содержит старшие 16 бит, lowWord - младшие 16 бит
-    // Порядок байтов: Big-endian (ABCD)
-    // A = старший байт highWord, B = младший байт highWord
-    // C = старший байт lowWord, D = младший байт lowWord
-
-    // Создаем буфер для 32-битного float
-    const buffer = Buffer.allocUnsafe(4);
-
-    // Записываем байты в правильном порядке (big-endian)
-    // Старший байт highWord -> buffer[0]
-    // Младший байт highWord -> buffer[1]
-    // Старший байт lowWord -> buffer[2]
-    // Младший байт lowWord -> buffer[3]
-    buffer.writeUInt16BE(highWord, 0);
-    buffer.writeUInt16BE(lowWord, 2);
-
-    // Читаем как IEEE 754 float (big-endian)
-    return buffer.readFloatBE(0);
-  }
-
-  /**
-   * Конвертирует IEEE 754 float (32 бита) в два Modbus регистра (16 бит каждый)
-   * Обратная операция для convertRegistersToFloat
-   *
-   * @param {number} floatValue - Float значение
-   * @returns {Array<number>} [highWord, lowWord] - два 16-битных регистра
-   */
-  convertFloatToRegisters(floatValue) {
-    // Создаем буфер для 32-битного float
-    const buffer = Buffer.allocUnsafe(4);
-
-    // Записываем float как IEEE 754 (big-endian)
-    buffer.writeFloatBE(floatValue, 0);
-
-    // Читаем два 16-битных регистра
-    const highWord = buffer.readUInt16BE(0);
-    const lowWord = buffer.readUInt16BE(2);
-
-    return [highWord, lowWord];
+    this.emit('nodeStatus', nodeId, status, errorMessage);
   }
 
   /**
@@ -756,6 +962,7 @@ export class ModbusManager {
    */
   async writeTagValue(tagId, value) {
     let tag = null;
+    let driver = null;
     try {
       // Загружаем тег с информацией об устройстве и узле связи
       tag = await this.prisma.tag.findUnique({
@@ -773,6 +980,15 @@ export class ModbusManager {
         throw new Error('Тег не найден');
       }
 
+      if (tag.kind === 'CALCULATED') {
+        throw new Error('Значение вычисляемого тега нельзя записать');
+      }
+
+      // Значение внутреннего тега хранится на сервере, устройство не участвует
+      if (tag.kind === 'INTERNAL') {
+        return await this.internalTags.write(tag, value);
+      }
+
       if (tag.accessType !== 'ReadWrite') {
         throw new Error('Тег доступен только для чтения');
       }
@@ -805,18 +1021,19 @@ export class ModbusManager {
         throw new Error(`Узел связи не найден. Убедитесь, что узел "${tag.device.connectionNode?.name || tag.device.connectionNodeId}" подключен и Modbus Manager запущен.`);
       }
 
-      if (!connection.client) {
-        throw new Error('Modbus клиент не инициализирован для узла связи');
+      // Проверяем, что соединение действительно открыто и готово к работе
+      if (!connection.driver.isOpen()) {
+        throw new Error('Соединение узла связи не открыто. Попробуйте переподключить узел.');
       }
 
-      // Проверяем, что клиент действительно открыт и готов к работе
-      if (!connection.client.isOpen) {
-        throw new Error('COM порт узла связи не открыт. Попробуйте переподключить узел.');
-      }
-
-      const client = connection.client;
+      driver = connection.driver;
       const device = tag.device;
 
+      // Неотвечающее устройство выведено из опроса: запись в него только заняла бы шину на время таймаута
+      if (connection.offlineDevices.has(device.id)) {
+        throw new Error(`Устройство "${device.name}" не отвечает. Запись станет возможна, когда связь восстановится.`);
+      }
+
       // КРИТИЧНО: Проверяем, не идет ли уже запись в это устройство
       // Предотвращаем одновременные записи в одно устройство
       if (this.deviceWriteLocks.has(device.id)) {
@@ -856,8 +1073,9 @@ export class ModbusManager {
         await new Promise(resolve => setTimeout(resolve, 100));
 
         // ТЕПЕРЬ создаем Promise для реальной записи и заменяем временную блокировку
-        // Это гарантирует, что опрос узла не начнется во время записи
-        writePromise = this._doWriteTagValue(tag, device, client, value);
+        // Это гарантирует, что опрос узла не начнется во время записи.
+        // Запись выполняется в очереди шины, чтобы не пересечься с запросами шлюза
+        writePromise = this.runOnBus(device.connectionNodeId, () => this._doWriteTagValue(tag, device, driver, value));
         this.deviceWriteLocks.set(device.id, writePromise);
 
         // Выполняем запись
@@ -892,7 +1110,9 @@ export class ModbusManager {
           }
         });
 
-        if (updatedDevice && updatedDevice.enabled && connection.client &&
+        // Устройство, которое за это время перестало отвечать, остается вне опроса
+        if (updatedDevice && updatedDevice.enabled && this.connections.get(device.connectionNodeId) === connection &&
+          !connection.offlineDevices.has(device.id) &&
           updatedDevice.tags && Array.isArray(updatedDevice.tags) && updatedDevice.tags.length > 0) {
           // Обновляем устройство в connection.devices
           // Опрос будет выполняться через pollNodeDevices автоматически
@@ -902,18 +1122,8 @@ export class ModbusManager {
     } catch (error) {
       console.error(`Error writing tag value ${tagId}:`, error);
 
-      // Формируем более информативное сообщение об ошибке
-      let errorMessage = error.message;
-
-      if (error.modbusCode === 1) {
-        errorMessage = `Устройство не поддерживает запись в адрес ${tag?.address || 'неизвестен'}. Проверьте, что адрес регистра правильный и устройство поддерживает запись в этот адрес.`;
-      } else if (error.modbusCode === 2) {
-        errorMessage = `Недопустимый адрес регистра ${tag?.address || 'неизвестен'}. Проверьте адрес регистра в настройках тега.`;
-      } else if (error.modbusCode === 3) {
-        errorMessage = `Недопустимое значение для записи. Проверьте диапазон допустимых значений для этого регистра.`;
-      } else if (error.name === 'TransactionTimedOutError') {
-        errorMessage = `Таймаут при записи значения. Устройство не ответило в течение установленного времени. Попробуйте переподключить устройство.`;
-      }
+      // Формируем более информативное сообщение об ошибке (текст зависит от протокола)
+      const errorMessage = driver ? driver.describeWriteError(error, tag) : error.message;
 
       // Создаем новую ошибку с более информативным сообщением
       const enhancedError = new Error(errorMessage);
@@ -923,124 +1133,19 @@ export class ModbusManager {
     }
   }
 
-  async _doWriteTagValue(tag, device, client, value) {
-    // Сохраняем текущий таймаут и увеличиваем его для записи
-    // Запись может занимать больше времени, чем чтение
-    const originalTimeout = client.getTimeout ? client.getTimeout() : (device.responseTimeout || 1000);
-    const writeTimeout = Math.max(originalTimeout * 2, 3000); // Увеличиваем в 2 раза, минимум 3 секунды
-
+  async _doWriteTagValue(tag, device, driver, value) {
     try {
-      // Устанавливаем unit ID для устройства
-      client.setID(device.address);
-
-      // Устанавливаем увеличенный таймаут для записи
-      client.setTimeout(writeTimeout);
-
-      // Конвертируем значение в нужный формат
-      let writeValue = value;
-      if (typeof value === 'string') {
-        writeValue = parseFloat(value);
-        if (isNaN(writeValue)) {
+      // Драйвер работает с сырыми значениями: переводим значение из инженерных единиц и обратно
+      let rawValue = value;
+      if (isScaled(tag)) {
+        const number = typeof value === 'string' ? parseFloat(value) : Number(value);
+        if (!Number.isFinite(number)) {
           throw new Error('Некорректное значение');
         }
+        rawValue = unscaleValue(tag, number);
       }
 
-      // Применяем обратное масштабирование перед записью
-      // Если scaleFactor = 0.1 (значит при чтении делим на 10), то при записи умножаем на 10
-      if (tag.scaleFactor && tag.scaleFactor !== 1.0) {
-        writeValue = writeValue / tag.scaleFactor;
-      }
-
-      // Записываем значение в зависимости от типа регистра
-      switch (tag.registerType) {
-        case 'HOLDING_REGISTER':
-          // Для float нужно записать 2 регистра
-          if (tag.deviceDataType === 'float' || tag.serverDataType === 'float') {
-            const [highWord, lowWord] = this.convertFloatToRegisters(writeValue);
-            // Некоторые устройства не поддерживают функцию 16 (Write Multiple Registers)
-            // Поэтому записываем два регистра по отдельности
-            console.log(`Writing float to tag ${tag.name} (${tag.id}): address=${tag.address}, value=${writeValue}, highWord=${highWord}, lowWord=${lowWord}`);
-            await client.writeRegister(tag.address, highWord);
-            // Небольшая задержка между записями для стабильности RS-485
-            await new Promise(resolve => setTimeout(resolve, 50));
-            await client.writeRegister(tag.address + 1, lowWord);
-          } else {
-            // Для целых чисел записываем одно значение
-            // Преобразуем int32 в int16 если нужно
-            let registerValue = writeValue;
-            if (tag.deviceDataType === 'int16' && tag.serverDataType === 'int32') {
-              // Ограничиваем до диапазона int16
-              if (registerValue > 32767) registerValue = 32767;
-              if (registerValue < -32768) registerValue = -32768;
-
-              // Преобразуем отрицательные числа в формат uint16 для Modbus
-              // Modbus регистры хранят значения как uint16 (0-65535)
-              // Отрицательные int16 значения представлены как 32768-65535
-              if (registerValue < 0) {
-                registerValue = registerValue + 65536;
-              }
-            }
-
-            // Убеждаемся, что значение в диапазоне uint16
-            registerValue = Math.round(registerValue);
-            if (registerValue < 0) registerValue = 0;
-            if (registerValue > 65535) registerValue = 65535;
-
-            // Некоторые устройства не поддерживают функцию 6 (Write Single Register)
-            // и требуют функцию 16 (Write Multiple Registers) даже для одного регистра
-            // Пробуем сначала функцию 16
-            try {
-              console.log(`Writing value to tag ${tag.name} (${tag.id}): address=${tag.address}, originalValue=${writeValue}, registerValue=${registerValue} (uint16), deviceDataType=${tag.deviceDataType}, serverDataType=${tag.serverDataType}, device=${device.name} (address ${device.address}) width 16 function`);
-              await client.writeRegisters(tag.address, [registerValue]);
-            } catch (error) {
-              // Если функция 16 не поддерживается, пробуем функцию 6
-              if (error.modbusCode === 1) {
-                console.log(`Function 16 not supported, trying function 6 for tag ${tag.name}`);
-                await client.writeRegister(tag.address, registerValue);
-              } else {
-                throw error;
-              }
-            }
-          }
-          break;
-
-        case 'COIL':
-          // Для COIL записываем boolean значение
-          await client.writeCoil(tag.address, writeValue !== 0 && writeValue !== false);
-          break;
-
-        case 'INPUT_REGISTER':
-          throw new Error('INPUT_REGISTER доступен только для чтения');
-
-        case 'DISCRETE_INPUT':
-          throw new Error('DISCRETE_INPUT доступен только для чтения');
-
-        default:
-          throw new Error(`Неподдерживаемый тип регистра: ${tag.registerType}`);
-      }
-
-      // Небольшая задержка после записи для стабильности
-      await new Promise(resolve => setTimeout(resolve, 100));
-
-      // Читаем значение обратно для подтверждения
-      let readValue = null;
-      if (tag.registerType === 'HOLDING_REGISTER') {
-        const isFloat = tag.deviceDataType === 'float' || tag.serverDataType === 'float';
-        if (isFloat) {
-          const readResult = await client.readHoldingRegisters(tag.address, 2);
-          readValue = this.convertRegistersToFloat(readResult.data[0], readResult.data[1]);
-          // Применяем масштабирование для float, если указано
-          if (tag.scaleFactor && tag.scaleFactor !== 1.0) {
-            readValue = readValue * tag.scaleFactor;
-          }
-        } else {
-          const readResult = await client.readHoldingRegisters(tag.address, 1);
-          readValue = this.convertValue(readResult.data[0], tag.deviceDataType, tag.serverDataType, tag.scaleFactor || 1.0);
-        }
-      } else if (tag.registerType === 'COIL') {
-        const readResult = await client.readCoils(tag.address, 1);
-        readValue = readResult.data[0] ? 1 : 0;
-      }
+      const readValue = scaleValue(tag, await driver.writeTag(device, tag, rawValue));
 
       // Обновляем кэш значений
       if (!this.tagValuesCache.has(device.id)) {
@@ -1064,76 +1169,48 @@ export class ModbusManager {
         }
       });
 
-      // Восстанавливаем оригинальный таймаут
-      client.setTimeout(originalTimeout);
-
       return {
         success: true,
         value: readValue
       };
     } catch (error) {
-      // Восстанавливаем оригинальный таймаут даже при ошибке
-      try {
-        client.setTimeout(originalTimeout);
-      } catch (e) {
-        // Игнорируем ошибки при восстановлении таймаута
-      }
       console.error(`Error in _doWriteTagValue for tag ${tag.id}:`, error);
       throw error;
     }
   }
 
-
-  async collectHistoryData() {
-    try {
-      console.log('Collecting history data...');
-
-      // Получаем все активные устройства с тегами
-      const devices = await this.prisma.device.findMany({
-        where: {enabled: true},
-        include: {
-          tags: {
-            where: {enabled: true}
-          }
-        }
-      });
-
-      let savedCount = 0;
-
-      for (const device of devices) {
-        const deviceCache = this.tagValuesCache.get(device.id);
-        if (!deviceCache) continue;
-
-        // Пропускаем устройства без тегов или с неитерируемыми тегами
-        if (!device.tags || !isIterable(device.tags)) continue;
-
-        // Сохраняем последние значения всех тегов устройства
-        for (const tag of device.tags) {
-          const tagData = deviceCache.get(tag.id);
-          if (tagData && tagData.value !== null && !tagData.error) {
-            try {
-              await this.saveHistoryData(device.id, tag.id, tagData.value);
-              savedCount++;
-            } catch (error) {
-              console.error(`Error saving history for tag ${tag.name}:`, error);
-            }
-          }
-        }
-      }
-
-      console.log(`History data collection completed. Saved ${savedCount} records.`);
-    } catch (error) {
-      console.error('Error collecting history data:', error);
+  /**
+   * Значение тега из кэша
+   *
+   * @param {Object} tag - тег устройства, вычисляемый или внутренний тег
+   * @returns {Object|null} { tagId, tagName, value, error, timestamp } или null, если значения нет
+   */
+  getCachedTagValue(tag) {
+    let groupId = tag.deviceId;
+    if (tag.kind === 'CALCULATED') {
+      groupId = CALCULATED_GROUP_ID;
+    } else if (tag.kind === 'INTERNAL') {
+      groupId = INTERNAL_GROUP_ID;
     }
+    return this.tagValuesCache.get(groupId)?.get(tag.id) || null;
   }
 
-  async saveHistoryData(deviceId, tagId, value) {
+  /**
+   * Сохраняет значение тега в историю
+   *
+   * @param {string|null} deviceId - ID устройства (null у вычисляемых и внутренних тегов)
+   * @param {string} tagId - ID тега
+   * @param {number|string} value - значение
+   * @param {Date} timestamp - время значения (по умолчанию текущее)
+   */
+  async saveHistoryData(deviceId, tagId, value, timestamp = new Date()) {
     try {
       await this.prisma.historyData.create({
         data: {
           deviceId,
           tagId,
-          value: String(value)
+          value: String(value),
+          timestamp
         }
       });
     } catch (error) {
@@ -1141,7 +1218,26 @@ export class ModbusManager {
     }
   }
 
+  /**
+   * Сохраняет значения тегов в кэш и отправляет их клиентам
+   *
+   * @param {string} groupId - ID устройства, CALCULATED_GROUP_ID или INTERNAL_GROUP_ID
+   * @param {Object} tagValues - tagId -> { tagId, tagName, value, error, timestamp }
+   */
+  setTagValues(groupId, tagValues) {
+    if (!this.tagValuesCache.has(groupId)) {
+      this.tagValuesCache.set(groupId, new Map());
+    }
+    const groupCache = this.tagValuesCache.get(groupId);
+    for (const [tagId, tagData] of Object.entries(tagValues)) {
+      groupCache.set(tagId, tagData);
+    }
+    this.broadcastTagValues(groupId, tagValues);
+  }
+
   broadcastTagValues(deviceId, tagValues) {
+    this.emit('tagValues', deviceId, tagValues);
+
     const message = JSON.stringify({
       type: 'tagValues',
       deviceId,
@@ -1180,6 +1276,26 @@ export class ModbusManager {
 
   broadcastStateUpdate() {
     this.sendCurrentState();
+    this.emit('stateChanged');
+  }
+
+  /**
+   * Находит тег среди опрашиваемых устройств
+   *
+   * Используется актуальная конфигурация соединений, а не копия из БД:
+   * удаленные, выключенные и неопрашиваемые теги сразу перестают быть доступны
+   *
+   * @param {string} tagId - ID тега
+   * @returns {Object|null}
+   */
+  findActiveTag(tagId) {
+    for (const connection of this.connections.values()) {
+      for (const device of connection.devices.values()) {
+        const tag = device.tags ? device.tags.find(t => t.id === tagId) : null;
+        if (tag) return tag;
+      }
+    }
+    return null;
   }
 
   getStatus() {
@@ -1188,6 +1304,21 @@ export class ModbusManager {
     };
   }
 
+  /**
+   * Диагностика соединения узла связи (адрес, счетчики запросов и ошибок драйвера, статистика опроса)
+   *
+   * @param {string} nodeId - ID узла связи
+   * @returns {Object|null} null, если узел не подключен
+   */
+  getNodeDiagnostics(nodeId) {
+    const connection = this.connections.get(nodeId);
+    if (!connection) return null;
+    return {
+      ...connection.driver.getDiagnostics(),
+      polling: connection.scheduler.getStats()
+    };
+  }
+
   sendCurrentState(ws = null) {
     const clients = ws ? [ws] : Array.from(this.wss.clients).filter(c => c.readyState === 1);
 
@@ -1200,8 +1331,27 @@ export class ModbusManager {
             }
           }
         }
+      }),
+      this.prisma.tag.findMany({
+        where: {kind: {in: ['CALCULATED', 'INTERNAL']}},
+        orderBy: {name: 'asc'}
       })
-    ]).then(([nodes]) => {
+    ]).then(([nodes, serverTags]) => {
+      const getServerTagState = tag => ({
+        id: tag.id,
+        name: tag.name,
+        kind: tag.kind,
+        expression: tag.expression,
+        accessType: tag.accessType,
+        enabled: tag.enabled,
+        serverDataType: tag.serverDataType,
+        units: tag.units,
+        description: tag.description,
+        displayDecimals: tag.displayDecimals,
+        engLow: tag.engLow,
+        engHigh: tag.engHigh
+      });
+
       const message = JSON.stringify({
         type: 'state',
         data: {
@@ -1211,6 +1361,12 @@ export class ModbusManager {
             name: node.name,
             type: node.type,
             comPort: node.comPort,
+            framing: node.framing,
+            host: node.host,
+            tcpPort: node.tcpPort,
+            gatewayEnabled: node.gatewayEnabled,
+            gatewayPort: node.gatewayPort,
+            gatewayRunning: this.gateway.isRunning(node.id),
             enabled: node.enabled,
             connectionStatus: node.connectionStatus || 'disconnected',
             lastError: node.lastError,
@@ -1219,6 +1375,7 @@ export class ModbusManager {
               name: device.name,
               address: device.address,
               enabled: device.enabled,
+              offline: this.isDeviceOffline(node.id, device.id),
               lastPollTime: device.lastPollTime,
               tags: device.tags.map(tag => ({
                 id: tag.id,
@@ -1229,10 +1386,23 @@ export class ModbusManager {
                 enabled: tag.enabled,
                 deviceDataType: tag.deviceDataType,
                 serverDataType: tag.serverDataType,
-                scaleFactor: tag.scaleFactor !== undefined && tag.scaleFactor !== null ? tag.scaleFactor : 1.0
+                stringLength: tag.stringLength,
+                bitIndex: tag.bitIndex,
+                scaleFactor: tag.scaleFactor !== undefined && tag.scaleFactor !== null ? tag.scaleFactor : 1.0,
+                scalingMode: tag.scalingMode,
+                scaleClamp: tag.scaleClamp,
+                euMin: tag.euMin,
+                euMax: tag.euMax,
+                units: tag.units,
+                description: tag.description,
+                displayDecimals: tag.displayDecimals,
+                engLow: tag.engLow,
+                engHigh: tag.engHigh
               }))
             }))
-          }))
+          })),
+          calculatedTags: serverTags.filter(tag => tag.kind === 'CALCULATED').map(getServerTagState),
+          internalTags: serverTags.filter(tag => tag.kind === 'INTERNAL').map(getServerTagState)
         }
       });
 
@@ -1266,6 +1436,30 @@ export class ModbusManager {
     if (node && node.enabled && this.isRunning) {
       await this.startConnection(node);
     }
+
+    // Ссылки вычисляемых тегов могли измениться вместе с тегами, устройствами и узлом
+    await this.reloadServerTags();
+  }
+
+  /**
+   * Перезагружает внутренние и вычисляемые теги и политики архивации после изменения конфигурации
+   * (только при запущенном Modbus Manager)
+   *
+   * Внутренние теги загружаются первыми, чтобы вычисляемые теги сразу получили их значения
+   */
+  async reloadServerTags() {
+    if (!this.isRunning) return;
+    try {
+      await this.internalTags.load();
+      await this.calcEngine.load();
+    } catch (error) {
+      console.error('Error loading calculated and internal tags:', error);
+    }
+    try {
+      await this.archiver.load();
+    } catch (error) {
+      console.error('Error loading archive policies:', error);
+    }
   }
 
   async reconnectDevice(deviceId) {
@@ -1289,15 +1483,12 @@ export class ModbusManager {
 
       // Находим соединение узла связи
       const connection = this.connections.get(device.connectionNodeId);
-      if (!connection || !connection.client) {
+      if (!connection) {
         throw new Error(`Устройство ${displayDeviceName} отключено. Проверьте питание.`);
       }
 
       console.log(`Reconnecting device ${displayDeviceName}...`);
 
-      // Останавливаем текущий опрос, если он запущен
-      this.stopDevicePolling(deviceId);
-
       // Загружаем актуальные данные устройства
       const updatedDevice = await this.prisma.device.findUnique({
         where: {id: deviceId},
@@ -1315,7 +1506,10 @@ export class ModbusManager {
       if (updatedDevice.enabled && Array.isArray(updatedDevice.tags) && updatedDevice.tags.length > 0) {
         // Обновляем устройство в connection.devices
         // Опрос будет выполняться через pollNodeDevices автоматически
+        connection.offlineDevices.delete(deviceId);
         connection.devices.set(deviceId, updatedDevice);
+        this.ensureNodePolling(device.connectionNodeId, connection);
+        this.broadcastStateUpdate();
       } else {
         console.log(`Device ${displayDeviceName} is disabled or has no enabled tags`);
       }
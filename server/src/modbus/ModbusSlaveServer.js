@@ -0,0 +1,374 @@
+/**
+ * ModbusSlaveServer - встроенный Modbus TCP сервер (slave) для внешних систем
+ *
+ * Отдает значения тегов из кэша ModbusManager (tagValuesCache) по карте регистров
+ * (модель ModbusServerMapping), чтобы MES и сторонние SCADA могли читать данные по Modbus TCP.
+ *
+ * - Чтение отображенного регистра возвращает текущее значение тега из кэша.
+ *   Если у тега нет актуального значения (устройство не отвечает), возвращается
+ *   исключение 0x0B (Gateway Target Device Failed to Respond)
+ * - Неотображенные адреса внутри запрашиваемого блока читаются как 0
+ * - Запись в holding регистры и катушки передается в ModbusManager.writeTagValue
+ *   со всеми его блокировками. Для 32-битных типов значение записывается в устройство,
+ *   когда получены оба регистра (одним запросом FC16 или двумя запросами FC6)
+ *
+ * Настройки сервера (включен, порт, адрес устройства) хранятся в SystemSettings.
+ */
+
+import ModbusRTU from 'modbus-serial';
+
+const {ServerTCP} = ModbusRTU;
+
+// Ключи настроек сервера в SystemSettings
+const SETTINGS_KEYS = {
+  enabled: 'modbusServerEnabled',
+  port: 'modbusServerPort',
+  unitId: 'modbusServerUnitId'
+};
+
+export const DEFAULT_MODBUS_SERVER_SETTINGS = {
+  enabled: false,
+  port: 502,
+  unitId: 1 // 255 - отвечать на любой адрес устройства
+};
+
+export const MAPPING_REGISTER_TYPES = ['HOLDING_REGISTER', 'INPUT_REGISTER', 'COIL', 'DISCRETE_INPUT'];
+export const MAPPING_DATA_TYPES = ['int16', 'uint16', 'int32', 'uint32', 'float'];
+
+// Коды исключений Modbus
+const ILLEGAL_DATA_ADDRESS = 0x02;
+const SLAVE_DEVICE_FAILURE = 0x04;
+const GATEWAY_TARGET_FAILED = 0x0B;
+
+// Время ожидания второй половины 32-битного значения, записываемого по одному регистру (мс).
+// Половина, к которой вторая не пришла за это время, отбрасывается и не смешивается с более поздней записью
+const PENDING_WORDS_TIMEOUT = 5000;
+
+/**
+ * Количество регистров, которое занимает значение отображения
+ *
+ * @param {Object} mapping - отображение тега на регистр
+ * @returns {number}
+ */
+export function getMappingSize(mapping) {
+  if (mapping.registerType === 'COIL' || mapping.registerType === 'DISCRETE_INPUT') {
+    return 1;
+  }
+  return ['int32', 'uint32', 'float'].includes(mapping.dataType) ? 2 : 1;
+}
+
+/**
+ * Создает ошибку, на которую ServerTCP отвечает исключением Modbus
+ */
+function modbusError(code, message) {
+  const error = new Error(message);
+  error.modbusErrorCode = code;
+  return error;
+}
+
+/**
+ * Преобразует значение тега в слова регистров (порядок слов ABCD - старшее слово первым)
+ *
+ * @param {number} value - значение тега с учетом масштабирования отображения
+ * @param {string} dataType - тип данных отображения
+ * @returns {number[]}
+ */
+function encodeWords(value, dataType) {
+  const buffer = Buffer.alloc(4);
+
+  switch (dataType) {
+    case 'float':
+      buffer.writeFloatBE(value, 0);
+      return [buffer.readUInt16BE(0), buffer.readUInt16BE(2)];
+    case 'int32':
+      buffer.writeInt32BE(Math.min(2147483647, Math.max(-2147483648, Math.round(value))), 0);
+      return [buffer.readUInt16BE(0), buffer.readUInt16BE(2)];
+    case 'uint32':
+      buffer.writeUInt32BE(Math.min(4294967295, Math.max(0, Math.round(value))), 0);
+      return [buffer.readUInt16BE(0), buffer.readUInt16BE(2)];
+    case 'uint16':
+      return [Math.min(65535, Math.max(0, Math.round(value)))];
+    default:
+      return [Math.min(32767, Math.max(-32768, Math.round(value))) & 0xFFFF];
+  }
+}
+
+/**
+ * Преобразует слова регистров в значение (обратная операция для encodeWords)
+ *
+ * @param {number[]} words - слова регистров
+ * @param {string} dataType - тип данных отображения
+ * @returns {number}
+ */
+function decodeWords(words, dataType) {
+  const buffer = Buffer.alloc(4);
+  words.forEach((word, index) => buffer.writeUInt16BE(word, index * 2));
+
+  switch (dataType) {
+    case 'float':
+      return buffer.readFloatBE(0);
+    case 'int32':
+      return buffer.readInt32BE(0);
+    case 'uint32':
+      return buffer.readUInt32BE(0);
+    case 'uint16':
+      return buffer.readUInt16BE(0);
+    default:
+      return buffer.readInt16BE(0);
+  }
+}
+
+export class ModbusSlaveServer {
+  constructor(prisma, modbusManager) {
+    this.prisma = prisma;
+    this.modbusManager = modbusManager; // Источник значений тегов и исполнитель записи
+
+    this.server = null; // Экземпляр ServerTCP, если сервер запущен
+    this.settings = {...DEFAULT_MODBUS_SERVER_SETTINGS};
+    this.lastError = null; // Ошибка последнего запуска (например, порт занят)
+
+    // Карта регистров: registerType -> Map(address -> { mapping, wordIndex })
+    this.registerMap = new Map();
+
+    // Слова 32-битных значений, ожидающие второй половины:
+    // mappingId -> { words: [word | null, word | null], updatedAt (мс) }
+    this.pendingWords = new Map();
+  }
+
+  /**
+   * Загружает настройки сервера из БД
+   */
+  async loadSettings() {
+    const rows = await this.prisma.systemSettings.findMany({
+      where: {key: {in: Object.values(SETTINGS_KEYS)}}
+    });
+    const values = Object.fromEntries(rows.map(row => [row.key, row.value]));
+
+    this.settings = {
+      enabled: values[SETTINGS_KEYS.enabled] !== undefined
+        ? values[SETTINGS_KEYS.enabled] === 'true'
+        : DEFAULT_MODBUS_SERVER_SETTINGS.enabled,
+      port: values[SETTINGS_KEYS.port] !== undefined
+        ? parseInt(values[SETTINGS_KEYS.port])
+        : DEFAULT_MODBUS_SERVER_SETTINGS.port,
+      unitId: values[SETTINGS_KEYS.unitId] !== undefined
+        ? parseInt(values[SETTINGS_KEYS.unitId])
+        : DEFAULT_MODBUS_SERVER_SETTINGS.unitId
+    };
+    return this.settings;
+  }
+
+  /**
+   * Сохраняет настройки сервера и перезапускает его с новыми параметрами
+   *
+   * @param {{enabled: boolean, port: number, unitId: number}} settings
+   */
+  async updateSettings(settings) {
+    for (const [name, key] of Object.entries(SETTINGS_KEYS)) {
+      await this.prisma.systemSettings.upsert({
+        where: {key},
+        update: {value: String(settings[name])},
+        create: {key, value: String(settings[name])}
+      });
+    }
+    await this.restart();
+  }
+
+  /**
+   * Загружает карту регистров из БД
+   */
+  async loadMappings() {
+    const mappings = await this.prisma.modbusServerMapping.findMany({
+      include: {tag: true}
+    });
+
+    const registerMap = new Map(MAPPING_REGISTER_TYPES.map(type => [type, new Map()]));
+    for (const mapping of mappings) {
+      const area = registerMap.get(mapping.registerType);
+      if (!area) continue;
+      for (let wordIndex = 0; wordIndex < getMappingSize(mapping); wordIndex++) {
+        area.set(mapping.address + wordIndex, {mapping, wordIndex});
+      }
+    }
+
+    this.registerMap = registerMap;
+    this.pendingWords.clear();
+  }
+
+  /**
+   * Запуск сервера, если он включен в настройках
+   */
+  async start() {
+    await this.loadSettings();
+    await this.loadMappings();
+
+    if (!this.settings.enabled) {
+      this.lastError = null;
+      return;
+    }
+
+    try {
+      await new Promise((resolve, reject) => {
+        const server = new ServerTCP(this.createVector(), {
+          host: '0.0.0.0',
+          port: this.settings.port,
+          unitID: this.settings.unitId
+        });
+        server.once('initialized', () => {
+          this.server = server;
+          resolve();
+        });
+        server.once('serverError', (error) => {
+          server.close(() => {});
+          reject(error);
+        });
+        server.on('socketError', (error) => {
+          console.error('Modbus TCP server socket error:', error.message);
+        });
+      });
+
+      this.lastError = null;
+      console.log(`Modbus TCP server listening on port ${this.settings.port} (unit ${this.settings.unitId})`);
+    } catch (error) {
+      console.error('Error starting Modbus TCP server:', error);
+      this.lastError = error.code === 'EADDRINUSE'
+        ? `Порт ${this.settings.port} уже занят другим приложением`
+        : error.message;
+    }
+  }
+
+  /**
+   * Остановка сервера и закрытие всех клиентских соединений
+   */
+  async stop() {
+    if (!this.server) return;
+
+    const server = this.server;
+    this.server = null;
+    await new Promise(resolve => server.close(() => resolve()));
+    console.log('Modbus TCP server stopped');
+  }
+
+  async restart() {
+    await this.stop();
+    await this.start();
+  }
+
+  getStatus() {
+    return {
+      ...this.settings,
+      running: this.server !== null,
+      lastError: this.lastError
+    };
+  }
+
+  /**
+   * Создает вектор обработчиков для ServerTCP
+   */
+  createVector() {
+    return {
+      getHoldingRegister: (address) => this.readRegister('HOLDING_REGISTER', address),
+      getInputRegister: (address) => this.readRegister('INPUT_REGISTER', address),
+      getCoil: (address) => this.readBit('COIL', address),
+      getDiscreteInput: (address) => this.readBit('DISCRETE_INPUT', address),
+      setRegister: (address, value) => this.writeRegisters(address, [value]),
+      setRegisterArray: (address, values) => this.writeRegisters(address, values),
+      setCoil: (address, state) => this.writeCoil(address, state)
+    };
+  }
+
+  /**
+   * Возвращает текущее значение тега из кэша ModbusManager
+   *
+   * @param {Object} mapping - отображение тега на регистр
+   * @returns {number}
+   * @throws Исключение 0x0B, если тег не опрашивается, значения нет или последний опрос завершился ошибкой
+   */
+  getTagValue(mapping) {
+    const tag = this.modbusManager.findActiveTag(mapping.tagId);
+    const deviceCache = tag ? this.modbusManager.tagValuesCache.get(tag.deviceId) : null;
+    const cached = deviceCache ? deviceCache.get(tag.id) : null;
+    const value = cached ? Number(cached.value) : NaN;
+
+    if (!cached || cached.error || cached.value === null || !Number.isFinite(value)) {
+      throw modbusError(GATEWAY_TARGET_FAILED, `Нет актуального значения тега ${mapping.tag.name}`);
+    }
+    return value;
+  }
+
+  readRegister(registerType, address) {
+    const entry = this.registerMap.get(registerType).get(address);
+    if (!entry) return 0;
+
+    const {mapping, wordIndex} = entry;
+    const words = encodeWords(this.getTagValue(mapping) * mapping.scaleFactor, mapping.dataType);
+    return words[wordIndex];
+  }
+
+  readBit(registerType, address) {
+    const entry = this.registerMap.get(registerType).get(address);
+    if (!entry) return false;
+
+    return this.getTagValue(entry.mapping) !== 0;
+  }
+
+  /**
+   * Проверяет, что внешняя система может записывать в отображение
+   */
+  getWritableEntry(registerType, address) {
+    const entry = this.registerMap.get(registerType).get(address);
+    const tag = entry ? this.modbusManager.findActiveTag(entry.mapping.tagId) : null;
+    if (!tag || tag.accessType !== 'ReadWrite') {
+      throw modbusError(ILLEGAL_DATA_ADDRESS, `Адрес ${address} недоступен для записи`);
+    }
+    return entry;
+  }
+
+  /**
+   * Записывает значение в тег через ModbusManager
+   */
+  async writeTag(tag, value) {
+    try {
+      await this.modbusManager.writeTagValue(tag.id, value);
+    } catch (error) {
+      console.error(`Modbus TCP server: error writing tag ${tag.name}:`, error.message);
+      throw modbusError(SLAVE_DEVICE_FAILURE, error.message);
+    }
+  }
+
+  async writeRegisters(start, words) {
+    // Сначала проверяем все адреса, чтобы не выполнять запрос частично
+    const entries = words.map((_, index) => this.getWritableEntry('HOLDING_REGISTER', start + index));
+
+    const now = Date.now();
+    for (const [mappingId, pending] of this.pendingWords) {
+      if (now - pending.updatedAt > PENDING_WORDS_TIMEOUT) {
+        this.pendingWords.delete(mappingId);
+      }
+    }
+
+    const touched = new Map();
+    entries.forEach(({mapping, wordIndex}, index) => {
+      const pending = this.pendingWords.get(mapping.id) ||
+        {words: new Array(getMappingSize(mapping)).fill(null), updatedAt: now};
+      pending.words[wordIndex] = words[index];
+      pending.updatedAt = now;
+      this.pendingWords.set(mapping.id, pending);
+      touched.set(mapping.id, mapping);
+    });
+
+    for (const mapping of touched.values()) {
+      const pending = this.pendingWords.get(mapping.id);
+      if (pending.words.some(word => word === null)) continue; // Ждем вторую половину значения
+
+      this.pendingWords.delete(mapping.id);
+      const value = decodeWords(pending.words, mapping.dataType) / mapping.scaleFactor;
+      await this.writeTag(mapping.tag, value);
+    }
+  }
+
+  async writeCoil(address, state) {
+    const {mapping} = this.getWritableEntry('COIL', address);
+    await this.writeTag(mapping.tag, state ? 1 : 0);
+  }
+}
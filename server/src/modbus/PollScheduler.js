@@ -0,0 +1,152 @@
+/**
+ * PollScheduler - расписание опроса тегов одного узла связи
+ *
+ * Хранит для каждого тега время следующего опроса. Период опроса тега - Tag.pollInterval,
+ * если задан, иначе Device.pollInterval. На каждом цикле ModbusManager опрашивает только
+ * теги, срок опроса которых наступил, устройства - по очереди, начиная с самого просроченного.
+ *
+ * Если шина не успевает опрашивать теги с заданными периодами, опрос тега начинается позже
+ * положенного. Опоздание больше периода тега (пропущен целый цикл) считается перегрузкой
+ * шины и учитывается в статистике.
+ */
+
+// Минимальная пауза между циклами планировщика (мс)
+const MIN_TICK = 10;
+
+export class PollScheduler {
+  constructor() {
+    // tagId -> время следующего опроса (мс)
+    this.dueTimes = new Map();
+
+    // Статистика для диагностики и предупреждений о перегрузке шины
+    this.stats = {
+      cycles: 0,
+      overruns: 0,
+      maxLateness: 0,
+      lastOverrunAt: null,
+      busyTime: 0, // Суммарная длительность циклов опроса с момента startedAt (мс)
+      startedAt: Date.now()
+    };
+  }
+
+  /**
+   * Период опроса тега (мс)
+   */
+  static getTagInterval(device, tag) {
+    return tag.pollInterval || device.pollInterval || 1000;
+  }
+
+  /**
+   * Выбирает теги, срок опроса которых наступил
+   *
+   * Новые теги (которых еще нет в расписании) опрашиваются сразу
+   *
+   * @param {Object[]} devices - устройства узла
+   * @param {number} now - текущее время (мс)
+   * @returns {Array<{device: Object, tags: Object[], due: number}>} Устройства по возрастанию
+   *   самого раннего срока опроса их тегов
+   */
+  getDue(devices, now) {
+    const due = [];
+    for (const device of devices) {
+      let earliest = Infinity;
+      const tags = [];
+      for (const tag of device.tags) {
+        const dueTime = this.dueTimes.get(tag.id) ?? now;
+        if (dueTime <= now) {
+          tags.push(tag);
+          earliest = Math.min(earliest, dueTime);
+        }
+      }
+      if (tags.length > 0) {
+        due.push({device, tags, due: earliest});
+      }
+    }
+    return due.sort((a, b) => a.due - b.due);
+  }
+
+  /**
+   * Отмечает теги опрошенными и назначает следующий срок опроса
+   *
+   * @param {Object} device - устройство
+   * @param {Object[]} tags - опрошенные теги
+   * @param {number} startedAt - время начала опроса (мс)
+   * @param {number} finishedAt - время окончания опроса (мс)
+   * @returns {number} Опоздание опроса больше периода тега (мс) или 0, если шина успевает
+   */
+  markPolled(device, tags, startedAt, finishedAt) {
+    let overrun = 0;
+    for (const tag of tags) {
+      const interval = PollScheduler.getTagInterval(device, tag);
+      const dueTime = this.dueTimes.get(tag.id) ?? startedAt;
+      const lateness = startedAt - dueTime;
+
+      this.stats.maxLateness = Math.max(this.stats.maxLateness, lateness);
+      if (lateness > interval) {
+        overrun = Math.max(overrun, lateness);
+      }
+
+      // Следующий опрос отсчитываем от срока, а не от фактического времени, чтобы период
+      // не накапливал задержки. Пропущенные циклы не наверстываем
+      this.dueTimes.set(tag.id, Math.max(dueTime + interval, finishedAt));
+    }
+
+    if (overrun > 0) {
+      this.stats.overruns++;
+      this.stats.lastOverrunAt = new Date(finishedAt).toISOString();
+    }
+    return overrun;
+  }
+
+  /**
+   * Удаляет теги из расписания (устройство выведено из опроса). Когда устройство вернется
+   * в опрос, его теги будут опрошены сразу и без учета опоздания
+   */
+  forget(tags) {
+    for (const tag of tags) {
+      this.dueTimes.delete(tag.id);
+    }
+  }
+
+  /**
+   * Задержка до ближайшего опроса (мс)
+   *
+   * @param {Object[]} devices - устройства узла
+   * @param {number} now - текущее время (мс)
+   * @returns {number|null} null, если опрашивать нечего
+   */
+  getDelay(devices, now) {
+    let next = Infinity;
+    for (const device of devices) {
+      for (const tag of device.tags) {
+        next = Math.min(next, this.dueTimes.get(tag.id) ?? now);
+      }
+    }
+    if (next === Infinity) return null;
+    return Math.max(next - now, MIN_TICK);
+  }
+
+  /**
+   * Учитывает завершенный цикл опроса: шина занята от начала до конца цикла,
+   * включая паузы между запросами
+   */
+  endCycle(startedAt, finishedAt) {
+    this.stats.cycles++;
+    this.stats.busyTime += finishedAt - startedAt;
+  }
+
+  /**
+   * Статистика опроса узла: число циклов, перегрузок, максимальное опоздание
+   * и загрузка шины (доля времени, занятого опросом, в процентах)
+   */
+  getStats() {
+    const elapsed = Math.max(Date.now() - this.stats.startedAt, 1);
+    return {
+      cycles: this.stats.cycles,
+      overruns: this.stats.overruns,
+      maxLateness: this.stats.maxLateness,
+      lastOverrunAt: this.stats.lastOverrunAt,
+      busLoad: Math.min(100, Math.round(this.stats.busyTime / elapsed * 100))
+    };
+  }
+}
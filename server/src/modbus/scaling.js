@@ -0,0 +1,126 @@
+/**
+ * Линейное масштабирование значений тегов в инженерные единицы
+ *
+ * Режимы масштабирования тега (scalingMode):
+ * - none - значение регистра без изменений
+ * - factor - значение = сырое значение * scaleFactor + scaleOffset
+ * - range - сырой диапазон rawMin..rawMax переводится в инженерный euMin..euMax
+ *   (например, 4-20 мА как 0..16000 в регистре -> 0..10 бар)
+ *
+ * С ограничением (scaleClamp, только для режима range) значение не выходит за инженерный диапазон:
+ * при чтении - за пределы euMin..euMax, при записи в устройство уходит не больше rawMin..rawMax.
+ *
+ * Масштабирование не зависит от протокола: драйвер возвращает и принимает сырые значения,
+ * ModbusManager переводит их в инженерные единицы при опросе и обратно при записи.
+ * Дискретные теги (coil, discrete input, биты регистров) и строки не масштабируются.
+ */
+
+export const SCALING_MODES = ['none', 'factor', 'range'];
+
+/**
+ * Проверяет параметры масштабирования тега
+ *
+ * @param {Object} data - параметры тега (scalingMode, scaleFactor, scaleOffset, rawMin, rawMax,
+ *   euMin, euMax, scaleClamp), а также registerType, serverDataType и bitIndex
+ * @returns {string|null} Текст ошибки или null, если параметры корректны
+ */
+export function validateScaling(data) {
+  const {scalingMode, scaleFactor, scaleOffset, rawMin, rawMax, euMin, euMax, scaleClamp} = data;
+
+  if (!SCALING_MODES.includes(scalingMode)) {
+    return `Режим масштабирования должен быть одним из: ${SCALING_MODES.join(', ')}`;
+  }
+  if (scaleClamp !== undefined && typeof scaleClamp !== 'boolean') {
+    return 'Параметр scaleClamp должен быть true или false';
+  }
+  if (scalingMode === 'none') {
+    return null;
+  }
+
+  const isDiscrete = data.registerType === 'COIL' || data.registerType === 'DISCRETE_INPUT' ||
+    (data.bitIndex !== null && data.bitIndex !== undefined);
+  if (isDiscrete || data.serverDataType === 'string') {
+    return 'Дискретные и строковые теги не масштабируются';
+  }
+
+  if (scalingMode === 'factor') {
+    if (!Number.isFinite(scaleFactor) || scaleFactor === 0) {
+      return 'Множитель должен быть числом, не равным 0';
+    }
+    if (!Number.isFinite(scaleOffset)) {
+      return 'Смещение должно быть числом';
+    }
+    if (scaleClamp) {
+      return 'Ограничение значения доступно только при масштабировании по диапазонам';
+    }
+    return null;
+  }
+
+  if (![rawMin, rawMax, euMin, euMax].every(Number.isFinite)) {
+    return 'Укажите сырой и инженерный диапазоны числами';
+  }
+  if (rawMin === rawMax) {
+    return 'Минимум и максимум сырого диапазона не должны совпадать';
+  }
+  if (euMin === euMax) {
+    return 'Минимум и максимум инженерного диапазона не должны совпадать';
+  }
+  return null;
+}
+
+/**
+ * Масштабируется ли значение тега (значение в инженерных единицах может быть дробным)
+ *
+ * @param {Object} tag - тег
+ * @returns {boolean}
+ */
+export function isScaled(tag) {
+  return !!tag.scalingMode && tag.scalingMode !== 'none';
+}
+
+/**
+ * Ограничивает значение диапазоном, границы которого могут идти в любом порядке
+ */
+function clamp(value, bound1, bound2) {
+  return Math.min(Math.max(value, Math.min(bound1, bound2)), Math.max(bound1, bound2));
+}
+
+/**
+ * Переводит сырое значение тега в инженерные единицы
+ *
+ * @param {Object} tag - тег
+ * @param {number|string} raw - значение, прочитанное драйвером
+ * @returns {number|string}
+ */
+export function scaleValue(tag, raw) {
+  if (!isScaled(tag) || typeof raw !== 'number') {
+    return raw;
+  }
+
+  if (tag.scalingMode === 'factor') {
+    return raw * tag.scaleFactor + (tag.scaleOffset || 0);
+  }
+
+  const value = tag.euMin + (raw - tag.rawMin) * (tag.euMax - tag.euMin) / (tag.rawMax - tag.rawMin);
+  return tag.scaleClamp ? clamp(value, tag.euMin, tag.euMax) : value;
+}
+
+/**
+ * Переводит значение в инженерных единицах в сырое значение для записи (обратная операция для scaleValue)
+ *
+ * @param {Object} tag - тег
+ * @param {number|string} value - значение в инженерных единицах
+ * @returns {number|string}
+ */
+export function unscaleValue(tag, value) {
+  if (!isScaled(tag) || typeof value !== 'number') {
+    return value;
+  }
+
+  if (tag.scalingMode === 'factor') {
+    return (value - (tag.scaleOffset || 0)) / tag.scaleFactor;
+  }
+
+  const eu = tag.scaleClamp ? clamp(value, tag.euMin, tag.euMax) : value;
+  return tag.rawMin + (eu - tag.euMin) * (tag.rawMax - tag.rawMin) / (tag.euMax - tag.euMin);
+}
@@ -0,0 +1,385 @@
+/**
+ * MqttPublisher - публикация значений тегов и статусов узлов связи в MQTT брокер
+ *
+ * Получает данные из событий ModbusManager:
+ * - 'tagValues' - значения тегов после опроса или записи (те же данные, что уходят в WebSocket)
+ * - 'nodeStatus' - статус подключения узла связи
+ *
+ * Режимы публикации значений:
+ * - 'change' - значение тега публикуется, только если изменилось значение или качество
+ * - 'periodic' - значения всех опрашиваемых тегов публикуются с заданным интервалом
+ *
+ * Топик тега строится по шаблону (например, `scada/{node}/{device}/{tag}`), сообщение - JSON:
+ *   {"value": 21.5, "quality": "good", "timestamp": "..."}
+ *   {"value": null, "quality": "bad", "error": "...", "timestamp": "..."}
+ *
+ * Если запись разрешена, сообщение в топик `<топик тега>/set` записывает значение в тег ReadWrite
+ * через ModbusManager.writeTagValue. Значение передается числом (`42`, `true`) или JSON `{"value": 42}`.
+ *
+ * Настройки хранятся в SystemSettings.
+ */
+
+import mqtt from 'mqtt';
+
+export const MQTT_PUBLISH_MODES = ['change', 'periodic'];
+
+export const DEFAULT_MQTT_SETTINGS = {
+  enabled: false,
+  brokerUrl: 'mqtt://localhost:1883',
+  username: '',
+  password: '',
+  topicTemplate: 'scada/{node}/{device}/{tag}',
+  statusTopicTemplate: 'scada/{node}/status',
+  qos: 0,
+  retain: false,
+  publishMode: 'change',
+  publishInterval: 10000,
+  writeEnabled: false
+};
+
+// Ключи настроек в SystemSettings
+const SETTINGS_KEYS = {
+  enabled: 'mqttEnabled',
+  brokerUrl: 'mqttBrokerUrl',
+  username: 'mqttUsername',
+  password: 'mqttPassword',
+  topicTemplate: 'mqttTopicTemplate',
+  statusTopicTemplate: 'mqttStatusTopicTemplate',
+  qos: 'mqttQos',
+  retain: 'mqttRetain',
+  publishMode: 'mqttPublishMode',
+  publishInterval: 'mqttPublishInterval',
+  writeEnabled: 'mqttWriteEnabled'
+};
+
+// Суффикс топика записи значения в тег
+const SET_TOPIC_SUFFIX = '/set';
+
+/**
+ * Заменяет в имени символы, недопустимые в уровне топика MQTT
+ */
+function topicLevel(name) {
+  return String(name).trim().replace(/[/+#]/g, '_');
+}
+
+/**
+ * Подставляет имена узла, устройства и тега в шаблон топика
+ *
+ * @param {string} template - шаблон с подстановками {node}, {device}, {tag}
+ * @param {{node?: string, device?: string, tag?: string}} names
+ * @returns {string}
+ */
+export function renderTopic(template, names) {
+  return template.replace(/\{(node|device|tag)\}/g, (_, key) => topicLevel(names[key] ?? ''));
+}
+
+/**
+ * Преобразует значение из сообщения MQTT в значение для записи в тег:
+ * строку для строковых тегов, число для остальных
+ *
+ * @param {Buffer} payload - тело сообщения
+ * @param {Object} tag - тег, в который выполняется запись
+ * @returns {number|string} Значение или NaN, если сообщение не содержит числа
+ */
+function parseWritePayload(payload, tag) {
+  const text = payload.toString();
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch (error) {
+    // Строковый тег принимает тело сообщения как есть, без JSON
+    return tag.serverDataType === 'string' ? text : NaN;
+  }
+  if (value !== null && typeof value === 'object') {
+    value = value.value;
+  }
+  if (tag.serverDataType === 'string') {
+    return String(value ?? '');
+  }
+  if (typeof value === 'boolean') {
+    return value ? 1 : 0;
+  }
+  return typeof value === 'number' ? value : NaN;
+}
+
+export class MqttPublisher {
+  constructor(prisma, modbusManager) {
+    this.prisma = prisma;
+    this.modbusManager = modbusManager; // Источник значений тегов и исполнитель записи
+
+    this.client = null; // MQTT клиент, если публикация включена
+    this.settings = {...DEFAULT_MQTT_SETTINGS};
+    this.lastError = null;
+
+    // Последние опубликованные значения для режима 'change': tagId -> ключ значения
+    this.lastPublished = new Map();
+    this.publishTimer = null;
+
+    this.onTagValues = (deviceId, tagValues) => this.handleTagValues(deviceId, tagValues);
+    this.onNodeStatus = (nodeId, status, errorMessage) => this.publishNodeStatus(nodeId, status, errorMessage);
+  }
+
+  /**
+   * Загружает настройки из БД
+   */
+  async loadSettings() {
+    const rows = await this.prisma.systemSettings.findMany({
+      where: {key: {in: Object.values(SETTINGS_KEYS)}}
+    });
+    const values = Object.fromEntries(rows.map(row => [row.key, row.value]));
+
+    const settings = {};
+    for (const [name, key] of Object.entries(SETTINGS_KEYS)) {
+      const defaultValue = DEFAULT_MQTT_SETTINGS[name];
+      if (values[key] === undefined) {
+        settings[name] = defaultValue;
+      } else if (typeof defaultValue === 'boolean') {
+        settings[name] = values[key] === 'true';
+      } else if (typeof defaultValue === 'number') {
+        settings[name] = parseInt(values[key]);
+      } else {
+        settings[name] = values[key];
+      }
+    }
+
+    this.settings = settings;
+    return this.settings;
+  }
+
+  /**
+   * Сохраняет настройки и переподключается к брокеру с новыми параметрами
+   *
+   * @param {Object} settings - настройки (см. DEFAULT_MQTT_SETTINGS)
+   */
+  async updateSettings(settings) {
+    for (const [name, key] of Object.entries(SETTINGS_KEYS)) {
+      await this.prisma.systemSettings.upsert({
+        where: {key},
+        update: {value: String(settings[name])},
+        create: {key, value: String(settings[name])}
+      });
+    }
+    await this.restart();
+  }
+
+  /**
+   * Подключение к брокеру, если публикация включена в настройках
+   *
+   * Ошибки подключения не прерывают запуск: клиент переподключается сам,
+   * последняя ошибка доступна в getStatus()
+   */
+  async start() {
+    await this.loadSettings();
+    this.lastError = null;
+
+    if (!this.settings.enabled) return;
+
+    const client = mqtt.connect(this.settings.brokerUrl, {
+      username: this.settings.username || undefined,
+      password: this.settings.password || undefined,
+      reconnectPeriod: 5000,
+      connectTimeout: 10000
+    });
+    this.client = client;
+
+    client.on('connect', () => {
+      this.lastError = null;
+      console.log(`MQTT connected to ${this.settings.brokerUrl}`);
+
+      // После переподключения публикуем текущие значения заново
+      this.lastPublished.clear();
+      if (this.settings.writeEnabled) {
+        client.subscribe(this.getSetTopicFilter(), {qos: this.settings.qos}, (error) => {
+          if (error) console.error('MQTT subscribe error:', error.message);
+        });
+      }
+      this.publishAll();
+    });
+    client.on('error', (error) => {
+      this.lastError = error.message;
+      console.error('MQTT error:', error.message);
+    });
+    client.on('message', (topic, payload) => this.handleSetMessage(topic, payload));
+
+    this.modbusManager.on('tagValues', this.onTagValues);
+    this.modbusManager.on('nodeStatus', this.onNodeStatus);
+
+    if (this.settings.publishMode === 'periodic') {
+      this.publishTimer = setInterval(() => this.publishAll(), this.settings.publishInterval);
+    }
+  }
+
+  /**
+   * Отключение от брокера
+   */
+  async stop() {
+    if (!this.client) return;
+
+    const client = this.client;
+    this.client = null;
+    this.modbusManager.off('tagValues', this.onTagValues);
+    this.modbusManager.off('nodeStatus', this.onNodeStatus);
+    clearInterval(this.publishTimer);
+    this.publishTimer = null;
+    this.lastPublished.clear();
+
+    await client.endAsync();
+    console.log('MQTT publisher stopped');
+  }
+
+  async restart() {
+    await this.stop();
+    await this.start();
+  }
+
+  getStatus() {
+    return {
+      ...this.settings,
+      password: '', // Пароль наружу не отдаем
+      passwordSet: Boolean(this.settings.password),
+      connected: Boolean(this.client && this.client.connected),
+      lastError: this.lastError
+    };
+  }
+
+  /**
+   * Находит опрашиваемое устройство и его узел связи
+   *
+   * @param {string} deviceId - ID устройства
+   * @returns {{node: Object, device: Object}|null}
+   */
+  findDevice(deviceId) {
+    for (const connection of this.modbusManager.connections.values()) {
+      const device = connection.devices.get(deviceId);
+      if (device) return {node: connection.node, device};
+    }
+    return null;
+  }
+
+  getTagTopic(node, device, tag) {
+    return renderTopic(this.settings.topicTemplate, {node: node.name, device: device.name, tag: tag.name});
+  }
+
+  /**
+   * Фильтр подписки на топики записи: уровни шаблона с подстановками заменяются на '+'
+   */
+  getSetTopicFilter() {
+    const filter = this.settings.topicTemplate
+      .split('/')
+      .map(level => /\{(node|device|tag)\}/.test(level) ? '+' : level)
+      .join('/');
+    return filter + SET_TOPIC_SUFFIX;
+  }
+
+  publish(topic, message) {
+    if (!this.client || !this.client.connected) return;
+
+    this.client.publish(topic, JSON.stringify(message), {
+      qos: this.settings.qos,
+      retain: this.settings.retain
+    });
+  }
+
+  /**
+   * Публикует значение тега
+   *
+   * @param {Object} node - узел связи
+   * @param {Object} device - устройство
+   * @param {Object} tag - тег
+   * @param {Object} tagValue - значение из кэша ModbusManager
+   * @param {boolean} onlyChanged - публиковать, только если значение изменилось
+   */
+  publishTagValue(node, device, tag, tagValue, onlyChanged) {
+    const quality = tagValue.error || tagValue.value === null ? 'bad' : 'good';
+    const key = `${quality}|${tagValue.value}|${tagValue.error || ''}`;
+    if (onlyChanged && this.lastPublished.get(tag.id) === key) return;
+    this.lastPublished.set(tag.id, key);
+
+    this.publish(this.getTagTopic(node, device, tag), {
+      value: quality === 'good' ? tagValue.value : null,
+      quality,
+      ...(tagValue.error ? {error: tagValue.error} : {}),
+      timestamp: tagValue.timestamp
+    });
+  }
+
+  handleTagValues(deviceId, tagValues) {
+    if (this.settings.publishMode !== 'change') return;
+
+    const found = this.findDevice(deviceId);
+    if (!found) return;
+
+    for (const [tagId, tagValue] of Object.entries(tagValues)) {
+      const tag = found.device.tags.find(t => t.id === tagId);
+      if (tag) {
+        this.publishTagValue(found.node, found.device, tag, tagValue, true);
+      }
+    }
+  }
+
+  /**
+   * Публикует значения всех опрашиваемых тегов из кэша ModbusManager
+   */
+  publishAll() {
+    for (const connection of this.modbusManager.connections.values()) {
+      for (const device of connection.devices.values()) {
+        const deviceCache = this.modbusManager.tagValuesCache.get(device.id);
+        if (!deviceCache) continue;
+
+        for (const tag of device.tags) {
+          const tagValue = deviceCache.get(tag.id);
+          if (tagValue) {
+            this.publishTagValue(connection.node, device, tag, tagValue, false);
+          }
+        }
+      }
+    }
+  }
+
+  async publishNodeStatus(nodeId, status, errorMessage) {
+    if (!this.client) return;
+
+    try {
+      const node = await this.prisma.connectionNode.findUnique({where: {id: nodeId}});
+      if (!node) return;
+
+      this.publish(renderTopic(this.settings.statusTopicTemplate, {node: node.name}), {
+        status,
+        error: errorMessage || null,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error(`Error publishing MQTT status of node ${nodeId}:`, error);
+    }
+  }
+
+  /**
+   * Обрабатывает сообщение в топик записи `<топик тега>/set`
+   */
+  handleSetMessage(topic, payload) {
+    if (!this.settings.writeEnabled || !topic.endsWith(SET_TOPIC_SUFFIX)) return;
+
+    const tagTopic = topic.slice(0, -SET_TOPIC_SUFFIX.length);
+    let target = null;
+    for (const connection of this.modbusManager.connections.values()) {
+      for (const device of connection.devices.values()) {
+        const tag = device.tags.find(t => this.getTagTopic(connection.node, device, t) === tagTopic);
+        if (tag) target = tag;
+      }
+    }
+    if (!target) return;
+
+    const value = parseWritePayload(payload, target);
+    if (typeof value === 'number' && !Number.isFinite(value)) {
+      console.warn(`MQTT: invalid value for ${topic}: ${payload.toString()}`);
+      return;
+    }
+
+    this.modbusManager.writeTagValue(target.id, value).catch(error => {
+      this.modbusManager.broadcastMessage({
+        title: `Ошибка записи из MQTT в тег ${target.name}`,
+        description: error.message
+      }, 'error');
+    });
+  }
+}
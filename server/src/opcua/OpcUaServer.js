@@ -0,0 +1,381 @@
+/**
+ * OpcUaServer - встроенный OPC UA сервер
+ *
+ * Публикует конфигурацию системы как адресное пространство OPC UA:
+ *   Objects / SimpleSCADA / <узел связи> / <устройство> / <тег>
+ *
+ * - Значение тега берется из кэша ModbusManager (tagValuesCache) вместе с временем опроса.
+ *   Код статуса: Good - значение получено, BadCommunicationError - последний опрос завершился ошибкой,
+ *   BadWaitingForInitialData - опрос еще не выполнялся, BadOutOfService - тег не опрашивается
+ * - Запись доступна только для тегов ReadWrite и выполняется через ModbusManager.writeTagValue
+ * - NodeId узлов адресного пространства - ID записей в БД (ns=1;s=<id>), поэтому они не меняются
+ *   при переименовании. Адресное пространство синхронизируется с БД при изменении состояния
+ *   ModbusManager (событие 'stateChanged'), существующие подписки клиентов при этом сохраняются
+ *
+ * Настройки сервера (включен, порт) хранятся в SystemSettings.
+ */
+
+import {OPCUAServer, DataType, DataValue, Variant, StatusCodes} from 'node-opcua';
+import {isBitTag} from '../drivers/modbus/codec.js';
+import {isScaled} from '../modbus/scaling.js';
+
+// Ключи настроек сервера в SystemSettings
+const SETTINGS_KEYS = {
+  enabled: 'opcUaEnabled',
+  port: 'opcUaPort'
+};
+
+export const DEFAULT_OPCUA_SETTINGS = {
+  enabled: false,
+  port: 4840
+};
+
+// Имя корневой папки системы в Objects
+const ROOT_FOLDER_NAME = 'SimpleSCADA';
+
+// Задержка синхронизации адресного пространства: события 'stateChanged' приходят пачками
+const SYNC_DELAY = 500;
+
+/**
+ * Тип данных OPC UA для тега
+ *
+ * Дискретные регистры и биты регистров публикуются как Boolean, строки - как String. Целые типы до 32 бит
+ * публикуются как целые, только если значение не масштабируется, иначе - как Double.
+ * 64-битные целые публикуются как Double: значение тега уже приведено к Number
+ *
+ * @param {Object} tag - тег
+ * @returns {DataType}
+ */
+function getTagDataType(tag) {
+  if (tag.registerType === 'COIL' || tag.registerType === 'DISCRETE_INPUT' || isBitTag(tag)) {
+    return DataType.Boolean;
+  }
+  if (tag.serverDataType === 'string') {
+    return DataType.String;
+  }
+  const scaled = isScaled(tag);
+  if (!scaled && tag.serverDataType === 'int16') return DataType.Int16;
+  if (!scaled && tag.serverDataType === 'uint16') return DataType.UInt16;
+  if (!scaled && tag.serverDataType === 'int32') return DataType.Int32;
+  if (!scaled && tag.serverDataType === 'uint32') return DataType.UInt32;
+  return DataType.Double;
+}
+
+/**
+ * Преобразует значение из кэша к типу данных OPC UA
+ */
+function toVariantValue(value, dataType) {
+  if (dataType === DataType.String) return String(value);
+  const number = Number(value);
+  if (dataType === DataType.Boolean) return number !== 0;
+  if (dataType === DataType.Double) return number;
+  return Math.round(number);
+}
+
+export class OpcUaServer {
+  constructor(prisma, modbusManager) {
+    this.prisma = prisma;
+    this.modbusManager = modbusManager; // Источник значений тегов и исполнитель записи
+
+    this.server = null; // Экземпляр OPCUAServer, если сервер запущен
+    this.settings = {...DEFAULT_OPCUA_SETTINGS};
+    this.lastError = null; // Ошибка последнего запуска (например, порт занят)
+
+    // Узлы адресного пространства: ID записи в БД -> { uaNode, signature }
+    this.uaNodes = new Map();
+    this.rootFolder = null;
+
+    this.syncTimer = null;
+    this.syncPromise = Promise.resolve();
+    this.onStateChanged = () => this.scheduleSync();
+  }
+
+  /**
+   * Загружает настройки сервера из БД
+   */
+  async loadSettings() {
+    const rows = await this.prisma.systemSettings.findMany({
+      where: {key: {in: Object.values(SETTINGS_KEYS)}}
+    });
+    const values = Object.fromEntries(rows.map(row => [row.key, row.value]));
+
+    this.settings = {
+      enabled: values[SETTINGS_KEYS.enabled] !== undefined
+        ? values[SETTINGS_KEYS.enabled] === 'true'
+        : DEFAULT_OPCUA_SETTINGS.enabled,
+      port: values[SETTINGS_KEYS.port] !== undefined
+        ? parseInt(values[SETTINGS_KEYS.port])
+        : DEFAULT_OPCUA_SETTINGS.port
+    };
+    return this.settings;
+  }
+
+  /**
+   * Сохраняет настройки сервера и перезапускает его с новыми параметрами
+   *
+   * @param {{enabled: boolean, port: number}} settings
+   */
+  async updateSettings(settings) {
+    for (const [name, key] of Object.entries(SETTINGS_KEYS)) {
+      await this.prisma.systemSettings.upsert({
+        where: {key},
+        update: {value: String(settings[name])},
+        create: {key, value: String(settings[name])}
+      });
+    }
+    await this.restart();
+  }
+
+  /**
+   * Запуск сервера, если он включен в настройках
+   */
+  async start() {
+    await this.loadSettings();
+
+    if (!this.settings.enabled) {
+      this.lastError = null;
+      return;
+    }
+
+    const server = new OPCUAServer({
+      port: this.settings.port,
+      resourcePath: '/',
+      allowAnonymous: true,
+      buildInfo: {
+        productName: 'simple-SCADA',
+        manufacturerName: 'simple-SCADA'
+      }
+    });
+
+    try {
+      await server.initialize();
+
+      const addressSpace = server.engine.addressSpace;
+      this.rootFolder = addressSpace.getOwnNamespace().addFolder(addressSpace.rootFolder.objects, {
+        browseName: ROOT_FOLDER_NAME,
+        nodeId: `s=${ROOT_FOLDER_NAME}`
+      });
+      this.uaNodes.clear();
+      this.server = server;
+      await this.syncAddressSpace();
+
+      await server.start();
+      this.modbusManager.on('stateChanged', this.onStateChanged);
+
+      this.lastError = null;
+      console.log(`OPC UA server listening on ${this.getEndpointUrl()}`);
+    } catch (error) {
+      console.error('Error starting OPC UA server:', error);
+      this.server = null;
+      this.rootFolder = null;
+      this.uaNodes.clear();
+      await server.shutdown().catch(() => {});
+      this.lastError = error.code === 'EADDRINUSE' || /EADDRINUSE/.test(error.message)
+        ? `Порт ${this.settings.port} уже занят другим приложением`
+        : error.message;
+    }
+  }
+
+  /**
+   * Остановка сервера и закрытие всех сессий клиентов
+   */
+  async stop() {
+    if (!this.server) return;
+
+    const server = this.server;
+    this.server = null;
+    this.modbusManager.off('stateChanged', this.onStateChanged);
+    clearTimeout(this.syncTimer);
+    this.syncTimer = null;
+    await this.syncPromise;
+
+    this.rootFolder = null;
+    this.uaNodes.clear();
+    await server.shutdown();
+    console.log('OPC UA server stopped');
+  }
+
+  async restart() {
+    await this.stop();
+    await this.start();
+  }
+
+  getEndpointUrl() {
+    return this.server ? this.server.getEndpointUrl() : null;
+  }
+
+  getStatus() {
+    return {
+      ...this.settings,
+      running: this.server !== null,
+      endpointUrl: this.getEndpointUrl(),
+      lastError: this.lastError
+    };
+  }
+
+  scheduleSync() {
+    if (!this.server || this.syncTimer) return;
+
+    this.syncTimer = setTimeout(() => {
+      this.syncTimer = null;
+      this.syncPromise = this.syncPromise
+        .then(() => this.syncAddressSpace())
+        .catch(error => console.error('Error syncing OPC UA address space:', error));
+    }, SYNC_DELAY);
+  }
+
+  /**
+   * Приводит адресное пространство в соответствие с конфигурацией в БД
+   *
+   * Каждому элементу (узел, устройство, тег) соответствует подпись из параметров,
+   * влияющих на узел OPC UA. Элемент пересоздается, только если изменилась его подпись
+   * или подпись родителя, остальные узлы (и подписки на них) не затрагиваются
+   */
+  async syncAddressSpace() {
+    if (!this.server) return;
+
+    const nodes = await this.prisma.connectionNode.findMany({
+      include: {
+        devices: {
+          include: {
+            tags: true
+          }
+        }
+      },
+      orderBy: {createdAt: 'asc'}
+    });
+    if (!this.server) return;
+
+    // Желаемое состояние: id -> { signature, parentId, create }, в порядке создания (родители первыми)
+    const desired = new Map();
+    for (const node of nodes) {
+      const nodeSignature = JSON.stringify([node.name]);
+      desired.set(node.id, {
+        signature: nodeSignature,
+        create: () => this.addNodeFolder(node)
+      });
+
+      for (const device of node.devices) {
+        const deviceSignature = JSON.stringify([nodeSignature, device.name]);
+        desired.set(device.id, {
+          signature: deviceSignature,
+          create: () => this.addDeviceObject(device)
+        });
+
+        for (const tag of device.tags) {
+          desired.set(tag.id, {
+            signature: JSON.stringify([deviceSignature, tag.name, tag.registerType, tag.serverDataType,
+              tag.scalingMode, tag.accessType, tag.bitIndex, tag.description]),
+            create: () => this.addTagVariable(tag)
+          });
+        }
+      }
+    }
+
+    // Удаляем устаревшие элементы в обратном порядке создания (сначала теги, затем родители)
+    const addressSpace = this.server.engine.addressSpace;
+    for (const [id, entry] of Array.from(this.uaNodes.entries()).reverse()) {
+      if (desired.get(id)?.signature !== entry.signature) {
+        addressSpace.deleteNode(entry.uaNode);
+        this.uaNodes.delete(id);
+      }
+    }
+
+    for (const [id, item] of desired) {
+      if (this.uaNodes.has(id)) continue;
+      this.uaNodes.set(id, {uaNode: item.create(), signature: item.signature});
+    }
+  }
+
+  addNodeFolder(node) {
+    const namespace = this.server.engine.addressSpace.getOwnNamespace();
+    return namespace.addFolder(this.rootFolder, {
+      browseName: node.name,
+      nodeId: `s=${node.id}`
+    });
+  }
+
+  addDeviceObject(device) {
+    const namespace = this.server.engine.addressSpace.getOwnNamespace();
+    return namespace.addObject({
+      organizedBy: this.uaNodes.get(device.connectionNodeId).uaNode,
+      browseName: device.name,
+      nodeId: `s=${device.id}`
+    });
+  }
+
+  addTagVariable(tag) {
+    const namespace = this.server.engine.addressSpace.getOwnNamespace();
+    const dataType = getTagDataType(tag);
+    const accessLevel = tag.accessType === 'ReadWrite' ? 'CurrentRead | CurrentWrite' : 'CurrentRead';
+
+    return namespace.addVariable({
+      componentOf: this.uaNodes.get(tag.deviceId).uaNode,
+      browseName: tag.name,
+      nodeId: `s=${tag.id}`,
+      description: tag.description || undefined,
+      dataType,
+      accessLevel,
+      userAccessLevel: accessLevel,
+      minimumSamplingInterval: 500,
+      value: {
+        timestamped_get: () => this.readTagValue(tag, dataType),
+        set: (variant, callback) => this.writeTagValue(tag, variant, callback)
+      }
+    });
+  }
+
+  /**
+   * Формирует значение тега из кэша ModbusManager
+   *
+   * @param {Object} tag - тег
+   * @param {DataType} dataType - тип данных переменной OPC UA
+   * @returns {DataValue}
+   */
+  readTagValue(tag, dataType) {
+    if (!this.modbusManager.findActiveTag(tag.id)) {
+      return new DataValue({statusCode: StatusCodes.BadOutOfService});
+    }
+
+    const deviceCache = this.modbusManager.tagValuesCache.get(tag.deviceId);
+    const cached = deviceCache ? deviceCache.get(tag.id) : null;
+    if (!cached) {
+      return new DataValue({statusCode: StatusCodes.BadWaitingForInitialData});
+    }
+
+    const sourceTimestamp = new Date(cached.timestamp);
+    if (cached.error || cached.value === null ||
+      (dataType !== DataType.String && !Number.isFinite(Number(cached.value)))) {
+      return new DataValue({statusCode: StatusCodes.BadCommunicationError, sourceTimestamp});
+    }
+
+    return new DataValue({
+      value: new Variant({dataType, value: toVariantValue(cached.value, dataType)}),
+      statusCode: StatusCodes.Good,
+      sourceTimestamp,
+      serverTimestamp: new Date()
+    });
+  }
+
+  /**
+   * Записывает значение, полученное от клиента OPC UA, в тег
+   */
+  writeTagValue(tag, variant, callback) {
+    const value = tag.serverDataType === 'string'
+      ? String(variant.value ?? '')
+      : typeof variant.value === 'boolean' ? (variant.value ? 1 : 0) : Number(variant.value);
+    if (typeof value === 'number' && !Number.isFinite(value)) {
+      callback(null, StatusCodes.BadTypeMismatch);
+      return;
+    }
+
+    this.modbusManager.writeTagValue(tag.id, value)
+      .then(() => callback(null, StatusCodes.Good))
+      .catch(error => {
+        console.error(`OPC UA write to tag ${tag.name} failed:`, error.message);
+        callback(null, error.name === 'TransactionTimedOutError' || /Таймаут/.test(error.message)
+          ? StatusCodes.BadTimeout
+          : StatusCodes.BadCommunicationError);
+      });
+  }
+}
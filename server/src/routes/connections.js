@@ -3,11 +3,156 @@
  * 
  * Узел связи представляет собой физическое соединение через COM порт
  * с настройками последовательного порта (скорость, биты данных, четность и т.д.)
+ * или сетевое соединение (IP адрес, порт, таймаут подключения):
+ * Modbus TCP либо Modbus RTU поверх TCP через преобразователь RS-485/Ethernet.
+ * Узел типа SIMULATOR подключается к встроенному симулятору Modbus устройств
  */
 
 import express from 'express';
+import {parseSimulatorConfig} from '../simulator/index.js';
+import {DEFAULT_SCAN_OPTIONS, validateScanOptions} from '../modbus/BusScanner.js';
 
-export default function connectionRoutes(prisma, modbusManager) {
+// Типы узлов связи, работающих поверх TCP соединения
+const TCP_NODE_TYPES = ['TCP_IP', 'RTU_OVER_TCP'];
+
+// Форматы кадров Modbus для последовательных узлов связи
+const FRAMING_TYPES = ['RTU', 'ASCII'];
+
+/**
+ * Проверяет обязательные параметры узла связи в зависимости от его типа
+ *
+ * @param {Object} data - параметры узла связи
+ * @returns {string|null} Текст ошибки или null, если параметры корректны
+ */
+function validateNodeData(data) {
+  if (TCP_NODE_TYPES.includes(data.type)) {
+    if (!data.host) {
+      return 'Укажите IP адрес узла связи';
+    }
+    if (data.tcpPort !== undefined && (!Number.isInteger(data.tcpPort) || data.tcpPort < 1 || data.tcpPort > 65535)) {
+      return 'Порт должен быть числом от 1 до 65535';
+    }
+    if (data.connectTimeout !== undefined && (typeof data.connectTimeout !== 'number' || data.connectTimeout < 100)) {
+      return 'Таймаут подключения должен быть не менее 100 мс';
+    }
+  } else if (data.type === 'SIMULATOR') {
+    try {
+      parseSimulatorConfig(data.simulatorConfig);
+    } catch (error) {
+      return error.message;
+    }
+  } else {
+    if (!data.comPort) {
+      return 'Укажите COM порт узла связи';
+    }
+    if (data.framing !== undefined && !FRAMING_TYPES.includes(data.framing)) {
+      return 'Формат кадров должен быть RTU или ASCII';
+    }
+  }
+  if (data.gatewayEnabled && (!Number.isInteger(data.gatewayPort) || data.gatewayPort < 1 || data.gatewayPort > 65535)) {
+    return 'Порт шлюза должен быть числом от 1 до 65535';
+  }
+  return null;
+}
+
+// Типы регистров и допустимое количество значений в одном запросе чтения
+const REGISTER_READ_LIMITS = {
+  HOLDING_REGISTER: 125,
+  INPUT_REGISTER: 125,
+  COIL: 2000,
+  DISCRETE_INPUT: 2000
+};
+
+// Расшифровка кодов исключений Modbus для обозревателя регистров
+const MODBUS_EXCEPTIONS = {
+  1: 'функция не поддерживается',
+  2: 'недопустимый адрес',
+  3: 'недопустимое значение',
+  4: 'сбой устройства',
+  6: 'устройство занято'
+};
+
+/**
+ * Проверяет параметры запроса обозревателя регистров
+ *
+ * @param {Object} data - unitId, registerType, address и count (для чтения) или value (для записи)
+ * @param {boolean} isWrite - проверять параметры записи
+ * @returns {string|null} Текст ошибки или null, если параметры корректны
+ */
+function validateRegisterRequest(data, isWrite) {
+  const {unitId, registerType, address, count, value} = data;
+  if (!Number.isInteger(unitId) || unitId < 1 || unitId > 255) {
+    return 'Адрес устройства должен быть числом от 1 до 255';
+  }
+  if (!REGISTER_READ_LIMITS[registerType]) {
+    return `Неподдерживаемый тип регистра: ${registerType}`;
+  }
+  if (!Number.isInteger(address) || address < 0 || address > 65535) {
+    return 'Адрес регистра должен быть числом от 0 до 65535';
+  }
+  if (isWrite) {
+    if (registerType === 'HOLDING_REGISTER' && (!Number.isInteger(value) || value < 0 || value > 65535)) {
+      return 'Значение регистра должно быть числом от 0 до 65535';
+    }
+    if (registerType === 'COIL' && typeof value !== 'boolean') {
+      return 'Значение coil должно быть true или false';
+    }
+    if (registerType !== 'HOLDING_REGISTER' && registerType !== 'COIL') {
+      return `${registerType} доступен только для чтения`;
+    }
+  } else {
+    const maxCount = REGISTER_READ_LIMITS[registerType];
+    if (!Number.isInteger(count) || count < 1 || count > maxCount) {
+      return `Количество должно быть от 1 до ${maxCount}`;
+    }
+    if (address + count > 65536) {
+      return 'Диапазон выходит за адрес 65535';
+    }
+  }
+  return null;
+}
+
+/**
+ * Формирует ответ с ошибкой запроса обозревателя регистров
+ */
+function sendRegisterError(res, error) {
+  if (error.busUnavailable) {
+    return res.status(400).json({error: 'Узел связи не подключен. Запустите Modbus Manager и включите узел.'});
+  }
+  let message = error.message;
+  if (error.modbusCode !== undefined) {
+    const description = MODBUS_EXCEPTIONS[error.modbusCode];
+    message = `Устройство ответило исключением ${error.modbusCode}${description ? ` (${description})` : ''}`;
+  } else if (error.name === 'TransactionTimedOutError') {
+    message = 'Устройство не ответило за время ожидания ответа';
+  }
+  res.status(500).json({error: message, modbusCode: error.modbusCode});
+}
+
+/**
+ * Проверяет, что порт шлюза не используется шлюзом другого узла связи
+ *
+ * @param {PrismaClient} prisma - Prisma клиент
+ * @param {Object} data - параметры узла связи
+ * @param {string|null} nodeId - ID редактируемого узла
+ * @returns {Promise<string|null>} Текст ошибки или null
+ */
+async function validateGatewayPort(prisma, data, nodeId = null) {
+  if (!data.gatewayEnabled) return null;
+
+  const conflictingNode = await prisma.connectionNode.findFirst({
+    where: {
+      gatewayEnabled: true,
+      gatewayPort: data.gatewayPort,
+      ...(nodeId ? {id: {not: nodeId}} : {})
+    }
+  });
+  return conflictingNode
+    ? `Порт ${data.gatewayPort} уже используется шлюзом узла "${conflictingNode.name}"`
+    : null;
+}
+
+export default function connectionRoutes(prisma, modbusManager, busScanner) {
   const router = express.Router();
 
   /**
@@ -57,23 +202,209 @@ export default function connectionRoutes(prisma, modbusManager) {
     }
   });
 
+  /**
+   * GET /api/connections/:id/diagnostics
+   * Диагностика соединения узла связи: протокол, адрес, счетчики запросов, ошибок и таймаутов
+   */
+  router.get('/:id/diagnostics', (req, res) => {
+    const diagnostics = modbusManager.getNodeDiagnostics(req.params.id);
+    if (!diagnostics) {
+      return res.status(404).json({error: 'Узел связи не подключен'});
+    }
+    res.json(diagnostics);
+  });
+
+  /**
+   * POST /api/connections/:id/registers/read
+   * Прочитать диапазон регистров или битов устройства на подключенном узле связи (обозреватель регистров)
+   *
+   * Параметры:
+   * - unitId: адрес устройства на шине
+   * - registerType: 'HOLDING_REGISTER', 'INPUT_REGISTER', 'COIL' или 'DISCRETE_INPUT'
+   * - address: начальный адрес
+   * - count: количество регистров (до 125) или битов (до 2000)
+   *
+   * Запрос выполняется через клиент узла в очереди шины, между циклами опроса.
+   * Возвращает {values, timestamp}: значения регистров (uint16) или битов (boolean)
+   */
+  router.post('/:id/registers/read', async (req, res) => {
+    const {unitId, registerType, address, count} = req.body;
+    const validationError = validateRegisterRequest({unitId, registerType, address, count}, false);
+    if (validationError) {
+      return res.status(400).json({error: validationError});
+    }
+
+    try {
+      const values = await modbusManager.runOnBus(req.params.id, (driver) => {
+        if (!driver.readRaw) {
+          throw new Error('Протокол узла связи не поддерживает чтение произвольных регистров');
+        }
+        return driver.readRaw(unitId, registerType, address, count);
+      });
+      res.json({values, timestamp: new Date().toISOString()});
+    } catch (error) {
+      console.error('Error reading registers:', error);
+      sendRegisterError(res, error);
+    }
+  });
+
+  /**
+   * POST /api/connections/:id/registers/write
+   * Записать одно значение в устройство на подключенном узле связи (обозреватель регистров)
+   *
+   * Параметры:
+   * - unitId: адрес устройства на шине
+   * - registerType: 'HOLDING_REGISTER' (функция 6) или 'COIL' (функция 5)
+   * - address: адрес
+   * - value: значение регистра 0-65535 или boolean для coil
+   */
+  router.post('/:id/registers/write', async (req, res) => {
+    const {unitId, registerType, address, value} = req.body;
+    const validationError = validateRegisterRequest({unitId, registerType, address, value}, true);
+    if (validationError) {
+      return res.status(400).json({error: validationError});
+    }
+
+    try {
+      await modbusManager.runOnBus(req.params.id, (driver) => {
+        if (!driver.writeRaw) {
+          throw new Error('Протокол узла связи не поддерживает запись произвольных регистров');
+        }
+        return driver.writeRaw(unitId, registerType, address, value);
+      });
+      res.json({success: true});
+    } catch (error) {
+      console.error('Error writing register:', error);
+      sendRegisterError(res, error);
+    }
+  });
+
+  /**
+   * GET /api/connections/:id/scan
+   * Состояние последнего поиска устройств на шине узла связи
+   */
+  router.get('/:id/scan', (req, res) => {
+    const status = busScanner.getStatus(req.params.id);
+    if (!status) {
+      return res.status(404).json({error: 'Поиск устройств на шине узла не выполнялся'});
+    }
+    res.json(status);
+  });
+
+  /**
+   * POST /api/connections/:id/scan
+   * Запустить поиск устройств на шине узла связи типа COM
+   *
+   * Параметры:
+   * - fromAddress, toAddress: диапазон адресов устройств (по умолчанию 1-247)
+   * - baudRates: скорости обмена (по умолчанию - скорость узла)
+   * - parities: варианты четности (по умолчанию - четность узла)
+   * - timeout: таймаут ответа в мс (по умолчанию 100)
+   * - readIdentification: запрашивать идентификацию найденных устройств (по умолчанию true)
+   *
+   * Сканирование выполняется в фоне, прогресс отправляется через WebSocket ('scanProgress').
+   * На время сканирования опрос узла приостанавливается
+   */
+  router.post('/:id/scan', async (req, res) => {
+    try {
+      const node = await prisma.connectionNode.findUnique({
+        where: {id: req.params.id}
+      });
+      if (!node) {
+        return res.status(404).json({error: 'Connection node not found'});
+      }
+      if (node.type !== 'COM') {
+        return res.status(400).json({error: 'Поиск устройств доступен только для узлов связи типа COM'});
+      }
+
+      const options = {
+        fromAddress: req.body.fromAddress ?? DEFAULT_SCAN_OPTIONS.fromAddress,
+        toAddress: req.body.toAddress ?? DEFAULT_SCAN_OPTIONS.toAddress,
+        baudRates: req.body.baudRates ?? [node.baudRate],
+        parities: req.body.parities ?? [node.parity || 'none'],
+        timeout: req.body.timeout ?? DEFAULT_SCAN_OPTIONS.timeout,
+        readIdentification: req.body.readIdentification ?? DEFAULT_SCAN_OPTIONS.readIdentification
+      };
+      const validationError = validateScanOptions(options);
+      if (validationError) {
+        return res.status(400).json({error: validationError});
+      }
+      if (busScanner.isScanning(node.id)) {
+        return res.status(400).json({error: 'Поиск устройств на шине узла уже выполняется'});
+      }
+
+      res.json(busScanner.start(node, options));
+    } catch (error) {
+      res.status(500).json({error: error.message});
+    }
+  });
+
+  /**
+   * DELETE /api/connections/:id/scan
+   * Отменить поиск устройств на шине узла связи
+   */
+  router.delete('/:id/scan', (req, res) => {
+    if (!busScanner.cancel(req.params.id)) {
+      return res.status(404).json({error: 'Поиск устройств на шине узла не выполняется'});
+    }
+    res.json({success: true});
+  });
+
   /**
    * POST /api/connections
    * Создать новый узел связи
    * 
    * Параметры:
    * - name: название узла
-   * - type: тип соединения (по умолчанию 'COM')
+   * - type: тип соединения: 'COM', 'TCP_IP' или 'RTU_OVER_TCP' (по умолчанию 'COM')
    * - comPort: COM порт (например, 'COM3')
    * - baudRate: скорость передачи (по умолчанию 9600)
    * - dataBits: биты данных (по умолчанию 8)
    * - stopBits: стоп-биты (по умолчанию 1)
    * - parity: четность (по умолчанию 'none')
+   * - framing: формат кадров 'RTU' или 'ASCII' для COM порта (по умолчанию 'RTU')
+   * - host: IP адрес или имя хоста (для типов 'TCP_IP' и 'RTU_OVER_TCP')
+   * - tcpPort: TCP порт (по умолчанию 502)
+   * - connectTimeout: таймаут установки TCP соединения в мс (по умолчанию 3000)
+   * - simulatorConfig: конфигурация виртуальных устройств в виде JSON строки (для типа 'SIMULATOR')
+   * - gatewayEnabled: включен ли прозрачный шлюз Modbus TCP на шину узла (по умолчанию false)
+   * - gatewayPort: TCP порт шлюза
    * - enabled: включен ли узел в работу (по умолчанию true)
    */
   router.post('/', async (req, res) => {
     try {
-      const {name, type, comPort, baudRate, dataBits, stopBits, parity, enabled} = req.body;
+      const {
+        name,
+        type,
+        comPort,
+        baudRate,
+        dataBits,
+        stopBits,
+        parity,
+        framing,
+        host,
+        tcpPort,
+        connectTimeout,
+        simulatorConfig,
+        gatewayEnabled,
+        gatewayPort,
+        enabled
+      } = req.body;
+
+      const validationError = validateNodeData({
+        type: type || 'COM',
+        comPort,
+        framing,
+        host,
+        tcpPort,
+        connectTimeout,
+        simulatorConfig,
+        gatewayEnabled,
+        gatewayPort
+      }) || await validateGatewayPort(prisma, {gatewayEnabled, gatewayPort});
+      if (validationError) {
+        return res.status(400).json({error: validationError});
+      }
 
       const node = await prisma.connectionNode.create({
         data: {
@@ -84,6 +415,13 @@ export default function connectionRoutes(prisma, modbusManager) {
           dataBits: dataBits || 8,
           stopBits: stopBits || 1,
           parity: parity || 'none',
+          framing: framing || 'RTU',
+          host,
+          tcpPort: tcpPort || 502,
+          connectTimeout: connectTimeout || 3000,
+          simulatorConfig,
+          gatewayEnabled: gatewayEnabled || false,
+          gatewayPort,
           enabled: enabled !== undefined ? enabled : true
         }
       });
@@ -107,7 +445,49 @@ export default function connectionRoutes(prisma, modbusManager) {
    */
   router.put('/:id', async (req, res) => {
     try {
-      const {name, type, comPort, baudRate, dataBits, stopBits, parity, enabled} = req.body;
+      const {
+        name,
+        type,
+        comPort,
+        baudRate,
+        dataBits,
+        stopBits,
+        parity,
+        framing,
+        host,
+        tcpPort,
+        connectTimeout,
+        simulatorConfig,
+        gatewayEnabled,
+        gatewayPort,
+        enabled
+      } = req.body;
+
+      const existingNode = await prisma.connectionNode.findUnique({
+        where: {id: req.params.id}
+      });
+
+      if (!existingNode) {
+        return res.status(404).json({error: 'Connection node not found'});
+      }
+
+      const validationError = validateNodeData({
+        type: type || existingNode.type,
+        comPort: comPort !== undefined ? comPort : existingNode.comPort,
+        framing,
+        host: host !== undefined ? host : existingNode.host,
+        tcpPort,
+        connectTimeout,
+        simulatorConfig: simulatorConfig !== undefined ? simulatorConfig : existingNode.simulatorConfig,
+        gatewayEnabled: gatewayEnabled !== undefined ? gatewayEnabled : existingNode.gatewayEnabled,
+        gatewayPort: gatewayPort !== undefined ? gatewayPort : existingNode.gatewayPort
+      }) || await validateGatewayPort(prisma, {
+        gatewayEnabled: gatewayEnabled !== undefined ? gatewayEnabled : existingNode.gatewayEnabled,
+        gatewayPort: gatewayPort !== undefined ? gatewayPort : existingNode.gatewayPort
+      }, existingNode.id);
+      if (validationError) {
+        return res.status(400).json({error: validationError});
+      }
 
       const node = await prisma.connectionNode.update({
         where: {id: req.params.id},
@@ -119,12 +499,19 @@ export default function connectionRoutes(prisma, modbusManager) {
           dataBits,
           stopBits,
           parity,
+          framing,
+          host,
+          tcpPort,
+          connectTimeout,
+          simulatorConfig,
+          gatewayEnabled,
+          gatewayPort,
           enabled
         }
       });
 
       // Перезапускаем соединение, если Modbus Manager работает и узел включен
-      // Это необходимо, так как параметры COM порта могли измениться
+      // Это необходимо, так как параметры COM порта или TCP соединения могли измениться
       if (modbusManager.isRunning && node.enabled) {
         await modbusManager.reloadConnection(node.id);
       }
@@ -144,12 +531,16 @@ export default function connectionRoutes(prisma, modbusManager) {
    */
   router.delete('/:id', async (req, res) => {
     try {
-      // Останавливаем Modbus соединение перед удалением из БД
+      // Останавливаем поиск устройств и Modbus соединение перед удалением из БД
+      busScanner.cancel(req.params.id);
       await modbusManager.stopConnection(req.params.id);
 
       await prisma.connectionNode.delete({
         where: {id: req.params.id}
       });
+      // Теги удаленного узла больше не архивируются и не участвуют в вычислениях
+      await modbusManager.reloadServerTags();
+      modbusManager.broadcastStateUpdate();
 
       res.json({success: true});
     } catch (error) {
@@ -6,6 +6,32 @@
  */
 
 import express from 'express';
+import {MAX_GAP, MAX_REGISTERS_PER_REQUEST} from '../drivers/modbus/readPlanner.js';
+import {BYTE_ORDERS} from '../drivers/modbus/codec.js';
+
+/**
+ * Проверяет параметры группового чтения, порядок байт и поддерживаемые функции устройства
+ *
+ * @param {Object} data - параметры устройства
+ * @returns {string|null} Текст ошибки или null, если параметры корректны
+ */
+function validateDeviceData(data) {
+  const {maxRegistersPerRequest, maxGap, byteOrder, supportsMaskWrite} = data;
+  if (maxRegistersPerRequest !== undefined &&
+    (!Number.isInteger(maxRegistersPerRequest) || maxRegistersPerRequest < 1 || maxRegistersPerRequest > MAX_REGISTERS_PER_REQUEST)) {
+    return `Размер блока чтения должен быть числом от 1 до ${MAX_REGISTERS_PER_REQUEST}`;
+  }
+  if (maxGap !== undefined && (!Number.isInteger(maxGap) || maxGap < 0 || maxGap > MAX_GAP)) {
+    return `Допустимый разрыв адресов должен быть числом от 0 до ${MAX_GAP}`;
+  }
+  if (byteOrder !== undefined && !BYTE_ORDERS.includes(byteOrder)) {
+    return `Порядок байт должен быть одним из: ${BYTE_ORDERS.join(', ')}`;
+  }
+  if (supportsMaskWrite !== undefined && typeof supportsMaskWrite !== 'boolean') {
+    return 'Параметр supportsMaskWrite должен быть true или false';
+  }
+  return null;
+}
 
 export default function deviceRoutes(prisma, modbusManager) {
   const router = express.Router();
@@ -61,11 +87,20 @@ export default function deviceRoutes(prisma, modbusManager) {
    * - address: Modbus адрес устройства (1-247)
    * - responseTimeout: таймаут ответа в мс (по умолчанию 1000)
    * - pollInterval: интервал опроса тегов в мс (по умолчанию 1000)
+   * - maxRegistersPerRequest: максимальная длина блока группового чтения (по умолчанию 32)
+   * - maxGap: максимальный разрыв адресов между тегами одного блока (по умолчанию 0)
+   * - byteOrder: порядок байт многорегистровых значений 'ABCD', 'CDAB', 'BADC' или 'DCBA' (по умолчанию 'ABCD')
+   * - supportsMaskWrite: устройство поддерживает функцию 22 для записи битов регистров (по умолчанию false)
    * - enabled: включено ли устройство в работу (по умолчанию true)
    */
   router.post('/', async (req, res) => {
     try {
-      const {connectionNodeId, name, address, responseTimeout, pollInterval, enabled} = req.body;
+      const {connectionNodeId, name, address, responseTimeout, pollInterval, maxRegistersPerRequest, maxGap, byteOrder, supportsMaskWrite, enabled} = req.body;
+
+      const validationError = validateDeviceData({maxRegistersPerRequest, maxGap, byteOrder, supportsMaskWrite});
+      if (validationError) {
+        return res.status(400).json({error: validationError});
+      }
 
       const device = await prisma.device.create({
         data: {
@@ -74,6 +109,10 @@ export default function deviceRoutes(prisma, modbusManager) {
           address,
           responseTimeout: responseTimeout || 1000,
           pollInterval: pollInterval || 1000,
+          maxRegistersPerRequest,
+          maxGap,
+          byteOrder,
+          supportsMaskWrite,
           enabled: enabled !== undefined ? enabled : true
         },
         include: {
@@ -101,7 +140,12 @@ export default function deviceRoutes(prisma, modbusManager) {
    */
   router.put('/:id', async (req, res) => {
     try {
-      const {name, address, responseTimeout, pollInterval, enabled} = req.body;
+      const {name, address, responseTimeout, pollInterval, maxRegistersPerRequest, maxGap, byteOrder, supportsMaskWrite, enabled} = req.body;
+
+      const validationError = validateDeviceData({maxRegistersPerRequest, maxGap, byteOrder, supportsMaskWrite});
+      if (validationError) {
+        return res.status(400).json({error: validationError});
+      }
 
       const device = await prisma.device.findUnique({
         where: {id: req.params.id},
@@ -119,6 +163,10 @@ export default function deviceRoutes(prisma, modbusManager) {
           address,
           responseTimeout,
           pollInterval,
+          maxRegistersPerRequest,
+          maxGap,
+          byteOrder,
+          supportsMaskWrite,
           enabled
         },
         include: {
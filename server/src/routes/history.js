@@ -1,11 +1,215 @@
 /**
  * REST API маршруты для получения исторических данных
  * 
- * Исторические данные собираются автоматически каждую минуту
- * для всех активных тегов подключенных устройств.
+ * Исторические данные собираются автоматически по политикам архивации тегов
+ * (см. modbus/HistoryArchiver.js) для тегов устройств, вычисляемых и внутренних тегов.
+ *
+ * Для больших периодов /aggregate возвращает значения, агрегированные базой данных по интервалам.
+ * Веб-интерфейс использует только его; маршруты с архивными записями без агрегации
+ * (/system, /node, /device, /tag) оставлены для внешних клиентов.
  */
 
 import express from 'express';
+import {Prisma} from '@prisma/client';
+import {CALCULATED_GROUP_ID} from '../calc/CalcEngine.js';
+import {INTERNAL_GROUP_ID} from '../internal/InternalTagStore.js';
+
+// Поля тега в исторических данных: название, тип данных и параметры отображения значений
+const TAG_SELECT = {
+  id: true,
+  name: true,
+  kind: true,
+  serverDataType: true,
+  units: true,
+  description: true,
+  displayDecimals: true,
+  engLow: true,
+  engHigh: true,
+  scalingMode: true,
+  euMin: true,
+  euMax: true
+};
+
+// Вычисляемые и внутренние теги не привязаны к устройствам и в истории системы показываются
+// отдельными группами вместо узла связи и устройства
+const CALCULATED_GROUP = {id: CALCULATED_GROUP_ID, name: 'Вычисляемые теги'};
+const INTERNAL_GROUP = {id: INTERNAL_GROUP_ID, name: 'Внутренние теги'};
+
+/**
+ * Параметры отображения значений тега для списка тегов ответа
+ */
+function getTagDisplay({id, name, kind, ...display}) {
+  return display;
+}
+
+// Агрегатные функции: min, max, avg - по записям интервала, first и last - первое и последнее значение
+// интервала, count - число записей, twa - среднее, взвешенное по времени (значение действует до следующей
+// записи, поэтому подходит и для тегов, архивируемых при изменении)
+const AGGREGATE_FUNCTIONS = ['min', 'max', 'avg', 'first', 'last', 'count', 'twa'];
+const DEFAULT_AGGREGATE_FUNCTIONS = ['avg', 'min', 'max', 'last'];
+
+// Функции, которые имеют смысл для строковых тегов (остальные у них - null)
+const STRING_AGGREGATE_FUNCTIONS = ['first', 'last', 'count'];
+
+// Интервалы агрегации (мс), из которых выбирается интервал по желаемому числу точек
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+const BUCKET_SIZES = [
+  SECOND, 5 * SECOND, 10 * SECOND, 15 * SECOND, 30 * SECOND,
+  MINUTE, 2 * MINUTE, 5 * MINUTE, 10 * MINUTE, 15 * MINUTE, 30 * MINUTE,
+  HOUR, 2 * HOUR, 3 * HOUR, 6 * HOUR, 12 * HOUR,
+  DAY, 7 * DAY
+];
+
+// Число интервалов по умолчанию и наибольшее число интервалов в ответе
+const DEFAULT_POINTS = 500;
+const MAX_POINTS = 5000;
+
+/**
+ * Список значений query параметра: "a,b,c" или повторяющийся параметр
+ *
+ * @param {string|string[]|undefined} value - значение параметра
+ * @returns {string[]}
+ */
+function parseList(value) {
+  if (value === undefined) {
+    return [];
+  }
+  return (Array.isArray(value) ? value : [value])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Выбирает наименьший интервал агрегации, при котором в период помещается не больше points интервалов
+ *
+ * @param {number} range - длительность периода (мс)
+ * @param {number} points - желаемое число интервалов
+ * @returns {number} Интервал агрегации (мс)
+ */
+function selectBucketSize(range, points) {
+  return BUCKET_SIZES.find(size => Math.ceil(range / size) <= points) || BUCKET_SIZES[BUCKET_SIZES.length - 1];
+}
+
+/**
+ * Сведения о теге для списка тегов ответа агрегации: узел связи, устройство и параметры отображения.
+ * Вычисляемые и внутренние теги относятся к своим группам, как в истории системы
+ *
+ * @param {Object} tag - тег с устройством и узлом связи
+ * @returns {Object}
+ */
+function getAggregateTagInfo({device, ...tag}) {
+  const serverGroup = tag.kind === 'INTERNAL' ? INTERNAL_GROUP : CALCULATED_GROUP;
+  const node = device ? device.connectionNode : serverGroup;
+  return {
+    id: tag.id,
+    tagId: tag.id,
+    tagName: tag.name,
+    deviceId: (device || serverGroup).id,
+    deviceName: (device || serverGroup).name,
+    nodeId: node.id,
+    nodeName: node.name,
+    displayName: device ? `${node.name} → ${device.name} → ${tag.name}` : `${serverGroup.name} → ${tag.name}`,
+    ...getTagDisplay(tag)
+  };
+}
+
+/**
+ * Агрегирует историю тегов по интервалам в базе данных (SQLite)
+ *
+ * Prisma хранит DateTime в SQLite как миллисекунды Unix, поэтому номер интервала считается
+ * целочисленным делением. Для среднего, взвешенного по времени, каждая запись действует до следующей
+ * записи, конца интервала или текущего момента; начало интервала до первой записи берется
+ * из предыдущей записи (в том числе сделанной до начала периода).
+ *
+ * @param {Object} prisma - Prisma клиент
+ * @param {string[]} tagIds - ID тегов
+ * @param {number} start - начало периода (мс)
+ * @param {number} end - конец периода (мс, не включая)
+ * @param {number} bucketSize - интервал агрегации (мс)
+ * @returns {Promise<Object[]>} Строки { tagId, bucketIndex, count, min, max, avg, first, last, twa }
+ *   только для интервалов, в которых есть записи
+ */
+function queryAggregates(prisma, tagIds, start, end, bucketSize) {
+  const tagList = Prisma.join(tagIds);
+  const from = BigInt(start);
+  const to = BigInt(end);
+  const size = BigInt(bucketSize);
+  const until = BigInt(Math.min(end, Date.now()));
+
+  return prisma.$queryRaw`
+    WITH points AS (
+      SELECT tagId, timestamp AS time, value AS rawValue, CAST(value AS REAL) AS value
+      FROM HistoryData
+      WHERE tagId IN (${tagList}) AND timestamp >= ${from} AND timestamp < ${to}
+      UNION ALL
+      SELECT h.tagId, h.timestamp, h.value, CAST(h.value AS REAL)
+      FROM HistoryData h
+      WHERE h.tagId IN (${tagList}) AND h.timestamp = (
+        SELECT MAX(p.timestamp) FROM HistoryData p WHERE p.tagId = h.tagId AND p.timestamp < ${from}
+      )
+    ),
+    bucketed AS (
+      SELECT *, CASE WHEN time < ${from} THEN -1 ELSE (time - ${from}) / ${size} END AS bucketIndex
+      FROM points
+    ),
+    segments AS (
+      SELECT *,
+        LAG(bucketIndex) OVER series AS previousBucketIndex,
+        LAG(value) OVER series AS previousValue,
+        LEAD(time) OVER series AS nextTime,
+        FIRST_VALUE(rawValue) OVER bucket AS firstValue,
+        LAST_VALUE(rawValue) OVER bucket AS lastValue
+      FROM bucketed
+      WINDOW series AS (PARTITION BY tagId ORDER BY time),
+        bucket AS (PARTITION BY tagId, bucketIndex ORDER BY time ROWS BETWEEN UNBOUNDED PRECEDING AND UNBOUNDED FOLLOWING)
+    ),
+    weighted AS (
+      SELECT *,
+        MAX(MIN(COALESCE(nextTime, ${until}), ${from} + (bucketIndex + 1) * ${size}, ${until}) - time, 0) AS duration,
+        CASE WHEN previousValue IS NOT NULL AND previousBucketIndex <> bucketIndex
+          THEN MAX(MIN(time, ${until}) - (${from} + bucketIndex * ${size}), 0)
+          ELSE 0
+        END AS leadingDuration
+      FROM segments
+    )
+    SELECT tagId, bucketIndex,
+      COUNT(*) AS count,
+      MIN(value) AS min,
+      MAX(value) AS max,
+      AVG(value) AS avg,
+      MAX(firstValue) AS first,
+      MAX(lastValue) AS last,
+      (TOTAL(value * duration) + TOTAL(previousValue * leadingDuration)) /
+        NULLIF(TOTAL(duration) + TOTAL(leadingDuration), 0) AS twa
+    FROM weighted
+    WHERE bucketIndex >= 0
+    GROUP BY tagId, bucketIndex
+    ORDER BY tagId, bucketIndex
+  `;
+}
+
+/**
+ * Значение агрегатной функции из строки результата queryAggregates
+ *
+ * @param {string} fn - агрегатная функция
+ * @param {Object} row - строка результата
+ * @param {boolean} isString - строковый тег
+ * @returns {number|string|null}
+ */
+function getAggregateValue(fn, row, isString) {
+  if (isString && !STRING_AGGREGATE_FUNCTIONS.includes(fn)) {
+    return null;
+  }
+  const value = row[fn];
+  if (value === null || value === undefined) {
+    return null;
+  }
+  return isString && fn !== 'count' ? value : Number(value);
+}
 
 export default function historyRoutes(prisma) {
   const router = express.Router();
@@ -41,10 +245,7 @@ export default function historyRoutes(prisma) {
             }
           },
           tag: {
-            select: {
-              id: true,
-              name: true
-            }
+            select: TAG_SELECT
           }
         },
         orderBy: { timestamp: 'desc' },
@@ -124,10 +325,7 @@ export default function historyRoutes(prisma) {
             }
           },
           tag: {
-            select: {
-              id: true,
-              name: true
-            }
+            select: TAG_SELECT
           }
         },
         orderBy: { timestamp: 'asc' },
@@ -177,7 +375,8 @@ export default function historyRoutes(prisma) {
             deviceName: item.device.name,
             nodeId: item.device.connectionNode.id,
             nodeName: item.device.connectionNode.name,
-            displayName: `${item.device.connectionNode.name} → ${item.device.name} → ${item.tag.name}`
+            displayName: `${item.device.connectionNode.name} → ${item.device.name} → ${item.tag.name}`,
+            ...getTagDisplay(item.tag)
           };
         }
       });
@@ -252,10 +451,7 @@ export default function historyRoutes(prisma) {
             }
           },
           tag: {
-            select: {
-              id: true,
-              name: true
-            }
+            select: TAG_SELECT
           }
         },
         orderBy: { timestamp: 'asc' },
@@ -267,7 +463,11 @@ export default function historyRoutes(prisma) {
       const uniqueTags = {};
 
       history.forEach(item => {
-        if (!item.tag || !item.device) return;
+        if (!item.tag) return;
+
+        const serverGroup = item.tag.kind === 'INTERNAL' ? INTERNAL_GROUP : CALCULATED_GROUP;
+        const device = item.device || serverGroup;
+        const node = item.device ? item.device.connectionNode : serverGroup;
 
         const timestamp = new Date(item.timestamp);
         const normalizedTime = new Date(
@@ -286,13 +486,13 @@ export default function historyRoutes(prisma) {
           };
         }
 
-        const tagId = `${item.device.id}_${item.tag.id}`;
+        const tagId = `${device.id}_${item.tag.id}`;
 
         groupedByTime[normalizedTime].tags[tagId] = {
           value: item.value,
           tag: item.tag,
-          device: item.device,
-          node: item.device.connectionNode
+          device,
+          node
         };
 
         if (!uniqueTags[tagId]) {
@@ -300,11 +500,14 @@ export default function historyRoutes(prisma) {
             id: tagId,
             tagId: item.tag.id,
             tagName: item.tag.name,
-            deviceId: item.device.id,
-            deviceName: item.device.name,
-            nodeId: item.device.connectionNode.id,
-            nodeName: item.device.connectionNode.name,
-            displayName: `${item.device.connectionNode.name} → ${item.device.name} → ${item.tag.name}`
+            deviceId: device.id,
+            deviceName: device.name,
+            nodeId: node.id,
+            nodeName: node.name,
+            displayName: item.device
+              ? `${node.name} → ${device.name} → ${item.tag.name}`
+              : `${serverGroup.name} → ${item.tag.name}`,
+            ...getTagDisplay(item.tag)
           };
         }
       });
@@ -377,10 +580,7 @@ export default function historyRoutes(prisma) {
             }
           },
           tag: {
-            select: {
-              id: true,
-              name: true
-            }
+            select: TAG_SELECT
           }
         },
         orderBy: { timestamp: 'asc' },
@@ -425,7 +625,8 @@ export default function historyRoutes(prisma) {
           uniqueTags[item.tag.id] = {
             id: item.tag.id,
             name: item.tag.name,
-            deviceName: item.device?.name || 'Неизвестно'
+            deviceName: item.device?.name || 'Неизвестно',
+            ...getTagDisplay(item.tag)
           };
         }
       });
@@ -465,5 +666,139 @@ export default function historyRoutes(prisma) {
     }
   });
 
+  /**
+   * GET /api/history/aggregate
+   * Получить историю тегов, агрегированную по интервалам времени
+   *
+   * Агрегация выполняется в базе данных, поэтому подходит для больших периодов (месяц и больше).
+   * Интервалы без записей в ответ не попадают.
+   *
+   * Теги выбираются сервером по уровню, как у остальных маршрутов истории:
+   * - deviceId: все теги устройства
+   * - nodeId: все теги устройств узла связи
+   * - tagIds: ID тегов через запятую (теги, которых уже нет, пропускаются и перечисляются в missingTagIds)
+   * - без этих параметров - все теги системы, включая вычисляемые и внутренние
+   *
+   * Query параметры:
+   * - deviceId, nodeId или tagIds: теги (см. выше)
+   * - startTime: начальное время (ISO строка, обязательный)
+   * - endTime: конечное время (ISO строка, по умолчанию текущее время)
+   * - bucket: интервал агрегации в мс (не меньше 1000)
+   * - points: желаемое число интервалов, если bucket не задан (по умолчанию 500) - интервал выбирается
+   *   из ряда 1, 5, 10, 15, 30 с, 1, 2, 5, 10, 15, 30 мин, 1, 2, 3, 6, 12 ч, 1 и 7 суток
+   * - functions: агрегатные функции через запятую: min, max, avg, first, last, count, twa
+   *   (по умолчанию avg, min, max, last). У строковых тегов считаются только first, last и count
+   *
+   * Ответ: { startTime, endTime, bucket, functions, tags, missingTagIds, series }, где series - tagId -> массив
+   * { timestamp (начало интервала), <функция>: значение }
+   */
+  router.get('/aggregate', async (req, res) => {
+    try {
+      const { deviceId, nodeId } = req.query;
+      const requestedTagIds = [...new Set(parseList(req.query.tagIds))];
+      if (req.query.tagIds !== undefined && requestedTagIds.length === 0) {
+        return res.status(400).json({ error: 'Укажите ID тегов (tagIds)' });
+      }
+
+      const functions = req.query.functions ? parseList(req.query.functions) : DEFAULT_AGGREGATE_FUNCTIONS;
+      const unknownFunction = functions.find(fn => !AGGREGATE_FUNCTIONS.includes(fn));
+      if (unknownFunction || functions.length === 0) {
+        return res.status(400).json({
+          error: `Агрегатные функции должны быть из списка: ${AGGREGATE_FUNCTIONS.join(', ')}`
+        });
+      }
+
+      const start = new Date(req.query.startTime).getTime();
+      const end = req.query.endTime ? new Date(req.query.endTime).getTime() : Date.now();
+      if (!Number.isFinite(start) || !Number.isFinite(end)) {
+        return res.status(400).json({ error: 'Укажите начальное и конечное время в формате ISO' });
+      }
+      if (start >= end) {
+        return res.status(400).json({ error: 'Начальное время должно быть раньше конечного' });
+      }
+
+      let bucketSize;
+      if (req.query.bucket !== undefined) {
+        bucketSize = Number(req.query.bucket);
+        if (!Number.isInteger(bucketSize) || bucketSize < SECOND) {
+          return res.status(400).json({ error: `Интервал агрегации должен быть не менее ${SECOND} мс` });
+        }
+        if (Math.ceil((end - start) / bucketSize) > MAX_POINTS) {
+          return res.status(400).json({
+            error: `Слишком мелкий интервал агрегации: в периоде больше ${MAX_POINTS} интервалов`
+          });
+        }
+      } else {
+        const points = req.query.points !== undefined ? Number(req.query.points) : DEFAULT_POINTS;
+        if (!Number.isInteger(points) || points < 1 || points > MAX_POINTS) {
+          return res.status(400).json({ error: `Число интервалов должно быть от 1 до ${MAX_POINTS}` });
+        }
+        bucketSize = selectBucketSize(end - start, points);
+      }
+
+      let where = {};
+      if (deviceId) {
+        where = { deviceId };
+      } else if (nodeId) {
+        where = { device: { connectionNodeId: nodeId } };
+      } else if (requestedTagIds.length > 0) {
+        where = { id: { in: requestedTagIds } };
+      }
+
+      const tags = await prisma.tag.findMany({
+        where,
+        select: {
+          ...TAG_SELECT,
+          device: {
+            select: {
+              id: true,
+              name: true,
+              connectionNode: {
+                select: {
+                  id: true,
+                  name: true
+                }
+              }
+            }
+          }
+        }
+      });
+      const tagsById = new Map(tags.map(tag => [tag.id, tag]));
+      // Тег мог быть удален после того, как клиент получил список тегов: такой тег пропускаем
+      const missingTagIds = deviceId || nodeId ? [] : requestedTagIds.filter(tagId => !tagsById.has(tagId));
+
+      const rows = tags.length > 0
+        ? await queryAggregates(prisma, Array.from(tagsById.keys()), start, end, bucketSize)
+        : [];
+
+      const series = {};
+      for (const row of rows) {
+        const isString = tagsById.get(row.tagId).serverDataType === 'string';
+        const point = {
+          timestamp: new Date(start + Number(row.bucketIndex) * bucketSize).toISOString()
+        };
+        for (const fn of functions) {
+          point[fn] = getAggregateValue(fn, row, isString);
+        }
+        if (!series[row.tagId]) {
+          series[row.tagId] = [];
+        }
+        series[row.tagId].push(point);
+      }
+
+      res.json({
+        startTime: new Date(start).toISOString(),
+        endTime: new Date(end).toISOString(),
+        bucket: bucketSize,
+        functions,
+        tags: tags.map(getAggregateTagInfo),
+        missingTagIds,
+        series
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
   return router;
 }
@@ -0,0 +1,267 @@
+/**
+ * REST API маршруты встроенного Modbus TCP сервера
+ *
+ * Встроенный сервер отдает значения тегов внешним системам (MES, сторонние SCADA)
+ * по карте регистров: каждый элемент карты отображает тег на регистр сервера.
+ */
+
+import express from 'express';
+import {
+  MAPPING_DATA_TYPES,
+  MAPPING_REGISTER_TYPES,
+  getMappingSize
+} from '../modbus/ModbusSlaveServer.js';
+
+// Строковые теги не имеют числового значения, которое можно отдать в регистрах сервера
+const STRING_TAG_ERROR = 'Строковый тег нельзя отобразить на регистр сервера';
+
+// Регистры сервера отдают значения опрашиваемых тегов устройств
+const SERVER_TAG_ERROR = 'Вычисляемый или внутренний тег нельзя отобразить на регистр сервера';
+
+/**
+ * Проверяет параметры отображения тега на регистр
+ *
+ * @param {Object} data - параметры отображения
+ * @returns {string|null} Текст ошибки или null, если параметры корректны
+ */
+function validateMappingData(data) {
+  if (!data.tagId) {
+    return 'Выберите тег';
+  }
+  if (!MAPPING_REGISTER_TYPES.includes(data.registerType)) {
+    return `Тип регистра должен быть одним из ${MAPPING_REGISTER_TYPES.join(', ')}`;
+  }
+  if (!MAPPING_DATA_TYPES.includes(data.dataType)) {
+    return `Тип данных должен быть одним из ${MAPPING_DATA_TYPES.join(', ')}`;
+  }
+  const maxAddress = 0x10000 - getMappingSize(data);
+  if (!Number.isInteger(data.address) || data.address < 0 || data.address > maxAddress) {
+    return `Адрес регистра должен быть числом от 0 до ${maxAddress}`;
+  }
+  if (typeof data.scaleFactor !== 'number' || !Number.isFinite(data.scaleFactor) || data.scaleFactor === 0) {
+    return 'Множитель должен быть числом, отличным от 0';
+  }
+  return null;
+}
+
+/**
+ * Ищет отображение, регистры которого пересекаются с новым отображением
+ *
+ * @param {PrismaClient} prisma - Prisma клиент
+ * @param {Object} data - параметры нового отображения
+ * @param {string|null} excludeId - ID редактируемого отображения
+ * @returns {Promise<Object|null>}
+ */
+async function findOverlappingMapping(prisma, data, excludeId = null) {
+  const mappings = await prisma.modbusServerMapping.findMany({
+    where: {registerType: data.registerType},
+    include: {tag: true}
+  });
+
+  const start = data.address;
+  const end = start + getMappingSize(data);
+  return mappings.find(mapping =>
+    mapping.id !== excludeId &&
+    mapping.address < end &&
+    mapping.address + getMappingSize(mapping) > start
+  ) || null;
+}
+
+export default function modbusServerRoutes(prisma, modbusSlaveServer) {
+  const router = express.Router();
+
+  /**
+   * GET /api/modbus-server/status
+   * Получить настройки и состояние встроенного Modbus TCP сервера
+   */
+  router.get('/status', (req, res) => {
+    try {
+      res.json(modbusSlaveServer.getStatus());
+    } catch (error) {
+      res.status(500).json({error: error.message});
+    }
+  });
+
+  /**
+   * PUT /api/modbus-server/settings
+   * Изменить настройки сервера и перезапустить его
+   *
+   * Параметры:
+   * - enabled: включен ли сервер
+   * - port: TCP порт (по умолчанию 502)
+   * - unitId: адрес устройства сервера (1-255, 255 - отвечать на любой адрес)
+   */
+  router.put('/settings', async (req, res) => {
+    try {
+      const {enabled, port, unitId} = req.body;
+
+      if (typeof enabled !== 'boolean') {
+        return res.status(400).json({error: 'Параметр enabled должен быть true или false'});
+      }
+      if (!Number.isInteger(port) || port < 1 || port > 65535) {
+        return res.status(400).json({error: 'Порт должен быть числом от 1 до 65535'});
+      }
+      if (!Number.isInteger(unitId) || unitId < 1 || unitId > 255) {
+        return res.status(400).json({error: 'Адрес устройства должен быть числом от 1 до 255'});
+      }
+
+      await modbusSlaveServer.updateSettings({enabled, port, unitId});
+      res.json(modbusSlaveServer.getStatus());
+    } catch (error) {
+      res.status(500).json({error: error.message});
+    }
+  });
+
+  /**
+   * GET /api/modbus-server/mappings
+   * Получить карту регистров с информацией о тегах и устройствах
+   */
+  router.get('/mappings', async (req, res) => {
+    try {
+      const mappings = await prisma.modbusServerMapping.findMany({
+        include: {
+          tag: {
+            include: {
+              device: true
+            }
+          }
+        },
+        orderBy: [{registerType: 'asc'}, {address: 'asc'}]
+      });
+      res.json(mappings);
+    } catch (error) {
+      res.status(500).json({error: error.message});
+    }
+  });
+
+  /**
+   * POST /api/modbus-server/mappings
+   * Отобразить тег на регистр сервера
+   *
+   * Параметры:
+   * - tagId: ID тега
+   * - registerType: тип регистра ('HOLDING_REGISTER', 'INPUT_REGISTER', 'COIL', 'DISCRETE_INPUT')
+   * - address: адрес регистра на сервере
+   * - dataType: представление значения ('int16', 'uint16', 'int32', 'uint32', 'float'), по умолчанию 'int16'
+   * - scaleFactor: множитель значения тега (по умолчанию 1.0)
+   */
+  router.post('/mappings', async (req, res) => {
+    try {
+      const data = {
+        tagId: req.body.tagId,
+        registerType: req.body.registerType,
+        address: req.body.address,
+        dataType: req.body.dataType || 'int16',
+        scaleFactor: req.body.scaleFactor ?? 1.0
+      };
+
+      const validationError = validateMappingData(data);
+      if (validationError) {
+        return res.status(400).json({error: validationError});
+      }
+
+      const tag = await prisma.tag.findUnique({where: {id: data.tagId}});
+      if (!tag) {
+        return res.status(400).json({error: 'Тег не найден'});
+      }
+      if (tag.serverDataType === 'string') {
+        return res.status(400).json({error: STRING_TAG_ERROR});
+      }
+      if (!tag.deviceId) {
+        return res.status(400).json({error: SERVER_TAG_ERROR});
+      }
+
+      const overlapping = await findOverlappingMapping(prisma, data);
+      if (overlapping) {
+        return res.status(400).json({
+          error: `Адрес ${data.address} пересекается с регистром тега "${overlapping.tag.name}" (адрес ${overlapping.address})`
+        });
+      }
+
+      const mapping = await prisma.modbusServerMapping.create({data});
+      await modbusSlaveServer.loadMappings();
+
+      res.json(mapping);
+    } catch (error) {
+      res.status(500).json({error: error.message});
+    }
+  });
+
+  /**
+   * PUT /api/modbus-server/mappings/:id
+   * Изменить отображение тега на регистр сервера
+   */
+  router.put('/mappings/:id', async (req, res) => {
+    try {
+      const existingMapping = await prisma.modbusServerMapping.findUnique({
+        where: {id: req.params.id}
+      });
+
+      if (!existingMapping) {
+        return res.status(404).json({error: 'Mapping not found'});
+      }
+
+      const data = {
+        tagId: req.body.tagId ?? existingMapping.tagId,
+        registerType: req.body.registerType ?? existingMapping.registerType,
+        address: req.body.address ?? existingMapping.address,
+        dataType: req.body.dataType ?? existingMapping.dataType,
+        scaleFactor: req.body.scaleFactor ?? existingMapping.scaleFactor
+      };
+
+      const validationError = validateMappingData(data);
+      if (validationError) {
+        return res.status(400).json({error: validationError});
+      }
+
+      if (data.tagId !== existingMapping.tagId) {
+        const tag = await prisma.tag.findUnique({where: {id: data.tagId}});
+        if (!tag) {
+          return res.status(400).json({error: 'Тег не найден'});
+        }
+        if (tag.serverDataType === 'string') {
+          return res.status(400).json({error: STRING_TAG_ERROR});
+        }
+        if (!tag.deviceId) {
+          return res.status(400).json({error: SERVER_TAG_ERROR});
+        }
+      }
+
+      const overlapping = await findOverlappingMapping(prisma, data, existingMapping.id);
+      if (overlapping) {
+        return res.status(400).json({
+          error: `Адрес ${data.address} пересекается с регистром тега "${overlapping.tag.name}" (адрес ${overlapping.address})`
+        });
+      }
+
+      const mapping = await prisma.modbusServerMapping.update({
+        where: {id: req.params.id},
+        data
+      });
+      await modbusSlaveServer.loadMappings();
+
+      res.json(mapping);
+    } catch (error) {
+      res.status(500).json({error: error.message});
+    }
+  });
+
+  /**
+   * DELETE /api/modbus-server/mappings/:id
+   * Удалить отображение тега
+   */
+  router.delete('/mappings/:id', async (req, res) => {
+    try {
+      await prisma.modbusServerMapping.delete({
+        where: {id: req.params.id}
+      });
+      await modbusSlaveServer.loadMappings();
+
+      res.json({success: true});
+    } catch (error) {
+      res.status(500).json({error: error.message});
+    }
+  });
+
+  return router;
+}
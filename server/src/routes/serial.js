@@ -0,0 +1,76 @@
+/**
+ * REST API маршруты для работы с последовательными портами компьютера
+ *
+ * Список портов помогает выбрать COM порт узла связи из доступных, а не вводить его вручную
+ */
+
+import express from 'express';
+import {SerialPort} from 'serialport';
+
+export default function serialRoutes(prisma) {
+  const router = express.Router();
+
+  /**
+   * GET /api/serial/ports
+   * Получить список последовательных портов компьютера
+   *
+   * Для каждого порта возвращает:
+   * - path: имя порта ('COM3', '/dev/ttyUSB0')
+   * - manufacturer, serialNumber, vendorId, productId: данные USB преобразователя (если есть)
+   * - nodes: узлы связи, уже использующие этот порт ([{id, name}])
+   *
+   * Порты, указанные в узлах связи, но отсутствующие в системе, возвращаются с present = false
+   */
+  router.get('/ports', async (req, res) => {
+    try {
+      const [ports, nodes] = await Promise.all([
+        SerialPort.list(),
+        prisma.connectionNode.findMany({
+          where: {type: 'COM'},
+          select: {id: true, name: true, comPort: true}
+        })
+      ]);
+
+      const nodesByPort = new Map();
+      for (const node of nodes) {
+        if (!node.comPort) continue;
+        if (!nodesByPort.has(node.comPort)) {
+          nodesByPort.set(node.comPort, []);
+        }
+        nodesByPort.get(node.comPort).push({id: node.id, name: node.name});
+      }
+
+      const result = ports.map(port => ({
+        path: port.path,
+        manufacturer: port.manufacturer || null,
+        serialNumber: port.serialNumber || null,
+        vendorId: port.vendorId || null,
+        productId: port.productId || null,
+        present: true,
+        nodes: nodesByPort.get(port.path) || []
+      }));
+
+      // Порты узлов, которых сейчас нет в системе (например, USB преобразователь не подключен)
+      for (const [path, portNodes] of nodesByPort) {
+        if (!ports.some(port => port.path === path)) {
+          result.push({
+            path,
+            manufacturer: null,
+            serialNumber: null,
+            vendorId: null,
+            productId: null,
+            present: false,
+            nodes: portNodes
+          });
+        }
+      }
+
+      res.json(result.sort((a, b) => a.path.localeCompare(b.path, undefined, {numeric: true})));
+    } catch (error) {
+      console.error('Error listing serial ports:', error);
+      res.status(500).json({error: `Не удалось получить список COM портов: ${error.message}`});
+    }
+  });
+
+  return router;
+}
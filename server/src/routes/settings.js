@@ -3,15 +3,88 @@
  */
 
 import express from 'express';
+import {MQTT_PUBLISH_MODES} from '../mqtt/MqttPublisher.js';
 
 const router = express.Router();
 
+/**
+ * Проверяет настройки публикации в MQTT
+ * @param {Object} data - настройки MQTT
+ * @returns {string|null} Текст ошибки или null, если настройки корректны
+ */
+function validateMqttSettings(data) {
+  if (typeof data.enabled !== 'boolean' || typeof data.retain !== 'boolean' || typeof data.writeEnabled !== 'boolean') {
+    return 'Параметры enabled, retain и writeEnabled должны быть true или false';
+  }
+  if (typeof data.brokerUrl !== 'string' || !/^(mqtts?|wss?|tcp|ssl):\/\/.+/.test(data.brokerUrl)) {
+    return 'Адрес брокера должен начинаться с mqtt://, mqtts://, ws:// или wss://';
+  }
+  for (const template of [data.topicTemplate, data.statusTopicTemplate]) {
+    if (typeof template !== 'string' || !template.trim() || /[+#]/.test(template)) {
+      return 'Шаблон топика не должен быть пустым и содержать символы + и #';
+    }
+  }
+  if (!/\{tag\}/.test(data.topicTemplate)) {
+    return 'Шаблон топика тега должен содержать {tag}';
+  }
+  if (![0, 1, 2].includes(data.qos)) {
+    return 'QoS должен быть 0, 1 или 2';
+  }
+  if (!MQTT_PUBLISH_MODES.includes(data.publishMode)) {
+    return `Режим публикации должен быть одним из ${MQTT_PUBLISH_MODES.join(', ')}`;
+  }
+  if (!Number.isInteger(data.publishInterval) || data.publishInterval < 1000) {
+    return 'Интервал публикации должен быть числом не менее 1000 мс';
+  }
+  return null;
+}
+
+/**
+ * Проверяет настройки автоматического переподключения узлов связи
+ * @param {Object} data - настройки переподключения
+ * @returns {string|null} Текст ошибки или null, если настройки корректны
+ */
+function validateReconnectSettings(data) {
+  if (typeof data.enabled !== 'boolean') {
+    return 'Параметр enabled должен быть true или false';
+  }
+  if (!Number.isInteger(data.initialDelay) || data.initialDelay < 500) {
+    return 'Начальная пауза должна быть числом не менее 500 мс';
+  }
+  if (!Number.isInteger(data.maxDelay) || data.maxDelay < data.initialDelay) {
+    return 'Максимальная пауза должна быть числом не меньше начальной паузы';
+  }
+  if (typeof data.multiplier !== 'number' || data.multiplier < 1 || data.multiplier > 10) {
+    return 'Множитель паузы должен быть числом от 1 до 10';
+  }
+  return null;
+}
+
+/**
+ * Проверяет настройки проверки связи с неотвечающими устройствами
+ * @param {Object} data - настройки проверки связи
+ * @returns {string|null} Текст ошибки или null, если настройки корректны
+ */
+function validateDeviceRecoverySettings(data) {
+  if (typeof data.enabled !== 'boolean') {
+    return 'Параметр enabled должен быть true или false';
+  }
+  if (!Number.isInteger(data.probeInterval) || data.probeInterval < 1000) {
+    return 'Период проверки связи должен быть числом не менее 1000 мс';
+  }
+  return null;
+}
+
 /**
  * Инициализация маршрутов настроек
  * @param {PrismaClient} prisma - Prisma клиент для работы с БД
+ * @param {ModbusManager} modbusManager - Modbus Manager
+ * @param {OpcUaServer} opcUaServer - встроенный OPC UA сервер
+ * @param {MqttPublisher} mqttPublisher - публикация значений в MQTT
+ * @param {ConnectionSupervisor} connectionSupervisor - автоматическое переподключение узлов связи
  * @returns {Router} Express router
  */
-export default function settingsRoutes(prisma, modbusManager) {
+export default function settingsRoutes(prisma, modbusManager, opcUaServer, mqttPublisher, connectionSupervisor) {
   // Получение интервала архивации
   router.get('/archive-interval', async (req, res) => {
     try {
@@ -62,5 +135,133 @@ export default function settingsRoutes(prisma, modbusManager) {
     }
   });
 
+  // Получение настроек и состояния OPC UA сервера
+  router.get('/opcua', (req, res) => {
+    try {
+      res.json(opcUaServer.getStatus());
+    } catch (error) {
+      console.error('Error getting OPC UA settings:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Изменение настроек OPC UA сервера (enabled, port) с перезапуском сервера
+  router.put('/opcua', async (req, res) => {
+    try {
+      const { enabled, port } = req.body;
+
+      if (typeof enabled !== 'boolean') {
+        return res.status(400).json({ error: 'Параметр enabled должен быть true или false' });
+      }
+      if (!Number.isInteger(port) || port < 1 || port > 65535) {
+        return res.status(400).json({ error: 'Порт должен быть числом от 1 до 65535' });
+      }
+
+      await opcUaServer.updateSettings({ enabled, port });
+      res.json(opcUaServer.getStatus());
+    } catch (error) {
+      console.error('Error setting OPC UA settings:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Получение настроек и состояния публикации в MQTT (пароль не возвращается)
+  router.get('/mqtt', (req, res) => {
+    try {
+      res.json(mqttPublisher.getStatus());
+    } catch (error) {
+      console.error('Error getting MQTT settings:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Изменение настроек MQTT с переподключением к брокеру
+  // Если password не передан, сохраняется текущий пароль
+  router.put('/mqtt', async (req, res) => {
+    try {
+      const settings = {
+        enabled: req.body.enabled,
+        brokerUrl: req.body.brokerUrl,
+        username: req.body.username || '',
+        password: req.body.password !== undefined ? req.body.password : mqttPublisher.settings.password,
+        topicTemplate: req.body.topicTemplate,
+        statusTopicTemplate: req.body.statusTopicTemplate,
+        qos: req.body.qos,
+        retain: req.body.retain,
+        publishMode: req.body.publishMode,
+        publishInterval: req.body.publishInterval,
+        writeEnabled: req.body.writeEnabled
+      };
+
+      const validationError = validateMqttSettings(settings);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      await mqttPublisher.updateSettings(settings);
+      res.json(mqttPublisher.getStatus());
+    } catch (error) {
+      console.error('Error setting MQTT settings:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Получение настроек автоматического переподключения и узлов, ожидающих переподключения
+  router.get('/reconnect', (req, res) => {
+    try {
+      res.json(connectionSupervisor.getStatus());
+    } catch (error) {
+      console.error('Error getting reconnect settings:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Изменение настроек автоматического переподключения (enabled, initialDelay, maxDelay, multiplier)
+  router.put('/reconnect', async (req, res) => {
+    try {
+      const { enabled, initialDelay, maxDelay, multiplier } = req.body;
+      const settings = { enabled, initialDelay, maxDelay, multiplier };
+
+      const validationError = validateReconnectSettings(settings);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      await connectionSupervisor.updateSettings(settings);
+      res.json(connectionSupervisor.getStatus());
+    } catch (error) {
+      console.error('Error setting reconnect settings:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Получение настроек проверки связи с устройствами, переставшими отвечать
+  router.get('/device-recovery', async (req, res) => {
+    try {
+      res.json(await modbusManager.loadDeviceRecoverySettings());
+    } catch (error) {
+      console.error('Error getting device recovery settings:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Изменение настроек проверки связи с устройствами (enabled, probeInterval)
+  router.put('/device-recovery', async (req, res) => {
+    try {
+      const { enabled, probeInterval } = req.body;
+
+      const validationError = validateDeviceRecoverySettings({ enabled, probeInterval });
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      await modbusManager.updateDeviceRecoverySettings({ enabled, probeInterval });
+      res.json(modbusManager.deviceRecovery);
+    } catch (error) {
+      console.error('Error setting device recovery settings:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
   return router;
 }
@@ -3,9 +3,233 @@
  * 
  * Тег представляет собой регистр Modbus устройства, который опрашивается
  * для чтения/записи значений. Каждый тег привязан к устройству.
+ *
+ * Вычисляемый тег (kind = 'CALCULATED') не привязан к устройству: его значение вычисляется
+ * по выражению над другими тегами (см. calc/CalcEngine.js) и доступно только для чтения.
+ * Внутренний тег (kind = 'INTERNAL') тоже не привязан к устройству: его значение записывается
+ * через POST /api/tags/:id/write и хранится на сервере (см. internal/InternalTagStore.js).
  */
 
 import express from 'express';
+import {BYTE_ORDERS, validateDataTypes} from '../drivers/modbus/codec.js';
+import {validateScaling} from '../modbus/scaling.js';
+import {validateArchivePolicy} from '../modbus/HistoryArchiver.js';
+import {CALCULATED_DATA_TYPES, validateExpression} from '../calc/CalcEngine.js';
+import {INTERNAL_DATA_TYPES} from '../internal/InternalTagStore.js';
+
+// Минимальный период опроса тега (мс), как и у устройства
+const MIN_POLL_INTERVAL = 100;
+
+// Параметры масштабирования тега и их значения по умолчанию (без масштабирования)
+const SCALING_DEFAULTS = {
+  scalingMode: 'none',
+  scaleFactor: 1.0,
+  scaleOffset: 0,
+  rawMin: null,
+  rawMax: null,
+  euMin: null,
+  euMax: null,
+  scaleClamp: false
+};
+
+/**
+ * Параметры масштабирования из запроса. Не переданные параметры берутся из текущего тега
+ * (при создании - значения по умолчанию).
+ * Запрос только с scaleFactor (без scalingMode), как до появления режимов, включает режим factor
+ *
+ * @param {Object} body - тело запроса
+ * @param {Object} current - текущий тег
+ * @returns {Object}
+ */
+function getScalingData(body, current = SCALING_DEFAULTS) {
+  const scaling = {};
+  for (const key of Object.keys(SCALING_DEFAULTS)) {
+    scaling[key] = body[key] !== undefined ? body[key] : current[key];
+  }
+  if (body.scalingMode === undefined && body.scaleFactor !== undefined && body.scaleFactor !== 1 &&
+    scaling.scalingMode === 'none') {
+    scaling.scalingMode = 'factor';
+  }
+  return scaling;
+}
+
+// Параметры отображения тега и их значения по умолчанию (не заданы)
+const DISPLAY_DEFAULTS = {
+  units: null,
+  description: null,
+  displayDecimals: null,
+  engLow: null,
+  engHigh: null
+};
+
+const MAX_UNITS_LENGTH = 32;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_DISPLAY_DECIMALS = 10;
+
+/**
+ * Параметры отображения из запроса. Не переданные параметры берутся из текущего тега
+ * (при создании - значения по умолчанию), пустая строка - параметр не задан
+ *
+ * @param {Object} body - тело запроса
+ * @param {Object} current - текущий тег
+ * @returns {Object}
+ */
+function getDisplayData(body, current = DISPLAY_DEFAULTS) {
+  const display = {};
+  for (const key of Object.keys(DISPLAY_DEFAULTS)) {
+    const value = body[key] !== undefined ? body[key] : current[key];
+    display[key] = value === '' ? null : value;
+  }
+  return display;
+}
+
+// Параметры архивации тега и их значения по умолчанию (периодически с системным интервалом архивации)
+const ARCHIVE_DEFAULTS = {
+  archiveMode: 'periodic',
+  archiveInterval: null,
+  archiveDeadband: 0,
+  archiveDeadbandMode: 'absolute',
+  archiveMaxSilence: null
+};
+
+/**
+ * Параметры архивации из запроса. Не переданные параметры берутся из текущего тега
+ * (при создании - значения по умолчанию)
+ *
+ * @param {Object} body - тело запроса
+ * @param {Object} current - текущий тег
+ * @returns {Object}
+ */
+function getArchiveData(body, current = ARCHIVE_DEFAULTS) {
+  const archive = {};
+  for (const key of Object.keys(ARCHIVE_DEFAULTS)) {
+    archive[key] = body[key] !== undefined ? body[key] : current[key];
+  }
+  return archive;
+}
+
+/**
+ * Проверяет параметры отображения тега
+ *
+ * @param {Object} data - параметры отображения (units, description, displayDecimals, engLow, engHigh)
+ * @returns {string|null} Текст ошибки или null, если параметры корректны
+ */
+function validateDisplay(data) {
+  const {units, description, displayDecimals, engLow, engHigh} = data;
+
+  if (units !== null && (typeof units !== 'string' || units.length > MAX_UNITS_LENGTH)) {
+    return `Единицы измерения должны быть строкой не длиннее ${MAX_UNITS_LENGTH} символов`;
+  }
+  if (description !== null && (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH)) {
+    return `Описание должно быть строкой не длиннее ${MAX_DESCRIPTION_LENGTH} символов`;
+  }
+  if (displayDecimals !== null &&
+    (!Number.isInteger(displayDecimals) || displayDecimals < 0 || displayDecimals > MAX_DISPLAY_DECIMALS)) {
+    return `Число знаков после запятой должно быть целым от 0 до ${MAX_DISPLAY_DECIMALS}`;
+  }
+  if ((engLow === null) !== (engHigh === null)) {
+    return 'Укажите обе границы инженерного диапазона или не указывайте ни одной';
+  }
+  if (engLow !== null && (!Number.isFinite(engLow) || !Number.isFinite(engHigh) || engLow >= engHigh)) {
+    return 'Нижняя граница инженерного диапазона должна быть числом меньше верхней';
+  }
+  return null;
+}
+
+/**
+ * Проверяет параметры тега
+ *
+ * @param {Object} data - параметры тега (типы регистра и данных, масштабирование, отображение и архивация -
+ *   с учетом значений по умолчанию или текущих значений тега при обновлении)
+ * @returns {string|null} Текст ошибки или null, если параметры корректны
+ */
+function validateTagData(data) {
+  const dataTypesError = validateDataTypes(data);
+  if (dataTypesError) {
+    return dataTypesError;
+  }
+  const scalingError = validateScaling(data);
+  if (scalingError) {
+    return scalingError;
+  }
+  const displayError = validateDisplay(data);
+  if (displayError) {
+    return displayError;
+  }
+  const archiveError = validateArchivePolicy(data);
+  if (archiveError) {
+    return archiveError;
+  }
+  if (data.pollInterval !== undefined && data.pollInterval !== null &&
+    (!Number.isInteger(data.pollInterval) || data.pollInterval < MIN_POLL_INTERVAL)) {
+    return `Период опроса тега должен быть не менее ${MIN_POLL_INTERVAL} мс`;
+  }
+  if (data.byteOrder !== undefined && data.byteOrder !== null && !BYTE_ORDERS.includes(data.byteOrder)) {
+    return `Порядок байт должен быть одним из: ${BYTE_ORDERS.join(', ')}`;
+  }
+  return null;
+}
+
+// Типы тегов без устройства
+const SERVER_TAG_KINDS = ['CALCULATED', 'INTERNAL'];
+
+// Регистровые параметры тегов без устройства не используются и хранятся со значениями-заглушками
+const SERVER_TAG_REGISTER = {
+  address: 0,
+  registerType: 'HOLDING_REGISTER',
+  stringLength: null,
+  bitIndex: null,
+  pollInterval: null,
+  byteOrder: null,
+  ...SCALING_DEFAULTS
+};
+
+/**
+ * Проверяет параметры вычисляемого или внутреннего тега: имя (уникально среди тегов без устройства,
+ * так как по нему на тег ссылаются выражения), тип данных, отображение и выражение вычисляемого тега
+ *
+ * @param {Object} prisma - Prisma клиент
+ * @param {string} kind - 'CALCULATED' или 'INTERNAL'
+ * @param {Object} data - параметры тега (id при обновлении, name, expression, serverDataType, отображение
+ *   и архивация)
+ * @returns {Promise<string|null>} Текст ошибки или null, если параметры корректны
+ */
+async function validateServerTag(prisma, kind, data) {
+  if (typeof data.name !== 'string' || !data.name.trim()) {
+    return 'Укажите название тега';
+  }
+  if (/[{}\/]/.test(data.name)) {
+    return 'Название вычисляемого или внутреннего тега не должно содержать символы /, { и }';
+  }
+  const dataTypes = kind === 'CALCULATED' ? CALCULATED_DATA_TYPES : INTERNAL_DATA_TYPES;
+  if (!dataTypes.includes(data.serverDataType)) {
+    return `Тип данных тега должен быть одним из: ${dataTypes.join(', ')}`;
+  }
+  if (kind === 'CALCULATED' && (typeof data.expression !== 'string' || !data.expression.trim())) {
+    return 'Укажите выражение';
+  }
+  const displayError = validateDisplay(data);
+  if (displayError) {
+    return displayError;
+  }
+  const archiveError = validateArchivePolicy(data);
+  if (archiveError) {
+    return archiveError;
+  }
+
+  const sameName = await prisma.tag.findFirst({
+    where: {
+      deviceId: null,
+      name: data.name,
+      ...(data.id ? {NOT: {id: data.id}} : {})
+    }
+  });
+  if (sameName) {
+    return `Вычисляемый или внутренний тег "${data.name}" уже существует`;
+  }
+
+  return kind === 'CALCULATED' ? validateExpression(prisma, data) : null;
+}
 
 export default function tagRoutes(prisma, modbusManager) {
   const router = express.Router();
@@ -66,14 +290,79 @@ export default function tagRoutes(prisma, modbusManager) {
    * - name: название тега
    * - address: адрес Modbus регистра
    * - registerType: тип регистра ('HOLDING_REGISTER', 'INPUT_REGISTER', 'COIL', 'DISCRETE_INPUT')
-   * - deviceDataType: тип данных в устройстве ('int16', 'int32', 'float' и т.д.)
-   * - serverDataType: тип данных на сервере ('int32', 'float' и т.д.)
+   * - deviceDataType: тип данных в устройстве ('int16', 'uint32', 'float64', 'bcd16', 'string' и т.д.)
+   * - serverDataType: тип данных на сервере ('int32', 'float', 'string' и т.д.)
    * - accessType: тип доступа ('ReadOnly' или 'ReadWrite')
-   * - scaleFactor: коэффициент масштабирования (по умолчанию 1.0, например 0.1 для деления на 10)
+   * - scalingMode: масштабирование 'none' (по умолчанию), 'factor' или 'range'
+   * - scaleFactor, scaleOffset: множитель и смещение режима factor (значение = сырое * scaleFactor + scaleOffset)
+   * - rawMin, rawMax, euMin, euMax: сырой и инженерный диапазоны режима range
+   * - scaleClamp: ограничивать значение инженерным диапазоном (режим range, по умолчанию false)
+   * - pollInterval: период опроса тега в мс (по умолчанию не задан - используется период опроса устройства)
+   * - byteOrder: порядок байт многорегистрового значения 'ABCD', 'CDAB', 'BADC' или 'DCBA'
+   *   (по умолчанию не задан - используется порядок байт устройства)
+   * - stringLength: длина строки в регистрах, обязательна для типа 'string'
+   * - bitIndex: номер бита (0-15) holding или input регистра, если тег - отдельный бит регистра
+   *   (по умолчанию не задан - тег занимает регистр целиком)
+   * - units: единицы измерения для отображения (например, '°C')
+   * - description: описание тега
+   * - displayDecimals: число знаков после запятой при отображении (0-10, по умолчанию не задано - автоматически)
+   * - engLow, engHigh: инженерный диапазон значения для шкалы графиков и индикатора (по умолчанию не задан)
+   * - archiveMode: архивация 'periodic' (по умолчанию), 'change' (при изменении), 'both' или 'none' (не архивировать)
+   * - archiveInterval: период архивации в мс (по умолчанию не задан - системный интервал архивации)
+   * - archiveDeadband, archiveDeadbandMode: зона нечувствительности архивации при изменении (по умолчанию 0 -
+   *   любое изменение) в единицах тега ('absolute') или в % от последнего сохраненного значения ('percent')
+   * - archiveMaxSilence: в режимах change и both - максимальное время без записей в архив в мс
    * - enabled: включен ли тег в опрос (по умолчанию true)
+   *
+   * Вычисляемый (kind: 'CALCULATED') и внутренний (kind: 'INTERNAL') теги создаются без устройства
+   * и регистровых параметров:
+   * - name: название тега, уникальное среди вычисляемых и внутренних тегов
+   * - expression: выражение вычисляемого тега, например '({Печь/T1} + {Печь/T2}) / 2'
+   * - serverDataType: тип значения (по умолчанию 'float64'; у вычисляемого тега целые типы округляют
+   *   результат, внутренний тег может быть и строковым - 'string')
+   * - units, description, displayDecimals, engLow, engHigh, параметры архивации, enabled - как у тега устройства
+   * Вычисляемый тег доступен только для чтения, внутренний - для чтения и записи
    */
   router.post('/', async (req, res) => {
     try {
+      if (SERVER_TAG_KINDS.includes(req.body.kind)) {
+        const {kind, name, expression, serverDataType, enabled} = req.body;
+        const data = {
+          name,
+          serverDataType: serverDataType || 'float64',
+          ...getDisplayData(req.body),
+          ...getArchiveData(req.body)
+        };
+        if (kind === 'CALCULATED') {
+          data.expression = expression;
+        }
+
+        const validationError = await validateServerTag(prisma, kind, data);
+        if (validationError) {
+          return res.status(400).json({error: validationError});
+        }
+
+        const tag = await prisma.tag.create({
+          data: {
+            ...data,
+            ...SERVER_TAG_REGISTER,
+            kind,
+            deviceDataType: data.serverDataType,
+            accessType: kind === 'INTERNAL' ? 'ReadWrite' : 'ReadOnly',
+            enabled: enabled !== undefined ? enabled : true
+          }
+        });
+
+        await modbusManager.reloadServerTags();
+        modbusManager.broadcastStateUpdate();
+
+        return res.json(tag);
+      }
+
+      if (req.body.kind !== undefined && req.body.kind !== 'DEVICE') {
+        return res.status(400).json({error: 'Тип тега должен быть DEVICE, CALCULATED или INTERNAL'});
+      }
+
       const {
         deviceId,
         name,
@@ -82,20 +371,47 @@ export default function tagRoutes(prisma, modbusManager) {
         deviceDataType,
         serverDataType,
         accessType,
-        scaleFactor,
+        pollInterval,
+        byteOrder,
+        stringLength,
+        bitIndex,
         enabled
       } = req.body;
 
+      if (!deviceId) {
+        return res.status(400).json({error: 'Укажите устройство'});
+      }
+
+      const types = {
+        registerType: registerType || 'HOLDING_REGISTER',
+        deviceDataType: deviceDataType || 'int16',
+        serverDataType: serverDataType || 'int32',
+        stringLength: stringLength || null,
+        bitIndex: bitIndex ?? null
+      };
+      const scaling = getScalingData(req.body);
+      const display = getDisplayData(req.body);
+      const archive = getArchiveData(req.body);
+
+      const validationError = validateTagData({...types, ...scaling, ...display, ...archive, pollInterval, byteOrder});
+      if (validationError) {
+        return res.status(400).json({error: validationError});
+      }
+
       const tag = await prisma.tag.create({
         data: {
           deviceId,
           name,
           address,
-          registerType: registerType || 'HOLDING_REGISTER',
-          deviceDataType: deviceDataType || 'int16',
-          serverDataType: serverDataType || 'int32',
+          ...types,
+          // Длина хранится только у строковых тегов
+          stringLength: types.deviceDataType === 'string' ? types.stringLength : null,
+          ...scaling,
+          ...display,
+          ...archive,
           accessType: accessType || 'ReadOnly',
-          scaleFactor: scaleFactor !== undefined ? scaleFactor : 1.0,
+          pollInterval: pollInterval || null,
+          byteOrder: byteOrder || null,
           enabled: enabled !== undefined ? enabled : true
         },
         include: {
@@ -127,7 +443,10 @@ export default function tagRoutes(prisma, modbusManager) {
    * PUT /api/tags/:id
    * Обновить параметры тега
    * 
-   * При изменении параметров тега необходимо перезапустить соединение узла
+   * При изменении параметров тега необходимо перезапустить соединение узла.
+   * У вычисляемого и внутреннего тега изменяются name, expression (у вычисляемого), serverDataType,
+   * отображение и enabled, после чего теги без устройства перезагружаются. Тип тега (kind) не изменяется.
+   * При смене типа данных внутреннего тега его сохраненное значение сбрасывается
    */
   router.put('/:id', async (req, res) => {
     try {
@@ -138,7 +457,10 @@ export default function tagRoutes(prisma, modbusManager) {
         deviceDataType,
         serverDataType,
         accessType,
-        scaleFactor,
+        pollInterval,
+        byteOrder,
+        stringLength,
+        bitIndex,
         enabled
       } = req.body;
 
@@ -157,19 +479,87 @@ export default function tagRoutes(prisma, modbusManager) {
         return res.status(404).json({error: 'Tag not found'});
       }
 
+      if (SERVER_TAG_KINDS.includes(tag.kind)) {
+        const data = {
+          id: tag.id,
+          name: name ?? tag.name,
+          serverDataType: serverDataType ?? tag.serverDataType,
+          ...getDisplayData(req.body, tag),
+          ...getArchiveData(req.body, tag)
+        };
+        if (tag.kind === 'CALCULATED') {
+          data.expression = req.body.expression ?? tag.expression;
+        }
+
+        const validationError = await validateServerTag(prisma, tag.kind, data);
+        if (validationError) {
+          return res.status(400).json({error: validationError});
+        }
+
+        const {id, ...updateData} = data;
+        // Сохраненное значение внутреннего тега может не подходить к новому типу данных
+        if (tag.kind === 'INTERNAL' && updateData.serverDataType !== tag.serverDataType) {
+          updateData.value = null;
+          updateData.valueTimestamp = null;
+        }
+
+        const updatedTag = await prisma.tag.update({
+          where: {id},
+          data: {
+            ...updateData,
+            deviceDataType: updateData.serverDataType,
+            enabled
+          }
+        });
+
+        await modbusManager.reloadServerTags();
+        modbusManager.broadcastStateUpdate();
+
+        return res.json(updatedTag);
+      }
+
+      // Сочетание типов проверяем с учетом текущих значений тега, не переданных в запросе
+      const types = {
+        registerType: registerType ?? tag.registerType,
+        deviceDataType: deviceDataType ?? tag.deviceDataType,
+        serverDataType: serverDataType ?? tag.serverDataType,
+        stringLength: stringLength !== undefined ? stringLength || null : tag.stringLength,
+        // null - тег занимает регистр целиком
+        bitIndex: bitIndex !== undefined ? bitIndex : tag.bitIndex
+      };
+      const scaling = getScalingData(req.body, tag);
+      const display = getDisplayData(req.body, tag);
+      const archive = getArchiveData(req.body, tag);
+
+      const validationError = validateTagData({...types, ...scaling, ...display, ...archive, pollInterval, byteOrder});
+      if (validationError) {
+        return res.status(400).json({error: validationError});
+      }
+
       const updateData = {
         name,
         address,
         registerType,
         deviceDataType,
         serverDataType,
+        // Длина хранится только у строковых тегов
+        stringLength: types.deviceDataType === 'string' ? types.stringLength : null,
+        bitIndex: types.bitIndex,
+        ...scaling,
+        ...display,
+        ...archive,
         accessType,
         enabled
       };
 
-      // Добавляем scaleFactor только если он передан
-      if (scaleFactor !== undefined) {
-        updateData.scaleFactor = scaleFactor;
+      // Пустой период опроса (null) - опрашивать с периодом устройства
+      if (pollInterval !== undefined) {
+        updateData.pollInterval = pollInterval || null;
+      }
+
+      // Пустой порядок байт (null) - использовать порядок байт устройства
+      if (byteOrder !== undefined) {
+        updateData.byteOrder = byteOrder || null;
       }
 
       const updatedTag = await prisma.tag.update({
@@ -216,15 +606,17 @@ export default function tagRoutes(prisma, modbusManager) {
         return res.status(404).json({error: 'Tag not found'});
       }
 
-      const connectionNodeId = tag.device.connectionNodeId;
-
       await prisma.tag.delete({
         where: {id: req.params.id}
       });
 
-      // Перезапускаем соединение узла после удаления тега
-      if (modbusManager.isRunning) {
-        await modbusManager.reloadConnection(connectionNodeId);
+      // Перезапускаем соединение узла после удаления тега.
+      // Вычисляемые теги, ссылавшиеся на удаленный тег, получат ошибку "не найден"
+      if (!tag.device) {
+        await modbusManager.reloadServerTags();
+        modbusManager.broadcastStateUpdate();
+      } else if (modbusManager.isRunning) {
+        await modbusManager.reloadConnection(tag.device.connectionNodeId);
       }
 
       res.json({success: true});
@@ -235,13 +627,14 @@ export default function tagRoutes(prisma, modbusManager) {
 
   /**
    * POST /api/tags/:id/write
-   * Записать значение в тег Modbus устройства
+   * Записать значение в тег Modbus устройства или во внутренний тег
    * 
    * Работает только для тегов с типом доступа 'ReadWrite'.
    * Значение преобразуется согласно типу данных тега.
+   * Значение внутреннего тега сохраняется на сервере и не теряется при перезапуске.
    * 
    * Параметры:
-   * - value: значение для записи (число)
+   * - value: значение для записи (число, для строкового тега - строка)
    */
   router.post('/:id/write', async (req, res) => {
     try {
@@ -0,0 +1,265 @@
+/**
+ * SimulatorPort - виртуальная шина Modbus RTU с подключенными виртуальными устройствами
+ *
+ * Реализует интерфейс порта modbus-serial (open/close/write и событие 'data'),
+ * поэтому подключается к обычному Modbus клиенту через connectRTUSocket.
+ * Принимает кадры RTU (с CRC) и отвечает от имени VirtualSlave с соответствующим адресом.
+ * На запросы к адресам, которых нет на шине, ответа нет - клиент получает таймаут,
+ * как при опросе отключенного прибора.
+ *
+ * Поддерживаемые функции: 1, 2, 3, 4, 5, 6, 15, 16, 22.
+ * На остальные функции устройство отвечает исключением 1 (Illegal Function).
+ */
+
+import {EventEmitter} from 'events';
+
+// Коды исключений Modbus
+const ILLEGAL_FUNCTION = 1;
+const ILLEGAL_DATA_ADDRESS = 2;
+const ILLEGAL_DATA_VALUE = 3;
+
+const SUPPORTED_FUNCTIONS = [1, 2, 3, 4, 5, 6, 15, 16, 22];
+
+// Максимальное количество бит и регистров в одном запросе по спецификации Modbus
+const MAX_READ_BITS = 2000;
+const MAX_READ_REGISTERS = 125;
+const MAX_WRITE_BITS = 1968;
+const MAX_WRITE_REGISTERS = 123;
+
+/**
+ * Вычисляет CRC16 Modbus
+ *
+ * @param {Buffer} buffer - данные кадра без CRC
+ * @returns {number}
+ */
+function crc16(buffer) {
+  let crc = 0xFFFF;
+  for (const byte of buffer) {
+    crc ^= byte;
+    for (let i = 0; i < 8; i++) {
+      crc = (crc & 1) ? (crc >> 1) ^ 0xA001 : crc >> 1;
+    }
+  }
+  return crc;
+}
+
+/**
+ * Добавляет CRC к кадру (младший байт первым)
+ *
+ * @param {number[]} bytes - байты кадра без CRC
+ * @returns {Buffer}
+ */
+function withCrc(bytes) {
+  const frame = Buffer.alloc(bytes.length + 2);
+  Buffer.from(bytes).copy(frame);
+  frame.writeUInt16LE(crc16(frame.subarray(0, bytes.length)), bytes.length);
+  return frame;
+}
+
+/**
+ * Ошибка обработки запроса, на которую устройство отвечает исключением Modbus
+ */
+class ModbusException extends Error {
+  constructor(code) {
+    super(`Modbus exception ${code}`);
+    this.code = code;
+  }
+}
+
+/**
+ * Проверяет, что диапазон адресов помещается в адресное пространство Modbus
+ */
+function checkRange(start, quantity, maxQuantity) {
+  if (quantity < 1 || quantity > maxQuantity) {
+    throw new ModbusException(ILLEGAL_DATA_VALUE);
+  }
+  if (start + quantity > 0x10000) {
+    throw new ModbusException(ILLEGAL_DATA_ADDRESS);
+  }
+}
+
+/**
+ * Упаковывает биты в байты (первый бит - младший бит первого байта)
+ */
+function packBits(bits) {
+  const bytes = new Array(Math.ceil(bits.length / 8)).fill(0);
+  bits.forEach((bit, index) => {
+    if (bit) {
+      bytes[index >> 3] |= 1 << (index & 7);
+    }
+  });
+  return bytes;
+}
+
+/**
+ * Распаковывает quantity бит из байтов запроса
+ */
+function unpackBits(buffer, quantity) {
+  const bits = [];
+  for (let i = 0; i < quantity; i++) {
+    bits.push((buffer[i >> 3] >> (i & 7)) & 1);
+  }
+  return bits;
+}
+
+export class SimulatorPort extends EventEmitter {
+  /**
+   * @param {VirtualSlave[]} slaves - виртуальные устройства на шине
+   * @param {Object} options
+   * @param {number} options.responseDelay - задержка ответа устройства, мс
+   */
+  constructor(slaves, options = {}) {
+    super();
+    this.slaves = new Map(slaves.map(slave => [slave.unitId, slave]));
+    this.responseDelay = options.responseDelay ?? 10;
+    this.isOpen = false;
+  }
+
+  open(callback) {
+    this.isOpen = true;
+    if (callback) callback(null);
+  }
+
+  close(callback) {
+    this.isOpen = false;
+    this.emit('close');
+    if (callback) callback(null);
+  }
+
+  destroy() {
+    this.close();
+  }
+
+  /**
+   * Принимает кадр запроса от Modbus клиента
+   *
+   * @param {Buffer} data - кадр Modbus RTU
+   */
+  write(data) {
+    if (!this.isOpen || data.length < 4) return;
+
+    // Кадр с неверной CRC устройство молча отбрасывает
+    const crc = data.readUInt16LE(data.length - 2);
+    if (crc !== crc16(data.subarray(0, data.length - 2))) return;
+
+    const unitId = data[0];
+    const pdu = data.subarray(1, data.length - 2);
+
+    // Широковещательный запрос (адрес 0) выполняют все устройства, ответа нет
+    if (unitId === 0) {
+      for (const slave of this.slaves.values()) {
+        try {
+          this.handleRequest(slave, pdu);
+        } catch (error) {
+          // На широковещательные запросы исключения не передаются
+        }
+      }
+      return;
+    }
+
+    const slave = this.slaves.get(unitId);
+    if (!slave) return;
+
+    let response;
+    try {
+      response = [unitId, ...this.handleRequest(slave, pdu)];
+    } catch (error) {
+      const code = error instanceof ModbusException ? error.code : ILLEGAL_DATA_VALUE;
+      response = [unitId, pdu[0] | 0x80, code];
+    }
+
+    const frame = withCrc(response);
+    setTimeout(() => {
+      if (this.isOpen) {
+        this.emit('data', frame);
+      }
+    }, this.responseDelay);
+  }
+
+  /**
+   * Выполняет запрос на виртуальном устройстве
+   *
+   * @param {VirtualSlave} slave - устройство
+   * @param {Buffer} pdu - код функции и данные запроса
+   * @returns {number[]} Код функции и данные ответа
+   */
+  handleRequest(slave, pdu) {
+    const functionCode = pdu[0];
+    if (!SUPPORTED_FUNCTIONS.includes(functionCode)) {
+      throw new ModbusException(ILLEGAL_FUNCTION);
+    }
+    if (pdu.length < 5) {
+      throw new ModbusException(ILLEGAL_DATA_VALUE);
+    }
+
+    const start = pdu.readUInt16BE(1);
+    const quantityOrValue = pdu.readUInt16BE(3);
+
+    switch (functionCode) {
+      case 1:
+      case 2: {
+        checkRange(start, quantityOrValue, MAX_READ_BITS);
+        const registerType = functionCode === 1 ? 'COIL' : 'DISCRETE_INPUT';
+        const bytes = packBits(slave.read(registerType, start, quantityOrValue));
+        return [functionCode, bytes.length, ...bytes];
+      }
+
+      case 3:
+      case 4: {
+        checkRange(start, quantityOrValue, MAX_READ_REGISTERS);
+        const registerType = functionCode === 3 ? 'HOLDING_REGISTER' : 'INPUT_REGISTER';
+        const words = slave.read(registerType, start, quantityOrValue);
+        const bytes = words.flatMap(word => [word >> 8, word & 0xFF]);
+        return [functionCode, bytes.length, ...bytes];
+      }
+
+      case 5: {
+        if (quantityOrValue !== 0xFF00 && quantityOrValue !== 0x0000) {
+          throw new ModbusException(ILLEGAL_DATA_VALUE);
+        }
+        slave.write('COIL', start, [quantityOrValue === 0xFF00 ? 1 : 0]);
+        return [...pdu.subarray(0, 5)];
+      }
+
+      case 6:
+        slave.write('HOLDING_REGISTER', start, [quantityOrValue]);
+        return [...pdu.subarray(0, 5)];
+
+      case 15: {
+        checkRange(start, quantityOrValue, MAX_WRITE_BITS);
+        const byteCount = pdu[5];
+        if (byteCount !== Math.ceil(quantityOrValue / 8) || pdu.length < 6 + byteCount) {
+          throw new ModbusException(ILLEGAL_DATA_VALUE);
+        }
+        slave.write('COIL', start, unpackBits(pdu.subarray(6), quantityOrValue));
+        return [...pdu.subarray(0, 5)];
+      }
+
+      case 16: {
+        checkRange(start, quantityOrValue, MAX_WRITE_REGISTERS);
+        const byteCount = pdu[5];
+        if (byteCount !== quantityOrValue * 2 || pdu.length < 6 + byteCount) {
+          throw new ModbusException(ILLEGAL_DATA_VALUE);
+        }
+        const words = [];
+        for (let i = 0; i < quantityOrValue; i++) {
+          words.push(pdu.readUInt16BE(6 + i * 2));
+        }
+        slave.write('HOLDING_REGISTER', start, words);
+        return [...pdu.subarray(0, 5)];
+      }
+
+      case 22: {
+        // Mask Write Register: результат = (текущее AND andMask) OR (orMask AND NOT andMask)
+        if (pdu.length < 7) {
+          throw new ModbusException(ILLEGAL_DATA_VALUE);
+        }
+        const andMask = quantityOrValue;
+        const orMask = pdu.readUInt16BE(5);
+        const [current] = slave.read('HOLDING_REGISTER', start, 1);
+        slave.write('HOLDING_REGISTER', start, [(current & andMask) | (orMask & ~andMask & 0xFFFF)]);
+        return [...pdu.subarray(0, 7)];
+      }
+    }
+  }
+}
@@ -0,0 +1,142 @@
+/**
+ * VirtualSlave - виртуальное Modbus устройство (slave) для симулятора
+ *
+ * Хранит четыре области памяти Modbus (катушки, дискретные входы, регистры хранения
+ * и входные регистры). Регистры, не описанные в карте, читаются как 0.
+ * Описанные регистры получают значения от генераторов в момент чтения.
+ * Запись в регистр с генератором отключает генератор - дальше регистр хранит записанное значение,
+ * как это происходит с уставками реального прибора.
+ */
+
+import {createGenerator} from './generators.js';
+
+export const REGISTER_TYPES = ['HOLDING_REGISTER', 'INPUT_REGISTER', 'COIL', 'DISCRETE_INPUT'];
+export const SIMULATOR_DATA_TYPES = ['int16', 'uint16', 'float'];
+
+const BIT_REGISTER_TYPES = ['COIL', 'DISCRETE_INPUT'];
+
+/**
+ * Преобразует значение генератора в 16-битные слова регистров
+ *
+ * @param {number} value - значение
+ * @param {string} dataType - тип данных регистра: int16, uint16 или float
+ * @returns {number[]} Слова регистров (float - два слова в порядке ABCD, как читает ModbusManager)
+ */
+function encodeRegisters(value, dataType) {
+  if (dataType === 'float') {
+    const buffer = Buffer.allocUnsafe(4);
+    buffer.writeFloatBE(value, 0);
+    return [buffer.readUInt16BE(0), buffer.readUInt16BE(2)];
+  }
+
+  if (dataType === 'uint16') {
+    return [Math.min(0xFFFF, Math.max(0, Math.round(value)))];
+  }
+
+  const int16 = Math.min(32767, Math.max(-32768, Math.round(value)));
+  return [int16 & 0xFFFF];
+}
+
+export class VirtualSlave {
+  /**
+   * @param {number} unitId - адрес устройства на шине
+   * @param {Object[]} registers - карта регистров: registerType, address, dataType, generator и его параметры
+   */
+  constructor(unitId, registers = []) {
+    this.unitId = unitId;
+
+    // Память устройства: registerType -> Map(address -> значение)
+    this.memory = new Map(REGISTER_TYPES.map(type => [type, new Map()]));
+
+    // Активные генераторы: { registerType, address, size, dataType, next }
+    this.generators = [];
+
+    for (const register of registers) {
+      const isBit = BIT_REGISTER_TYPES.includes(register.registerType);
+      const dataType = isBit ? 'bit' : (register.dataType || 'int16');
+      this.generators.push({
+        registerType: register.registerType,
+        address: register.address,
+        size: dataType === 'float' ? 2 : 1,
+        dataType,
+        next: createGenerator(register)
+      });
+    }
+  }
+
+  /**
+   * Обновляет память значениями генераторов, попадающих в диапазон адресов
+   *
+   * @param {string} registerType - область памяти
+   * @param {number} start - начальный адрес
+   * @param {number} quantity - количество адресов
+   */
+  refresh(registerType, start, quantity) {
+    const now = Date.now();
+    const area = this.memory.get(registerType);
+
+    for (const generator of this.generators) {
+      if (generator.registerType !== registerType) continue;
+      if (generator.address + generator.size <= start || generator.address >= start + quantity) continue;
+
+      const value = generator.next(now);
+      if (generator.dataType === 'bit') {
+        area.set(generator.address, value ? 1 : 0);
+      } else {
+        encodeRegisters(value, generator.dataType).forEach((word, index) => {
+          area.set(generator.address + index, word);
+        });
+      }
+    }
+  }
+
+  /**
+   * Отключает генераторы, которые перекрываются записываемым диапазоном
+   *
+   * @param {string} registerType - область памяти
+   * @param {number} start - начальный адрес
+   * @param {number} quantity - количество адресов
+   */
+  detachGenerators(registerType, start, quantity) {
+    this.generators = this.generators.filter(generator =>
+      generator.registerType !== registerType ||
+      generator.address + generator.size <= start ||
+      generator.address >= start + quantity
+    );
+  }
+
+  /**
+   * Читает значения подряд идущих адресов области памяти
+   *
+   * @param {string} registerType - область памяти
+   * @param {number} start - начальный адрес
+   * @param {number} quantity - количество адресов
+   * @returns {number[]} Слова регистров или биты (0/1)
+   */
+  read(registerType, start, quantity) {
+    this.refresh(registerType, start, quantity);
+
+    const area = this.memory.get(registerType);
+    const values = [];
+    for (let i = 0; i < quantity; i++) {
+      values.push(area.get(start + i) || 0);
+    }
+    return values;
+  }
+
+  /**
+   * Записывает значения подряд идущих адресов области памяти
+   *
+   * @param {string} registerType - область памяти (COIL или HOLDING_REGISTER)
+   * @param {number} start - начальный адрес
+   * @param {number[]} values - слова регистров или биты (0/1)
+   */
+  write(registerType, start, values) {
+    this.detachGenerators(registerType, start, values.length);
+
+    const area = this.memory.get(registerType);
+    values.forEach((value, index) => {
+      area.set(start + index, value);
+    });
+  }
+}
@@ -0,0 +1,83 @@
+/**
+ * Генераторы значений для регистров виртуального Modbus устройства
+ *
+ * Генератор - функция, возвращающая значение регистра в момент времени now (мс).
+ * Значения вычисляются лениво при каждом чтении, поэтому симулятору не нужны таймеры:
+ * - constant: постоянное значение value
+ * - ramp: пила от min до max за period секунд
+ * - sine: синусоида между min и max с периодом period секунд
+ * - randomWalk: случайное блуждание от value с шагом не более step в пределах min..max
+ * - toggle: переключение 0/1 каждые period секунд (для катушек и дискретных входов)
+ */
+
+export const GENERATOR_TYPES = ['constant', 'ramp', 'sine', 'randomWalk', 'toggle'];
+
+/**
+ * Возвращает числовой параметр генератора или значение по умолчанию
+ *
+ * @param {Object} config - параметры регистра
+ * @param {string} name - имя параметра
+ * @param {number} defaultValue - значение по умолчанию
+ * @returns {number}
+ */
+function numberParam(config, name, defaultValue) {
+  const value = config[name];
+  if (value === undefined || value === null) {
+    return defaultValue;
+  }
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    throw new Error(`Параметр ${name} генератора должен быть числом`);
+  }
+  return value;
+}
+
+/**
+ * Создает генератор значений по описанию регистра
+ *
+ * @param {Object} config - описание регистра: generator и его параметры (value, min, max, period, step)
+ * @returns {function(number): number} Функция (now) => значение
+ */
+export function createGenerator(config) {
+  const generator = config.generator || 'constant';
+  const min = numberParam(config, 'min', 0);
+  const max = numberParam(config, 'max', 100);
+  const period = numberParam(config, 'period', 60);
+
+  if (generator !== 'constant' && generator !== 'randomWalk' && period <= 0) {
+    throw new Error('Период генератора должен быть больше 0');
+  }
+  if (max < min) {
+    throw new Error('Максимум генератора должен быть не меньше минимума');
+  }
+
+  const periodMs = period * 1000;
+
+  switch (generator) {
+    case 'constant': {
+      const value = numberParam(config, 'value', 0);
+      return () => value;
+    }
+
+    case 'ramp':
+      return (now) => min + (max - min) * ((now % periodMs) / periodMs);
+
+    case 'sine':
+      return (now) => min + (max - min) * (1 + Math.sin(2 * Math.PI * now / periodMs)) / 2;
+
+    case 'randomWalk': {
+      const step = numberParam(config, 'step', (max - min) / 100);
+      let current = numberParam(config, 'value', (min + max) / 2);
+      return () => {
+        current += (Math.random() * 2 - 1) * step;
+        current = Math.min(max, Math.max(min, current));
+        return current;
+      };
+    }
+
+    case 'toggle':
+      return (now) => Math.floor(now / periodMs) % 2;
+
+    default:
+      throw new Error(`Неизвестный генератор "${generator}". Допустимые значения: ${GENERATOR_TYPES.join(', ')}`);
+  }
+}
@@ -0,0 +1,103 @@
+/**
+ * Симулятор Modbus устройств для пусконаладки без оборудования
+ *
+ * Конфигурация симулятора хранится в узле связи (simulatorConfig) в виде JSON:
+ * {
+ *   "responseDelay": 10,
+ *   "slaves": [
+ *     {
+ *       "unitId": 16,
+ *       "registers": [
+ *         {"registerType": "HOLDING_REGISTER", "address": 0, "dataType": "float", "generator": "sine", "min": 0, "max": 100, "period": 60},
+ *         {"registerType": "COIL", "address": 0, "generator": "toggle", "period": 5}
+ *       ]
+ *     }
+ *   ]
+ * }
+ */
+
+import {VirtualSlave, REGISTER_TYPES, SIMULATOR_DATA_TYPES} from './VirtualSlave.js';
+import {SimulatorPort} from './SimulatorPort.js';
+import {createGenerator} from './generators.js';
+
+export {VirtualSlave, SimulatorPort};
+
+/**
+ * Разбирает и проверяет конфигурацию симулятора
+ *
+ * @param {string|Object} rawConfig - конфигурация в виде JSON строки или объекта
+ * @returns {{responseDelay: number, slaves: Object[]}}
+ * @throws {Error} Если конфигурация некорректна (текст ошибки пригоден для показа пользователю)
+ */
+export function parseSimulatorConfig(rawConfig) {
+  if (!rawConfig) {
+    throw new Error('Не задана конфигурация симулятора');
+  }
+
+  let config = rawConfig;
+  if (typeof rawConfig === 'string') {
+    try {
+      config = JSON.parse(rawConfig);
+    } catch (error) {
+      throw new Error(`Конфигурация симулятора не является корректным JSON: ${error.message}`);
+    }
+  }
+
+  if (!config || !Array.isArray(config.slaves) || config.slaves.length === 0) {
+    throw new Error('В конфигурации симулятора должен быть непустой массив slaves');
+  }
+
+  const responseDelay = config.responseDelay ?? 10;
+  if (!Number.isInteger(responseDelay) || responseDelay < 0) {
+    throw new Error('responseDelay должен быть целым неотрицательным числом');
+  }
+
+  const unitIds = new Set();
+  for (const slave of config.slaves) {
+    if (!Number.isInteger(slave.unitId) || slave.unitId < 1 || slave.unitId > 247) {
+      throw new Error('unitId виртуального устройства должен быть числом от 1 до 247');
+    }
+    if (unitIds.has(slave.unitId)) {
+      throw new Error(`Виртуальное устройство с unitId ${slave.unitId} описано дважды`);
+    }
+    unitIds.add(slave.unitId);
+
+    const registers = slave.registers || [];
+    if (!Array.isArray(registers)) {
+      throw new Error(`registers устройства ${slave.unitId} должен быть массивом`);
+    }
+
+    for (const register of registers) {
+      const prefix = `Устройство ${slave.unitId}, регистр ${register.address}`;
+      if (!REGISTER_TYPES.includes(register.registerType)) {
+        throw new Error(`${prefix}: registerType должен быть одним из ${REGISTER_TYPES.join(', ')}`);
+      }
+      if (register.dataType !== undefined && !SIMULATOR_DATA_TYPES.includes(register.dataType)) {
+        throw new Error(`${prefix}: dataType должен быть одним из ${SIMULATOR_DATA_TYPES.join(', ')}`);
+      }
+      const maxAddress = register.dataType === 'float' ? 0xFFFE : 0xFFFF;
+      if (!Number.isInteger(register.address) || register.address < 0 || register.address > maxAddress) {
+        throw new Error(`${prefix}: адрес должен быть числом от 0 до ${maxAddress}`);
+      }
+      try {
+        createGenerator(register);
+      } catch (error) {
+        throw new Error(`${prefix}: ${error.message}`);
+      }
+    }
+  }
+
+  return {responseDelay, slaves: config.slaves};
+}
+
+/**
+ * Создает виртуальную шину с устройствами по конфигурации узла связи
+ *
+ * @param {string|Object} rawConfig - конфигурация симулятора
+ * @returns {SimulatorPort}
+ */
+export function createSimulatorPort(rawConfig) {
+  const config = parseSimulatorConfig(rawConfig);
+  const slaves = config.slaves.map(slave => new VirtualSlave(slave.unitId, slave.registers || []));
+  return new SimulatorPort(slaves, {responseDelay: config.responseDelay});
+}
@@ -0,0 +1,70 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  decodeTagValue,
+  encodeTagValue,
+  getRegisterCount,
+  reorderRegisters,
+  validateDataTypes
+} from '../src/drivers/modbus/codec.js';
+
+const holding = (fields) => ({registerType: 'HOLDING_REGISTER', bitIndex: null, ...fields});
+
+describe('codec', () => {
+  it('кодирует и разбирает float во всех порядках байт', () => {
+    const tag = holding({deviceDataType: 'float'});
+    for (const byteOrder of ['ABCD', 'CDAB', 'BADC', 'DCBA']) {
+      const registers = encodeTagValue(tag, 21.5, byteOrder);
+      assert.equal(registers.length, 2);
+      assert.equal(decodeTagValue(tag, registers, byteOrder), 21.5);
+    }
+  });
+
+  it('переставляет слова и байты по порядку устройства', () => {
+    assert.deepEqual(reorderRegisters([0x1122, 0x3344], 'ABCD'), [0x1122, 0x3344]);
+    assert.deepEqual(reorderRegisters([0x1122, 0x3344], 'CDAB'), [0x3344, 0x1122]);
+    assert.deepEqual(reorderRegisters([0x1122, 0x3344], 'BADC'), [0x2211, 0x4433]);
+    assert.deepEqual(reorderRegisters([0x1122, 0x3344], 'DCBA'), [0x4433, 0x2211]);
+  });
+
+  it('ограничивает целые значения диапазоном типа при записи', () => {
+    const tag = holding({deviceDataType: 'int16'});
+    assert.deepEqual(encodeTagValue(tag, 100000), [0x7FFF]);
+    assert.equal(decodeTagValue(tag, encodeTagValue(tag, -5.4)), -5);
+  });
+
+  it('разбирает BCD и отклоняет тетрады больше 9', () => {
+    const tag = holding({deviceDataType: 'bcd16'});
+    assert.deepEqual(encodeTagValue(tag, 1234), [0x1234]);
+    assert.equal(decodeTagValue(tag, [0x1234]), 1234);
+    assert.throws(() => decodeTagValue(tag, [0x12A4]), /BCD/);
+  });
+
+  it('записывает и читает строки ASCII', () => {
+    const tag = holding({deviceDataType: 'string', stringLength: 3});
+    const registers = encodeTagValue(tag, 'AB-1');
+    assert.deepEqual(registers, [0x4142, 0x2D31, 0x0000]);
+    assert.equal(decodeTagValue(tag, registers), 'AB-1');
+    assert.throws(() => encodeTagValue(tag, 'ABCDEFG'), /длиннее 6 символов/);
+    assert.throws(() => encodeTagValue(tag, 'Тег'), /ASCII/);
+  });
+
+  it('читает бит регистра и значения катушек', () => {
+    assert.equal(decodeTagValue(holding({deviceDataType: 'uint16', bitIndex: 3}), [0b1000]), 1);
+    assert.equal(decodeTagValue({registerType: 'COIL', deviceDataType: 'uint16'}, [true]), 1);
+  });
+
+  it('считает регистры значения тега', () => {
+    assert.equal(getRegisterCount(holding({deviceDataType: 'float64'})), 4);
+    assert.equal(getRegisterCount(holding({deviceDataType: 'string', stringLength: 5})), 5);
+    assert.equal(getRegisterCount({registerType: 'COIL', deviceDataType: 'uint16'}), 1);
+  });
+
+  it('проверяет сочетание типов данных', () => {
+    assert.equal(validateDataTypes(holding({deviceDataType: 'float', serverDataType: 'float'})), null);
+    assert.match(validateDataTypes(holding({deviceDataType: 'string', serverDataType: 'float', stringLength: 2})),
+      /Строковый тег/);
+    assert.match(validateDataTypes({registerType: 'COIL', deviceDataType: 'float', serverDataType: 'float'}),
+      /хранит один бит/);
+  });
+});
@@ -0,0 +1,49 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import {compileExpression} from '../src/calc/expression.js';
+
+const evaluate = (text, values = {}) => compileExpression(text).evaluate(reference => values[reference]);
+
+describe('compileExpression', () => {
+  it('соблюдает приоритет и ассоциативность операторов', () => {
+    assert.equal(evaluate('1 + 2 * 3'), 7);
+    assert.equal(evaluate('(1 + 2) * 3'), 9);
+    assert.equal(evaluate('2 ^ 3 ^ 2'), 512);
+    assert.equal(evaluate('-2 ^ 2'), -4);
+    assert.equal(evaluate('10 % 4 - 1'), 1);
+  });
+
+  it('вычисляет сравнения, логику и условия', () => {
+    assert.equal(evaluate('3 > 2 && 1 == 1'), 1);
+    assert.equal(evaluate('not (1 or 0)'), 0);
+    assert.equal(evaluate('0 ? 5 : 1 ? 6 : 7'), 6);
+    assert.equal(evaluate('if(true, pi, e)'), Math.PI);
+  });
+
+  it('вызывает функции', () => {
+    assert.equal(evaluate('round(2.345, 2)'), 2.35);
+    assert.equal(evaluate('clamp(150, 0, 100)'), 100);
+    assert.equal(evaluate('avg(1, 2, 3, 6)'), 3);
+    assert.equal(evaluate('max(min(4, 9), 2)'), 4);
+  });
+
+  it('собирает ссылки на теги без повторов и подставляет их значения', () => {
+    const compiled = compileExpression('{Узел/ТРМ/T1} - {Узел/ТРМ/T2} + {Узел/ТРМ/T1} / 2');
+    assert.deepEqual(compiled.references, ['Узел/ТРМ/T1', 'Узел/ТРМ/T2']);
+    assert.equal(compiled.evaluate(reference => ({'Узел/ТРМ/T1': 40, 'Узел/ТРМ/T2': 15})[reference]), 45);
+  });
+
+  it('отклоняет некорректные выражения', () => {
+    assert.throws(() => compileExpression(''), /пустое/);
+    assert.throws(() => compileExpression('1 +'));
+    assert.throws(() => compileExpression('(1 + 2'));
+    assert.throws(() => compileExpression('max()'));
+    assert.throws(() => compileExpression('x' + '+1'.repeat(600)), /длиннее/);
+  });
+
+  it('не принимает свойства Object.prototype за функции и константы', () => {
+    assert.throws(() => compileExpression('constructor(1)'));
+    assert.throws(() => compileExpression('toString + 1'));
+    assert.throws(() => compileExpression('1 valueOf 2'));
+  });
+});
@@ -0,0 +1,46 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import {planReads} from '../src/drivers/modbus/readPlanner.js';
+
+const tag = (id, registerType, address, deviceDataType = 'uint16', fields = {}) =>
+  ({id, registerType, address, deviceDataType, bitIndex: null, ...fields});
+
+const summary = (blocks) => blocks.map(block =>
+  [block.registerType, block.address, block.count, block.tags.map(t => t.id).join(',')]);
+
+describe('planReads', () => {
+  it('объединяет теги, идущие подряд, и разделяет типы регистров', () => {
+    const tags = [
+      tag('b', 'HOLDING_REGISTER', 2, 'float'),
+      tag('a', 'HOLDING_REGISTER', 0, 'int32'),
+      tag('c', 'HOLDING_REGISTER', 10),
+      tag('d', 'COIL', 0)
+    ];
+    assert.deepEqual(summary(planReads(tags, {})), [
+      ['HOLDING_REGISTER', 0, 4, 'a,b'],
+      ['HOLDING_REGISTER', 10, 1, 'c'],
+      ['COIL', 0, 1, 'd']
+    ]);
+  });
+
+  it('учитывает допустимый разрыв адресов и длину блока', () => {
+    const tags = [tag('a', 'INPUT_REGISTER', 0), tag('b', 'INPUT_REGISTER', 5), tag('c', 'INPUT_REGISTER', 9)];
+    assert.deepEqual(summary(planReads(tags, {maxGap: 4})), [['INPUT_REGISTER', 0, 10, 'a,b,c']]);
+    assert.deepEqual(summary(planReads(tags, {maxGap: 4, maxRegistersPerRequest: 8})), [
+      ['INPUT_REGISTER', 0, 6, 'a,b'],
+      ['INPUT_REGISTER', 9, 1, 'c']
+    ]);
+  });
+
+  it('читает биты одного регистра одним запросом даже без объединения', () => {
+    const tags = [
+      tag('bit0', 'HOLDING_REGISTER', 4, 'uint16', {bitIndex: 0}),
+      tag('bit5', 'HOLDING_REGISTER', 4, 'uint16', {bitIndex: 5}),
+      tag('next', 'HOLDING_REGISTER', 5)
+    ];
+    assert.deepEqual(summary(planReads(tags, {maxRegistersPerRequest: 1})), [
+      ['HOLDING_REGISTER', 4, 1, 'bit0,bit5'],
+      ['HOLDING_REGISTER', 5, 1, 'next']
+    ]);
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Опрос и запись узла связи SIMULATOR через ModbusManager: настоящий драйвер Modbus и виртуальная шина,
+ * вместо базы данных - хранилище в памяти с методами Prisma, которые вызывает ModbusManager
+ */
+
+import {after, before, describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import {ModbusManager} from '../src/modbus/ModbusManager.js';
+
+const simulatorConfig = {
+  responseDelay: 0,
+  slaves: [
+    {
+      unitId: 1,
+      registers: [
+        {registerType: 'HOLDING_REGISTER', address: 0, dataType: 'float', generator: 'constant', value: 21.5},
+        {registerType: 'HOLDING_REGISTER', address: 2, generator: 'constant', value: 7},
+        {registerType: 'COIL', address: 0, generator: 'constant', value: 1}
+      ]
+    }
+  ]
+};
+
+const node = {
+  id: 'node-sim',
+  name: 'Симулятор',
+  type: 'SIMULATOR',
+  simulatorConfig: JSON.stringify(simulatorConfig),
+  gatewayEnabled: false,
+  enabled: true
+};
+
+const device = (id, name, address, tags) => ({
+  id,
+  connectionNodeId: node.id,
+  name,
+  address,
+  responseTimeout: 200,
+  pollInterval: 100,
+  maxRegistersPerRequest: 32,
+  maxGap: 0,
+  byteOrder: 'ABCD',
+  supportsMaskWrite: false,
+  enabled: true,
+  tags
+});
+
+const tag = (id, deviceId, fields) => ({
+  id,
+  deviceId,
+  kind: 'DEVICE',
+  accessType: 'ReadWrite',
+  scalingMode: 'none',
+  scaleFactor: 1,
+  scaleOffset: 0,
+  pollInterval: null,
+  byteOrder: null,
+  stringLength: null,
+  bitIndex: null,
+  enabled: true,
+  ...fields
+});
+
+const devices = [
+  device('dev-trm', 'ТРМ', 1, [
+    tag('t-temp', 'dev-trm', {name: 'Температура', registerType: 'HOLDING_REGISTER', address: 0,
+      deviceDataType: 'float', serverDataType: 'float', accessType: 'ReadOnly'}),
+    tag('t-setpoint', 'dev-trm', {name: 'Уставка', registerType: 'HOLDING_REGISTER', address: 2,
+      deviceDataType: 'int16', serverDataType: 'float', scalingMode: 'factor', scaleFactor: 0.5}),
+    tag('t-label', 'dev-trm', {name: 'Метка', registerType: 'HOLDING_REGISTER', address: 10,
+      deviceDataType: 'string', serverDataType: 'string', stringLength: 4}),
+    tag('t-run', 'dev-trm', {name: 'Пуск', registerType: 'COIL', address: 0,
+      deviceDataType: 'uint16', serverDataType: 'uint16'})
+  ]),
+  // На виртуальной шине нет устройства с адресом 2: запросы к нему заканчиваются таймаутом
+  device('dev-missing', 'Отключенный прибор', 2, [
+    tag('t-missing', 'dev-missing', {name: 'Значение', registerType: 'HOLDING_REGISTER', address: 0,
+      deviceDataType: 'uint16', serverDataType: 'uint16'})
+  ])
+];
+
+/**
+ * Хранилище узла симулятора в памяти с методами Prisma, которые вызывает ModbusManager
+ */
+function createPrisma() {
+  const findDevice = (id) => devices.find(d => d.id === id);
+  return {
+    connectionNode: {
+      findMany: async () => [],
+      update: async () => ({})
+    },
+    device: {
+      findUnique: async ({where}) => {
+        const found = findDevice(where.id);
+        return found ? structuredClone({...found, connectionNode: node}) : null;
+      },
+      update: async () => ({})
+    },
+    tag: {
+      findUnique: async ({where}) => {
+        for (const d of devices) {
+          const found = d.tags.find(t => t.id === where.id);
+          if (found) return structuredClone({...found, device: {...d, connectionNode: node}});
+        }
+        return null;
+      },
+      findMany: async () => []
+    }
+  };
+}
+
+/**
+ * Ожидает выполнения условия, проверяя его каждые 20 мс
+ */
+async function waitFor(condition, timeout = 3000) {
+  const deadline = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Условие не выполнилось за отведенное время');
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+describe('ModbusManager с узлом SIMULATOR', () => {
+  let manager;
+  const cachedValue = (deviceId, tagId) => manager.tagValuesCache.get(deviceId)?.get(tagId);
+
+  before(async () => {
+    manager = new ModbusManager(createPrisma(), {clients: new Set()});
+    manager.isRunning = true;
+    await manager.startConnection(structuredClone({...node, devices}));
+    assert.ok(manager.connections.has(node.id), 'узел симулятора не подключился');
+  });
+
+  after(async () => {
+    await manager.stop();
+  });
+
+  it('опрашивает теги виртуального устройства с масштабированием', async () => {
+    await waitFor(() => cachedValue('dev-trm', 't-run') !== undefined);
+
+    assert.equal(cachedValue('dev-trm', 't-temp').value, 21.5);
+    assert.equal(cachedValue('dev-trm', 't-setpoint').value, 3.5);
+    assert.equal(cachedValue('dev-trm', 't-label').value, '');
+    assert.equal(cachedValue('dev-trm', 't-run').value, 1);
+  });
+
+  it('записывает значения в регистры и читает их при следующем опросе', async () => {
+    const result = await manager.writeTagValue('t-setpoint', 12.5);
+    assert.deepEqual(result, {success: true, value: 12.5});
+
+    await manager.writeTagValue('t-label', 'PUMP-1');
+    await manager.writeTagValue('t-run', 0);
+
+    const writtenAt = new Date().toISOString();
+    await waitFor(() => cachedValue('dev-trm', 't-run').timestamp > writtenAt);
+
+    assert.equal(cachedValue('dev-trm', 't-setpoint').value, 12.5);
+    assert.equal(cachedValue('dev-trm', 't-label').value, 'PUMP-1');
+    assert.equal(cachedValue('dev-trm', 't-run').value, 0);
+  });
+
+  it('выводит неотвечающее устройство из опроса и не пишет в него', async () => {
+    await waitFor(() => manager.isDeviceOffline(node.id, 'dev-missing'));
+
+    assert.ok(cachedValue('dev-missing', 't-missing').error);
+    await assert.rejects(manager.writeTagValue('t-missing', 1), /не отвечает/);
+  });
+});